@@ -0,0 +1,200 @@
+/**
+ * 音轨处理模块
+ * Audio Track Module
+ *
+ * 探测片源是否有音轨，按容器选择 AAC 或 Opus，整片只编码一次音频，再与拼接好的视频封装在一起
+ * Detect whether the source has audio, pick AAC or Opus per container, encode the audio once per
+ * title and mux it with the concatenated video
+ */
+
+import { execSync } from "node:child_process";
+import { copyFileSync, renameSync, statSync, unlinkSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { getContainerFormat } from "./container_format.mjs";
+import { NO_CACHE } from "./encode_cache.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+
+// 音频编码对应的 FFmpeg 编码器与单独音轨文件的扩展名
+// FFmpeg encoder and standalone track extension per audio codec
+const AUDIO_ENCODERS = {
+  aac: { encoder: "aac", ext: ".mp4" },
+  opus: { encoder: "libopus", ext: ".webm" },
+};
+
+const audioStreamCache = new Map();
+
+/**
+ * 探测片源的首个音轨
+ *
+ * 结果按文件路径、大小与修改时间缓存；ffprobe 输出无法解析时按无音轨处理。
+ *
+ * @param {string} inputFile - 输入视频文件路径
+ * @returns {{codec: string, channels: number, sampleRate: number}|null} 音轨信息，没有音轨时返回 null
+ *
+ * @example
+ * probeAudioStream('./video.mp4');
+ * // 返回: { codec: 'aac', channels: 2, sampleRate: 48000 }
+ */
+export function probeAudioStream(inputFile) {
+  const { size, mtimeMs } = statSync(inputFile);
+  const stamp = `${resolve(inputFile)}|${size}|${mtimeMs}`;
+  if (audioStreamCache.has(stamp)) {
+    return audioStreamCache.get(stamp);
+  }
+  let stream;
+  try {
+    stream = JSON.parse(
+      execSync(
+        `ffprobe -v error -select_streams a:0 ` +
+          `-show_entries stream=codec_name,channels,sample_rate -of json "${inputFile}"`,
+        { stdio: "pipe" }
+      ).toString("utf8")
+    )?.streams?.[0];
+  } catch {
+    // 按无音轨处理
+    // Treat the source as silent
+  }
+  const info = stream
+    ? {
+        codec: stream.codec_name,
+        channels: Number(stream.channels),
+        sampleRate: Number(stream.sample_rate),
+      }
+    : null;
+  audioStreamCache.set(stamp, info);
+  return info;
+}
+
+/**
+ * 决定整片音轨的编码方式
+ *
+ * 片源没有音轨或 audioKbps 为 0 时不输出音频。音轨总是取自原始片源（预处理后的片源可能不含音频）。
+ * 音频编码（AAC 或 Opus）由各组合的输出容器决定，见 encodeTitleAudio()。
+ *
+ * @param {string} inputFile - 片源文件路径
+ * @param {Object} options - 选项
+ * @param {number} options.audioKbps - 音频码率 (kbps)
+ * @returns {{source: string, bitrateKbps: number, channels: number}|null} 音频配置，不输出音频时返回 null
+ *
+ * @example
+ * resolveAudioConfig('./video.mp4', { audioKbps: 128 });
+ * // 返回: { source: './video.mp4', bitrateKbps: 128, channels: 2 }
+ */
+export function resolveAudioConfig(inputFile, { audioKbps }) {
+  const stream = probeAudioStream(inputFile);
+  if (!stream || !(audioKbps > 0)) {
+    return null;
+  }
+  return {
+    source: inputFile,
+    bitrateKbps: audioKbps,
+    channels: stream.channels,
+  };
+}
+
+/**
+ * 整片编码一次音轨
+ *
+ * 音频编码由容器决定（MP4/CMAF 为 AAC，WebM/MKV 为 Opus）。启用缓存时同一片源、同一编码与码率的
+ * 音轨在组合之间、运行之间复用。
+ *
+ * @param {Object} params - 参数
+ * @param {Object} params.audio - resolveAudioConfig() 的结果
+ * @param {string} [params.container="mp4"] - 输出容器（见 container_format.mjs）
+ * @param {string} params.workdir - 未启用缓存时音轨文件所在的目录
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），缺省时不缓存
+ * @returns {Promise<{file: string, encodeTime: number}>} 音轨文件路径和编码时间（秒）
+ */
+export async function encodeTitleAudio({
+  audio,
+  container = "mp4",
+  workdir,
+  scheduler,
+  cache = NO_CACHE,
+}) {
+  const codec = getContainerFormat(container).audioCodec;
+  const { encoder, ext } = AUDIO_ENCODERS[codec];
+  const { file, encodeTime } = await cache.file(
+    "audio",
+    {
+      source: audio.source,
+      codec,
+      bitrateKbps: audio.bitrateKbps,
+    },
+    {
+      fallbackPath: join(workdir, `audio_${codec}_${audio.bitrateKbps}k${ext}`),
+      produce: async (audioOut) => {
+        const { timeSeconds } = await runCommand(
+          `ffmpeg -y -hide_banner -i "${audio.source}" -map 0:a:0 -vn ` +
+            `-c:a ${encoder} -b:a ${audio.bitrateKbps}k "${audioOut}"`,
+          { scheduler, outputs: [audioOut] }
+        );
+        return timeSeconds;
+      },
+    }
+  );
+  return { file, encodeTime };
+}
+
+/**
+ * 把只含视频的文件与整片音轨封装为最终文件
+ *
+ * 两路都直接复制码流并按容器封装；没有音轨时只把视频文件重命名为最终文件。完成后删除只含视频的中间文件，
+ * 除非指定 keepVideoFile（如 per_title 的 RD 点仍被其他组合使用）。
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.videoFile - 只含视频的文件（如拼接结果或最后一遍编码的输出）
+ * @param {string|null} params.audioFile - encodeTitleAudio() 生成的音轨，没有音频时为 null
+ * @param {string} params.outFile - 最终文件路径
+ * @param {string} [params.container="mp4"] - 输出容器（见 container_format.mjs）
+ * @param {string} [params.codec] - 视频编码器名称，决定容器的封装参数
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {boolean} [params.keepVideoFile=false] - 保留只含视频的文件（没有音轨时复制而不是重命名）
+ * @returns {Promise<void>}
+ */
+export async function muxTitleAudio({
+  videoFile,
+  audioFile,
+  outFile,
+  container = "mp4",
+  codec,
+  scheduler,
+  keepVideoFile = false,
+}) {
+  if (!audioFile) {
+    (keepVideoFile ? copyFileSync : renameSync)(videoFile, outFile);
+    return;
+  }
+  const { muxArgs } = getContainerFormat(container, codec);
+  await runCommand(
+    `ffmpeg -y -hide_banner -i "${videoFile}" -i "${audioFile}" ` +
+      `-map 0:v:0 -map 1:a:0 -c copy ${muxArgs} "${outFile}"`,
+    { scheduler, outputs: [outFile] }
+  );
+  if (!keepVideoFile) {
+    unlinkSync(videoFile);
+  }
+}
+
+/**
+ * 统计文件中某类码流的负载字节数（各数据包大小之和，不含容器开销）
+ *
+ * @param {string} file - 媒体文件路径
+ * @param {"a"|"v"} streamType - 码流类型
+ * @returns {number} 字节数，没有该类码流或探测失败时为 0
+ */
+export function probeStreamBytes(file, streamType) {
+  try {
+    return execSync(
+      `ffprobe -v error -select_streams ${streamType} ` +
+        `-show_entries packet=size -of csv=p=0 "${file}"`,
+      { stdio: "pipe", maxBuffer: 256 * 1024 * 1024 }
+    )
+      .toString("utf8")
+      .split("\n")
+      .reduce((sum, line) => sum + (parseInt(line, 10) || 0), 0);
+  } catch {
+    return 0;
+  }
+}
@@ -1,102 +1,160 @@
 /**
- * Baseline CRF 编码模块
- * Baseline CRF Encoding Module
+ * Baseline 编码模块
+ * Baseline Encoding Module
  *
- * 使用固定 CRF 值进行编码，无场景检测，无码率探测
- * Use fixed CRF value for encoding, no scene detection, no bitrate probing
+ * 固定 CRF、两遍 VBR 与限码率 CRF 的整片编码，无场景检测，无码率探测
+ * Whole-title fixed CRF, two-pass VBR and capped CRF encodes, no scene detection, no bitrate probing
  */
 
-import { execSync } from "node:child_process";
 import { mkdirSync, readFileSync } from "node:fs";
 import { join } from "node:path";
+import { encodeTitleAudio, muxTitleAudio } from "./audio_track.mjs";
+import { getContainerFormat, withSuffix } from "./container_format.mjs";
+import { encodeFullReference } from "./encoder_config.mjs";
+import { buildVideoArgs, resolveEncoderProfile } from "./encoder_profiles.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { getScaleFilter } from "./resolution_strategy.mjs";
+import { getGopFrames } from "./scene_detect.mjs";
+import { buildVmafInputs } from "./vmaf_calculator.mjs";
 
 /**
- * 执行 Shell 命令并测量执行时间
+ * 获取 CRF 编码器参数
+ *
+ * VP9 与 SVT-AV1 以 -b:v 0 进入纯质量模式；NVENC 使用 CQ 模式（类似 CRF）。
  *
- * @param {string} cmd - 要执行的命令
- * @returns {{output: string, timeSeconds: number}} 命令输出和执行时间（秒）
+ * @param {string} codec - 编码器名称
+ * @param {string} implementation - 实现方式 ('cpu' 或 'nvenc')
+ * @param {number} crf - CRF 值
+ * @param {number} gopFrames - GOP 帧数
+ * @param {Object} [profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @returns {string|null} FFmpeg 参数字符串
  */
-function sh(cmd) {
-  const startTime = Date.now();
-  const output = execSync(cmd, { stdio: "pipe", shell: "/bin/bash" }).toString(
-    "utf8"
-  );
-  const endTime = Date.now();
-  const timeSeconds = (endTime - startTime) / 1000;
-  return { output, timeSeconds };
+export function getCrfEncoderArgs(
+  codec,
+  implementation,
+  crf,
+  gopFrames,
+  profile = resolveEncoderProfile(null, codec, implementation)
+) {
+  let rateArgs = `-crf ${crf}`;
+  if (implementation === "nvenc") {
+    rateArgs = `-cq ${crf}`;
+  } else if (codec === "libvpx-vp9" || codec === "libsvtav1") {
+    rateArgs = `-crf ${crf} -b:v 0`;
+  }
+  return buildVideoArgs({
+    codec,
+    implementation,
+    profile,
+    rateArgs,
+    gopFrames,
+  });
 }
 
 /**
- * 获取 CRF 编码器参数
+ * 获取两遍 VBR 编码器参数
+ *
+ * CPU 编码器返回两遍的参数：x264 与 VP9 使用 ffmpeg 的 -pass/-passlogfile，
+ * x265 通过 -x265-params 传入 pass 与 stats。NVENC 没有外部统计文件，
+ * 使用单次运行内的 -multipass fullres，只返回一遍。FFmpeg 的 libsvtav1 封装不支持
+ * -pass/-passlogfile（两次运行只是两遍互不相关的单遍 VBR），因此 SVT-AV1 返回 null。
  *
  * @param {string} codec - 编码器名称
  * @param {string} implementation - 实现方式 ('cpu' 或 'nvenc')
- * @param {number} crf - CRF 值
+ * @param {number} bitrateKbps - 目标码率 (kbps)
  * @param {number} gopFrames - GOP 帧数
- * @returns {string|null} FFmpeg 参数字符串
+ * @param {string} passLogFile - 第一遍统计文件的路径前缀
+ * @param {Object} [profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @returns {string[]|null} 每一遍的 FFmpeg 视频参数，不支持的组合返回 null
+ *
+ * @example
+ * getTwoPassEncoderArgs('libx264', 'cpu', 5000, 60, './work/2pass');
+ * // 返回: ["-c:v libx264 ... -pass 1 -passlogfile \"./work/2pass\"", "... -pass 2 ..."]
  */
-function getCrfEncoderArgs(codec, implementation, crf, gopFrames) {
-  const commonArgs = `-pix_fmt yuv420p -g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0`;
-
-  if (implementation === "cpu") {
-    switch (codec) {
-      case "libx264":
-        return `-c:v libx264 -preset slow -crf ${crf} ${commonArgs} -bf 3`;
-      case "libx265":
-        return `-c:v libx265 -preset slow -crf ${crf} ${commonArgs} -bf 3`;
-      case "libvpx-vp9":
-        return `-c:v libvpx-vp9 -crf ${crf} -b:v 0 -deadline good -cpu-used 1 ${commonArgs}`;
-      case "libsvtav1":
-        return `-c:v libsvtav1 -crf ${crf} -b:v 0 -cpu-used 4 ${commonArgs}`;
-      default:
-        return null;
-    }
-  }
+export function getTwoPassEncoderArgs(
+  codec,
+  implementation,
+  bitrateKbps,
+  gopFrames,
+  passLogFile,
+  profile = resolveEncoderProfile(null, codec, implementation)
+) {
+  const videoArgs = (rateArgs, x265Params) =>
+    buildVideoArgs({
+      codec,
+      implementation,
+      profile,
+      rateArgs,
+      gopFrames,
+      x265Params,
+    });
 
   if (implementation === "nvenc") {
-    // NVENC 使用 CQ 模式（类似 CRF）
-    switch (codec) {
-      case "libx264":
-        return `-c:v h264_nvenc -preset slow -cq ${crf} ${commonArgs.replace(
-          "-sc_threshold 0",
-          ""
-        )} -bf 3`;
-      case "libx265":
-        return `-c:v hevc_nvenc -preset slow -cq ${crf} ${commonArgs.replace(
-          "-sc_threshold 0",
-          ""
-        )} -bf 3`;
-      case "libaom-av1":
-        // AV1 NVENC 需要 RTX 40 系列或更新的 GPU
-        // 使用 p5 预设（较快速度）
-        return `-c:v av1_nvenc -preset p5 -cq ${crf} ${commonArgs.replace(
-          "-sc_threshold 0",
-          ""
-        )} -bf 3`;
-      default:
-        return null;
-    }
+    const args = videoArgs(`-rc vbr -multipass fullres -b:v ${bitrateKbps}k`);
+    return args && [args];
+  }
+  if (codec === "libsvtav1") {
+    return null;
   }
 
-  return null;
+  const args = videoArgs(`-b:v ${bitrateKbps}k`);
+  if (!args) {
+    return null;
+  }
+  if (codec === "libx265") {
+    // pass 与 stats 与 HDR 元数据合并到同一个 -x265-params 中
+    // pass and stats share one -x265-params with the HDR metadata
+    return [1, 2].map((pass) =>
+      videoArgs(`-b:v ${bitrateKbps}k`, [
+        `pass=${pass}`,
+        `stats=${passLogFile}.x265.log`,
+      ])
+    );
+  }
+  return [1, 2].map(
+    (pass) => `${args} -pass ${pass} -passlogfile "${passLogFile}"`
+  );
 }
 
 /**
- * 生成高质量参考视频（整片）
+ * 获取限码率 CRF 编码器参数
+ *
+ * 在 getCrfEncoderArgs() 的基础上加上 -maxrate/-bufsize（VBV）。VP9 的 CRF 参数使用 -b:v 0
+ * 的纯质量模式，这里改为以码率上限作为 -b:v，使 libvpx 进入受限质量（constrained quality）模式。
  *
- * @param {string} inputFile - 输入视频文件路径
- * @param {number} height - 目标视频高度（像素）
- * @param {string} refFile - 输出参考文件路径
- * @returns {number} 编码时间（秒）
+ * @param {string} codec - 编码器名称
+ * @param {string} implementation - 实现方式 ('cpu' 或 'nvenc')
+ * @param {number} crf - CRF 值
+ * @param {number} maxrateKbps - 码率上限 (kbps)
+ * @param {number} bufsizeKbps - VBV 缓冲区大小 (kbps)
+ * @param {number} gopFrames - GOP 帧数
+ * @param {Object} [profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @returns {string|null} FFmpeg 参数字符串，不支持的组合返回 null
  */
-function makeReferenceWhole(inputFile, height, refFile) {
-  const { timeSeconds } = sh(
-    `ffmpeg -y -hide_banner -i "${inputFile}" ` +
-      `-vf "scale=-2:${height}" ` +
-      `-c:v libx264 -preset veryslow -crf 10 -pix_fmt yuv420p ` +
-      `-c:a aac -b:a 192k "${refFile}"`
+export function getCappedCrfEncoderArgs(
+  codec,
+  implementation,
+  crf,
+  maxrateKbps,
+  bufsizeKbps,
+  gopFrames,
+  profile
+) {
+  const videoArgs = getCrfEncoderArgs(
+    codec,
+    implementation,
+    crf,
+    gopFrames,
+    profile
   );
-  return timeSeconds;
+  if (!videoArgs) {
+    return null;
+  }
+  const capArgs = `-maxrate ${maxrateKbps}k -bufsize ${bufsizeKbps}k`;
+  if (codec === "libvpx-vp9") {
+    return `${videoArgs.replace("-b:v 0", `-b:v ${maxrateKbps}k`)} ${capArgs}`;
+  }
+  return `${videoArgs} ${capArgs}`;
 }
 
 /**
@@ -107,9 +165,16 @@ function makeReferenceWhole(inputFile, height, refFile) {
  * @param {string} params.referenceFile - 参考视频文件路径
  * @param {string} params.vmafModel - VMAF 模型文件或版本名称
  * @param {string} params.outJson - 输出 JSON 结果文件路径
- * @returns {number} VMAF 平均分数 (0-100)
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<number>} VMAF 平均分数 (0-100)
  */
-function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
+async function measureFinalVmaf({
+  finalFile,
+  referenceFile,
+  vmafModel,
+  outJson,
+  scheduler,
+}) {
   // FFmpeg 8.0+ uses 'model' instead of 'model_path'
   let modelArg = "";
   if (vmafModel) {
@@ -123,10 +188,16 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
     }
   }
 
-  sh(
-    `ffmpeg -hide_banner -r 30 -i "${finalFile}" -r 30 -i "${referenceFile}" ` +
-      `-lavfi "[0:v][1:v]libvmaf=${modelArg}log_fmt=json:log_path='${outJson}'" ` +
-      `-f null -`
+  const { inputArgs, filterInputs } = buildVmafInputs({
+    distortedFile: finalFile,
+    referenceFile,
+  });
+
+  await runCommand(
+    `ffmpeg -hide_banner ${inputArgs} ` +
+      `-lavfi "${filterInputs}libvmaf=${modelArg}log_fmt=json:log_path='${outJson}'" ` +
+      `-f null -`,
+    { scheduler, outputs: [outJson] }
   );
   const obj = JSON.parse(readFileSync(outJson, "utf8"));
   // Support multiple libvmaf JSON formats
@@ -139,6 +210,156 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
   return score;
 }
 
+/**
+ * 运行 Baseline 整片编码
+ *
+ * 按顺序执行 passes 中的每一遍编码（除最后一遍外只写统计文件，输出到 null），
+ * 同时并行生成高质量参考视频与整片音轨，封装音轨后测量整片 VMAF。
+ *
+ * @param {Object} params - 编码参数
+ * @param {string} params.inputFile - 输入视频文件路径
+ * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
+ * @param {string} params.codec - 编码器名称
+ * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
+ * @param {string[]} params.passes - 每一遍的 FFmpeg 视频参数（单遍编码传一个元素）
+ * @param {Object|null} [params.audio] - 整片音轨配置（见 audio_track.mjs 的 resolveAudioConfig()），
+ *        缺省或为 null 时输出只含视频
+ * @param {Promise<{file: string}>|null} [params.audioTrack] - 已开始编码的整片音轨（encodeTitleAudio() 的结果）；
+ *        给出时直接封装它而不再编码，供同一工作目录下的多次编码共用一份音轨
+ * @param {string} [params.container="mp4"] - 输出容器（见 container_format.mjs），音频编码随之选择 AAC 或 Opus
+ * @param {string} params.workdir - 工作目录路径
+ * @param {string} params.vmafModel - VMAF 模型文件或版本名称
+ * @param {string} params.modeTag - 模式标签，用于文件命名
+ * @param {Object} [params.color] - 色彩配置（见 color_config.mjs），决定参考视频的位深与色彩标记
+ * @param {Object} [params.scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），用于复用整片参考视频与音轨
+ * @param {function(string, Object): void} [params.emit] - 进度事件发送函数（见 progress_events.mjs）
+ * @returns {Promise<{finalFile: string, finalVmaf: number, encodeTime: number}>} 结果对象，
+ *          encodeTime 为所有遍数的编码时间之和（秒）
+ */
+export async function runBaselineEncode({
+  inputFile,
+  height,
+  ladderBasis,
+  codec,
+  implementation,
+  passes,
+  audio = null,
+  audioTrack = null,
+  container = "mp4",
+  workdir,
+  vmafModel,
+  modeTag,
+  color,
+  scheduler,
+  cache,
+  emit,
+}) {
+  const safeTag = modeTag.replace(/[^a-zA-Z0-9_]+/g, "_");
+  const format = getContainerFormat(container, codec);
+  mkdirSync(workdir, { recursive: true });
+  const repDir = join(workdir, "report");
+  mkdirSync(repDir, { recursive: true });
+
+  const finalOut = join(
+    workdir,
+    `final_${codec}_${implementation}_${safeTag}${format.ext}`
+  );
+  const videoOut = withSuffix(finalOut, "video");
+  const refOut = join(
+    workdir,
+    `ref_full_${height}p_${implementation}_${safeTag}.mp4`
+  );
+  const vmafJson = join(
+    repDir,
+    `final_vmaf_${codec}_${implementation}_${safeTag}.json`
+  );
+
+  const { filter: scaleFilter } = getScaleFilter(
+    inputFile,
+    height,
+    ladderBasis
+  );
+
+  // 各遍依次执行；前面的遍只生成统计文件
+  // Passes run in order; every pass but the last only writes its stats
+  const encodePasses = async () => {
+    let encodeTime = 0;
+    for (const [index, videoArgs] of passes.entries()) {
+      const isLastPass = index === passes.length - 1;
+      const { timeSeconds } = await runCommand(
+        `ffmpeg -y -hide_banner -i "${inputFile}" ` +
+          `-vf "${scaleFilter}" ` +
+          `${videoArgs} ` +
+          (isLastPass
+            ? `-an ${format.muxArgs} "${videoOut}"`
+            : "-an -f null -"),
+        { scheduler, outputs: isLastPass ? [videoOut] : [] }
+      );
+      encodeTime += timeSeconds;
+      emit?.("encodeProgress", {
+        completed: index + 1,
+        total: passes.length,
+        fraction: (0.8 * (index + 1)) / passes.length,
+      });
+    }
+    return encodeTime;
+  };
+
+  // 编码、高质量参考编码与整片音轨编码并行执行
+  const [encodeTime, { file: referenceFile }, audioResult] = await Promise.all([
+    encodePasses(),
+    encodeFullReference({
+      inputFile,
+      height,
+      ladderBasis,
+      outFile: refOut,
+      color,
+      scheduler,
+      cache,
+    }),
+    audioTrack ??
+      (audio &&
+        encodeTitleAudio({
+          audio,
+          container,
+          workdir,
+          scheduler,
+          cache,
+        })),
+  ]);
+  await muxTitleAudio({
+    videoFile: videoOut,
+    audioFile: audioResult?.file ?? null,
+    outFile: finalOut,
+    container,
+    codec,
+    scheduler,
+  });
+
+  // 计算 VMAF
+  const wholeVmaf = await measureFinalVmaf({
+    finalFile: finalOut,
+    referenceFile,
+    vmafModel,
+    outJson: vmafJson,
+    scheduler,
+  });
+  emit?.("vmafMeasured", {
+    scope: "final",
+    vmaf: wholeVmaf,
+    file: finalOut,
+    fraction: 1,
+  });
+
+  return {
+    finalFile: finalOut,
+    finalVmaf: wholeVmaf,
+    encodeTime,
+  };
+}
+
 /**
  * 运行 Baseline CRF 编码
  *
@@ -148,94 +369,89 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
  * @param {Object} params - 编码参数
  * @param {string} params.inputFile - 输入视频文件路径
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
  * @param {number} params.crf - CRF 值 (0-51，通常 18-28，越低质量越高)
  * @param {number} params.gopSec - GOP 时长（秒）
- * @param {number} params.audioKbps - 音频码率 (kbps)
+ * @param {Object|null} [params.audio] - 整片音轨配置（见 audio_track.mjs），缺省时输出只含视频
+ * @param {Promise<{file: string}>|null} [params.audioTrack] - 已开始编码的整片音轨（见 runBaselineEncode()）
+ * @param {string} [params.container="mp4"] - 输出容器（见 container_format.mjs）
  * @param {string} params.workdir - 工作目录路径
  * @param {string} params.vmafModel - VMAF 模型文件或版本名称
  * @param {string} [params.modeTag="baseline_crf"] - 模式标签，用于文件命名
- * @returns {{finalFile: string, finalVmaf: number, encodeTime: number}} 结果对象
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），用于复用整片参考视频
+ * @param {function(string, Object): void} [params.emit] - 进度事件发送函数（见 progress_events.mjs）
+ * @returns {Promise<{finalFile: string, finalVmaf: number, encodeTime: number}>} 结果对象
  *          - finalFile: 最终视频文件路径
  *          - finalVmaf: 整片 VMAF 分数
  *          - encodeTime: 编码时间（秒）
  *
  * @example
- * const result = runBaselineCrfEncode({
+ * const result = await runBaselineCrfEncode({
  *   inputFile: './video.mp4',
  *   height: 1080,
  *   codec: 'libx264',
  *   implementation: 'cpu',
  *   crf: 23,
  *   gopSec: 2,
- *   audioKbps: 128,
  *   workdir: './workdir/test',
  *   vmafModel: 'vmaf_v0.6.1.json'
  * });
  * // 返回: { finalFile: '...mp4', finalVmaf: 94.5, encodeTime: 45.2 }
  */
-export function runBaselineCrfEncode({
+export async function runBaselineCrfEncode({
   inputFile,
   height,
+  ladderBasis,
   codec,
   implementation,
   crf,
   gopSec,
-  audioKbps,
+  audio = null,
+  audioTrack = null,
+  container,
   workdir,
   vmafModel,
   modeTag = "baseline_crf",
+  profile,
+  scheduler,
+  cache,
+  emit,
 }) {
-  const safeTag = modeTag.replace(/[^a-zA-Z0-9_]+/g, "_");
-  mkdirSync(workdir, { recursive: true });
-  const repDir = join(workdir, "report");
-  mkdirSync(repDir, { recursive: true });
-
-  const finalOut = join(
-    workdir,
-    `final_${codec}_${implementation}_${safeTag}.mp4`
-  );
-  const refOut = join(
-    workdir,
-    `ref_full_${height}p_${implementation}_${safeTag}.mp4`
-  );
-  const vmafJson = join(
-    repDir,
-    `final_vmaf_${codec}_${implementation}_${safeTag}.json`
+  const gopFrames = getGopFrames(inputFile, gopSec);
+  const videoArgs = getCrfEncoderArgs(
+    codec,
+    implementation,
+    crf,
+    gopFrames,
+    profile
   );
 
-  const gopFrames = Math.max(1, Math.round(gopSec * 30));
-  const videoArgs = getCrfEncoderArgs(codec, implementation, crf, gopFrames);
-
   if (!videoArgs) {
     throw new Error(
       `暂不支持的编码器实现: codec=${codec} implementation=${implementation}`
     );
   }
 
-  // 单次 CRF 编码
-  const { timeSeconds: encodeTime } = sh(
-    `ffmpeg -y -hide_banner -i "${inputFile}" ` +
-      `-vf "scale=-2:${height}" ` +
-      `${videoArgs} ` +
-      `-c:a aac -b:a ${audioKbps}k -movflags +faststart "${finalOut}"`
-  );
-
-  // 生成高质量参考
-  makeReferenceWhole(inputFile, height, refOut);
-
-  // 计算 VMAF
-  const wholeVmaf = measureFinalVmaf({
-    finalFile: finalOut,
-    referenceFile: refOut,
+  return runBaselineEncode({
+    inputFile,
+    height,
+    ladderBasis,
+    codec,
+    implementation,
+    passes: [videoArgs],
+    audio,
+    audioTrack,
+    container,
+    workdir,
     vmafModel,
-    outJson: vmafJson,
+    modeTag,
+    color: profile?.color,
+    scheduler,
+    cache,
+    emit,
   });
-
-  return {
-    finalFile: finalOut,
-    finalVmaf: wholeVmaf,
-    encodeTime,
-  };
 }
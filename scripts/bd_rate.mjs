@@ -0,0 +1,291 @@
+/**
+ * BD-rate 计算模块
+ * Bjøntegaard Delta Module
+ *
+ * 由每个配置的多个 RD 点计算配置之间的 BD-rate（等质量下的码率差）与 BD-VMAF（等码率下的质量差）
+ * Compute BD-rate (bitrate difference at equal quality) and BD-VMAF (quality difference at
+ * equal bitrate) between configurations from their RD points
+ */
+
+// 数值积分的分段数（Simpson 法，须为偶数）
+// Number of Simpson intervals used to integrate the interpolated curves (must be even)
+const INTEGRATION_STEPS = 1000;
+
+/**
+ * 构造分段三次 Hermite 插值（PCHIP，Fritsch-Carlson 斜率）
+ *
+ * 与经典 BD-rate 的三次多项式拟合相比，PCHIP 保持单调、不会在端点外振荡，
+ * 并且只需 2 个点即可工作。
+ *
+ * @param {number[]} xs - 严格递增的横坐标
+ * @param {number[]} ys - 纵坐标
+ * @returns {function(number): number} 插值函数（仅在 [xs[0], xs[n-1]] 内有意义）
+ */
+function createPchip(xs, ys) {
+  const n = xs.length;
+  const h = [];
+  const delta = [];
+  for (let i = 0; i < n - 1; i++) {
+    h.push(xs[i + 1] - xs[i]);
+    delta.push((ys[i + 1] - ys[i]) / h[i]);
+  }
+
+  const slopes = new Array(n).fill(0);
+  if (n === 2) {
+    slopes[0] = delta[0];
+    slopes[1] = delta[0];
+  } else {
+    for (let i = 1; i < n - 1; i++) {
+      if (delta[i - 1] * delta[i] > 0) {
+        const w1 = 2 * h[i] + h[i - 1];
+        const w2 = h[i] + 2 * h[i - 1];
+        slopes[i] = (w1 + w2) / (w1 / delta[i - 1] + w2 / delta[i]);
+      }
+    }
+    const endSlope = (h0, h1, d0, d1) => {
+      const slope = ((2 * h0 + h1) * d0 - h0 * d1) / (h0 + h1);
+      if (Math.sign(slope) !== Math.sign(d0)) {
+        return 0;
+      }
+      if (
+        Math.sign(d0) !== Math.sign(d1) &&
+        Math.abs(slope) > 3 * Math.abs(d0)
+      ) {
+        return 3 * d0;
+      }
+      return slope;
+    };
+    slopes[0] = endSlope(h[0], h[1], delta[0], delta[1]);
+    slopes[n - 1] = endSlope(h[n - 2], h[n - 3], delta[n - 2], delta[n - 3]);
+  }
+
+  return (x) => {
+    let i = 0;
+    while (i < n - 2 && x > xs[i + 1]) {
+      i++;
+    }
+    const t = (x - xs[i]) / h[i];
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (
+      (2 * t3 - 3 * t2 + 1) * ys[i] +
+      (t3 - 2 * t2 + t) * h[i] * slopes[i] +
+      (-2 * t3 + 3 * t2) * ys[i + 1] +
+      (t3 - t2) * h[i] * slopes[i + 1]
+    );
+  };
+}
+
+function integrate(fn, lo, hi) {
+  const step = (hi - lo) / INTEGRATION_STEPS;
+  let sum = fn(lo) + fn(hi);
+  for (let i = 1; i < INTEGRATION_STEPS; i++) {
+    sum += fn(lo + i * step) * (i % 2 === 0 ? 2 : 4);
+  }
+  return (sum * step) / 3;
+}
+
+/**
+ * 整理 RD 点：去掉无效点，按横坐标排序，横坐标相同的点只保留纵坐标更优的一个
+ *
+ * @param {Array<{kbps: number, vmaf: number}>} points - RD 点
+ * @param {"vmaf"|"logRate"} axis - 作为横坐标的量
+ * @returns {{xs: number[], ys: number[]}}
+ */
+function prepareCurve(points, axis) {
+  const byX = new Map();
+  for (const { kbps, vmaf } of points) {
+    if (!(kbps > 0) || !Number.isFinite(vmaf)) {
+      continue;
+    }
+    const logRate = Math.log(kbps);
+    const [x, y] = axis === "vmaf" ? [vmaf, logRate] : [logRate, vmaf];
+    // 同一质量取最低码率，同一码率取最高质量
+    // Keep the lowest rate for equal quality and the highest quality for equal rate
+    const better =
+      axis === "vmaf"
+        ? y < (byX.get(x) ?? Infinity)
+        : y > (byX.get(x) ?? -Infinity);
+    if (better) {
+      byX.set(x, y);
+    }
+  }
+  const xs = [...byX.keys()].sort((a, b) => a - b);
+  return { xs, ys: xs.map((x) => byX.get(x)) };
+}
+
+/**
+ * 在两条曲线横坐标重叠的区间内，计算 test 相对 reference 的平均纵坐标差
+ *
+ * @returns {{value: number|null, reason?: string, range?: [number, number]}}
+ */
+function averageCurveGap(reference, test, axis) {
+  const a = prepareCurve(reference, axis);
+  const b = prepareCurve(test, axis);
+  if (a.xs.length < 2 || b.xs.length < 2) {
+    return { value: null, reason: "RD 点不足（每个配置至少需要 2 个）" };
+  }
+  const lo = Math.max(a.xs[0], b.xs[0]);
+  const hi = Math.min(a.xs[a.xs.length - 1], b.xs[b.xs.length - 1]);
+  if (!(hi > lo)) {
+    return {
+      value: null,
+      reason: axis === "vmaf" ? "VMAF 区间不重叠" : "码率区间不重叠",
+    };
+  }
+  const fa = createPchip(a.xs, a.ys);
+  const fb = createPchip(b.xs, b.ys);
+  const gap = (integrate(fb, lo, hi) - integrate(fa, lo, hi)) / (hi - lo);
+  return { value: gap, range: [lo, hi] };
+}
+
+/**
+ * 计算 BD-rate：在两者共同的 VMAF 区间内，test 相对 reference 的平均码率差（百分比）
+ *
+ * 负值表示 test 在相同质量下节省码率。
+ *
+ * @param {Array<{kbps: number, vmaf: number}>} reference - 参照配置的 RD 点
+ * @param {Array<{kbps: number, vmaf: number}>} test - 被评估配置的 RD 点
+ * @returns {{bdRatePercent: number|null, vmafRange?: number[], reason?: string}}
+ *
+ * @example
+ * bdRate(
+ *   [{ kbps: 1000, vmaf: 88 }, { kbps: 2000, vmaf: 93 }, { kbps: 4000, vmaf: 96 }],
+ *   [{ kbps: 800, vmaf: 88 }, { kbps: 1600, vmaf: 93 }, { kbps: 3200, vmaf: 96 }]
+ * );
+ * // 返回: { bdRatePercent: -20, vmafRange: [88, 96] }
+ */
+export function bdRate(reference, test) {
+  const { value, reason, range } = averageCurveGap(reference, test, "vmaf");
+  if (value === null) {
+    return { bdRatePercent: null, reason };
+  }
+  return {
+    bdRatePercent: Math.round((Math.exp(value) - 1) * 10000) / 100,
+    vmafRange: range.map((v) => Math.round(v * 100) / 100),
+  };
+}
+
+/**
+ * 计算 BD-VMAF：在两者共同的码率区间内（对数刻度），test 相对 reference 的平均 VMAF 差
+ *
+ * 正值表示 test 在相同码率下质量更高。
+ *
+ * @param {Array<{kbps: number, vmaf: number}>} reference - 参照配置的 RD 点
+ * @param {Array<{kbps: number, vmaf: number}>} test - 被评估配置的 RD 点
+ * @returns {{bdVmaf: number|null, kbpsRange?: number[], reason?: string}}
+ */
+export function bdVmaf(reference, test) {
+  const { value, reason, range } = averageCurveGap(reference, test, "logRate");
+  if (value === null) {
+    return { bdVmaf: null, reason };
+  }
+  return {
+    bdVmaf: Math.round(value * 1000) / 1000,
+    kbpsRange: range.map((v) => Math.round(Math.exp(v) * 10) / 10),
+  };
+}
+
+function configKey({ mode, codec, implementation, height }) {
+  return `${mode}|${codec}|${implementation}|${height}`;
+}
+
+/**
+ * 从摘要行收集每个配置（模式 × 编码器 × 实现 × 分辨率）的 RD 曲线
+ *
+ * 带有 rdPoints 的行（per_title 的 CRF 扫描、baseline_crf 的 baselineCrfSweep）贡献其全部扫描点；
+ * 其余行贡献自身的 (avgBitrateKbps, finalVmaf)，同一配置的多行（如多个目标 VMAF）合并为一条曲线。
+ * vmafHeight 为 VMAF 的测量分辨率（per_title 放大到 vmafScaledToHeight 后测量）。
+ *
+ * @param {Object[]} rows - 摘要行
+ * @returns {Array<{mode: string, codec: string, implementation: string, height: number,
+ *                  vmafHeight: number, points: Array<{kbps: number, vmaf: number}>}>}
+ */
+export function collectRdCurves(rows) {
+  const curves = new Map();
+  for (const row of rows) {
+    const key = configKey(row);
+    if (!curves.has(key)) {
+      const { mode, codec, implementation, height } = row;
+      curves.set(key, {
+        mode,
+        codec,
+        implementation,
+        height,
+        vmafHeight: row.vmafScaledToHeight ?? height,
+        points: [],
+      });
+    }
+    const points = row.rdPoints?.length
+      ? row.rdPoints
+      : [{ kbps: row.avgBitrateKbps, vmaf: row.finalVmaf }];
+    curves
+      .get(key)
+      .points.push(...points.map(({ kbps, vmaf }) => ({ kbps, vmaf })));
+  }
+  return [...curves.values()];
+}
+
+/**
+ * 计算同一分辨率下任意两个配置之间的 BD-rate 与 BD-VMAF 矩阵
+ *
+ * 不同分辨率（或不同测量分辨率）的 VMAF 不可直接比较，因此只在分辨率与 VMAF 测量分辨率都相同的
+ * 配置之间比较。每个有序对输出一条 test 相对 reference 的结果；RD 点不足或区间不重叠时
+ * 对应数值为 null 并给出 reason。
+ *
+ * @param {Object[]} rows - 摘要行
+ * @returns {Array<{height: number, test: Object, reference: Object, bdRatePercent: number|null,
+ *                  bdVmaf: number|null, vmafRange?: number[], kbpsRange?: number[], reason?: string}>}
+ *          test、reference 为 { mode, codec, implementation }
+ */
+export function computeBdMatrix(rows) {
+  const curves = collectRdCurves(rows);
+  const describe = ({ mode, codec, implementation }) => ({
+    mode,
+    codec,
+    implementation,
+  });
+  const matrix = [];
+  for (const test of curves) {
+    for (const reference of curves) {
+      if (
+        test === reference ||
+        test.height !== reference.height ||
+        test.vmafHeight !== reference.vmafHeight
+      ) {
+        continue;
+      }
+      const rate = bdRate(reference.points, test.points);
+      const quality = bdVmaf(reference.points, test.points);
+      matrix.push({
+        height: test.height,
+        test: describe(test),
+        reference: describe(reference),
+        bdRatePercent: rate.bdRatePercent,
+        bdVmaf: quality.bdVmaf,
+        ...(rate.vmafRange && { vmafRange: rate.vmafRange }),
+        ...(quality.kbpsRange && { kbpsRange: quality.kbpsRange }),
+        ...((rate.reason || quality.reason) && {
+          reason: rate.reason || quality.reason,
+        }),
+      });
+    }
+  }
+  return matrix;
+}
+
+/**
+ * 取出矩阵中以某个配置为 test 的条目，用于写入该配置的摘要行
+ *
+ * @param {Object[]} matrix - computeBdMatrix() 的结果
+ * @param {Object} row - 摘要行
+ * @returns {Array<{reference: Object, bdRatePercent: number|null, bdVmaf: number|null}>}
+ */
+export function bdEntriesForRow(matrix, row) {
+  const key = configKey(row);
+  return matrix
+    .filter(
+      (entry) => configKey({ ...entry.test, height: entry.height }) === key
+    )
+    .map(({ height, test, ...entry }) => entry);
+}
@@ -2,17 +2,89 @@
  * 码率探测协调器
  * Bitrate Probe Coordinator
  *
- * 使用模块化组件进行码率探测
- * Use modular components for bitrate probing
+ * 使用模块化组件进行码率探测与 CRF 探测
+ * Use modular components for bitrate and CRF probing
  */
 
+import { statSync } from "node:fs";
 import {
   getBitrateStrategy,
   adjustSearchRange,
+  getCrfStrategy,
+  adjustCrfRange,
+  getScaleFilter,
 } from "./resolution_strategy.mjs";
 import { encodeReference, encodeSegment } from "./encoder_config.mjs";
 import { measureVmaf } from "./vmaf_calculator.mjs";
 
+/**
+ * 创建单个片段的探测结果共享存储
+ *
+ * 同一片段在多个目标 VMAF 下搜索码率（或 CRF）时共享参考片段与已测得的探测点：
+ * 已探测过的码率不再重复编码，已知的点直接参与选点并用于收窄搜索区间。
+ * 并发的搜索请求同一码率时只编码一次。一个存储只用于一种搜索（码率或 CRF）。
+ *
+ * @returns {{reference: Promise<Object>|null,
+ *            probes: Map<number, {promise: Promise<{vmaf: number, encodeTime: number, kbps?: number}>,
+ *                                 vmaf?: number, kbps?: number}>}}
+ *          probes 以码率 (kbps) 或 CRF 为键，vmaf（CRF 探测另有实际码率 kbps）在探测完成后写入
+ */
+export function createSegmentProbeStore() {
+  return { reference: null, probes: new Map() };
+}
+
+// 参考片段在共享存储中只编码一次，复用时不再计入编码耗时
+// The reference clip is encoded once per store; reusing it adds no encode time
+async function sharedReference(probeStore, params) {
+  if (!probeStore) {
+    return encodeReference(params);
+  }
+  if (probeStore.reference) {
+    const { file } = await probeStore.reference;
+    return { file, encodeTime: 0 };
+  }
+  const promise = encodeReference(params);
+  probeStore.reference = promise;
+  promise.catch(() => {
+    probeStore.reference = null;
+  });
+  return promise;
+}
+
+/**
+ * 在某个码率（或 CRF）上探测一次；共享存储中已有该点时直接复用其结果
+ *
+ * @param {Object|null} probeStore - createSegmentProbeStore() 的结果
+ * @param {number} key - 探测码率 (kbps) 或 CRF
+ * @param {function(): Promise<{vmaf: number, encodeTime: number, kbps?: number}>} measure - 编码并测量 VMAF
+ * @returns {Promise<{vmaf: number, encodeTime: number, kbps?: number, reused: boolean}>}
+ */
+async function probePoint(probeStore, key, measure) {
+  const known = probeStore?.probes.get(key);
+  if (known) {
+    const measured = await known.promise;
+    return { ...measured, encodeTime: 0, reused: true };
+  }
+  const entry = { promise: measure() };
+  if (probeStore) {
+    probeStore.probes.set(key, entry);
+    entry.promise.then(
+      ({ vmaf, kbps }) => {
+        entry.vmaf = vmaf;
+        entry.kbps = kbps;
+      },
+      () => probeStore.probes.delete(key)
+    );
+  }
+  const measured = await entry.promise;
+  return { ...measured, reused: false };
+}
+
+async function probeBitrate(probeStore, kbps, measure) {
+  const result = await probePoint(probeStore, kbps, measure);
+  return { ...result, kbps };
+}
+
 /**
  * 自适应二分搜索算法寻找最优码率
  *
@@ -23,49 +95,70 @@ import { measureVmaf } from "./vmaf_calculator.mjs";
  * @param {number} params.start - 片段起始时间（秒）
  * @param {number} params.dur - 片段持续时间（秒）
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 编码器实现方式 (cpu 或 nvenc)
  * @param {number} params.gopSec - GOP 时长（秒）
- * @param {number} params.audioKbps - 音频码率 (kbps)
  * @param {string} params.tmpDir - 临时文件目录路径
+ * @param {string} [params.container="mp4"] - 探测候选的输出容器（见 container_format.mjs）
  * @param {string} params.vmafModel - VMAF 模型文件路径或版本
  * @param {number} params.targetVmaf - 目标 VMAF 分数
  * @param {Object|null} params.previousSegmentResult - 上一个片段的探测结果，用于优化搜索范围
- * @returns {Object} 探测结果
+ * @param {Object|null} [params.probeStore] - 片段探测结果的共享存储，复用其他目标 VMAF 已测得的点
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {Object} [params.cache] - 编码缓存，复用参考片段、探测编码与 VMAF 分数
+ * @returns {Promise<Object>} 探测结果
  * @returns {number} return.chosenBitrateKbps - 选定的码率 (kbps)
  * @returns {number} return.estVmaf - 估算的 VMAF 分数
  * @returns {number} return.start - 片段起始时间
  * @returns {number} return.dur - 片段持续时间
  * @returns {string} return.implementation - 使用的编码器实现
- * @returns {number} return.probesUsed - 实际使用的探测次数
+ * @returns {number} return.probesUsed - 实际编码的探测次数
+ * @returns {number} return.probesReused - 直接从共享存储取得、未重新编码的探测次数
  */
-function adaptiveBitrateSearch({
+async function adaptiveBitrateSearch({
   inputFile,
   start,
   dur,
   height,
+  ladderBasis,
   codec,
   implementation,
   gopSec,
-  audioKbps,
   tmpDir,
+  container,
   vmafModel,
   targetVmaf,
   previousSegmentResult = null,
+  probeStore = null,
+  profile,
+  scheduler,
+  cache,
 }) {
-  const strategy = getBitrateStrategy(height);
+  // 按实际输出尺寸（竖屏、非 16:9）的像素数确定码率搜索范围
+  // Size the bitrate search range by the actual output pixel count (portrait, non-16:9)
+  const { size } = getScaleFilter(inputFile, height, ladderBasis);
+  const strategy = getBitrateStrategy(size ?? height);
   const { min, max } = adjustSearchRange(
     strategy,
     previousSegmentResult,
     targetVmaf
   );
-  const { file: refFile, encodeTime: refEncodeTime } = encodeReference({
-    inputFile,
-    start,
-    dur,
-    height,
-    tmpDir,
-  });
+  const { file: refFile, encodeTime: refEncodeTime } = await sharedReference(
+    probeStore,
+    {
+      inputFile,
+      start,
+      dur,
+      height,
+      ladderBasis,
+      tmpDir,
+      color: profile?.color,
+      scheduler,
+      cache,
+    }
+  );
 
   // 目标 VMAF 范围：95-95.5，容差 0.5
   const targetMin = targetVmaf;
@@ -73,38 +166,82 @@ function adaptiveBitrateSearch({
 
   const probeResults = [];
   let probeCount = 0;
+  let reusedCount = 0;
   let totalProbeEncodeTime = refEncodeTime; // 参考编码时间
   const maxProbes = strategy.maxProbes;
   let minBitrate = min;
   let maxBitrate = max;
 
-  let currentBitrate = Math.round((minBitrate + maxBitrate) / 2);
-
-  while (probeCount < maxProbes && maxBitrate - minBitrate > 200) {
-    const { file: candFile, encodeTime } = encodeSegment({
-      inputFile,
-      start,
-      dur,
-      height,
-      codec,
-      implementation,
-      bitrateKbps: currentBitrate,
-      gopSec,
-      audioKbps,
-      tmpDir,
+  const probeAt = async (kbps) => {
+    const result = await probeBitrate(probeStore, kbps, async () => {
+      const { file: candFile, encodeTime } = await encodeSegment({
+        inputFile,
+        start,
+        dur,
+        height,
+        ladderBasis,
+        codec,
+        implementation,
+        bitrateKbps: kbps,
+        gopSec,
+        tmpDir,
+        container,
+        profile,
+        scheduler,
+        cache,
+      });
+      const vmaf = await measureVmaf({
+        distortedFile: candFile,
+        referenceFile: refFile,
+        vmafModel,
+        tmpDir,
+        scheduler,
+        cache,
+      });
+      return { vmaf, encodeTime };
     });
+    // 只统计实际从共享存储取得的点；同一码率只保留一个候选
+    // Count only points actually served from the shared store; keep one candidate per bitrate
+    if (result.reused) {
+      reusedCount++;
+    } else {
+      probeCount++;
+      totalProbeEncodeTime += result.encodeTime;
+    }
+    if (!probeResults.some((r) => r.kbps === kbps)) {
+      probeResults.push({ kbps, vmaf: result.vmaf });
+    }
+    return result.vmaf;
+  };
 
-    totalProbeEncodeTime += encodeTime;
+  // 其他目标 VMAF 已测得的点直接参与选点，并收窄本次的搜索区间；它们没有经过 probeAt，不计入复用数
+  // Points already measured for other targets join the candidates and narrow this search; they do not
+  // go through probeAt and are not counted as reused
+  for (const [kbps, entry] of probeStore?.probes ?? []) {
+    if (entry.vmaf === undefined) {
+      continue;
+    }
+    probeResults.push({ kbps, vmaf: entry.vmaf });
+    if (kbps > minBitrate && kbps < maxBitrate) {
+      if (entry.vmaf > targetMax) {
+        maxBitrate = kbps;
+      } else if (entry.vmaf < targetMin) {
+        minBitrate = kbps;
+      }
+    }
+  }
+  const inTarget = (r) => r.vmaf >= targetMin && r.vmaf <= targetMax;
 
-    const vmafScore = measureVmaf({
-      distortedFile: candFile,
-      referenceFile: refFile,
-      vmafModel,
-      tmpDir,
-    });
+  let currentBitrate = Math.round((minBitrate + maxBitrate) / 2);
+  let searchSteps = 0;
 
-    probeResults.push({ kbps: currentBitrate, vmaf: vmafScore });
-    probeCount++;
+  while (
+    !probeResults.some(inTarget) &&
+    searchSteps < maxProbes &&
+    maxBitrate - minBitrate > 200
+  ) {
+    const vmafScore = await probeAt(currentBitrate);
+    searchSteps++;
 
     // 在目标区间内，优先选择
     if (vmafScore >= targetMin && vmafScore <= targetMax) {
@@ -140,31 +277,9 @@ function adaptiveBitrateSearch({
 
   if (
     probeResults.filter((r) => r.vmaf >= targetMin).length === 0 &&
-    probeCount < maxProbes
+    searchSteps < maxProbes
   ) {
-    const highBitrate = Math.min(strategy.max, maxBitrate * 1.5);
-    const { file: candFile, encodeTime } = encodeSegment({
-      inputFile,
-      start,
-      dur,
-      height,
-      codec,
-      implementation,
-      bitrateKbps: highBitrate,
-      gopSec,
-      audioKbps,
-      tmpDir,
-    });
-
-    totalProbeEncodeTime += encodeTime;
-
-    const vmafScore = measureVmaf({
-      distortedFile: candFile,
-      referenceFile: refFile,
-      vmafModel,
-      tmpDir,
-    });
-    probeResults.push({ kbps: highBitrate, vmaf: vmafScore });
+    await probeAt(Math.min(strategy.max, maxBitrate * 1.5));
   }
 
   // 优先选择在目标区间 [targetVmaf, targetVmaf+0.5] 内的最低码率
@@ -181,7 +296,8 @@ function adaptiveBitrateSearch({
       start,
       dur,
       implementation,
-      probesUsed: probeResults.length,
+      probesUsed: probeCount,
+      probesReused: reusedCount,
       probeEncodeTime: totalProbeEncodeTime,
     };
   }
@@ -202,7 +318,8 @@ function adaptiveBitrateSearch({
     start,
     dur,
     implementation,
-    probesUsed: probeResults.length,
+    probesUsed: probeCount,
+    probesReused: reusedCount,
     probeEncodeTime: totalProbeEncodeTime,
   };
 }
@@ -219,27 +336,34 @@ function adaptiveBitrateSearch({
  * @param {number} params.start - 片段起始时间（秒）
  * @param {number} params.dur - 片段持续时间（秒）
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 编码器实现方式 (cpu 或 nvenc)
  * @param {number[]} params.probeBitratesKbps - 候选码率列表 (kbps)，仅在线性探测模式使用
  * @param {number} params.gopSec - GOP 时长（秒）
- * @param {number} params.audioKbps - 音频码率 (kbps)
  * @param {string} params.tmpDir - 临时文件目录路径
+ * @param {string} [params.container="mp4"] - 探测候选的输出容器（见 container_format.mjs）
  * @param {string} params.vmafModel - VMAF 模型文件路径或版本
  * @param {number} params.targetVmaf - 目标 VMAF 分数（通常为 95）
  * @param {Object|null} [params.previousSegmentResult=null] - 上一个片段的探测结果，用于优化搜索
  * @param {boolean} [params.useAdaptiveSearch=true] - 是否使用自适应搜索（推荐开启）
- * @returns {Object} 探测结果
+ * @param {Object|null} [params.probeStore] - createSegmentProbeStore() 创建的共享存储；
+ *        同一片段的多个目标 VMAF 共用一个存储时，参考片段与相同码率的探测只编码一次
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器；线性探测时各候选码率会并行编码
+ * @param {Object} [params.cache] - 编码缓存，复用参考片段、探测编码与 VMAF 分数
+ * @returns {Promise<Object>} 探测结果
  * @returns {number} return.chosenBitrateKbps - 选定的码率 (kbps)
  * @returns {number} return.estVmaf - 估算的 VMAF 分数
  * @returns {number} return.start - 片段起始时间
  * @returns {number} return.dur - 片段持续时间
  * @returns {string} return.implementation - 使用的编码器实现
- * @returns {number} [return.probesUsed] - 实际使用的探测次数（自适应搜索模式）
+ * @returns {number} return.probesUsed - 实际编码的探测次数
+ * @returns {number} return.probesReused - 直接从共享存储取得、未重新编码的探测次数
  *
  * @example
  * // 使用自适应搜索（推荐）
- * const result = decideBitrateForSegment({
+ * const result = await decideBitrateForSegment({
  *   inputFile: './video.mp4',
  *   start: 0,
  *   dur: 8,
@@ -247,7 +371,6 @@ function adaptiveBitrateSearch({
  *   codec: 'libx264',
  *   implementation: 'cpu',
  *   gopSec: 2,
- *   audioKbps: 128,
  *   tmpDir: './tmp',
  *   vmafModel: 'vmaf_v0.6.1.json',
  *   targetVmaf: 95,
@@ -257,7 +380,7 @@ function adaptiveBitrateSearch({
  *
  * @example
  * // 使用传统线性探测
- * const result = decideBitrateForSegment({
+ * const result = await decideBitrateForSegment({
  *   inputFile: './video.mp4',
  *   start: 0,
  *   dur: 8,
@@ -266,28 +389,32 @@ function adaptiveBitrateSearch({
  *   implementation: 'cpu',
  *   probeBitratesKbps: [600, 1000, 1500, 2500, 3500],
  *   gopSec: 2,
- *   audioKbps: 128,
  *   tmpDir: './tmp',
  *   vmafModel: 'vmaf_v0.6.1.json',
  *   targetVmaf: 95,
  *   useAdaptiveSearch: false
  * });
  */
-export function decideBitrateForSegment({
+export async function decideBitrateForSegment({
   inputFile,
   start,
   dur,
   height,
+  ladderBasis,
   codec,
   implementation,
   probeBitratesKbps,
   gopSec,
-  audioKbps,
   tmpDir,
+  container,
   vmafModel,
   targetVmaf,
   previousSegmentResult = null,
   useAdaptiveSearch = true,
+  probeStore = null,
+  profile,
+  scheduler,
+  cache,
 }) {
   if (useAdaptiveSearch) {
     return adaptiveBitrateSearch({
@@ -295,52 +422,75 @@ export function decideBitrateForSegment({
       start,
       dur,
       height,
+      ladderBasis,
       codec,
       implementation,
       gopSec,
-      audioKbps,
       tmpDir,
+      container,
       vmafModel,
       targetVmaf,
       previousSegmentResult,
+      probeStore,
+      profile,
+      scheduler,
+      cache,
     });
   }
 
   // 传统线性探测 / Traditional linear probing
-  const { file: refFile, encodeTime: refEncodeTime } = encodeReference({
-    inputFile,
-    start,
-    dur,
-    height,
-    tmpDir,
-  });
-  const candidates = [];
-  let totalProbeEncodeTime = refEncodeTime;
-
-  for (const kbps of probeBitratesKbps) {
-    const { file: candFile, encodeTime } = encodeSegment({
+  const { file: refFile, encodeTime: refEncodeTime } = await sharedReference(
+    probeStore,
+    {
       inputFile,
       start,
       dur,
       height,
-      codec,
-      implementation,
-      bitrateKbps: kbps,
-      gopSec,
-      audioKbps,
+      ladderBasis,
       tmpDir,
-    });
-
-    totalProbeEncodeTime += encodeTime;
+      color: profile?.color,
+      scheduler,
+      cache,
+    }
+  );
+  // 各候选码率互不依赖，交给调度器并行编码
+  // Candidate bitrates are independent, so let the scheduler run them in parallel
+  const candidates = await Promise.all(
+    probeBitratesKbps.map((kbps) =>
+      probeBitrate(probeStore, kbps, async () => {
+        const { file: candFile, encodeTime } = await encodeSegment({
+          inputFile,
+          start,
+          dur,
+          height,
+          ladderBasis,
+          codec,
+          implementation,
+          bitrateKbps: kbps,
+          gopSec,
+          tmpDir,
+          container,
+          profile,
+          scheduler,
+          cache,
+        });
 
-    const vmafScore = measureVmaf({
-      distortedFile: candFile,
-      referenceFile: refFile,
-      vmafModel,
-      tmpDir,
-    });
-    candidates.push({ kbps, vmaf: vmafScore });
-  }
+        const vmaf = await measureVmaf({
+          distortedFile: candFile,
+          referenceFile: refFile,
+          vmafModel,
+          tmpDir,
+          scheduler,
+          cache,
+        });
+        return { vmaf, encodeTime };
+      })
+    )
+  );
+  const totalProbeEncodeTime = candidates.reduce(
+    (sum, c) => sum + c.encodeTime,
+    refEncodeTime
+  );
 
   const ok = candidates
     .filter((c) => c.vmaf >= targetVmaf)
@@ -355,7 +505,220 @@ export function decideBitrateForSegment({
     start,
     dur,
     implementation,
-    probesUsed: candidates.length,
+    probesUsed: candidates.filter((c) => !c.reused).length,
+    probesReused: candidates.filter((c) => c.reused).length,
+    probeEncodeTime: totalProbeEncodeTime,
+  };
+}
+
+/**
+ * 按 CRF 二分搜索单个视频片段满足目标 VMAF 的最高 CRF
+ *
+ * 与码率自适应搜索的流程相同（共享参考片段、参考上一片段收窄范围、复用共享存储中的探测点），
+ * 但搜索量是 CRF：VMAF 随 CRF 增大而下降，因此在目标区间 [targetVmaf, targetVmaf+0.5]
+ * 内选择最高的 CRF（即最低码率）。每个探测点记录编码结果的实际码率，
+ * 供报告每个片段的 CRF 与对应码率。
+ *
+ * @param {Object} params - 探测参数，与 decideBitrateForSegment() 相同（不需要 probeBitratesKbps）
+ * @param {string} params.inputFile - 输入视频文件路径
+ * @param {number} params.start - 片段起始时间（秒）
+ * @param {number} params.dur - 片段持续时间（秒）
+ * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
+ * @param {string} params.codec - 编码器名称
+ * @param {string} params.implementation - 编码器实现方式 (cpu 或 nvenc)
+ * @param {number} params.gopSec - GOP 时长（秒）
+ * @param {string} params.tmpDir - 临时文件目录路径
+ * @param {string} [params.container="mp4"] - 探测候选的输出容器（见 container_format.mjs）
+ * @param {string} params.vmafModel - VMAF 模型文件路径或版本
+ * @param {number} params.targetVmaf - 目标 VMAF 分数
+ * @param {Object|null} [params.previousSegmentResult=null] - 上一个片段的探测结果，用于收窄 CRF 范围
+ * @param {Object|null} [params.probeStore] - createSegmentProbeStore() 创建的共享存储（以 CRF 为键）
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {Object} [params.cache] - 编码缓存，复用参考片段、探测编码与 VMAF 分数
+ * @returns {Promise<Object>} 探测结果
+ * @returns {number} return.chosenCrf - 选定的 CRF
+ * @returns {number} return.estBitrateKbps - 选定 CRF 编码结果的码率 (kbps)
+ * @returns {number} return.estVmaf - 估算的 VMAF 分数
+ * @returns {number} return.start - 片段起始时间
+ * @returns {number} return.dur - 片段持续时间
+ * @returns {string} return.implementation - 使用的编码器实现
+ * @returns {number} return.probesUsed - 实际编码的探测次数
+ * @returns {number} return.probesReused - 直接从共享存储取得、未重新编码的探测次数
+ *
+ * @example
+ * const result = await decideCrfForSegment({
+ *   inputFile: './video.mp4',
+ *   start: 0,
+ *   dur: 8,
+ *   height: 1080,
+ *   codec: 'libx264',
+ *   implementation: 'cpu',
+ *   gopSec: 2,
+ *   tmpDir: './tmp',
+ *   vmafModel: 'vmaf_v0.6.1.json',
+ *   targetVmaf: 95
+ * });
+ * // result: { chosenCrf: 24, estBitrateKbps: 3120.5, estVmaf: 95.3, probesUsed: 4, ... }
+ */
+export async function decideCrfForSegment({
+  inputFile,
+  start,
+  dur,
+  height,
+  ladderBasis,
+  codec,
+  implementation,
+  gopSec,
+  tmpDir,
+  container,
+  vmafModel,
+  targetVmaf,
+  previousSegmentResult = null,
+  probeStore = null,
+  profile,
+  scheduler,
+  cache,
+}) {
+  const strategy = getCrfStrategy(codec);
+  let { min: minCrf, max: maxCrf } = adjustCrfRange(
+    strategy,
+    previousSegmentResult,
+    targetVmaf
+  );
+  const { file: refFile, encodeTime: refEncodeTime } = await sharedReference(
+    probeStore,
+    {
+      inputFile,
+      start,
+      dur,
+      height,
+      ladderBasis,
+      tmpDir,
+      color: profile?.color,
+      scheduler,
+      cache,
+    }
+  );
+
+  const targetMin = targetVmaf;
+  const targetMax = targetVmaf + 0.5;
+
+  const probeResults = [];
+  let probeCount = 0;
+  let reusedCount = 0;
+  let totalProbeEncodeTime = refEncodeTime;
+
+  const probeAt = async (crf) => {
+    const result = await probePoint(probeStore, crf, async () => {
+      const { file: candFile, encodeTime } = await encodeSegment({
+        inputFile,
+        start,
+        dur,
+        height,
+        ladderBasis,
+        codec,
+        implementation,
+        crf,
+        gopSec,
+        tmpDir,
+        container,
+        profile,
+        scheduler,
+        cache,
+      });
+      const vmaf = await measureVmaf({
+        distortedFile: candFile,
+        referenceFile: refFile,
+        vmafModel,
+        tmpDir,
+        scheduler,
+        cache,
+      });
+      const kbps = (statSync(candFile).size * 8) / 1000 / dur;
+      return { vmaf, kbps, encodeTime };
+    });
+    // 只统计实际从共享存储取得的点；同一 CRF 只保留一个候选
+    // Count only points actually served from the shared store; keep one candidate per CRF
+    if (result.reused) {
+      reusedCount++;
+    } else {
+      probeCount++;
+      totalProbeEncodeTime += result.encodeTime;
+    }
+    if (!probeResults.some((r) => r.crf === crf)) {
+      probeResults.push({ crf, kbps: result.kbps, vmaf: result.vmaf });
+    }
+    return result.vmaf;
+  };
+
+  // 其他目标 VMAF 已测得的 CRF 点直接参与选点，并收窄本次的搜索区间；它们没有经过 probeAt，不计入复用数
+  // CRF points already measured for other targets join the candidates and narrow this search; they do
+  // not go through probeAt and are not counted as reused
+  for (const [crf, entry] of probeStore?.probes ?? []) {
+    if (entry.vmaf === undefined) {
+      continue;
+    }
+    probeResults.push({ crf, kbps: entry.kbps, vmaf: entry.vmaf });
+    if (crf >= minCrf && crf <= maxCrf) {
+      if (entry.vmaf > targetMax) {
+        minCrf = crf + 1;
+      } else if (entry.vmaf < targetMin) {
+        maxCrf = crf - 1;
+      }
+    }
+  }
+  const inTarget = (r) => r.vmaf >= targetMin && r.vmaf <= targetMax;
+
+  // CRF 为整数，区间收缩为空时停止
+  // CRFs are integers, so stop once the interval is empty
+  let searchSteps = 0;
+  while (
+    !probeResults.some(inTarget) &&
+    searchSteps < strategy.maxProbes &&
+    minCrf <= maxCrf
+  ) {
+    const crf = Math.round((minCrf + maxCrf) / 2);
+    const vmafScore = await probeAt(crf);
+    searchSteps++;
+
+    if (vmafScore > targetMax) {
+      // 质量过高，提高 CRF
+      minCrf = crf + 1;
+    } else if (vmafScore < targetMin) {
+      // 质量不足，降低 CRF
+      maxCrf = crf - 1;
+    }
+  }
+
+  // 所有探测点都未达标时，用最高质量端再探测一次
+  // If no probe reached the target, try the highest-quality end once
+  if (
+    !probeResults.some((r) => r.vmaf >= targetMin) &&
+    searchSteps < strategy.maxProbes &&
+    !probeResults.some((r) => r.crf === strategy.min)
+  ) {
+    await probeAt(strategy.min);
+  }
+
+  // 优先选择目标区间内的最高 CRF，其次为达标的最高 CRF，都没有时选质量最高的点
+  // Prefer the highest CRF inside the window, then the highest acceptable CRF, then the best quality
+  const byCrfDesc = (a, b) => b.crf - a.crf;
+  const chosen =
+    probeResults.filter(inTarget).sort(byCrfDesc)[0] ??
+    probeResults.filter((r) => r.vmaf >= targetMin).sort(byCrfDesc)[0] ??
+    probeResults.sort((a, b) => b.vmaf - a.vmaf)[0];
+
+  return {
+    chosenCrf: chosen.crf,
+    estBitrateKbps: Math.round(chosen.kbps * 10) / 10,
+    estVmaf: chosen.vmaf,
+    start,
+    dur,
+    implementation,
+    probesUsed: probeCount,
+    probesReused: reusedCount,
     probeEncodeTime: totalProbeEncodeTime,
   };
 }
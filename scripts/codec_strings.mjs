@@ -0,0 +1,155 @@
+/**
+ * 编码标识字符串模块
+ * Codec String Module
+ *
+ * 由 ffprobe 探测结果生成 RFC 6381 编码标识（avc1、hvc1、vp09、av01、mp4a、Opus），
+ * 供 HLS 主播放列表的 CODECS 与 DASH MPD 的 codecs 属性使用
+ * Build RFC 6381 codec strings (avc1, hvc1, vp09, av01, mp4a, Opus) from ffprobe output
+ * for the HLS master playlist CODECS attribute and the DASH MPD codecs attribute
+ */
+
+import { execSync } from "node:child_process";
+import { bitDepthOf } from "./color_config.mjs";
+import { probeFrameRate } from "./scene_detect.mjs";
+
+// H.264 profile_idc 与约束标志（十六进制），按 ffprobe 的 profile 名称索引
+// H.264 profile_idc and constraint flags (hex), keyed by ffprobe's profile name
+const AVC_PROFILES = {
+  "Constrained Baseline": "42E0",
+  Baseline: "4200",
+  Main: "4D40",
+  Extended: "5800",
+  High: "6400",
+  "High 10": "6E00",
+  "High 4:2:2": "7A00",
+  "High 4:4:4 Predictive": "F400",
+};
+
+// VP9 与 AV1 的级别按最大亮度样本数选择（ffprobe 通常读不到这两种编码的级别）
+// VP9 and AV1 levels are picked by maximum luma picture size (ffprobe rarely reports them)
+const VP9_LEVELS = [
+  [36864, "10"],
+  [73728, "11"],
+  [122880, "20"],
+  [245760, "21"],
+  [552960, "30"],
+  [983040, "31"],
+  [2228224, "40"],
+  [8912896, "50"],
+  [35651584, "60"],
+];
+
+const AV1_LEVELS = [
+  [147456, "00"],
+  [278784, "01"],
+  [665856, "04"],
+  [1065024, "05"],
+  [2359296, "08"],
+  [8912896, "12"],
+  [35651584, "16"],
+];
+
+const AV1_PROFILES = { Main: 0, High: 1, Professional: 2 };
+
+function levelBySize(levels, width, height) {
+  const samples = width * height;
+  return (levels.find(([max]) => samples <= max) ?? levels.at(-1))[1];
+}
+
+function hex2(value) {
+  return value.toString(16).toUpperCase().padStart(2, "0");
+}
+
+function videoCodecString(stream) {
+  const { codec_name: name, profile, width, height } = stream;
+  const level = Number(stream.level);
+  const bitDepth = bitDepthOf(stream.pix_fmt);
+  switch (name) {
+    case "h264":
+      return `avc1.${AVC_PROFILES[profile] ?? AVC_PROFILES.High}${hex2(
+        level > 0 ? level : 40
+      )}`;
+    case "hevc": {
+      // Main：general_profile_idc=1、兼容标志 0x6；Main 10：2、0x4
+      // Main: general_profile_idc=1 with compatibility flags 0x6; Main 10: 2 with 0x4
+      const main10 = profile === "Main 10" || bitDepth > 8;
+      return `hvc1.${main10 ? "2.4" : "1.6"}.L${level > 0 ? level : 120}.B0`;
+    }
+    case "vp9": {
+      const vp9Profile = Number(String(profile ?? "").match(/\d+/)?.[0] ?? 0);
+      return `vp09.${String(vp9Profile).padStart(2, "0")}.${levelBySize(
+        VP9_LEVELS,
+        width,
+        height
+      )}.${String(bitDepth).padStart(2, "0")}`;
+    }
+    case "av1":
+      return `av01.${AV1_PROFILES[profile] ?? 0}.${levelBySize(
+        AV1_LEVELS,
+        width,
+        height
+      )}M.${String(bitDepth).padStart(2, "0")}`;
+    default:
+      return null;
+  }
+}
+
+function audioCodecString(stream) {
+  switch (stream.codec_name) {
+    case "aac":
+      return "mp4a.40.2";
+    case "opus":
+      return "Opus";
+    default:
+      return null;
+  }
+}
+
+/**
+ * 探测文件的视频与音频编码标识、分辨率、帧率以及音频采样率与声道数
+ *
+ * @param {string} file - 编码结果文件路径
+ * @returns {{video: string|null, audio: string|null, width: number, height: number, fps: number,
+ *            frameRate: string, sampleRate: number, channels: number}} video/audio 为 RFC 6381
+ *          编码标识，无法识别或没有该类码流时为 null；frameRate 为 ffprobe 的分数形式帧率
+ *          （如 "30000/1001"）；没有音轨时 sampleRate 与 channels 为 0
+ *
+ * @example
+ * probeCodecStrings('./final_libx264_cpu_per_scene.mp4');
+ * // 返回: { video: 'avc1.64001F', audio: 'mp4a.40.2', width: 1280, height: 720, fps: 30,
+ * //         frameRate: '30/1', sampleRate: 48000, channels: 2 }
+ */
+export function probeCodecStrings(file) {
+  const streams =
+    JSON.parse(
+      execSync(
+        `ffprobe -v error -show_entries ` +
+          `stream=codec_type,codec_name,profile,level,width,height,pix_fmt,` +
+          `sample_rate,channels -of json "${file}"`,
+        { stdio: "pipe" }
+      ).toString("utf8")
+    )?.streams ?? [];
+  const video = streams.find((s) => s.codec_type === "video");
+  const audio = streams.find((s) => s.codec_type === "audio");
+  const { fps, rate } = probeFrameRate(file);
+  return {
+    video: video ? videoCodecString(video) : null,
+    audio: audio ? audioCodecString(audio) : null,
+    width: Number(video?.width) || 0,
+    height: Number(video?.height) || 0,
+    fps,
+    frameRate: rate,
+    sampleRate: Number(audio?.sample_rate) || 0,
+    channels: Number(audio?.channels) || 0,
+  };
+}
+
+/**
+ * 拼接 HLS CODECS / DASH codecs 属性值，省略无法识别的编码
+ *
+ * @param {{video: string|null, audio: string|null}} codecs - probeCodecStrings() 的结果
+ * @returns {string} 如 "avc1.640028,mp4a.40.2"
+ */
+export function codecsAttribute({ video, audio }) {
+  return [video, audio].filter(Boolean).join(",");
+}
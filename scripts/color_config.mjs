@@ -0,0 +1,202 @@
+/**
+ * 色彩配置模块
+ * Color Configuration Module
+ *
+ * 探测片源的位深、色彩标记与 HDR 元数据，并按 colorMode 决定编码的位深与需要透传的色彩信息
+ * Probe the source bit depth, colour tags and HDR metadata, and decide from colorMode which
+ * bit depth to encode at and which colour information to pass through
+ */
+
+import { execSync } from "node:child_process";
+import { statSync } from "node:fs";
+import { resolve } from "node:path";
+
+// HDR 传输特性：PQ（HDR10）与 HLG
+// HDR transfer characteristics: PQ (HDR10) and HLG
+const HDR_TRANSFERS = {
+  smpte2084: "pq",
+  "arib-std-b67": "hlg",
+};
+
+const colorInfoCache = new Map();
+
+function parseRational(text) {
+  const [num, den = "1"] = String(text).split("/");
+  const value = parseFloat(num) / parseFloat(den);
+  return Number.isFinite(value) ? value : null;
+}
+
+// ffprobe 对未标记的字段输出 "unknown" 或不输出
+// ffprobe prints "unknown" (or nothing) for untagged fields
+function tag(value) {
+  return value && value !== "unknown" ? value : undefined;
+}
+
+/**
+ * 由像素格式推断位深
+ *
+ * @param {string} [pixFmt] - 像素格式（如 yuv420p10le）
+ * @returns {number} 位深，未知时为 8
+ */
+export function bitDepthOf(pixFmt) {
+  if (!pixFmt) {
+    return 8;
+  }
+  // yuv420p10le、p010le 等；8 位格式没有位深后缀
+  // e.g. yuv420p10le or p010le; 8-bit formats carry no depth suffix
+  const match = pixFmt.match(/p0?(\d{2})(?:le|be)?$/);
+  return match ? Number(match[1]) : 8;
+}
+
+function parseMasteringDisplay(sideData) {
+  const point = (axis) => [
+    parseRational(sideData[`${axis}_x`]),
+    parseRational(sideData[`${axis}_y`]),
+  ];
+  const display = {
+    red: point("red"),
+    green: point("green"),
+    blue: point("blue"),
+    whitePoint: point("white_point"),
+    maxLuminance: parseRational(sideData.max_luminance),
+    minLuminance: parseRational(sideData.min_luminance),
+  };
+  const values = [
+    ...display.red,
+    ...display.green,
+    ...display.blue,
+    ...display.whitePoint,
+    display.maxLuminance,
+    display.minLuminance,
+  ];
+  return values.every((v) => v !== null) ? display : undefined;
+}
+
+/**
+ * 探测片源首个视频流的像素格式、色彩标记与 HDR 元数据
+ *
+ * 母版显示（mastering display）与内容亮度（content light level）从首帧的 side data 读取。
+ * 结果按文件路径、大小与修改时间缓存；ffprobe 输出无法解析时按未标记的 8 位片源处理。
+ *
+ * @param {string} inputFile - 输入视频文件路径
+ * @returns {{pixFmt?: string, bitDepth: number, colorPrimaries?: string, colorTransfer?: string,
+ *            colorSpace?: string, colorRange?: string, hdr?: "pq"|"hlg",
+ *            masteringDisplay?: Object, contentLightLevel?: {maxCll: number, maxFall: number}}}
+ *          片源色彩信息，未标记的字段省略
+ *
+ * @example
+ * probeColorInfo('./hdr10_master.mov');
+ * // 返回: { pixFmt: 'yuv422p10le', bitDepth: 10, colorPrimaries: 'bt2020',
+ * //         colorTransfer: 'smpte2084', colorSpace: 'bt2020nc', colorRange: 'tv', hdr: 'pq',
+ * //         masteringDisplay: {...}, contentLightLevel: { maxCll: 1000, maxFall: 400 } }
+ */
+export function probeColorInfo(inputFile) {
+  const { size, mtimeMs } = statSync(inputFile);
+  const stamp = `${resolve(inputFile)}|${size}|${mtimeMs}`;
+  if (colorInfoCache.has(stamp)) {
+    return colorInfoCache.get(stamp);
+  }
+  let probed = {};
+  try {
+    probed = JSON.parse(
+      execSync(
+        `ffprobe -v error -select_streams v:0 -read_intervals "%+#1" ` +
+          `-show_entries stream=pix_fmt,color_range,color_space,color_transfer,color_primaries:frame=side_data_list ` +
+          `-of json "${inputFile}"`,
+        { stdio: "pipe" }
+      ).toString("utf8")
+    );
+  } catch {
+    // 按未标记的片源处理
+    // Treat the source as untagged
+  }
+  const stream = probed?.streams?.[0] ?? {};
+  const sideData = probed?.frames?.[0]?.side_data_list ?? [];
+  const mastering = sideData.find(
+    (d) => d.side_data_type === "Mastering display metadata"
+  );
+  const light = sideData.find(
+    (d) => d.side_data_type === "Content light level metadata"
+  );
+  const colorTransfer = tag(stream.color_transfer);
+  const info = {
+    pixFmt: tag(stream.pix_fmt),
+    bitDepth: bitDepthOf(stream.pix_fmt),
+    colorPrimaries: tag(stream.color_primaries),
+    colorTransfer,
+    colorSpace: tag(stream.color_space),
+    colorRange: tag(stream.color_range),
+    hdr: HDR_TRANSFERS[colorTransfer],
+    masteringDisplay: mastering && parseMasteringDisplay(mastering),
+    contentLightLevel: light && {
+      maxCll: Number(light.max_content),
+      maxFall: Number(light.max_average),
+    },
+  };
+  for (const key of Object.keys(info)) {
+    if (info[key] === undefined) {
+      delete info[key];
+    }
+  }
+  colorInfoCache.set(stamp, info);
+  return info;
+}
+
+/**
+ * 按 colorMode 决定编码使用的色彩配置
+ *
+ * - sdr（缺省）：8 位 yuv420p，不探测片源、不写色彩标记（与以往行为一致）
+ * - 10bit：10 位像素格式，并透传片源的色彩标记
+ * - hdr：在 10bit 的基础上透传 HDR 元数据；片源不是 PQ/HLG 时报错
+ * - auto：PQ/HLG 片源按 hdr 处理，其他高位深片源按 10bit，其余按 sdr
+ *
+ * @param {string} [colorMode="sdr"] - 配置中的 colorMode
+ * @param {string} inputFile - 片源文件路径
+ * @returns {{mode: "sdr"|"10bit"|"hdr", bitDepth: number, colorPrimaries?: string,
+ *            colorTransfer?: string, colorSpace?: string, colorRange?: string, hdr?: string,
+ *            masteringDisplay?: Object, contentLightLevel?: Object}} 色彩配置，写入摘要行的 colorConfig
+ * @throws {Error} colorMode 为 hdr 但片源不是 HDR 时抛出
+ *
+ * @example
+ * resolveColorConfig('auto', './sdr_8bit.mp4');
+ * // 返回: { mode: 'sdr', bitDepth: 8 }
+ */
+export function resolveColorConfig(colorMode = "sdr", inputFile) {
+  if (colorMode === "sdr") {
+    return { mode: "sdr", bitDepth: 8 };
+  }
+  const {
+    pixFmt,
+    bitDepth,
+    hdr,
+    masteringDisplay,
+    contentLightLevel,
+    ...tags
+  } = probeColorInfo(inputFile);
+  let mode = colorMode;
+  if (colorMode === "auto") {
+    mode = hdr ? "hdr" : bitDepth > 8 ? "10bit" : "sdr";
+    if (mode === "sdr") {
+      return { mode, bitDepth: 8 };
+    }
+  }
+  if (mode === "hdr" && !hdr) {
+    const error = new Error(
+      `colorMode 为 hdr，但片源不是 HDR（color_transfer=${
+        tags.colorTransfer ?? "未标记"
+      }），可改用 10bit 或 auto`
+    );
+    error.inputFile = inputFile;
+    throw error;
+  }
+  return {
+    mode,
+    bitDepth: 10,
+    ...tags,
+    ...(mode === "hdr" && {
+      hdr,
+      ...(masteringDisplay && { masteringDisplay }),
+      ...(contentLightLevel && { contentLightLevel }),
+    }),
+  };
+}
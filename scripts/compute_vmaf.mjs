@@ -1,5 +1,6 @@
 import { execSync } from "node:child_process";
 import { readFileSync } from "node:fs";
+import { buildVmafInputs } from "./vmaf_calculator.mjs";
 
 /**
  * 计算视频质量 VMAF 分数
@@ -45,9 +46,15 @@ export function computeVmaf(distFile, refFile, vmafModel, outJson) {
     }
   }
 
+  // Align frames at the reference's true rate (or by timestamp for VFR sources)
+  const { inputArgs, filterInputs } = buildVmafInputs({
+    distortedFile: distFile,
+    referenceFile: refFile,
+  });
+
   execSync(
-    `ffmpeg -hide_banner -r 30 -i "${distFile}" -r 30 -i "${refFile}" ` +
-      `-lavfi "[0:v][1:v]libvmaf=${modelArg}log_fmt=json:log_path='${outJson}'" ` +
+    `ffmpeg -hide_banner ${inputArgs} ` +
+      `-lavfi "${filterInputs}libvmaf=${modelArg}log_fmt=json:log_path='${outJson}'" ` +
       `-f null -`,
     { stdio: "pipe", shell: "/bin/bash" }
   );
@@ -1,11 +1,383 @@
 /**
- * 占位函数：未来用于独立的视频片段拼接功能
+ * 片段拼接与校验模块
+ * Segment Concatenation and Verification Module
  *
- * 当前项目中视频片段拼接已集成在 per_scene_encode.mjs 的 concatSegmentsToFile() 中。
- * 此文件预留用于未来可能的独立拼接工具实现。
+ * 以 concat demuxer 流复制拼接按场景编码的片段。拼接前校验各片段的编码参数一致、都从关键帧开始、
+ * 实际时长与计划相符且首尾相接；拼接后报告整片时长与片源时长之差。任何不一致都会抛出错误，
+ * 而不是生成一个悄悄损坏的整片文件
+ * Concatenate per-scene encoded segments with the concat demuxer and stream copy. Before concatenating,
+ * check that every segment shares the same coding parameters, starts on a keyframe, and matches the
+ * plan's durations without gaps or overlaps; afterwards report the concatenated vs source duration.
+ * Any mismatch throws instead of producing a silently broken final file
  *
- * @returns {boolean} 始终返回 true
+ * 命令行 / CLI:
+ *   node ./scripts/concat_segments.mjs <输出文件> <片段...> [--plan plan.json] [--source 片源] [--check-only]
  */
-export function noop() {
-  return true;
+
+import { execSync } from "node:child_process";
+import { readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { getContainerFormat, withSuffix } from "./container_format.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { getDurationSeconds } from "./scene_detect.mjs";
+
+// 各片段必须一致的视频流参数；不一致时 concat demuxer 仍会输出，但解码器会出错或花屏
+// Video stream parameters every segment must share; the concat demuxer would still write a file,
+// but decoders would fail or show corruption
+const MATCHED_STREAM_FIELDS = [
+  "codec_name",
+  "profile",
+  "width",
+  "height",
+  "pix_fmt",
+  "sample_aspect_ratio",
+  "r_frame_rate",
+  "time_base",
+  "color_space",
+  "color_transfer",
+  "color_primaries",
+];
+
+// 时长比较的容差：一帧再加 1 毫秒，吸收按帧取整带来的差异
+// Duration tolerance: one frame plus 1 ms, absorbing rounding to whole frames
+const TOLERANCE_EXTRA_SEC = 0.001;
+
+function parseRate(rate) {
+  const [num, den = 1] = String(rate ?? "")
+    .split("/")
+    .map(Number);
+  return num > 0 && den > 0 ? num / den : 0;
+}
+
+/**
+ * 探测单个片段的视频流参数与时间信息
+ *
+ * @param {string} file - 片段文件路径
+ * @returns {{file: string, stream: Object, startTime: number, duration: number,
+ *            startsOnKeyframe: boolean, frameDuration: number}}
+ *          startTime/duration 取自视频包的显示时间戳（秒），frameDuration 为一帧的时长（秒）
+ * @throws {Error} 片段没有视频流时抛出
+ */
+export function probeSegment(file) {
+  const stream = JSON.parse(
+    execSync(
+      `ffprobe -v error -select_streams v:0 -show_entries ` +
+        `stream=${MATCHED_STREAM_FIELDS.join(",")} -of json "${file}"`,
+      { stdio: "pipe" }
+    ).toString("utf8")
+  )?.streams?.[0];
+  if (!stream) {
+    const error = new Error(`片段没有视频流: ${file}`);
+    error.file = file;
+    throw error;
+  }
+
+  // 按解码顺序列出视频包：第一个包须为关键帧，显示时间戳的范围即片段的实际时长
+  // Video packets in decode order: the first must be a keyframe, and the pts range is the actual duration
+  const packets = execSync(
+    `ffprobe -v error -select_streams v:0 ` +
+      `-show_entries packet=pts_time,duration_time,flags -of csv=p=0 "${file}"`,
+    { stdio: "pipe", maxBuffer: 256 * 1024 * 1024 }
+  )
+    .toString("utf8")
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [pts, duration, flags = ""] = line.split(",");
+      return { pts: Number(pts), duration: Number(duration), flags };
+    });
+  const frameDuration = 1 / (parseRate(stream.r_frame_rate) || 30);
+  const timed = packets.filter((p) => Number.isFinite(p.pts));
+  const startTime = timed.reduce((min, p) => Math.min(min, p.pts), Infinity);
+  const endTime = timed.reduce(
+    (max, p) =>
+      Math.max(
+        max,
+        p.pts + (Number.isFinite(p.duration) ? p.duration : frameDuration)
+      ),
+    -Infinity
+  );
+  return {
+    file,
+    stream,
+    startTime: timed.length ? startTime : 0,
+    duration: timed.length ? endTime - startTime : 0,
+    startsOnKeyframe: packets.length > 0 && packets[0].flags.includes("K"),
+    frameDuration,
+  };
+}
+
+/**
+ * 校验待拼接的片段
+ *
+ * 检查项（kind）：
+ * - count：片段数与计划不符（此时不再按计划比较时长）
+ * - params：编码参数与第一个片段不一致
+ * - keyframe：片段不是从关键帧开始
+ * - drift：片段实际时长与计划时长相差超过一帧
+ * - gap / overlap：按实际时长拼接后，片段的起点晚于或早于其在片源中的计划起点（丢失或重复画面）
+ *
+ * @param {Array<Object>} segments - probeSegment() 的结果，按拼接顺序
+ * @param {Array<{start: number, dur: number}>} [plan] - 各片段在片源中的计划起点与时长（秒），
+ *        缺省时只检查参数与关键帧
+ * @returns {Array<{kind: string, index: number, message: string}>} 不一致项，index 从 0 开始
+ */
+export function checkSegments(segments, plan) {
+  const issues = [];
+  const [first] = segments;
+  if (plan && plan.length !== segments.length) {
+    issues.push({
+      kind: "count",
+      index: Math.min(plan.length, segments.length),
+      message: `计划有 ${plan.length} 个片段，实际有 ${segments.length} 个`,
+    });
+    plan = null;
+  }
+
+  let outputTime = 0;
+  segments.forEach((segment, index) => {
+    const label = `片段 ${index + 1}`;
+    const mismatched = MATCHED_STREAM_FIELDS.filter(
+      (field) =>
+        (segment.stream[field] ?? null) !== (first.stream[field] ?? null)
+    );
+    if (mismatched.length > 0) {
+      issues.push({
+        kind: "params",
+        index,
+        message: `${label} 的编码参数与片段 1 不一致: ${mismatched
+          .map(
+            (field) =>
+              `${field}=${segment.stream[field]} (片段 1 为 ${first.stream[field]})`
+          )
+          .join(", ")}`,
+      });
+    }
+    if (!segment.startsOnKeyframe) {
+      issues.push({
+        kind: "keyframe",
+        index,
+        message: `${label} 不是从关键帧开始: ${segment.file}`,
+      });
+    }
+
+    if (plan) {
+      const tolerance = segment.frameDuration + TOLERANCE_EXTRA_SEC;
+      const offset = outputTime - (plan[index].start - plan[0].start);
+      if (Math.abs(offset) > tolerance) {
+        issues.push({
+          kind: offset < 0 ? "gap" : "overlap",
+          index,
+          message:
+            `${label} 在拼接结果中起始于 ${outputTime.toFixed(3)}s，` +
+            `计划为 ${(plan[index].start - plan[0].start).toFixed(3)}s` +
+            `（${offset < 0 ? "间隙" : "重叠"} ${Math.abs(offset).toFixed(
+              3
+            )}s）`,
+        });
+        // 以计划起点继续比较，只报告新出现的间隙或重叠
+        // Continue from the planned start so only new gaps or overlaps are reported
+        outputTime = plan[index].start - plan[0].start;
+      }
+      const drift = segment.duration - plan[index].dur;
+      if (Math.abs(drift) > tolerance) {
+        issues.push({
+          kind: "drift",
+          index,
+          message:
+            `${label} 实际时长 ${segment.duration.toFixed(3)}s，` +
+            `计划为 ${plan[index].dur.toFixed(3)}s（偏差 ${drift.toFixed(
+              3
+            )}s）`,
+        });
+      }
+    }
+    outputTime += segment.duration;
+  });
+  return issues;
+}
+
+function failOnIssues(issues, outFile) {
+  if (issues.length === 0) {
+    return;
+  }
+  const error = new Error(
+    `片段拼接校验失败（${issues.length} 项）: ${outFile}\n` +
+      issues.map((issue) => `  - ${issue.message}`).join("\n")
+  );
+  error.file = outFile;
+  error.issues = issues;
+  throw error;
+}
+
+/**
+ * 校验并拼接多个视频片段
+ *
+ * 拼接前先用 checkSegments() 校验，有不一致时抛出错误且不写出文件。使用 FFmpeg concat demuxer
+ * 无损拼接（-c copy），输出按容器封装：MP4 前置 moov，CMAF 在每个片段的关键帧处分片，WebM/MKV
+ * 由 Matroska 封装器重建索引。拼接后确认整片时长等于各片段时长之和，并报告与片源时长之差。
+ * 拼接先写入 <输出>.partial.<扩展名>，通过校验后才重命名为 outFile，失败时删除，不会留下未经校验的整片。
+ *
+ * @param {Object} params - 参数
+ * @param {string[]} params.segFiles - 片段文件路径，按拼接顺序
+ * @param {string} params.outFile - 输出文件路径
+ * @param {Array<{start: number, dur: number}>} [params.plan] - 各片段的计划起点与时长（秒）
+ * @param {string} [params.sourceFile] - 片源路径，用于报告时长差
+ * @param {Object} [params.format] - getContainerFormat() 的结果，缺省为 MP4
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<{segmentCount: number, durationSeconds: number, segmentsDurationSeconds: number,
+ *            sourceDurationSeconds: number|null, sourceDiffSeconds: number|null}>}
+ *          拼接报告，sourceDiffSeconds 为整片时长减去片源时长（未给出片源时为 null）
+ * @throws {Error} 片段不一致或拼接结果时长不符时抛出，error.issues 为不一致项
+ *
+ * @example
+ * await concatSegments({
+ *   segFiles: ['seg_0000.mp4', 'seg_0001.mp4'],
+ *   outFile: 'final.video.mp4',
+ *   plan: [{ start: 0, dur: 5.2 }, { start: 5.2, dur: 7.3 }],
+ *   sourceFile: './video.mp4'
+ * });
+ * // 返回: { segmentCount: 2, durationSeconds: 12.5, segmentsDurationSeconds: 12.5,
+ * //         sourceDurationSeconds: 12.5, sourceDiffSeconds: 0 }
+ */
+export async function concatSegments({
+  segFiles,
+  outFile,
+  plan,
+  sourceFile,
+  format = getContainerFormat("mp4"),
+  scheduler,
+}) {
+  if (segFiles.length === 0) {
+    const error = new Error(`没有可拼接的片段: ${outFile}`);
+    error.file = outFile;
+    throw error;
+  }
+  const segments = segFiles.map((file) => probeSegment(file));
+  failOnIssues(checkSegments(segments, plan), outFile);
+
+  const listPath = outFile + ".txt";
+  const listContent = segFiles
+    .map((f) => `file '${f.replace(/'/g, "'\\''")}'`)
+    .join("\n");
+  // 先写入临时文件，校验通过后再重命名，失败时不会留下看似完整的整片
+  // Concatenate into a temporary file and rename it only once verified, so a failure never leaves a
+  // final file that looks complete
+  const partialFile = withSuffix(outFile, "partial");
+  let durationSeconds;
+  let segmentsDurationSeconds;
+  try {
+    writeFileSync(listPath, listContent, "utf8");
+    await runCommand(
+      `ffmpeg -y -hide_banner -f concat -safe 0 -i "${listPath}" ` +
+        `-c copy ${format.muxArgs} "${partialFile}"`,
+      { scheduler, outputs: [partialFile] }
+    );
+
+    durationSeconds = getDurationSeconds(partialFile);
+    segmentsDurationSeconds = segments.reduce((sum, s) => sum + s.duration, 0);
+    const tolerance = segments[0].frameDuration + TOLERANCE_EXTRA_SEC;
+    if (Math.abs(durationSeconds - segmentsDurationSeconds) > tolerance) {
+      failOnIssues(
+        [
+          {
+            kind: "drift",
+            index: segments.length - 1,
+            message:
+              `拼接结果时长 ${durationSeconds.toFixed(3)}s 与各片段之和 ` +
+              `${segmentsDurationSeconds.toFixed(3)}s 不符`,
+          },
+        ],
+        outFile
+      );
+    }
+    renameSync(partialFile, outFile);
+  } catch (error) {
+    rmSync(partialFile, { force: true });
+    throw error;
+  } finally {
+    rmSync(listPath, { force: true });
+  }
+  const sourceDurationSeconds = sourceFile
+    ? getDurationSeconds(sourceFile)
+    : null;
+  return {
+    segmentCount: segments.length,
+    durationSeconds,
+    segmentsDurationSeconds,
+    sourceDurationSeconds,
+    sourceDiffSeconds:
+      sourceDurationSeconds === null
+        ? null
+        : durationSeconds - sourceDurationSeconds,
+  };
+}
+
+const CLI_USAGE = `用法: node ./scripts/concat_segments.mjs <输出文件> <片段...> [选项]
+
+选项:
+  --plan <json>     各片段的计划 [{ "start": 秒, "dur": 秒 }, ...]，用于检查时长漂移与间隙/重叠
+  --source <文件>   片源，报告拼接结果与片源的时长差
+  --container <名称> 输出容器（mp4、fmp4、webm、mkv），缺省为 mp4
+  --codec <名称>    编码器名称（fmp4 封装 HEVC 时写入 hvc1 标记）
+  --check-only      只校验片段，不拼接
+  -h, --help        显示帮助`;
+
+async function cliMain() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      plan: { type: "string" },
+      source: { type: "string" },
+      container: { type: "string" },
+      codec: { type: "string" },
+      "check-only": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [outFile, ...segFiles] = positionals.map((path) => resolve(path));
+  if (values.help || !outFile || segFiles.length === 0) {
+    console.log(CLI_USAGE);
+    process.exit(values.help ? 0 : 2);
+  }
+  const plan = values.plan
+    ? JSON.parse(readFileSync(values.plan, "utf8"))
+    : undefined;
+
+  try {
+    if (values["check-only"]) {
+      const segments = segFiles.map((file) => probeSegment(file));
+      failOnIssues(checkSegments(segments, plan), outFile);
+      console.log(`✓ ${segments.length} 个片段校验通过`);
+      return;
+    }
+    const report = await concatSegments({
+      segFiles,
+      outFile,
+      plan,
+      sourceFile: values.source && resolve(values.source),
+      format: getContainerFormat(values.container, values.codec),
+    });
+    console.log(
+      `✓ 已拼接 ${report.segmentCount} 个片段: ${outFile}\n` +
+        `  整片时长: ${report.durationSeconds.toFixed(3)}s`
+    );
+    if (report.sourceDiffSeconds !== null) {
+      console.log(
+        `  片源时长: ${report.sourceDurationSeconds.toFixed(3)}s` +
+          `（差 ${report.sourceDiffSeconds.toFixed(3)}s）`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const thisFile = fileURLToPath(import.meta.url);
+if (process.argv[1] === thisFile) {
+  cliMain();
 }
@@ -0,0 +1,409 @@
+/**
+ * 实验配置校验模块
+ * Experiment Config Schema Module
+ *
+ * 按字段校验 experiment_matrix.json 与 configOverrides 合并后的配置
+ * Validate every field of experiment_matrix.json merged with configOverrides
+ */
+
+export const SUPPORTED_CODECS = [
+  "libx264",
+  "libx265",
+  "libvpx-vp9",
+  "libsvtav1",
+  "libaom-av1",
+];
+
+export const SUPPORTED_IMPLEMENTATIONS = ["cpu", "nvenc"];
+
+// 见 color_config.mjs 的 resolveColorConfig()
+// See resolveColorConfig() in color_config.mjs
+export const SUPPORTED_COLOR_MODES = ["sdr", "10bit", "hdr", "auto"];
+
+// 见 resolution_strategy.mjs 的 getRungSize()
+// See getRungSize() in resolution_strategy.mjs
+export const SUPPORTED_LADDER_BASES = ["shortSide", "pixelCount"];
+
+// 见 container_format.mjs 的 getContainerFormat()
+// See getContainerFormat() in container_format.mjs
+export const SUPPORTED_CONTAINERS = ["mp4", "fmp4", "webm", "mkv"];
+
+// 见 hls_package.mjs 与 dash_package.mjs
+// See hls_package.mjs and dash_package.mjs
+export const SUPPORTED_PACKAGING = ["hls", "dash"];
+
+// WebM 只能封装 VP9 与 AV1
+// WebM can only carry VP9 and AV1
+const WEBM_CODECS = ["libvpx-vp9", "libsvtav1", "libaom-av1"];
+
+/**
+ * 配置字段定义
+ *
+ * type 取值：number、integer、string、boolean、list（数组；逗号分隔的写法只在 CLI 参数中拆分）、object
+ * （由 validate 逐项校验）。
+ * list 类型通过 items 描述元素，allowScalar 表示也接受单个元素（如 targetVmaf 可写 95 或
+ * [88, 95]）；其余约束（min、max、enum）直接作用于字段本身；
+ * default 为字段缺省时使用的值。模式专用的字段由各模式模块的 configSchema 提供。
+ * 模式名称由模式注册表校验，不在此处枚举。
+ */
+export const EXPERIMENT_CONFIG_SCHEMA = {
+  targetVmaf: {
+    type: "list",
+    required: true,
+    nonEmpty: true,
+    allowScalar: true,
+    items: { type: "number", min: 0, max: 100 },
+  },
+  heightList: {
+    type: "list",
+    required: true,
+    nonEmpty: true,
+    items: { type: "integer", min: 16, max: 8640 },
+  },
+  codecs: {
+    type: "list",
+    required: true,
+    nonEmpty: true,
+    items: { type: "string", enum: SUPPORTED_CODECS },
+  },
+  encoderImplementations: {
+    type: "list",
+    default: ["cpu"],
+    items: { type: "string", enum: SUPPORTED_IMPLEMENTATIONS },
+  },
+  modes: {
+    type: "list",
+    default: ["per_scene"],
+    items: { type: "string", nonEmpty: true },
+  },
+  modesDir: { type: "string", nonEmpty: true },
+  useAdaptiveBitrateSearch: { type: "boolean" },
+  probeBitratesKbps: {
+    type: "list",
+    items: { type: "number", min: 1 },
+  },
+  gopSec: { type: "number", required: true, min: 0.1, max: 60 },
+  sceneThresh: { type: "number", required: true, min: 0, max: 1 },
+  audioKbps: { type: "number", required: true, min: 0, max: 1024 },
+  vmafModel: { type: "string", required: true, nonEmpty: true },
+  maxParallelJobs: { type: "integer", min: 1, max: 256, default: 1 },
+  outputDir: { type: "string", nonEmpty: true, default: "./results" },
+  workDir: { type: "string", nonEmpty: true, default: "./workdir" },
+  cacheDir: { type: "string", nonEmpty: true, default: "./cache" },
+  useCache: { type: "boolean", default: true },
+  encoderProfiles: { type: "object", validate: checkEncoderProfiles },
+  colorMode: { type: "string", enum: SUPPORTED_COLOR_MODES },
+  ladderBasis: { type: "string", enum: SUPPORTED_LADDER_BASES },
+  containers: { type: "object", validate: checkContainers },
+  packaging: {
+    type: "list",
+    default: [],
+    items: { type: "string", enum: SUPPORTED_PACKAGING },
+  },
+};
+
+/**
+ * encoderProfiles 中每个配置档允许的字段，见 encoder_profiles.mjs
+ */
+const ENCODER_PROFILE_FIELDS = {
+  // 预设名称（如 slow、p5）或速度档位（VP9 的 -cpu-used、SVT-AV1 的 -preset）
+  // A preset name (e.g. slow, p5) or a speed level (-cpu-used for VP9, -preset for SVT-AV1)
+  preset: (value) =>
+    typeof value === "number"
+      ? checkScalar(value, { type: "integer", min: -2, max: 13 })
+      : checkScalar(value, { type: "string", nonEmpty: true }),
+  tune: (value) => checkScalar(value, { type: "string", nonEmpty: true }),
+  pixFmt: (value) => checkScalar(value, { type: "string", nonEmpty: true }),
+  bframes: (value) => checkScalar(value, { type: "integer", min: 0, max: 16 }),
+  extraArgs: (value) => checkScalar(value, { type: "string" }),
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkEncoderProfiles(field, value, errors) {
+  for (const [codec, byImplementation] of Object.entries(value)) {
+    const codecField = `${field}.${codec}`;
+    if (!SUPPORTED_CODECS.includes(codec)) {
+      errors.push({
+        field: codecField,
+        message: `不支持的编码器，可选值: ${SUPPORTED_CODECS.join(", ")}`,
+      });
+      continue;
+    }
+    if (!isPlainObject(byImplementation)) {
+      errors.push({ field: codecField, message: "必须是对象" });
+      continue;
+    }
+    for (const [implementation, profile] of Object.entries(byImplementation)) {
+      const profileField = `${codecField}.${implementation}`;
+      if (!SUPPORTED_IMPLEMENTATIONS.includes(implementation)) {
+        errors.push({
+          field: profileField,
+          message: `不支持的实现方式，可选值: ${SUPPORTED_IMPLEMENTATIONS.join(
+            ", "
+          )}`,
+        });
+        continue;
+      }
+      if (!isPlainObject(profile)) {
+        errors.push({ field: profileField, message: "必须是对象" });
+        continue;
+      }
+      for (const [key, item] of Object.entries(profile)) {
+        const check = ENCODER_PROFILE_FIELDS[key];
+        const message = check
+          ? check(item)
+          : `未知的配置档字段，可选值: ${Object.keys(
+              ENCODER_PROFILE_FIELDS
+            ).join(", ")}`;
+        if (message) {
+          errors.push({ field: `${profileField}.${key}`, message });
+        }
+      }
+    }
+  }
+}
+
+function checkContainers(field, value, errors) {
+  for (const [codec, container] of Object.entries(value)) {
+    const codecField = `${field}.${codec}`;
+    if (!SUPPORTED_CODECS.includes(codec)) {
+      errors.push({
+        field: codecField,
+        message: `不支持的编码器，可选值: ${SUPPORTED_CODECS.join(", ")}`,
+      });
+      continue;
+    }
+    const message = checkScalar(container, {
+      type: "string",
+      enum: SUPPORTED_CONTAINERS,
+    });
+    if (message) {
+      errors.push({ field: codecField, message });
+    } else if (container === "webm" && !WEBM_CODECS.includes(codec)) {
+      errors.push({
+        field: codecField,
+        message: `WebM 只能封装 ${WEBM_CODECS.join(", ")}，可改用 mkv`,
+      });
+    }
+  }
+}
+
+function describeType(type) {
+  return {
+    number: "数字",
+    integer: "整数",
+    string: "字符串",
+    boolean: "布尔值",
+    list: "数组",
+  }[type];
+}
+
+function checkScalar(value, rule) {
+  if (rule.type === "number" || rule.type === "integer") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `必须是${describeType(rule.type)}，实际为 ${JSON.stringify(
+        value
+      )}`;
+    }
+    if (rule.type === "integer" && !Number.isInteger(value)) {
+      return `必须是整数，实际为 ${value}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `不能小于 ${rule.min}，实际为 ${value}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `不能大于 ${rule.max}，实际为 ${value}`;
+    }
+    return null;
+  }
+  if (rule.type === "string") {
+    if (typeof value !== "string") {
+      return `必须是字符串，实际为 ${JSON.stringify(value)}`;
+    }
+    if (rule.nonEmpty && value.trim().length === 0) {
+      return "不能为空字符串";
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `不支持的取值 "${value}"，可选值: ${rule.enum.join(", ")}`;
+    }
+    return null;
+  }
+  if (rule.type === "boolean" && typeof value !== "boolean") {
+    return `必须是布尔值，实际为 ${JSON.stringify(value)}`;
+  }
+  return null;
+}
+
+function checkList(field, value, rule, errors) {
+  if (rule.allowScalar && !Array.isArray(value)) {
+    const message = checkScalar(value, rule.items);
+    if (message) {
+      errors.push({ field, message });
+    }
+    return;
+  }
+
+  if (!Array.isArray(value)) {
+    errors.push({
+      field,
+      message: `必须是数组，实际为 ${JSON.stringify(value)}`,
+    });
+    return;
+  }
+
+  if (rule.nonEmpty && value.length === 0) {
+    errors.push({ field, message: "不能为空" });
+    return;
+  }
+  value.forEach((item, index) => {
+    const message = checkScalar(item, rule.items);
+    if (message) {
+      errors.push({ field: `${field}[${index}]`, message });
+    }
+  });
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0];
+    dp[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = dp[j];
+      dp[j] =
+        a[i - 1] === b[j - 1] ? prev : 1 + Math.min(prev, dp[j], dp[j - 1]);
+      prev = current;
+    }
+  }
+  return dp[b.length];
+}
+
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of knownKeys) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * 校验实验配置
+ *
+ * 未知字段只产生警告（并给出最接近的已知字段），类型、取值范围或枚举值不合法时产生错误。
+ *
+ * @param {Object} config - 配置文件与 configOverrides 合并后的配置
+ * @param {Object} [schema=EXPERIMENT_CONFIG_SCHEMA] - 字段定义
+ * @returns {{errors: Array<{field: string, message: string}>, warnings: Array<{field: string, message: string}>}}
+ *
+ * @example
+ * validateExperimentConfig({ ...cfg, codec: ["libx264"], gopSec: "2" });
+ * // errors:   [{ field: "gopSec", message: '必须是数字，实际为 "2"' }]
+ * // warnings: [{ field: "codec", message: '未知的配置字段，是否想使用 "codecs"？' }]
+ */
+export function validateExperimentConfig(
+  config,
+  schema = EXPERIMENT_CONFIG_SCHEMA
+) {
+  const errors = [];
+  const warnings = [];
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    errors.push({ field: "(root)", message: "配置必须是 JSON 对象" });
+    return { errors, warnings };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = config[field];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push({ field, message: "缺少必填字段" });
+      }
+      continue;
+    }
+    if (rule.type === "list") {
+      checkList(field, value, rule, errors);
+    } else if (rule.type === "object") {
+      if (isPlainObject(value)) {
+        rule.validate?.(field, value, errors);
+      } else {
+        errors.push({
+          field,
+          message: `必须是对象，实际为 ${JSON.stringify(value)}`,
+        });
+      }
+    } else {
+      const message = checkScalar(value, rule);
+      if (message) {
+        errors.push({ field, message });
+      }
+    }
+  }
+
+  if (
+    config.useAdaptiveBitrateSearch === false &&
+    (config.probeBitratesKbps === undefined ||
+      (Array.isArray(config.probeBitratesKbps) &&
+        config.probeBitratesKbps.length === 0))
+  ) {
+    errors.push({
+      field: "probeBitratesKbps",
+      message:
+        "关闭自适应码率搜索 (useAdaptiveBitrateSearch=false) 时必须提供候选码率",
+    });
+  }
+
+  const knownKeys = Object.keys(schema);
+  for (const key of Object.keys(config)) {
+    if (schema[key]) {
+      continue;
+    }
+    const suggestion = suggestKey(key, knownKeys);
+    warnings.push({
+      field: key,
+      message: suggestion
+        ? `未知的配置字段，是否想使用 "${suggestion}"？`
+        : "未知的配置字段，将被忽略",
+    });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * 将校验结果格式化为多行文本，便于在 CLI 与日志中输出
+ *
+ * @param {Array<{field: string, message: string}>} issues - 错误或警告列表
+ * @returns {string} 每行一个 "字段: 说明"
+ */
+export function formatConfigIssues(issues) {
+  return issues
+    .map(({ field, message }) => `  - ${field}: ${message}`)
+    .join("\n");
+}
+
+/**
+ * 为通过校验的配置填充缺省值
+ *
+ * @param {Object} config - 已通过 validateExperimentConfig() 的配置
+ * @param {Object} [schema=EXPERIMENT_CONFIG_SCHEMA] - 字段定义
+ * @returns {Object} 新的配置对象
+ */
+export function applyConfigDefaults(config, schema = EXPERIMENT_CONFIG_SCHEMA) {
+  const result = { ...config };
+  for (const [field, rule] of Object.entries(schema)) {
+    if (result[field] === undefined || result[field] === null) {
+      if (rule.default !== undefined) {
+        result[field] = structuredClone(rule.default);
+      }
+    }
+  }
+  return result;
+}
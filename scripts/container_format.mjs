@@ -0,0 +1,108 @@
+/**
+ * 容器格式模块
+ * Container Format Module
+ *
+ * 按编码器选择输出容器（MP4、分片 MP4/CMAF、WebM、MKV），统一探测候选、最终片段与拼接结果的
+ * 扩展名、封装参数与音频编码
+ * Pick the output container per codec (MP4, fragmented MP4/CMAF, WebM, MKV) and keep the extension,
+ * muxer arguments and audio codec consistent across probe candidates, final segments and concatenated files
+ */
+
+// HEVC 在 CMAF 中须使用 hvc1 样本描述（FFmpeg 缺省写 hev1）
+// CMAF requires the hvc1 sample entry for HEVC (FFmpeg writes hev1 by default)
+const HVC1_CODECS = new Set(["libx265"]);
+
+/**
+ * 各容器的扩展名、FFmpeg 封装参数与音频编码
+ *
+ * - mp4（缺省）：moov 前置（+faststart），与以往的输出一致
+ * - fmp4：CMAF 兼容的分片 MP4，每个关键帧开始一个分片，可直接用于 HLS/DASH
+ * - webm：WebM（Matroska 子集），只能封装 VP9 与 AV1，音频为 Opus
+ * - mkv：Matroska，可封装所有编码器，音频为 Opus
+ */
+const CONTAINER_FORMATS = {
+  mp4: {
+    ext: ".mp4",
+    muxArgs: "-movflags +faststart",
+    audioCodec: "aac",
+  },
+  fmp4: {
+    ext: ".mp4",
+    muxArgs: "-movflags +cmaf+frag_keyframe+empty_moov+default_base_moof",
+    audioCodec: "aac",
+  },
+  webm: {
+    ext: ".webm",
+    muxArgs: "-f webm",
+    audioCodec: "opus",
+  },
+  mkv: {
+    ext: ".mkv",
+    muxArgs: "-f matroska",
+    audioCodec: "opus",
+  },
+};
+
+/**
+ * 返回某个编码器使用的容器名称
+ *
+ * @param {Object} [containers] - 配置中的 containers（编码器 -> 容器名称）
+ * @param {string} codec - 编码器名称
+ * @returns {"mp4"|"fmp4"|"webm"|"mkv"} 容器名称，未配置时为 mp4
+ *
+ * @example
+ * resolveContainer({ 'libvpx-vp9': 'webm' }, 'libvpx-vp9'); // 返回: 'webm'
+ */
+export function resolveContainer(containers, codec) {
+  return containers?.[codec] ?? "mp4";
+}
+
+/**
+ * 返回容器的封装信息
+ *
+ * cacheParams 需并入编码缓存的键：mp4 为空对象，使已有的缓存条目继续命中。
+ *
+ * @param {string} [container="mp4"] - 容器名称
+ * @param {string} [codec] - 编码器名称；fmp4 封装 HEVC 时据此写入 hvc1 标记
+ * @returns {{name: string, ext: string, muxArgs: string, audioCodec: "aac"|"opus",
+ *            cacheParams: Object}} 封装信息
+ * @throws {Error} 不支持的容器名称时抛出
+ *
+ * @example
+ * getContainerFormat('fmp4', 'libx265');
+ * // 返回: { name: 'fmp4', ext: '.mp4',
+ * //         muxArgs: '-movflags +cmaf+frag_keyframe+empty_moov+default_base_moof -tag:v hvc1',
+ * //         audioCodec: 'aac', cacheParams: { container: 'fmp4' } }
+ */
+export function getContainerFormat(container = "mp4", codec) {
+  const format = CONTAINER_FORMATS[container];
+  if (!format) {
+    const error = new Error(
+      `不支持的容器: ${container}，可选值: ${Object.keys(
+        CONTAINER_FORMATS
+      ).join(", ")}`
+    );
+    error.container = container;
+    throw error;
+  }
+  const tagArgs =
+    container === "fmp4" && HVC1_CODECS.has(codec) ? " -tag:v hvc1" : "";
+  return {
+    name: container,
+    ext: format.ext,
+    muxArgs: `${format.muxArgs}${tagArgs}`,
+    audioCodec: format.audioCodec,
+    cacheParams: container === "mp4" ? {} : { container },
+  };
+}
+
+/**
+ * 在扩展名前插入后缀，如 final.webm -> final.video.webm
+ *
+ * @param {string} file - 文件路径
+ * @param {string} suffix - 插入的后缀（不含点）
+ * @returns {string} 新路径
+ */
+export function withSuffix(file, suffix) {
+  return file.replace(/(\.[^./\\]+)?$/, (ext) => `.${suffix}${ext}`);
+}
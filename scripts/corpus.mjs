@@ -0,0 +1,333 @@
+/**
+ * 语料库批量实验模块
+ * Corpus Batch Module
+ *
+ * 解析语料清单（目录、通配符或 JSON 列表），并汇总多个片源的实验结果
+ * Resolve corpus manifests (directory, glob or JSON list) and aggregate results across titles
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from "node:fs";
+import { basename, dirname, extname, join, resolve, sep } from "node:path";
+
+const VIDEO_EXTENSIONS = new Set([
+  ".mp4",
+  ".mov",
+  ".mkv",
+  ".webm",
+  ".m4v",
+  ".ts",
+  ".y4m",
+  ".avi",
+]);
+
+function isVideoFile(path) {
+  return VIDEO_EXTENSIONS.has(extname(path).toLowerCase());
+}
+
+function listFilesRecursive(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(full));
+    } else if (entry.isFile()) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+/**
+ * 将通配符模式转换为正则表达式
+ *
+ * 支持 *（不跨目录）、**（跨目录）与 ?。
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+      if (pattern[i + 1] === "/") {
+        i++;
+      }
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function expandGlob(pattern) {
+  const absolute = resolve(pattern).split(sep).join("/");
+  const firstWildcard = absolute.search(/[*?]/);
+  const baseDir = absolute.slice(0, absolute.lastIndexOf("/", firstWildcard));
+  if (!existsSync(baseDir)) {
+    return [];
+  }
+  const matcher = globToRegExp(absolute);
+  return listFilesRecursive(baseDir).filter((file) =>
+    matcher.test(file.split(sep).join("/"))
+  );
+}
+
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) {
+    return [];
+  }
+  const list = Array.isArray(tags) ? tags : [tags];
+  return list.map((tag) => String(tag).trim()).filter((tag) => tag.length > 0);
+}
+
+function readJsonManifest(manifestPath) {
+  const data = JSON.parse(readFileSync(manifestPath, "utf8"));
+  const entries = Array.isArray(data) ? data : data?.inputs;
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      `语料清单格式错误: ${manifestPath} 应为数组或包含 inputs 数组的对象`
+    );
+  }
+  const manifestDir = dirname(manifestPath);
+  return entries.map((entry, index) => {
+    const file =
+      typeof entry === "string" ? entry : entry?.file ?? entry?.inputFile;
+    if (!file || typeof file !== "string") {
+      throw new Error(
+        `语料清单格式错误: ${manifestPath} 第 ${index + 1} 项缺少 file 字段`
+      );
+    }
+    return {
+      inputFile: resolve(manifestDir, file),
+      tags: typeof entry === "string" ? [] : normalizeTags(entry.tags),
+    };
+  });
+}
+
+/**
+ * 解析语料清单
+ *
+ * 清单可以是：
+ * - 目录：递归收集其中的视频文件
+ * - 通配符：如 ./corpus/**\/*.mp4
+ * - JSON 文件：字符串数组，或 { file, tags } 对象数组（也可放在 { inputs: [...] } 中），
+ *   相对路径以清单所在目录为基准
+ *
+ * @param {string} manifest - 目录、通配符或 JSON 文件路径
+ * @returns {Array<{inputFile: string, tags: string[]}>} 按路径排序的片源列表
+ *
+ * @example
+ * // corpus.json
+ * // [{ "file": "bbb.mp4", "tags": ["animation"] }, { "file": "match.mp4", "tags": ["sports"] }]
+ * loadCorpusManifest("./corpus.json");
+ */
+export function loadCorpusManifest(manifest) {
+  let titles;
+  if (/[*?]/.test(manifest)) {
+    titles = expandGlob(manifest)
+      .filter(isVideoFile)
+      .map((inputFile) => ({ inputFile, tags: [] }));
+  } else {
+    const manifestPath = resolve(manifest);
+    if (!existsSync(manifestPath)) {
+      throw new Error(`语料清单不存在: ${manifestPath}`);
+    }
+    if (statSync(manifestPath).isDirectory()) {
+      titles = listFilesRecursive(manifestPath)
+        .filter(isVideoFile)
+        .map((inputFile) => ({ inputFile, tags: [] }));
+    } else {
+      titles = readJsonManifest(manifestPath);
+    }
+  }
+
+  if (titles.length === 0) {
+    throw new Error(`语料清单中没有找到视频文件: ${manifest}`);
+  }
+
+  // 每个片源的工作目录和摘要文件以文件名命名，重名会互相覆盖
+  // Work dirs and summaries are named after the file name, so duplicates would collide
+  const seen = new Map();
+  for (const { inputFile } of titles) {
+    const name = basename(inputFile).replace(/\.[^.]+$/, "");
+    if (seen.has(name)) {
+      throw new Error(
+        `语料清单中存在同名片源，结果文件会互相覆盖: ${seen.get(
+          name
+        )} 与 ${inputFile}`
+      );
+    }
+    seen.set(name, inputFile);
+  }
+
+  return titles.sort((a, b) => a.inputFile.localeCompare(b.inputFile));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 汇总语料库结果
+ *
+ * 码率节省按片源计算：同一片源中与基准模式（默认 baseline_crf）相同编码器、实现和分辨率的
+ * 结果作为基准，节省比例 = (基准码率 - 当前码率) / 基准码率 × 100。
+ * 结果按 模式 × 编码器 × 分辨率 × 实现 × 目标 VMAF 分组，输出全体片源及每个标签的均值与中位数；
+ * 基准模式不依赖目标 VMAF，同一基准行与各目标的结果分别比较。
+ * 摘要行带有 bdRate（见 bd_rate.mjs）时，另按 配置对 汇总各片源 BD-rate 的均值与中位数。
+ *
+ * @param {Array<{inputFile: string, tags: string[], summaryRows: Object[]}>} titles - 各片源的结果
+ * @param {Object} [options] - 选项
+ * @param {string} [options.baselineMode="baseline_crf"] - 作为码率基准的模式
+ * @returns {{baselineMode: string, overall: Object[], byTag: Object<string, Object[]>,
+ *            bdRate: {overall: Object[], byTag: Object<string, Object[]>}}}
+ *          每组包含 targetVmaf、titleCount、meanSavingsPercent、medianSavingsPercent、meanBitrateKbps、meanVmaf；
+ *          bdRate 每组包含 height、test、reference、titleCount、meanBdRatePercent、
+ *          medianBdRatePercent、meanBdVmaf
+ */
+export function aggregateCorpusResults(
+  titles,
+  { baselineMode = "baseline_crf" } = {}
+) {
+  const comboKey = ({ codec, height, implementation }) =>
+    `${codec}|${height}|${implementation}`;
+
+  const samples = [];
+  for (const { tags = [], summaryRows = [] } of titles) {
+    const baselines = new Map(
+      summaryRows
+        .filter((row) => row.mode === baselineMode)
+        .map((row) => [comboKey(row), row])
+    );
+    for (const row of summaryRows) {
+      if (row.mode === baselineMode) {
+        continue;
+      }
+      const baseline = baselines.get(comboKey(row));
+      samples.push({
+        tags,
+        row,
+        savingsPercent:
+          baseline && baseline.avgBitrateKbps > 0
+            ? ((baseline.avgBitrateKbps - row.avgBitrateKbps) /
+                baseline.avgBitrateKbps) *
+              100
+            : null,
+      });
+    }
+  }
+
+  const summarize = (subset) => {
+    const groups = new Map();
+    for (const sample of subset) {
+      const { mode, codec, height, implementation } = sample.row;
+      const targetVmaf = sample.row.targetVmaf ?? null;
+      const key = `${mode}|${comboKey(sample.row)}|${targetVmaf}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          mode,
+          codec,
+          height,
+          implementation,
+          targetVmaf,
+          samples: [],
+        });
+      }
+      groups.get(key).samples.push(sample);
+    }
+    return [...groups.values()].map(({ samples: group, ...combo }) => {
+      const savings = group
+        .map((s) => s.savingsPercent)
+        .filter((v) => v !== null);
+      return {
+        ...combo,
+        titleCount: group.length,
+        comparedTitleCount: savings.length,
+        meanSavingsPercent: savings.length ? round2(mean(savings)) : null,
+        medianSavingsPercent: savings.length ? round2(median(savings)) : null,
+        meanBitrateKbps: round2(mean(group.map((s) => s.row.avgBitrateKbps))),
+        meanVmaf: round2(mean(group.map((s) => s.row.finalVmaf))),
+      };
+    });
+  };
+
+  const allTags = [...new Set(titles.flatMap((t) => t.tags || []))].sort();
+  const byTag = {};
+  const bdByTag = {};
+  for (const tag of allTags) {
+    byTag[tag] = summarize(samples.filter((s) => s.tags.includes(tag)));
+    bdByTag[tag] = summarizeBdRates(
+      titles.filter((t) => (t.tags || []).includes(tag))
+    );
+  }
+
+  return {
+    baselineMode,
+    overall: summarize(samples),
+    byTag,
+    bdRate: { overall: summarizeBdRates(titles), byTag: bdByTag },
+  };
+}
+
+/**
+ * 按 分辨率 × test 配置 × reference 配置 汇总各片源摘要行中的 BD-rate
+ *
+ * 同一配置的多行携带相同的 bdRate，每个片源只取一次。
+ *
+ * @param {Array<{summaryRows: Object[]}>} titles - 各片源的结果
+ * @returns {Object[]} 汇总结果
+ */
+function summarizeBdRates(titles) {
+  const label = ({ mode, codec, implementation }) =>
+    `${mode}|${codec}|${implementation}`;
+  const groups = new Map();
+  for (const { summaryRows = [] } of titles) {
+    const seen = new Set();
+    for (const row of summaryRows) {
+      for (const entry of row.bdRate ?? []) {
+        const key = `${row.height}|${label(row)}|${label(entry.reference)}`;
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        if (!groups.has(key)) {
+          const { mode, codec, implementation } = row;
+          groups.set(key, {
+            height: row.height,
+            test: { mode, codec, implementation },
+            reference: entry.reference,
+            entries: [],
+          });
+        }
+        groups.get(key).entries.push(entry);
+      }
+    }
+  }
+  return [...groups.values()].map(({ entries, ...pair }) => {
+    const rates = entries.map((e) => e.bdRatePercent).filter((v) => v !== null);
+    const vmafs = entries.map((e) => e.bdVmaf).filter((v) => v !== null);
+    return {
+      ...pair,
+      titleCount: entries.length,
+      meanBdRatePercent: rates.length ? round2(mean(rates)) : null,
+      medianBdRatePercent: rates.length ? round2(median(rates)) : null,
+      meanBdVmaf: vmafs.length ? Math.round(mean(vmafs) * 1000) / 1000 : null,
+    };
+  });
+}
@@ -0,0 +1,356 @@
+/**
+ * DASH 打包模块
+ * DASH Packaging Module
+ *
+ * 把同一配置各档位的编码结果切分为仅含视频的 CMAF 媒体段，标题音轨单独切分为音频 AdaptationSet，
+ * 生成一个 MPD：每个 Representation 带有由实际媒体段时长构成的 SegmentTimeline、实测 bandwidth、
+ * codecs 与分辨率，写出前校验各视频 Representation 的媒体段是否对齐
+ * Split the rungs of a configuration into video-only CMAF media segments, segment the title audio
+ * track once into its own audio AdaptationSet, and write one MPD whose Representations carry a
+ * SegmentTimeline of the actual segment durations, measured bandwidth, codecs and resolution;
+ * segment alignment across the video Representations is checked before the MPD is written
+ */
+
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+  groupRowsForPackaging,
+  segmentRow,
+  segmentRowAudio,
+} from "./fmp4_segmenter.mjs";
+
+// 媒体段使用 SegmentTemplate 编址，属于 ISO BMFF live 配置
+// Media segments are addressed with SegmentTemplate, i.e. the ISO BMFF live profile
+const DASH_PROFILE = "urn:mpeg:dash:profile:isoff-live:2011";
+
+// 不同 Representation 的媒体段起始时间允许的差值（秒），吸收时间刻度换算的舍入
+// Allowed difference (seconds) between Representations' segment start times, absorbing timescale rounding
+const ALIGNMENT_TOLERANCE_SEC = 0.001;
+
+const AUDIO_CHANNEL_SCHEME =
+  "urn:mpeg:dash:23003:3:audio_channel_configuration:2011";
+
+function isoDuration(seconds) {
+  return `PT${seconds.toFixed(3)}S`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join("");
+}
+
+/**
+ * 生成 SegmentTimeline 的 S 元素，连续且时长相同的媒体段合并为一个带 r 的元素
+ */
+function timelineEntries(segments) {
+  const entries = [];
+  for (const segment of segments) {
+    const last = entries.at(-1);
+    if (
+      last &&
+      last.d === segment.ticks &&
+      last.t + (last.r + 1) * last.d === segment.time
+    ) {
+      last.r++;
+    } else {
+      entries.push({ t: segment.time, d: segment.ticks, r: 0 });
+    }
+  }
+  return entries.map(
+    ({ t, d, r }) => `<S${attributes({ t, d, r: r > 0 ? r : undefined })}/>`
+  );
+}
+
+/**
+ * 生成一个 Representation 及其 SegmentTemplate，初始化段与媒体段位于 <id>/ 子目录
+ */
+function representationLines(r, values, children = []) {
+  return [
+    `      <Representation${attributes({
+      id: r.id,
+      bandwidth: r.bandwidth,
+      codecs: r.codecs,
+      ...values,
+    })}>`,
+    ...children.map((child) => `        ${child}`),
+    `        <SegmentTemplate${attributes({
+      timescale: r.timescale,
+      initialization: `${r.id}/${r.init.uri}`,
+      media: `${r.id}/seg_$Number%04d$.m4s`,
+      startNumber: 0,
+    })}>`,
+    "          <SegmentTimeline>",
+    ...timelineEntries(r.segments).map((entry) => `            ${entry}`),
+    "          </SegmentTimeline>",
+    "        </SegmentTemplate>",
+    "      </Representation>",
+  ];
+}
+
+/**
+ * 生成 MPD 文本
+ *
+ * @param {Array<Object>} representations - 各档位，含 id、segmentRow() 的结果
+ * @param {Object|null} audio - 音轨，含 id、segmentRowAudio() 的结果；没有音轨时为 null
+ * @returns {string} MPD
+ */
+function buildMpd(representations, audio) {
+  const sorted = [...representations].sort((a, b) => a.bandwidth - b.bandwidth);
+  const all = audio ? [...sorted, audio] : sorted;
+  const duration = Math.max(
+    ...all.map((r) => r.segments.reduce((sum, s) => sum + s.duration, 0))
+  );
+  const maxSegment = Math.max(
+    ...all.flatMap((r) => r.segments.map((s) => s.duration))
+  );
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD${attributes({
+      xmlns: "urn:mpeg:dash:schema:mpd:2011",
+      profiles: DASH_PROFILE,
+      type: "static",
+      mediaPresentationDuration: isoDuration(duration),
+      // bandwidth 取媒体段峰值码率，缓冲一个最长媒体段即可连续播放
+      // bandwidth is the peak segment bitrate, so buffering one longest segment is enough
+      minBufferTime: isoDuration(Math.ceil(maxSegment)),
+    })}>`,
+    `  <Period${attributes({ id: "0", start: "PT0S" })}>`,
+    `    <AdaptationSet${attributes({
+      id: "0",
+      contentType: "video",
+      mimeType: "video/mp4",
+      segmentAlignment: "true",
+      startWithSAP: "1",
+      maxWidth: Math.max(...sorted.map((r) => r.width)) || undefined,
+      maxHeight: Math.max(...sorted.map((r) => r.height)) || undefined,
+    })}>`,
+  ];
+  for (const r of sorted) {
+    lines.push(
+      ...representationLines(r, {
+        width: r.width || undefined,
+        height: r.height || undefined,
+        frameRate: r.frameRate,
+      })
+    );
+  }
+  lines.push("    </AdaptationSet>");
+  if (audio) {
+    lines.push(
+      `    <AdaptationSet${attributes({
+        id: "1",
+        contentType: "audio",
+        mimeType: "audio/mp4",
+        segmentAlignment: "true",
+        startWithSAP: "1",
+      })}>`,
+      ...representationLines(
+        audio,
+        { audioSamplingRate: audio.sampleRate || undefined },
+        audio.channels
+          ? [
+              `<AudioChannelConfiguration${attributes({
+                schemeIdUri: AUDIO_CHANNEL_SCHEME,
+                value: audio.channels,
+              })}/>`,
+            ]
+          : []
+      ),
+      "    </AdaptationSet>"
+    );
+  }
+  lines.push("  </Period>", "</MPD>", "");
+  return lines.join("\n");
+}
+
+/**
+ * 从 MPD 文本中读取各 Representation 的媒体段起始时间（秒）
+ *
+ * 只解析 buildMpd() 写出的结构：AdaptationSet 内的每个 Representation 带一个含 SegmentTimeline 的
+ * SegmentTemplate。
+ *
+ * @param {string} mpd - MPD 文本
+ * @returns {Array<{adaptationSet: string, id: string, starts: number[]}>}
+ */
+export function readSegmentStarts(mpd) {
+  const attr = (tag, name) =>
+    tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  const representations = [];
+  for (const [, setHead, setBody] of mpd.matchAll(
+    /<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g
+  )) {
+    representations.push(
+      ...readRepresentations(setBody, attr).map((representation) => ({
+        adaptationSet: attr(setHead, "id"),
+        ...representation,
+      }))
+    );
+  }
+  return representations;
+}
+
+/**
+ * 读取一个 AdaptationSet 内各 Representation 的媒体段起始时间（秒）
+ */
+function readRepresentations(adaptationSet, attr) {
+  const representations = [];
+  for (const [, head, body] of adaptationSet.matchAll(
+    /<Representation\b([^>]*)>([\s\S]*?)<\/Representation>/g
+  )) {
+    const template = body.match(/<SegmentTemplate\b[^>]*>/)?.[0] ?? "";
+    const timescale = Number(attr(template, "timescale")) || 1;
+    const starts = [];
+    let time = 0;
+    for (const [entry] of body.matchAll(/<S\b[^>]*\/>/g)) {
+      const t = attr(entry, "t");
+      if (t !== undefined) {
+        time = Number(t);
+      }
+      const d = Number(attr(entry, "d"));
+      const repeat = Number(attr(entry, "r") ?? 0);
+      for (let i = 0; i <= repeat; i++) {
+        starts.push(time / timescale);
+        time += d;
+      }
+    }
+    representations.push({ id: attr(head, "id"), starts });
+  }
+  return representations;
+}
+
+/**
+ * 校验 MPD 中同一 AdaptationSet 内各 Representation 的媒体段是否对齐
+ *
+ * segmentAlignment="true" 要求各 Representation 的媒体段数量相同、对应媒体段的起始时间相同，
+ * 否则播放器切换码率时会重复或跳过内容。该约束只作用于同一 AdaptationSet，音频与视频不互相比较。
+ *
+ * @param {string} mpd - MPD 文本
+ * @returns {string[]} 不对齐的描述，对齐时为空数组
+ *
+ * @example
+ * checkSegmentAlignment(mpd);
+ * // 返回: ['720p 第 3 个媒体段起始于 10.033s，480p 为 10.000s']
+ */
+export function checkSegmentAlignment(mpd) {
+  const adaptationSets = new Map();
+  for (const representation of readSegmentStarts(mpd)) {
+    if (!adaptationSets.has(representation.adaptationSet)) {
+      adaptationSets.set(representation.adaptationSet, []);
+    }
+    adaptationSets.get(representation.adaptationSet).push(representation);
+  }
+  const problems = [];
+  for (const [reference, ...others] of adaptationSets.values()) {
+    problems.push(...alignmentProblems(reference, others));
+  }
+  return problems;
+}
+
+/**
+ * 逐个比较 others 与 reference 的媒体段数量与起始时间
+ */
+function alignmentProblems(reference, others) {
+  const problems = [];
+  for (const representation of others) {
+    if (representation.starts.length !== reference.starts.length) {
+      problems.push(
+        `${representation.id} 有 ${representation.starts.length} 个媒体段，` +
+          `${reference.id} 有 ${reference.starts.length} 个`
+      );
+      continue;
+    }
+    const index = representation.starts.findIndex(
+      (start, i) =>
+        Math.abs(start - reference.starts[i]) > ALIGNMENT_TOLERANCE_SEC
+    );
+    if (index >= 0) {
+      problems.push(
+        `${representation.id} 第 ${index + 1} 个媒体段起始于 ` +
+          `${representation.starts[index].toFixed(3)}s，${reference.id} 为 ` +
+          `${reference.starts[index].toFixed(3)}s`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * 为摘要行打包 DASH
+ *
+ * 摘要行按 groupRowsForPackaging() 分组，每组写出 <rootDir>/<组名>/manifest.mpd，档位的初始化段与
+ * 仅含视频的媒体段位于 <height>p/ 子目录；各档位混入的是同一条标题音轨，取一行单独切分到 audio/，
+ * 作为音频 AdaptationSet。MPD 在写出前校验视频媒体段对齐，不对齐时该组失败。打包成功的行写入
+ * dash 字段；某组失败时通过 onError 报告并继续下一组。
+ *
+ * @param {Object[]} rows - 摘要行
+ * @param {Object} options - 选项
+ * @param {string} options.rootDir - 输出根目录
+ * @param {Object} [options.scheduler] - 任务调度器
+ * @param {function(Object[], Error): void} [options.onError] - 某组打包失败时的回调，
+ *        对齐失败的错误带有 problems（不对齐的描述）
+ * @returns {Promise<Array<{manifest: string, rows: Object[]}>>} 成功打包的各组，manifest 为 MPD 路径
+ */
+export async function packageDash(rows, { rootDir, scheduler, onError }) {
+  const packaged = [];
+  for (const group of groupRowsForPackaging(rows)) {
+    const groupDir = join(rootDir, group.name);
+    try {
+      const representations = await Promise.all(
+        group.rows.map(async (row) => ({
+          id: `${row.height}p`,
+          ...(await segmentRow({
+            row,
+            outDir: join(groupDir, `${row.height}p`),
+            tracks: "video",
+            scheduler,
+          })),
+        }))
+      );
+      const audioRow = group.rows.find((row) => row.audioCodec);
+      const audio = audioRow && {
+        id: "audio",
+        ...(await segmentRowAudio({
+          row: audioRow,
+          outDir: join(groupDir, "audio"),
+          scheduler,
+        })),
+      };
+      const mpd = buildMpd(representations, audio ?? null);
+      const problems = checkSegmentAlignment(mpd);
+      if (problems.length > 0) {
+        const error = new Error(
+          `MPD 各 Representation 的媒体段未对齐: ${problems.join("; ")}`
+        );
+        error.problems = problems;
+        throw error;
+      }
+      const manifest = join(groupDir, "manifest.mpd");
+      writeFileSync(manifest, mpd, "utf8");
+      group.rows.forEach((row, index) => {
+        const { id, segments, bandwidth } = representations[index];
+        row.dash = {
+          mpd: manifest,
+          representation: id,
+          segmentCount: segments.length,
+          bandwidth,
+        };
+      });
+      packaged.push({ manifest, rows: group.rows });
+    } catch (error) {
+      onError?.(group.rows, error);
+    }
+  }
+  return packaged;
+}
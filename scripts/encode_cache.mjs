@@ -0,0 +1,356 @@
+/**
+ * 编码缓存模块
+ * Encode Cache Module
+ *
+ * 以片源内容哈希 + 参数为键，持久化缓存参考视频、探测编码及其 VMAF 分数
+ * Persist reference clips, probe encodes and their VMAF scores keyed by source hash plus parameters
+ */
+
+import { createHash } from "node:crypto";
+import {
+  createReadStream,
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  statSync,
+  writeFileSync,
+} from "node:fs";
+import { basename, dirname, extname, join, resolve, sep } from "node:path";
+
+// 缓存格式版本；编码命令或目录布局变化时递增，使旧条目全部失效
+// Cache format version; bump it when encode commands or the layout change to invalidate old entries
+const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * 将参数序列化为与键顺序无关的 JSON，保证相同参数得到相同的键
+ *
+ * @param {*} value - 参数值
+ * @returns {string} 规范化的 JSON 文本
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+function hashFileContents(file) {
+  return new Promise((resolveHash, reject) => {
+    const hash = createHash("sha256");
+    createReadStream(file)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolveHash(hash.digest("hex")));
+  });
+}
+
+function readJsonFile(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function createCounters() {
+  return { hits: 0, misses: 0, savedSeconds: 0, kinds: {} };
+}
+
+function recordLookup(counters, kind, hit, seconds) {
+  const perKind = (counters.kinds[kind] ??= { hits: 0, misses: 0 });
+  if (hit) {
+    counters.hits++;
+    perKind.hits++;
+    counters.savedSeconds += seconds;
+  } else {
+    counters.misses++;
+    perKind.misses++;
+  }
+}
+
+/**
+ * 汇总缓存统计
+ *
+ * @param {Object} counters - 计数器
+ * @returns {{hits: number, misses: number, savedSeconds: number,
+ *            kinds: Object<string, {hits: number, misses: number}>}}
+ *          savedSeconds 为命中条目首次生成时花费的时间之和
+ */
+function summarizeCounters(counters) {
+  return {
+    hits: counters.hits,
+    misses: counters.misses,
+    savedSeconds: Math.round(counters.savedSeconds * 100) / 100,
+    kinds: Object.fromEntries(
+      Object.entries(counters.kinds).map(([kind, c]) => [kind, { ...c }])
+    ),
+  };
+}
+
+/**
+ * 合并多份缓存统计（例如语料库中各片源的统计）
+ *
+ * @param {Array<Object|null|undefined>} statsList - summarizeCounters() 格式的统计
+ * @returns {Object} 合并后的统计
+ */
+export function mergeCacheStats(statsList) {
+  const counters = createCounters();
+  for (const stats of statsList) {
+    if (!stats) {
+      continue;
+    }
+    counters.hits += stats.hits;
+    counters.misses += stats.misses;
+    counters.savedSeconds += stats.savedSeconds;
+    for (const [kind, c] of Object.entries(stats.kinds)) {
+      const perKind = (counters.kinds[kind] ??= { hits: 0, misses: 0 });
+      perKind.hits += c.hits;
+      perKind.misses += c.misses;
+    }
+  }
+  return summarizeCounters(counters);
+}
+
+function createDisabledCache() {
+  const cache = {
+    enabled: false,
+    cacheDir: null,
+    async file(kind, params, { fallbackPath, produce }) {
+      const encodeTime = await produce(fallbackPath);
+      return { file: fallbackPath, encodeTime, cached: false };
+    },
+    async value(kind, params, compute) {
+      const { value } = await compute();
+      return value;
+    },
+    keyOf() {
+      return null;
+    },
+    stats() {
+      return summarizeCounters(createCounters());
+    },
+    scope() {
+      return cache;
+    },
+  };
+  return cache;
+}
+
+/**
+ * 关闭状态的缓存：file() 直接写到 fallbackPath，value() 直接计算
+ * A disabled cache: file() writes straight to fallbackPath and value() always computes
+ */
+export const NO_CACHE = createDisabledCache();
+
+/**
+ * 创建编码缓存
+ *
+ * 条目键为 sha256(格式版本 + 类型 + 参数)，参数中的 source（片源路径）会替换为片源内容的
+ * sha256，因此同一片源在不同路径、不同运行、不同片源清单之间都能复用。片源哈希按
+ * 路径 + 大小 + 修改时间记录在 sources.json 中，未变化的片源不会重复计算。
+ *
+ * 目录布局：
+ * - <cacheDir>/<kind>/<key>.<ext> 与 <key>.meta.json：文件条目（参考视频、探测编码、音轨），
+ *   扩展名取自 fallbackPath（缺省为 .mp4），使 WebM、MKV 等容器的条目保持正确的扩展名
+ * - <cacheDir>/<kind>/<key>.json：值条目（VMAF 分数）
+ *
+ * 文件先写入 <key>.partial.<ext> 再重命名，中断或失败不会留下半成品条目；同一进程内并发
+ * 请求同一条目时只生成一次，后到的请求等待并计为命中。命中的文件条目返回首次编码的耗时，
+ * 使编码效率等指标不受缓存状态影响，节省的时间单独计入统计。
+ *
+ * @param {Object} [options] - 选项
+ * @param {string} [options.cacheDir] - 缓存目录；为空时返回 NO_CACHE
+ * @param {boolean} [options.enabled=true] - 是否启用缓存
+ * @returns {{enabled: boolean, cacheDir: string|null,
+ *            file: function(string, Object, {fallbackPath: string, produce: function(string): Promise<number>}):
+ *              Promise<{file: string, encodeTime: number, cached: boolean}>,
+ *            value: function(string, Object, function(): Promise<{value: *, computeSeconds: number}>): Promise<*>,
+ *            keyOf: function(string): string|null,
+ *            stats: function(): Object,
+ *            scope: function(): Object}}
+ *          file() 的 produce 接收输出路径并返回编码耗时（秒）；value() 的 compute 返回计算结果与
+ *          计算本身的耗时（秒，不含在调度器中排队的时间）；keyOf() 返回缓存内文件的键，
+ *          不在缓存中时返回 null；scope() 返回共享存储、单独计数的视图（同时计入上层统计）
+ *
+ * @example
+ * const cache = createEncodeCache({ cacheDir: './cache' });
+ * const { file } = await cache.file(
+ *   'reference',
+ *   { source: './video.mp4', height: 1080 },
+ *   { fallbackPath: './tmp/ref.mp4', produce: (out) => encodeTo(out) }
+ * );
+ */
+export function createEncodeCache({ cacheDir, enabled = true } = {}) {
+  if (!enabled || !cacheDir) {
+    return NO_CACHE;
+  }
+
+  const root = resolve(cacheDir);
+  const indexPath = join(root, "sources.json");
+  const sourceHashes = new Map();
+  const inflight = new Map();
+  let sourceIndex = null;
+
+  function sourceHash(file) {
+    const path = resolve(file);
+    const { size, mtimeMs } = statSync(path);
+    const stamp = `${path}|${size}|${mtimeMs}`;
+    if (!sourceHashes.has(stamp)) {
+      sourceHashes.set(
+        stamp,
+        (async () => {
+          sourceIndex ??= readJsonFile(indexPath) ?? {};
+          const saved = sourceIndex[path];
+          if (saved?.size === size && saved?.mtimeMs === mtimeMs) {
+            return saved.sha256;
+          }
+          const hash = await hashFileContents(path);
+          sourceIndex[path] = { size, mtimeMs, sha256: hash };
+          mkdirSync(root, { recursive: true });
+          writeFileSync(indexPath, JSON.stringify(sourceIndex, null, 2));
+          return hash;
+        })()
+      );
+    }
+    return sourceHashes.get(stamp);
+  }
+
+  async function resolveEntry(kind, params) {
+    const keyParams =
+      params.source === undefined
+        ? params
+        : { ...params, source: await sourceHash(params.source) };
+    const key = sha256(
+      canonicalJson({ version: CACHE_FORMAT_VERSION, kind, params: keyParams })
+    );
+    return { key, keyParams, dir: join(root, kind) };
+  }
+
+  // 同一进程内的并发请求共享同一次生成
+  // Concurrent requests in this process share a single production
+  function produceOnce(key, factory) {
+    if (inflight.has(key)) {
+      return { shared: true, promise: inflight.get(key) };
+    }
+    const promise = factory().finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return { shared: false, promise };
+  }
+
+  function keyOf(file) {
+    const path = resolve(file);
+    if (!path.startsWith(root + sep)) {
+      return null;
+    }
+    const key = basename(path).replace(/\.[^.]+$/, "");
+    return existsSync(join(dirname(path), `${key}.meta.json`)) ? key : null;
+  }
+
+  const createView = (counters, parents) => {
+    const tally = (kind, hit, seconds = 0) => {
+      for (const c of [counters, ...parents]) {
+        recordLookup(c, kind, hit, seconds);
+      }
+    };
+
+    return {
+      enabled: true,
+      cacheDir: root,
+
+      async file(kind, params, { fallbackPath, produce }) {
+        const { key, keyParams, dir } = await resolveEntry(kind, params);
+        const ext = (fallbackPath && extname(fallbackPath)) || ".mp4";
+        const dataPath = join(dir, `${key}${ext}`);
+        const metaPath = join(dir, `${key}.meta.json`);
+        const meta = readJsonFile(metaPath);
+        if (meta && existsSync(dataPath) && statSync(dataPath).size > 0) {
+          tally(kind, true, meta.encodeTime);
+          return { file: dataPath, encodeTime: meta.encodeTime, cached: true };
+        }
+
+        const { shared, promise } = produceOnce(key, async () => {
+          mkdirSync(dir, { recursive: true });
+          const partialPath = join(dir, `${key}.partial${ext}`);
+          const encodeTime = await produce(partialPath);
+          renameSync(partialPath, dataPath);
+          writeFileSync(
+            metaPath,
+            JSON.stringify(
+              {
+                kind,
+                params: keyParams,
+                encodeTime,
+                createdAt: new Date().toISOString(),
+              },
+              null,
+              2
+            )
+          );
+          return encodeTime;
+        });
+        const encodeTime = await promise;
+        tally(kind, shared, encodeTime);
+        return { file: dataPath, encodeTime, cached: shared };
+      },
+
+      async value(kind, params, compute) {
+        const { key, keyParams, dir } = await resolveEntry(kind, params);
+        const valuePath = join(dir, `${key}.json`);
+        const saved = readJsonFile(valuePath);
+        if (saved && "value" in saved) {
+          tally(kind, true, saved.computeSeconds);
+          return saved.value;
+        }
+
+        const { shared, promise } = produceOnce(key, async () => {
+          // 耗时由 compute 在任务内部测得，不含排队时间
+          // compute times itself inside the job, so queue wait is not counted
+          const { value, computeSeconds } = await compute();
+          mkdirSync(dir, { recursive: true });
+          writeFileSync(
+            valuePath,
+            JSON.stringify(
+              {
+                kind,
+                params: keyParams,
+                value,
+                computeSeconds,
+                createdAt: new Date().toISOString(),
+              },
+              null,
+              2
+            )
+          );
+          return { value, computeSeconds };
+        });
+        const { value, computeSeconds } = await promise;
+        tally(kind, shared, computeSeconds);
+        return value;
+      },
+
+      keyOf,
+
+      stats() {
+        return summarizeCounters(counters);
+      },
+
+      scope() {
+        return createView(createCounters(), [counters, ...parents]);
+      },
+    };
+  };
+
+  return createView(createCounters(), []);
+}
@@ -6,30 +6,38 @@
  * Manage parameter configurations for different encoders
  */
 
-import { execSync } from "node:child_process";
 import { join } from "node:path";
+import { getCrfEncoderArgs } from "./baseline_crf_encode.mjs";
+import { getContainerFormat } from "./container_format.mjs";
+import { NO_CACHE } from "./encode_cache.mjs";
+import {
+  buildVideoArgs,
+  colorTagArgs,
+  resolveEncoderProfile,
+} from "./encoder_profiles.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { getScaleFilter } from "./resolution_strategy.mjs";
+import { getGopFrames } from "./scene_detect.mjs";
 
 /**
  * 执行 Shell 命令并测量执行时间（带重试）
  *
  * @param {string} cmd - 要执行的命令
+ * @param {Object} [scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {string[]} [outputs] - 命令写出的文件，失败或取消时删除
  * @param {number} maxRetries - 最大重试次数
- * @returns {{output: string, timeSeconds: number}} 命令输出和执行时间（秒）
+ * @returns {Promise<{output: string, timeSeconds: number}>} 命令输出和执行时间（秒）
  */
-function sh(cmd, maxRetries = 2) {
+async function sh(cmd, scheduler, outputs = [], maxRetries = 2) {
   let lastError = null;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const startTime = Date.now();
-      const output = execSync(cmd, {
-        stdio: "pipe",
-        shell: "/bin/bash",
-        timeout: 300000, // 5分钟超时
-      }).toString("utf8");
-      const endTime = Date.now();
-      const timeSeconds = (endTime - startTime) / 1000;
-      return { output, timeSeconds };
+      return await runCommand(cmd, {
+        scheduler,
+        outputs,
+        timeoutMs: 300000, // 5分钟超时
+      });
     } catch (error) {
       lastError = error;
 
@@ -42,7 +50,7 @@ function sh(cmd, maxRetries = 2) {
             }/${maxRetries})...`
           );
           // 等待一小段时间后重试
-          execSync("sleep 0.5", { stdio: "pipe" });
+          await new Promise((resolve) => setTimeout(resolve, 500));
           continue;
         }
       }
@@ -55,22 +63,54 @@ function sh(cmd, maxRetries = 2) {
   throw lastError;
 }
 
+/**
+ * 参考视频的视频参数
+ *
+ * 8 位 SDR 使用 libx264 CRF 10（接近无损）；10 位与 HDR 使用 libx264 无损（-qp 0）的
+ * yuv420p10le 并写入色彩标记，避免参考本身损失位深或被当作 SDR 解读。
+ * 无损编码的体积主要取决于预设，速度优先使用 veryfast。
+ *
+ * @param {Object} [color] - 色彩配置（见 color_config.mjs）
+ * @returns {{videoArgs: string, cacheParams: Object}} cacheParams 为参考缓存键的附加字段，
+ *          8 位 SDR 时为空对象，使已有缓存保持有效
+ */
+function referenceVideoArgs(color) {
+  if (!color || color.mode === "sdr") {
+    return {
+      videoArgs: "-c:v libx264 -preset veryslow -crf 10 -pix_fmt yuv420p",
+      cacheParams: {},
+    };
+  }
+  const videoArgs = [
+    "-c:v libx264 -preset veryfast -qp 0 -pix_fmt yuv420p10le",
+    colorTagArgs(color),
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return { videoArgs, cacheParams: { videoArgs } };
+}
+
 /**
  * 编码高质量参考视频片段
  *
- * 使用 libx264 编码器和 CRF 10 生成接近无损的参考视频，用于 VMAF 质量对比。
- * 参考片段质量极高，作为质量评估的基准。
+ * 使用 libx264 编码器和 CRF 10 生成接近无损的参考视频（10 位与 HDR 为无损，见 referenceVideoArgs()），
+ * 用于 VMAF 质量对比。参考片段质量极高，作为质量评估的基准。参考片段只取决于片源、时间范围、
+ * 高度与色彩配置，启用缓存时在不同编码器、不同运行之间复用。
  *
  * @param {Object} params - 编码参数
  * @param {string} params.inputFile - 输入视频文件路径
  * @param {number} params.start - 片段起始时间（秒）
  * @param {number} params.dur - 片段持续时间（秒）
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
  * @param {string} params.tmpDir - 临时文件目录路径
- * @returns {string} 参考视频文件路径
+ * @param {Object} [params.color] - 色彩配置（见 color_config.mjs），缺省为 8 位 SDR
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），缺省时不缓存
+ * @returns {Promise<{file: string, encodeTime: number}>} 参考视频文件路径和编码时间（秒）
  *
  * @example
- * const refFile = encodeReference({
+ * const { file: refFile } = await encodeReference({
  *   inputFile: './video.mp4',
  *   start: 0,
  *   dur: 8,
@@ -79,28 +119,108 @@ function sh(cmd, maxRetries = 2) {
  * });
  * // 返回: './tmp/ref_0p000.mp4'
  */
-export function encodeReference({ inputFile, start, dur, height, tmpDir }) {
-  const refOut = join(tmpDir, `ref_${start.toFixed(3).replace(".", "p")}.mp4`);
-  const { timeSeconds } = sh(
-    `ffmpeg -y -hide_banner -ss ${start} -t ${dur} -i "${inputFile}" ` +
-      `-vf "scale=-2:${height}" ` +
-      `-c:v libx264 -preset veryslow -crf 10 -pix_fmt yuv420p ` +
-      `-c:a aac -b:a 192k "${refOut}"`
+export async function encodeReference({
+  inputFile,
+  start,
+  dur,
+  height,
+  ladderBasis,
+  tmpDir,
+  color,
+  scheduler,
+  cache = NO_CACHE,
+}) {
+  const { videoArgs, cacheParams } = referenceVideoArgs(color);
+  const scale = getScaleFilter(inputFile, height, ladderBasis);
+  const { file, encodeTime } = await cache.file(
+    "reference_segment",
+    {
+      source: inputFile,
+      start,
+      dur,
+      height,
+      ...cacheParams,
+      ...scale.cacheParams,
+    },
+    {
+      fallbackPath: join(
+        tmpDir,
+        `ref_${start.toFixed(3).replace(".", "p")}.mp4`
+      ),
+      produce: async (refOut) => {
+        const { timeSeconds } = await sh(
+          `ffmpeg -y -hide_banner -ss ${start} -t ${dur} -i "${inputFile}" ` +
+            `-vf "${scale.filter}" ` +
+            `${videoArgs} -an "${refOut}"`,
+          scheduler,
+          [refOut]
+        );
+        return timeSeconds;
+      },
+    }
   );
-  return { file: refOut, encodeTime: timeSeconds };
+  return { file, encodeTime };
 }
 
 /**
- * 获取指定编码器的 FFmpeg 视频参数
+ * 编码整片高质量参考视频
+ *
+ * 与 encodeReference() 相同的参考参数，作用于整个片源。per_scene、baseline_crf
+ * 与 per_title 都以它作为整片 VMAF 的参考，启用缓存时同一片源、同一高度与色彩配置只编码一次。
  *
- * 根据编码器类型和实现方式（CPU/NVENC）生成对应的 FFmpeg 命令行参数。
+ * @param {Object} params - 编码参数
+ * @param {string} params.inputFile - 输入视频文件路径
+ * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义
+ * @param {string} params.outFile - 未启用缓存时的输出路径
+ * @param {Object} [params.color] - 色彩配置（见 color_config.mjs），缺省为 8 位 SDR
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），缺省时不缓存
+ * @returns {Promise<{file: string, encodeTime: number}>} 参考视频文件路径和编码时间（秒）
+ */
+export async function encodeFullReference({
+  inputFile,
+  height,
+  ladderBasis,
+  outFile,
+  color,
+  scheduler,
+  cache = NO_CACHE,
+}) {
+  const { videoArgs, cacheParams } = referenceVideoArgs(color);
+  const scale = getScaleFilter(inputFile, height, ladderBasis);
+  const { file, encodeTime } = await cache.file(
+    "reference",
+    { source: inputFile, height, ...cacheParams, ...scale.cacheParams },
+    {
+      fallbackPath: outFile,
+      produce: async (refOut) => {
+        const { timeSeconds } = await runCommand(
+          `ffmpeg -y -hide_banner -i "${inputFile}" ` +
+            `-vf "${scale.filter}" ` +
+            `${videoArgs} -an "${refOut}"`,
+          { scheduler, outputs: [refOut] }
+        );
+        return timeSeconds;
+      },
+    }
+  );
+  return { file, encodeTime };
+}
+
+/**
+ * 获取指定编码器的 FFmpeg 视频参数（按码率编码）
+ *
+ * 根据编码器类型、实现方式（CPU/NVENC）与配置档生成对应的 FFmpeg 命令行参数。
  * 支持多种编码器：H.264、H.265、VP9、AV1 的 CPU 和 NVENC 实现。
+ * NVENC 另外限制峰值码率（1.2 倍）与缓冲区（2.5 倍）。
  *
  * @param {Object} params - 编码器配置参数
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
  * @param {number} params.bitrateKbps - 目标码率 (kbps)
  * @param {number} params.gopFrames - GOP 帧数
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
  * @returns {string|null} FFmpeg 视频参数字符串，不支持的组合返回 null
  *
  * @example
@@ -117,105 +237,52 @@ export function getEncoderArgs({
   implementation,
   bitrateKbps,
   gopFrames,
+  profile = resolveEncoderProfile(null, codec, implementation),
 }) {
-  if (implementation === "cpu") {
-    return getCpuEncoderArgs(codec, bitrateKbps, gopFrames);
-  }
-
-  if (implementation === "nvenc") {
-    return getNvencEncoderArgs(codec, bitrateKbps, gopFrames);
-  }
-
-  return null;
-}
-
-/**
- * 获取 CPU 软件编码器的参数
- *
- * 为 CPU 软件编码器生成优化的 FFmpeg 参数，支持 H.264、H.265、VP9、AV1。
- *
- * @param {string} codec - 编码器名称
- * @param {number} bitrateKbps - 目标码率 (kbps)
- * @param {number} gopFrames - GOP 帧数
- * @returns {string|null} FFmpeg 参数字符串，不支持的编码器返回 null
- */
-function getCpuEncoderArgs(codec, bitrateKbps, gopFrames) {
-  const commonArgs = `-pix_fmt yuv420p -g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0`;
-
-  switch (codec) {
-    case "libx264":
-      return `-c:v libx264 -preset slow -b:v ${bitrateKbps}k ${commonArgs} -bf 3`;
-
-    case "libx265":
-      return `-c:v libx265 -preset slow -b:v ${bitrateKbps}k ${commonArgs} -bf 3`;
-
-    case "libvpx-vp9":
-      return `-c:v libvpx-vp9 -b:v ${bitrateKbps}k -deadline good -cpu-used 1 ${commonArgs}`;
-
-    case "libsvtav1":
-      return `-c:v libsvtav1 -cpu-used 4 -b:v ${bitrateKbps}k ${commonArgs}`;
-
-    default:
-      return null;
-  }
-}
-
-/**
- * 获取 NVENC 硬件编码器的参数
- *
- * 为 NVIDIA NVENC 硬件编码器生成 FFmpeg 参数。
- * 支持 H.264 (h264_nvenc)、H.265 (hevc_nvenc) 和 AV1 (av1_nvenc)。
- * 注意：VP9 不支持 NVENC；AV1 NVENC 需要 RTX 40 系列或更新的 GPU。
- *
- * @param {string} codec - 编码器名称 (libx264, libx265, libaom-av1)
- * @param {number} bitrateKbps - 目标码率 (kbps)
- * @param {number} gopFrames - GOP 帧数
- * @returns {string|null} FFmpeg 参数字符串，不支持的编码器返回 null
- */
-function getNvencEncoderArgs(codec, bitrateKbps, gopFrames) {
-  const maxrate = Math.round(bitrateKbps * 1.2);
-  const bufsize = Math.round(bitrateKbps * 2.5);
-  const commonArgs = `-pix_fmt yuv420p -g ${gopFrames} -bf 3`;
-
-  switch (codec) {
-    case "libx264":
-      return `-c:v h264_nvenc -preset slow -b:v ${bitrateKbps}k -maxrate ${maxrate}k -bufsize ${bufsize}k ${commonArgs}`;
-
-    case "libx265":
-      return `-c:v hevc_nvenc -preset slow -b:v ${bitrateKbps}k -maxrate ${maxrate}k -bufsize ${bufsize}k ${commonArgs}`;
-
-    case "libaom-av1":
-      // AV1 NVENC 需要 RTX 40 系列或更新的 GPU
-      // 使用 p5 预设（较快速度）而非 slow（NVENC 预设不同于 CPU）
-      return `-c:v av1_nvenc -preset p5 -b:v ${bitrateKbps}k -maxrate ${maxrate}k -bufsize ${bufsize}k ${commonArgs}`;
-
-    default:
-      return null; // VP9 不支持 NVENC
-  }
+  const rateArgs =
+    implementation === "nvenc"
+      ? `-b:v ${bitrateKbps}k -maxrate ${Math.round(
+          bitrateKbps * 1.2
+        )}k -bufsize ${Math.round(bitrateKbps * 2.5)}k`
+      : `-b:v ${bitrateKbps}k`;
+  return buildVideoArgs({
+    codec,
+    implementation,
+    profile,
+    rateArgs,
+    gopFrames,
+  });
 }
 
 /**
  * 编码测试视频片段
  *
- * 使用指定的编码器、码率和参数编码视频片段，用于码率探测或最终输出。
- * 自动计算 GOP 帧数，添加音频编码，并优化输出文件。
+ * 使用指定的编码器、码率（或 CRF）和参数编码视频片段，用于码率探测、CRF 探测或最终输出。
+ * 自动计算 GOP 帧数，只输出视频（探测只比较画质，音轨见 audio_track.mjs），按组合的容器封装，
+ * 使探测候选与最终交付的文件格式一致。
  *
  * @param {Object} params - 编码参数
  * @param {string} params.inputFile - 输入视频文件路径
  * @param {number} params.start - 片段起始时间（秒）
  * @param {number} params.dur - 片段持续时间（秒）
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
- * @param {number} params.bitrateKbps - 目标码率 (kbps)
+ * @param {number} [params.bitrateKbps] - 目标码率 (kbps)，与 crf 二选一
+ * @param {number} [params.crf] - CRF 值（NVENC 为 CQ）；给出时按质量编码并忽略 bitrateKbps
  * @param {number} params.gopSec - GOP 时长（秒）
- * @param {number} params.audioKbps - 音频码率 (kbps)
  * @param {string} params.tmpDir - 临时文件目录路径
- * @returns {{file: string, encodeTime: number}} 编码后的视频文件路径和编码时间（秒）
+ * @param {string} [params.container="mp4"] - 输出容器（见 container_format.mjs）
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs）；键包含完整的视频参数，
+ *        缺省时不缓存
+ * @returns {Promise<{file: string, encodeTime: number}>} 编码后的视频文件路径和编码时间（秒）
  * @throws {Error} 不支持的编码器/实现组合时抛出错误
  *
  * @example
- * const result = encodeSegment({
+ * const result = await encodeSegment({
  *   inputFile: './video.mp4',
  *   start: 0,
  *   dur: 8,
@@ -224,49 +291,80 @@ function getNvencEncoderArgs(codec, bitrateKbps, gopFrames) {
  *   implementation: 'cpu',
  *   bitrateKbps: 2500,
  *   gopSec: 2,
- *   audioKbps: 128,
  *   tmpDir: './tmp'
  * });
  * // result: { file: './tmp/...mp4', encodeTime: 12.5 }
  */
-export function encodeSegment({
+export async function encodeSegment({
   inputFile,
   start,
   dur,
   height,
+  ladderBasis,
   codec,
   implementation,
   bitrateKbps,
+  crf,
   gopSec,
-  audioKbps,
   tmpDir,
+  container = "mp4",
+  profile,
+  scheduler,
+  cache = NO_CACHE,
 }) {
-  const gopFrames = Math.max(1, Math.round(gopSec * 30));
-  const outFile = join(
+  const gopFrames = getGopFrames(inputFile, gopSec);
+  const scale = getScaleFilter(inputFile, height, ladderBasis);
+  const format = getContainerFormat(container, codec);
+  const rateTag = crf === undefined ? `${bitrateKbps}k` : `crf${crf}`;
+  const fallbackPath = join(
     tmpDir,
     `cand_${start
       .toFixed(3)
-      .replace(".", "p")}_${bitrateKbps}k_${codec}_${implementation}.mp4`
+      .replace(".", "p")}_${rateTag}_${codec}_${implementation}${format.ext}`
   );
 
-  const videoArgs = getEncoderArgs({
-    codec,
-    implementation,
-    bitrateKbps,
-    gopFrames,
-  });
+  const videoArgs =
+    crf === undefined
+      ? getEncoderArgs({
+          codec,
+          implementation,
+          bitrateKbps,
+          gopFrames,
+          profile,
+        })
+      : getCrfEncoderArgs(codec, implementation, crf, gopFrames, profile);
   if (!videoArgs) {
     throw new Error(
       `Unsupported codec/implementation: ${codec}/${implementation}`
     );
   }
 
-  const { timeSeconds } = sh(
-    `ffmpeg -y -hide_banner -ss ${start} -t ${dur} -i "${inputFile}" ` +
-      `-vf "scale=-2:${height}" ` +
-      `${videoArgs} ` +
-      `-c:a aac -b:a ${audioKbps}k -movflags +faststart "${outFile}"`
+  return cache.file(
+    "probe",
+    {
+      source: inputFile,
+      start,
+      dur,
+      height,
+      codec,
+      implementation,
+      videoArgs,
+      ...scale.cacheParams,
+      ...format.cacheParams,
+    },
+    {
+      fallbackPath,
+      produce: async (outFile) => {
+        const { timeSeconds } = await sh(
+          `ffmpeg -y -hide_banner -ss ${start} -t ${dur} -i "${inputFile}" ` +
+            `-vf "${scale.filter}" ` +
+            `${videoArgs} ` +
+            `-an ${format.muxArgs} "${outFile}"`,
+          scheduler,
+          [outFile]
+        );
+        return timeSeconds;
+      },
+    }
   );
-
-  return { file: outFile, encodeTime: timeSeconds };
 }
@@ -0,0 +1,247 @@
+/**
+ * 编码器配置档模块
+ * Encoder Profiles Module
+ *
+ * 按编码器与实现方式管理预设、tune、像素格式、B 帧与附加参数，供探测、最终编码与基准编码共用
+ * Manage preset, tune, pixel format, B-frames and extra arguments per codec and implementation,
+ * shared by probing, final export and baseline encodes
+ */
+
+/**
+ * 各编码器在不同实现方式下对应的 FFmpeg 编码器名称；不在表中的组合不受支持
+ */
+const ENCODER_NAMES = {
+  cpu: {
+    libx264: "libx264",
+    libx265: "libx265",
+    "libvpx-vp9": "libvpx-vp9",
+    libsvtav1: "libsvtav1",
+  },
+  nvenc: {
+    libx264: "h264_nvenc",
+    libx265: "hevc_nvenc",
+    // AV1 NVENC 需要 RTX 40 系列或更新的 GPU
+    "libaom-av1": "av1_nvenc",
+  },
+};
+
+const NVENC_PROFILE = { preset: "p5", bframes: 3 };
+
+// h264_nvenc 不支持 10 位编码
+// h264_nvenc cannot encode 10-bit video
+const NVENC_8BIT_ONLY = new Set(["libx264"]);
+
+/**
+ * 缺省配置档
+ *
+ * 字段：preset（预设或速度档位）、tune、pixFmt（缺省按色彩配置的位深选择）、
+ * bframes（-bf，未设置时不传）、extraArgs（追加在视频参数末尾的原样参数）。
+ */
+export const DEFAULT_ENCODER_PROFILES = Object.freeze({
+  libx264: {
+    cpu: { preset: "slow", bframes: 3 },
+    nvenc: NVENC_PROFILE,
+  },
+  libx265: {
+    cpu: { preset: "slow", bframes: 3 },
+    nvenc: NVENC_PROFILE,
+  },
+  "libvpx-vp9": {
+    cpu: { preset: 1 },
+  },
+  libsvtav1: {
+    cpu: { preset: 4 },
+  },
+  "libaom-av1": {
+    nvenc: NVENC_PROFILE,
+  },
+});
+
+/**
+ * 配置档中 preset 对应的编码器参数
+ *
+ * libvpx-vp9 的速度档位为 -cpu-used（固定使用 -deadline good），其余编码器使用 -preset
+ */
+function presetArgs(codec, implementation, preset) {
+  if (implementation === "cpu" && codec === "libvpx-vp9") {
+    return `-deadline good -cpu-used ${preset}`;
+  }
+  return `-preset ${preset}`;
+}
+
+/**
+ * 按位深选择缺省像素格式：8 位为 yuv420p，10 位 CPU 编码器为 yuv420p10le、NVENC 为 p010le
+ */
+function defaultPixFmt(implementation, bitDepth) {
+  if (bitDepth > 8) {
+    return implementation === "nvenc" ? "p010le" : "yuv420p10le";
+  }
+  return "yuv420p";
+}
+
+/**
+ * 返回某个编码器与实现方式的生效配置档
+ *
+ * 以缺省配置档为基础，逐字段覆盖 experiment_matrix.json 中 encoderProfiles[codec][implementation]
+ * 的取值。给出非 sdr 的色彩配置时，缺省像素格式改为 10 位，色彩配置记录在 color 字段中，
+ * 由 buildVideoArgs() 写入色彩标记与 HDR 元数据。
+ *
+ * @param {Object} [encoderProfiles] - 配置中的 encoderProfiles
+ * @param {string} codec - 编码器名称
+ * @param {string} implementation - 实现方式 ('cpu' 或 'nvenc')
+ * @param {Object} [color] - resolveColorConfig() 的结果（见 color_config.mjs），缺省为 8 位 SDR
+ * @returns {{preset?: string|number, tune?: string, pixFmt: string, bframes?: number, extraArgs?: string,
+ *            color?: Object}} 生效配置档
+ *
+ * @example
+ * resolveEncoderProfile({ libx264: { cpu: { preset: 'medium', tune: 'film' } } }, 'libx264', 'cpu');
+ * // 返回: { pixFmt: 'yuv420p', preset: 'medium', bframes: 3, tune: 'film' }
+ */
+export function resolveEncoderProfile(
+  encoderProfiles,
+  codec,
+  implementation,
+  color
+) {
+  const highBitDepth = color && color.mode !== "sdr";
+  return {
+    pixFmt: defaultPixFmt(implementation, color?.bitDepth ?? 8),
+    ...DEFAULT_ENCODER_PROFILES[codec]?.[implementation],
+    ...encoderProfiles?.[codec]?.[implementation],
+    ...(highBitDepth && { color }),
+  };
+}
+
+/**
+ * 色彩标记参数（-color_primaries、-color_trc、-colorspace、-color_range），未标记的字段不传
+ *
+ * @param {Object} [color] - 色彩配置
+ * @returns {string} FFmpeg 参数字符串
+ */
+export function colorTagArgs(color) {
+  return [
+    color?.colorPrimaries && `-color_primaries ${color.colorPrimaries}`,
+    color?.colorTransfer && `-color_trc ${color.colorTransfer}`,
+    color?.colorSpace && `-colorspace ${color.colorSpace}`,
+    color?.colorRange && `-color_range ${color.colorRange}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * 母版显示与内容亮度元数据的编码器私有参数
+ *
+ * x265 的 master-display 以 0.00002（色度坐标）与 0.0001 cd/m²（亮度）为单位取整数，
+ * SVT-AV1 直接使用小数；其余编码器只写色彩标记。
+ *
+ * @returns {{x265Params: string[], svtav1Params: string[]}}
+ */
+function hdrMetadataParams(codec, implementation, color) {
+  const x265Params = [];
+  const svtav1Params = [];
+  if (implementation !== "cpu" || color?.mode !== "hdr") {
+    return { x265Params, svtav1Params };
+  }
+  const { masteringDisplay: md, contentLightLevel: cll } = color;
+  if (codec === "libx265") {
+    x265Params.push("hdr10=1");
+    if (md) {
+      const xy = ([x, y]) =>
+        `(${Math.round(x * 50000)},${Math.round(y * 50000)})`;
+      x265Params.push(
+        `master-display=G${xy(md.green)}B${xy(md.blue)}R${xy(md.red)}` +
+          `WP${xy(md.whitePoint)}L(${Math.round(
+            md.maxLuminance * 10000
+          )},${Math.round(md.minLuminance * 10000)})`
+      );
+    }
+    if (cll) {
+      x265Params.push(`max-cll=${cll.maxCll},${cll.maxFall}`);
+    }
+  } else if (codec === "libsvtav1") {
+    if (md) {
+      const xy = ([x, y]) => `(${x.toFixed(4)},${y.toFixed(4)})`;
+      svtav1Params.push(
+        `mastering-display=G${xy(md.green)}B${xy(md.blue)}R${xy(md.red)}` +
+          `WP${xy(md.whitePoint)}L(${md.maxLuminance.toFixed(
+            4
+          )},${md.minLuminance.toFixed(4)})`
+      );
+    }
+    if (cll) {
+      svtav1Params.push(`content-light=${cll.maxCll},${cll.maxFall}`);
+    }
+  }
+  return { x265Params, svtav1Params };
+}
+
+/**
+ * 按配置档拼接视频编码参数
+ *
+ * 参数顺序：-c:v、预设、tune、码率控制参数、像素格式、色彩标记、GOP（CPU 编码器另外固定 GOP 长度并
+ * 关闭场景切换关键帧）、B 帧、编码器私有参数（x265-params / svtav1-params）、附加参数。
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.codec - 编码器名称
+ * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
+ * @param {Object} params.profile - resolveEncoderProfile() 的结果
+ * @param {string} params.rateArgs - 码率控制参数（如 "-b:v 2500k"、"-crf 23"）
+ * @param {number} params.gopFrames - GOP 帧数
+ * @param {string[]} [params.x265Params] - 额外的 x265-params 项（如两遍编码的 pass 与 stats），
+ *        与 HDR 元数据合并为一个 -x265-params
+ * @returns {string|null} FFmpeg 视频参数字符串，不支持的组合（包括 h264_nvenc 的 10 位编码）返回 null
+ *
+ * @example
+ * buildVideoArgs({
+ *   codec: 'libx264',
+ *   implementation: 'cpu',
+ *   profile: resolveEncoderProfile(undefined, 'libx264', 'cpu'),
+ *   rateArgs: '-b:v 2500k',
+ *   gopFrames: 60
+ * });
+ * // 返回: "-c:v libx264 -preset slow -b:v 2500k -pix_fmt yuv420p -g 60 -keyint_min 60 -sc_threshold 0 -bf 3"
+ */
+export function buildVideoArgs({
+  codec,
+  implementation,
+  profile,
+  rateArgs,
+  gopFrames,
+  x265Params = [],
+}) {
+  const encoderName = ENCODER_NAMES[implementation]?.[codec];
+  if (!encoderName) {
+    return null;
+  }
+  if (
+    implementation === "nvenc" &&
+    NVENC_8BIT_ONLY.has(codec) &&
+    profile.color?.bitDepth > 8
+  ) {
+    return null;
+  }
+  const hdrParams = hdrMetadataParams(codec, implementation, profile.color);
+  const allX265Params = [...hdrParams.x265Params, ...x265Params];
+  const gopArgs =
+    implementation === "cpu"
+      ? `-g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0`
+      : `-g ${gopFrames}`;
+  return [
+    `-c:v ${encoderName}`,
+    profile.preset !== undefined &&
+      presetArgs(codec, implementation, profile.preset),
+    profile.tune && `-tune ${profile.tune}`,
+    rateArgs,
+    `-pix_fmt ${profile.pixFmt}`,
+    colorTagArgs(profile.color),
+    gopArgs,
+    profile.bframes !== undefined && `-bf ${profile.bframes}`,
+    allX265Params.length > 0 && `-x265-params "${allX265Params.join(":")}"`,
+    hdrParams.svtav1Params.length > 0 &&
+      `-svtav1-params "${hdrParams.svtav1Params.join(":")}"`,
+    profile.extraArgs,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
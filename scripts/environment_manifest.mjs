@@ -0,0 +1,326 @@
+/**
+ * 环境清单模块
+ * Environment Manifest Module
+ *
+ * 记录 ffmpeg 构建、编码库版本、libvmaf 版本、主机 CPU、Node 版本与生效配置，
+ * 并在比较两份摘要时提示环境不一致
+ * Record the ffmpeg build, encoder library versions, libvmaf version, host CPU, Node version
+ * and the effective config, and warn when two compared summaries come from different environments
+ */
+
+import { execSync } from "node:child_process";
+import { existsSync, readFileSync, rmSync } from "node:fs";
+import { cpus, hostname, release, tmpdir, totalmem, type } from "node:os";
+import { basename, dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildModelArg } from "./vmaf_calculator.mjs";
+
+const MANIFEST_VERSION = 1;
+
+// 探测命令只编码极小的测试图像，设置超时避免 ffmpeg 异常时卡住实验
+// Probe commands only encode a tiny test pattern; the timeout keeps a broken ffmpeg from hanging the run
+const PROBE_TIMEOUT_MS = 20000;
+
+/**
+ * 各编码器版本号在探测输出中的位置
+ *
+ * x264/x265 把版本写在码流的 SEI 中，其余编码器在 verbose 日志中打印版本
+ */
+const ENCODER_VERSION_PATTERNS = {
+  libx264: /x264 - core (\d+(?: r\d+)?)/,
+  libx265: /HEVC encoder version (\S+)/,
+  "libvpx-vp9": /\[libvpx-vp9 @ [^\]]+\] (v\d\S*)/,
+  libsvtav1: /SVT-AV1 Encoder Lib (v?\d\S*)/,
+  "libaom-av1": /\[libaom-av1 @ [^\]]+\] (v?\d\S*)/,
+};
+
+// 不影响编码结果的配置字段：矩阵范围、目录与并发数，比较时忽略
+// Config fields that do not affect results (matrix scope, directories, concurrency) are ignored when comparing
+const CONFIG_FIELDS_IGNORED_IN_COMPARISON = new Set([
+  "modes",
+  "modesDir",
+  "codecs",
+  "heightList",
+  "encoderImplementations",
+  "outputDir",
+  "workDir",
+  "cacheDir",
+  "useCache",
+  "maxParallelJobs",
+]);
+
+function probe(cmd, options = {}) {
+  try {
+    return execSync(cmd, {
+      stdio: "pipe",
+      shell: "/bin/bash",
+      timeout: PROBE_TIMEOUT_MS,
+      ...options,
+    }).toString(options.encoding ?? "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 解析 `ffmpeg -version` 与 `ffmpeg -buildconf` 的输出
+ *
+ * @returns {{version: string|null, builtWith: string|null, libraries: Object<string, string>,
+ *            buildconf: string[]}|null} ffmpeg 不可用时返回 null
+ */
+function probeFfmpegBuild() {
+  const versionText = probe("ffmpeg -hide_banner -version");
+  if (versionText === null) {
+    return null;
+  }
+  const libraries = {};
+  for (const line of versionText.split("\n")) {
+    const match = line.match(/^(lib\w+)\s+([\d.\s]+?)\s*\//);
+    if (match) {
+      libraries[match[1]] = match[2].replace(/\s+/g, "");
+    }
+  }
+  const buildconf = (probe("ffmpeg -hide_banner -buildconf") ?? "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith("--"));
+  return {
+    version: versionText.match(/ffmpeg version (\S+)/)?.[1] ?? null,
+    builtWith: versionText.match(/^built with (.+)$/m)?.[1] ?? null,
+    libraries,
+    buildconf,
+  };
+}
+
+/**
+ * 用一帧测试图像探测编码器的库版本
+ *
+ * @param {string} codec - 编码器名称
+ * @returns {string|null} 版本字符串；编码器不可用或无法识别时返回 null
+ */
+function probeEncoderVersion(codec) {
+  const pattern = ENCODER_VERSION_PATTERNS[codec];
+  if (!pattern) {
+    return null;
+  }
+  // 码流输出到 stdout 与日志合并，以便同时匹配 SEI 与日志中的版本
+  // The bitstream goes to stdout merged with the log so both SEI and log versions can match
+  const output = probe(
+    `ffmpeg -hide_banner -loglevel verbose -f lavfi -i testsrc=size=128x72:rate=1 ` +
+      `-frames:v 1 -c:v ${codec} -f matroska - 2>&1`,
+    { encoding: "latin1", maxBuffer: 16 * 1024 * 1024 }
+  );
+  return output?.match(pattern)?.[1] ?? null;
+}
+
+/**
+ * 对一帧测试图像运行 libvmaf，读取日志中的 libvmaf 版本
+ *
+ * @param {string} vmafModel - VMAF 模型文件或版本名称
+ * @returns {string|null} libvmaf 版本
+ */
+function probeLibvmafVersion(vmafModel) {
+  const logPath = join(
+    tmpdir(),
+    `vmaf_version_${process.pid}_${Date.now()}.json`
+  );
+  try {
+    const ok = probe(
+      `ffmpeg -hide_banner -loglevel error ` +
+        `-f lavfi -i testsrc=size=64x64:rate=1 -f lavfi -i testsrc=size=64x64:rate=1 ` +
+        `-frames:v 1 -lavfi "[0:v][1:v]libvmaf=${buildModelArg(
+          vmafModel
+        )}log_fmt=json:log_path='${logPath}'" -f null -`
+    );
+    if (ok === null || !existsSync(logPath)) {
+      return null;
+    }
+    return JSON.parse(readFileSync(logPath, "utf8")).version ?? null;
+  } catch {
+    return null;
+  } finally {
+    rmSync(logPath, { force: true });
+  }
+}
+
+function probeGpus() {
+  const output = probe(
+    "nvidia-smi --query-gpu=name,driver_version --format=csv,noheader"
+  );
+  if (output === null) {
+    return [];
+  }
+  return output
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      const [name, driverVersion] = line.split(",").map((s) => s.trim());
+      return { name, driverVersion };
+    });
+}
+
+/**
+ * 采集运行环境清单
+ *
+ * 依次运行 `ffmpeg -version`、`ffmpeg -buildconf`、每个编码器的一帧测试编码与一次 libvmaf，
+ * 结合 os.cpus() 等主机信息与生效配置生成清单。单项探测失败时该项记为 null，不会中断实验。
+ *
+ * @param {Object} params - 参数
+ * @param {Object} params.config - 合并默认值后的实验配置
+ * @param {{supported: boolean, encoders: string[]}} [params.nvencInfo] - NVENC 检测结果
+ * @returns {Object} 环境清单
+ */
+export function captureEnvironmentManifest({ config, nvencInfo }) {
+  const cpuList = cpus();
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    capturedAt: new Date().toISOString(),
+    host: {
+      hostname: hostname(),
+      os: `${type()} ${release()}`,
+      arch: process.arch,
+      cpuModel: cpuList[0]?.model.trim() ?? null,
+      cpuCount: cpuList.length,
+      cpuSpeedMHz: cpuList[0]?.speed ?? null,
+      totalMemoryBytes: totalmem(),
+      gpus: nvencInfo?.hasGpu ? probeGpus() : [],
+    },
+    node: process.version,
+    ffmpeg: probeFfmpegBuild(),
+    encoders: Object.fromEntries(
+      config.codecs.map((codec) => [codec, probeEncoderVersion(codec)])
+    ),
+    nvencEncoders: nvencInfo?.encoders ?? [],
+    libvmaf: {
+      version: probeLibvmafVersion(config.vmafModel),
+      model: config.vmafModel,
+    },
+    config,
+  };
+}
+
+/**
+ * 返回与摘要文件对应的环境清单路径（<name>_summary.json -> <name>_environment.json）
+ *
+ * @param {string} summaryPath - 摘要文件路径
+ * @returns {string} 环境清单路径
+ */
+export function environmentManifestPath(summaryPath) {
+  return join(
+    dirname(summaryPath),
+    `${basename(summaryPath).replace(
+      /_summary\.json$|\.json$/,
+      ""
+    )}_environment.json`
+  );
+}
+
+/**
+ * 读取摘要旁的环境清单
+ *
+ * @param {string} path - 摘要文件或环境清单文件路径
+ * @returns {Object|null} 环境清单；不存在时返回 null
+ */
+export function readEnvironmentManifest(path) {
+  const manifestPath = path.endsWith("_environment.json")
+    ? path
+    : environmentManifestPath(path);
+  if (!existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(readFileSync(manifestPath, "utf8"));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 比较两份环境清单中会影响结果可比性的字段
+ *
+ * 比较 ffmpeg 版本与构建参数、双方共有编码器的库版本、libvmaf 版本与模型、CPU 型号与核数、
+ * Node 版本以及影响编码结果的配置字段；主机名、采集时间以及矩阵范围、目录等配置不参与比较。
+ *
+ * @param {Object} a - 环境清单 A
+ * @param {Object} b - 环境清单 B
+ * @returns {Array<{field: string, a: *, b: *}>} 不一致的字段，一致时为空数组
+ */
+export function compareEnvironmentManifests(a, b) {
+  const fields = [
+    ["ffmpeg.version", (m) => m.ffmpeg?.version],
+    ["ffmpeg.buildconf", (m) => m.ffmpeg?.buildconf],
+    ["libvmaf.version", (m) => m.libvmaf?.version],
+    ["libvmaf.model", (m) => m.libvmaf?.model],
+    ["host.cpuModel", (m) => m.host?.cpuModel],
+    ["host.cpuCount", (m) => m.host?.cpuCount],
+    ["node", (m) => m.node],
+  ];
+  for (const codec of Object.keys(a.encoders ?? {})) {
+    if (codec in (b.encoders ?? {})) {
+      fields.push([`encoders.${codec}`, (m) => m.encoders[codec]]);
+    }
+  }
+  const configKeys = new Set([
+    ...Object.keys(a.config ?? {}),
+    ...Object.keys(b.config ?? {}),
+  ]);
+  for (const key of configKeys) {
+    if (!CONFIG_FIELDS_IGNORED_IN_COMPARISON.has(key)) {
+      fields.push([`config.${key}`, (m) => m.config?.[key]]);
+    }
+  }
+
+  return fields
+    .map(([field, pick]) => ({ field, a: pick(a), b: pick(b) }))
+    .filter(({ a: valueA, b: valueB }) => !sameValue(valueA, valueB));
+}
+
+/**
+ * 将不一致字段格式化为警告文本
+ *
+ * @param {Array<{field: string, a: *, b: *}>} mismatches - compareEnvironmentManifests() 的结果
+ * @param {string} labelA - A 的名称（如摘要文件名）
+ * @param {string} labelB - B 的名称
+ * @returns {string} 多行警告文本
+ */
+export function formatEnvironmentMismatches(mismatches, labelA, labelB) {
+  const describe = (value) =>
+    Array.isArray(value) && value.length > 3
+      ? `[${value.length} 项]`
+      : JSON.stringify(value);
+  return [
+    `⚠️  环境不一致，结果可能不可直接比较: ${labelA} ↔ ${labelB}`,
+    ...mismatches.map(
+      ({ field, a, b }) => `   ${field}: ${describe(a)} ↔ ${describe(b)}`
+    ),
+  ].join("\n");
+}
+
+function cliMain() {
+  const [pathA, pathB] = process.argv.slice(2);
+  if (!pathA || !pathB) {
+    console.error(
+      "用法: node ./scripts/environment_manifest.mjs <摘要A.json> <摘要B.json>"
+    );
+    process.exit(2);
+  }
+  const manifests = [pathA, pathB].map((path) => {
+    const manifest = readEnvironmentManifest(resolve(path));
+    if (!manifest) {
+      console.error(`找不到环境清单: ${environmentManifestPath(path)}`);
+      process.exit(2);
+    }
+    return manifest;
+  });
+  const mismatches = compareEnvironmentManifests(...manifests);
+  if (mismatches.length === 0) {
+    console.log(`环境一致: ${pathA} ↔ ${pathB}`);
+    return;
+  }
+  console.warn(formatEnvironmentMismatches(mismatches, pathA, pathB));
+}
+
+const thisFile = fileURLToPath(import.meta.url);
+if (process.argv[1] === thisFile) {
+  cliMain();
+}
@@ -0,0 +1,498 @@
+/**
+ * 分片 MP4 切分模块
+ * Fragmented MP4 Segmenter Module
+ *
+ * 把编码结果流复制为每个关键帧一个分片的 CMAF 文件，再按场景边界（或固定时长）把分片合并为
+ * 初始化段与媒体段，供 HLS 与 DASH 打包共用
+ * Remux an encode into CMAF with one fragment per keyframe, then group the fragments at scene
+ * boundaries (or a fixed duration) into an init segment and media segments shared by HLS and DASH
+ */
+
+import {
+  closeSync,
+  fstatSync,
+  mkdirSync,
+  openSync,
+  readdirSync,
+  readSync,
+  rmSync,
+  unlinkSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+import { codecsAttribute, probeCodecStrings } from "./codec_strings.mjs";
+import { getContainerFormat } from "./container_format.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { getDurationSeconds } from "./scene_detect.mjs";
+
+// 没有场景边界时（baseline、per_title 输出）媒体段的目标时长（秒）
+// Target media segment duration (seconds) when there are no scene boundaries (baseline, per_title outputs)
+export const DEFAULT_SEGMENT_SEC = 6;
+
+function readBytes(fd, offset, length) {
+  const buffer = Buffer.alloc(length);
+  readSync(fd, buffer, 0, length, offset);
+  return buffer;
+}
+
+/**
+ * 逐个读取 [start, end) 范围内的 box 头
+ *
+ * @returns {Array<{type: string, start: number, size: number, header: number}>}
+ */
+function scanBoxes(read, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const head = read(offset, Math.min(16, end - offset));
+    let size = head.readUInt32BE(0);
+    const type = head.toString("latin1", 4, 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(head.readBigUInt64BE(8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) {
+      break;
+    }
+    boxes.push({ type, start: offset, size, header });
+    offset += size;
+  }
+  return boxes;
+}
+
+function childBoxes(buffer, box) {
+  const read = (offset, length) => buffer.subarray(offset, offset + length);
+  return scanBoxes(read, box.start + box.header, box.start + box.size);
+}
+
+function findChild(buffer, box, type) {
+  return childBoxes(buffer, box).find((child) => child.type === type);
+}
+
+function payload(buffer, box) {
+  return buffer.subarray(box.start + box.header, box.start + box.size);
+}
+
+/**
+ * 从 moov 中读取指定类型（hdlr 为 vide 或 soun）轨道的 track_ID、时间刻度与 trex 缺省样本时长
+ */
+function readTrack(moov, handler) {
+  const root = { start: 0, size: moov.length, header: 8 };
+  const defaults = new Map();
+  const mvex = findChild(moov, root, "mvex");
+  for (const trex of mvex ? childBoxes(moov, mvex) : []) {
+    if (trex.type === "trex") {
+      const data = payload(moov, trex);
+      defaults.set(data.readUInt32BE(4), data.readUInt32BE(12));
+    }
+  }
+  for (const trak of childBoxes(moov, root)) {
+    if (trak.type !== "trak") {
+      continue;
+    }
+    const mdia = findChild(moov, trak, "mdia");
+    const hdlr = mdia && findChild(moov, mdia, "hdlr");
+    if (!hdlr || payload(moov, hdlr).toString("latin1", 8, 12) !== handler) {
+      continue;
+    }
+    const tkhd = payload(moov, findChild(moov, trak, "tkhd"));
+    const mdhd = payload(moov, findChild(moov, mdia, "mdhd"));
+    const trackId = tkhd.readUInt32BE(tkhd[0] === 1 ? 20 : 12);
+    return {
+      trackId,
+      timescale: mdhd.readUInt32BE(mdhd[0] === 1 ? 20 : 12),
+      defaultDuration: defaults.get(trackId) ?? 0,
+    };
+  }
+  return null;
+}
+
+/**
+ * 读取 moof 中指定轨道的起始解码时间与总时长（以轨道时间刻度计）
+ */
+function readFragmentTiming(moof, track) {
+  const root = { start: 0, size: moof.length, header: 8 };
+  for (const traf of childBoxes(moof, root)) {
+    if (traf.type !== "traf") {
+      continue;
+    }
+    const tfhd = payload(moof, findChild(moof, traf, "tfhd"));
+    if (tfhd.readUInt32BE(4) !== track.trackId) {
+      continue;
+    }
+    const tfhdFlags = tfhd.readUInt32BE(0) & 0xffffff;
+    let field = 8;
+    if (tfhdFlags & 0x01) field += 8;
+    if (tfhdFlags & 0x02) field += 4;
+    const defaultDuration =
+      tfhdFlags & 0x08 ? tfhd.readUInt32BE(field) : track.defaultDuration;
+
+    const tfdtBox = findChild(moof, traf, "tfdt");
+    const tfdt = tfdtBox && payload(moof, tfdtBox);
+    const baseTime = !tfdt
+      ? 0
+      : tfdt[0] === 1
+      ? Number(tfdt.readBigUInt64BE(4))
+      : tfdt.readUInt32BE(4);
+
+    let duration = 0;
+    for (const trunBox of childBoxes(moof, traf)) {
+      if (trunBox.type !== "trun") {
+        continue;
+      }
+      const trun = payload(moof, trunBox);
+      const flags = trun.readUInt32BE(0) & 0xffffff;
+      const sampleCount = trun.readUInt32BE(4);
+      let offset = 8;
+      if (flags & 0x01) offset += 4;
+      if (flags & 0x04) offset += 4;
+      const perSample =
+        [0x100, 0x200, 0x400, 0x800].filter((bit) => flags & bit).length * 4;
+      if (flags & 0x100) {
+        for (let i = 0; i < sampleCount; i++) {
+          duration += trun.readUInt32BE(offset + i * perSample);
+        }
+      } else {
+        duration += sampleCount * defaultDuration;
+      }
+    }
+    return { baseTime, duration };
+  }
+  return null;
+}
+
+/**
+ * 解析分片 MP4 的初始化段与各分片
+ *
+ * @param {string} file - 分片 MP4 文件路径
+ * @param {"vide"|"soun"} [handler="vide"] - 计时所依据的轨道类型：视频或音频
+ * @returns {{initSize: number, timescale: number,
+ *            fragments: Array<{offset: number, size: number, time: number, duration: number}>}}
+ *          time 与 duration 以该轨道的时间刻度计，time 已减去首个分片的起始时间
+ * @throws {Error} 文件不是分片 MP4 或没有该类型的轨道时抛出
+ */
+export function readFragments(file, handler = "vide") {
+  const fd = openSync(file, "r");
+  try {
+    const read = (offset, length) => readBytes(fd, offset, length);
+    const boxes = scanBoxes(read, 0, fstatSync(fd).size);
+    const moovBox = boxes.find((box) => box.type === "moov");
+    const track =
+      moovBox && readTrack(read(moovBox.start, moovBox.size), handler);
+    const firstMoof = boxes.findIndex((box) => box.type === "moof");
+    if (!track || firstMoof < 0) {
+      const error = new Error(
+        `不是含${handler === "soun" ? "音频" : "视频"}轨道的分片 MP4: ${file}`
+      );
+      error.file = file;
+      throw error;
+    }
+
+    const fragments = [];
+    for (let i = firstMoof; i < boxes.length; i++) {
+      const box = boxes[i];
+      if (box.type === "moof") {
+        const timing = readFragmentTiming(read(box.start, box.size), track);
+        fragments.push({
+          offset: box.start,
+          size: box.size,
+          time: timing?.baseTime ?? 0,
+          duration: timing?.duration ?? 0,
+        });
+      } else if (box.type !== "mfra" && fragments.length > 0) {
+        // mdat 等随分片一起输出；mfra 是文件尾的随机访问索引，不属于任何分片
+        // mdat and friends travel with their fragment; mfra is the trailing random access index
+        fragments.at(-1).size = box.start + box.size - fragments.at(-1).offset;
+      }
+    }
+    const origin = fragments[0].time;
+    for (const fragment of fragments) {
+      fragment.time -= origin;
+    }
+    return {
+      initSize: boxes[firstMoof].start,
+      timescale: track.timescale,
+      fragments,
+    };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * 把分片合并为媒体段
+ *
+ * 给出场景边界时，每个边界取起始时间最接近的分片作为新媒体段的开头（per_scene 的片段都从关键帧
+ * 开始，因此每个场景恰好对应一个媒体段）；否则从达到 segmentSec 后的第一个分片开始新媒体段。
+ *
+ * @param {Array<{time: number, duration: number}>} fragments - readFragments() 的分片
+ * @param {number} timescale - 时间刻度
+ * @param {Object} options - 选项
+ * @param {number[]} [options.boundaries] - 各媒体段的起始时间（秒），第一个为 0
+ * @param {number} [options.segmentSec] - 没有边界时的目标时长（秒）
+ * @returns {number[][]} 每个媒体段包含的分片下标
+ */
+export function groupFragments(
+  fragments,
+  timescale,
+  { boundaries, segmentSec }
+) {
+  const starts = new Set([0]);
+  if (boundaries?.length) {
+    let cursor = 0;
+    for (const boundary of boundaries) {
+      const ticks = boundary * timescale;
+      while (
+        cursor + 1 < fragments.length &&
+        Math.abs(fragments[cursor + 1].time - ticks) <=
+          Math.abs(fragments[cursor].time - ticks)
+      ) {
+        cursor++;
+      }
+      starts.add(cursor);
+    }
+  } else {
+    let segmentStart = 0;
+    fragments.forEach((fragment, index) => {
+      if (fragment.time - segmentStart >= segmentSec * timescale) {
+        starts.add(index);
+        segmentStart = fragment.time;
+      }
+    });
+  }
+  const groups = [];
+  fragments.forEach((_, index) => {
+    if (starts.has(index)) {
+      groups.push([]);
+    }
+    groups.at(-1).push(index);
+  });
+  return groups;
+}
+
+/**
+ * 把编码结果切分为 CMAF 初始化段与媒体段
+ *
+ * 先以流复制方式转封装为每个关键帧一个分片的 CMAF 文件（tracks 为 "all" 且含音轨时音视频在同一
+ * 分片中），再按 groupFragments() 合并分片写出 init.mp4 与 seg_NNNN.m4s。媒体段时长取自分片的解码
+ * 时间，字节数为实际写出的文件大小。只取音轨时每个音频帧都是关键帧，改为按 segmentSec 分片。
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.file - 编码结果文件（任意容器）
+ * @param {string} params.codec - 编码器名称，决定 CMAF 的封装参数（如 HEVC 的 hvc1 标记）
+ * @param {string} params.outDir - 输出目录
+ * @param {number[]} [params.boundaries] - 场景边界（秒），缺省时按 segmentSec 切分
+ * @param {number} [params.segmentSec=DEFAULT_SEGMENT_SEC] - 没有场景边界时的目标时长（秒）
+ * @param {"all"|"video"|"audio"} [params.tracks="all"] - 保留的码流：音视频、仅视频或仅音频
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<{init: {uri: string, bytes: number}, timescale: number,
+ *            segments: Array<{uri: string, start: number, duration: number, time: number,
+ *                             ticks: number, bytes: number}>}>}
+ *          start/duration 为秒，time/ticks 为同一时间以 timescale 计的整数值
+ */
+export async function segmentRendition({
+  file,
+  codec,
+  outDir,
+  boundaries,
+  segmentSec = DEFAULT_SEGMENT_SEC,
+  tracks = "all",
+  scheduler,
+}) {
+  const fragmented = join(outDir, "fragmented.mp4");
+  const streamArgs = {
+    all: `-map 0:v:0 -map 0:a:0? -c copy ${
+      getContainerFormat("fmp4", codec).muxArgs
+    }`,
+    video: `-map 0:v:0 -c copy ${getContainerFormat("fmp4", codec).muxArgs}`,
+    audio:
+      `-map 0:a:0 -c copy -movflags +cmaf+empty_moov+default_base_moof ` +
+      `-frag_duration ${Math.round(segmentSec * 1e6)}`,
+  }[tracks];
+  await runCommand(
+    `ffmpeg -y -hide_banner -i "${file}" ${streamArgs} -f mp4 "${fragmented}"`,
+    { scheduler, outputs: [fragmented] }
+  );
+
+  const { initSize, timescale, fragments } = readFragments(
+    fragmented,
+    tracks === "audio" ? "soun" : "vide"
+  );
+  const fd = openSync(fragmented, "r");
+  try {
+    writeFileSync(join(outDir, "init.mp4"), readBytes(fd, 0, initSize));
+    const groups = groupFragments(fragments, timescale, {
+      boundaries,
+      segmentSec,
+    });
+    const segments = groups.map((indices, index) => {
+      const first = fragments[indices[0]];
+      const last = fragments[indices.at(-1)];
+      const uri = `seg_${String(index).padStart(4, "0")}.m4s`;
+      const bytes = last.offset + last.size - first.offset;
+      writeFileSync(join(outDir, uri), readBytes(fd, first.offset, bytes));
+      const ticks = last.time + last.duration - first.time;
+      return {
+        uri,
+        start: first.time / timescale,
+        duration: ticks / timescale,
+        time: first.time,
+        ticks,
+        bytes,
+      };
+    });
+    return { init: { uri: "init.mp4", bytes: initSize }, timescale, segments };
+  } finally {
+    closeSync(fd);
+    unlinkSync(fragmented);
+  }
+}
+
+/**
+ * 读取 per_scene 片段目录中各片段的时长，得到场景边界（各片段的起始时间，秒）
+ *
+ * @param {string} [segmentsDir] - 摘要行的 segmentsDir
+ * @returns {number[]|undefined} 场景边界；没有片段目录时返回 undefined
+ */
+export function sceneBoundaries(segmentsDir) {
+  if (!segmentsDir) {
+    return undefined;
+  }
+  const files = readdirSync(segmentsDir)
+    .filter((name) => /^seg_\d{4}\.\w+$/.test(name))
+    .sort();
+  const boundaries = [];
+  let start = 0;
+  for (const name of files) {
+    boundaries.push(start);
+    start += getDurationSeconds(join(segmentsDir, name));
+  }
+  return boundaries;
+}
+
+/**
+ * 计算码率（bit/s）：bandwidth 为各媒体段码率的峰值，averageBandwidth 为整体平均
+ *
+ * @param {Array<{duration: number, bytes: number}>} segments - 媒体段
+ * @returns {{bandwidth: number, averageBandwidth: number}}
+ */
+export function segmentBandwidth(segments) {
+  const totalBytes = segments.reduce((sum, s) => sum + s.bytes, 0);
+  const totalDuration = segments.reduce((sum, s) => sum + s.duration, 0);
+  const peak = Math.max(
+    ...segments.map((s) => (s.duration > 0 ? (s.bytes * 8) / s.duration : 0))
+  );
+  return {
+    bandwidth: Math.ceil(peak),
+    averageBandwidth: Math.ceil((totalBytes * 8) / totalDuration),
+  };
+}
+
+/**
+ * 把摘要行按 mode × codec × implementation × targetVmaf 分组，每组对应一个多档位清单
+ *
+ * @param {Object[]} rows - 摘要行，没有 outputFile 的行被忽略
+ * @returns {Array<{name: string, rows: Object[]}>} name 为组的目录名
+ *          <mode>_<codec>_<implementation>，配置了多个目标 VMAF 时再加 _vmaf<target>
+ */
+export function groupRowsForPackaging(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!row.outputFile) {
+      continue;
+    }
+    const key = [row.mode, row.codec, row.implementation, row.targetVmaf].join(
+      "|"
+    );
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+  const multipleTargets =
+    new Set(rows.map((row) => row.targetVmaf).filter((t) => t !== null)).size >
+    1;
+  return [...groups.values()].map((groupRows) => {
+    const { mode, codec, implementation, targetVmaf } = groupRows[0];
+    return {
+      name: `${mode}_${codec}_${implementation}${
+        multipleTargets && targetVmaf !== null ? `_vmaf${targetVmaf}` : ""
+      }`.replace(/[^a-zA-Z0-9_.-]+/g, "_"),
+      rows: groupRows,
+    };
+  });
+}
+
+/**
+ * 把一条摘要行的输出切分为媒体段，并探测清单所需的编码标识、分辨率与帧率
+ *
+ * per_scene 行（带 segmentsDir）按场景边界切分，其余按 DEFAULT_SEGMENT_SEC 切分。
+ *
+ * @param {Object} params - 参数
+ * @param {Object} params.row - 摘要行（outputFile、codec，per_scene 行另有 segmentsDir）
+ * @param {string} params.outDir - 输出目录，已有内容会被清除
+ * @param {"all"|"video"} [params.tracks="all"] - 媒体段含音视频，或仅含视频（codecs 随之只列视频编码）
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<Object>} segmentRendition() 的结果，另加 bandwidth、averageBandwidth、
+ *          codecs、width、height、fps 与 frameRate
+ */
+export async function segmentRow({ row, outDir, tracks = "all", scheduler }) {
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(outDir, { recursive: true });
+  const rendition = await segmentRendition({
+    file: row.outputFile,
+    codec: row.codec,
+    outDir,
+    boundaries: sceneBoundaries(row.segmentsDir),
+    tracks,
+    scheduler,
+  });
+  const probed = probeCodecStrings(row.outputFile);
+  return {
+    ...rendition,
+    ...segmentBandwidth(rendition.segments),
+    codecs: codecsAttribute(
+      tracks === "video" ? { video: probed.video, audio: null } : probed
+    ),
+    width: probed.width,
+    height: probed.height,
+    fps: probed.fps,
+    frameRate: probed.frameRate,
+  };
+}
+
+/**
+ * 把一条摘要行输出中的音轨单独切分为媒体段（按 DEFAULT_SEGMENT_SEC），并探测编码标识、
+ * 采样率与声道数
+ *
+ * 同一组各档位混入的是同一条标题音轨，取任一行切分一次即可。
+ *
+ * @param {Object} params - 参数
+ * @param {Object} params.row - 带音轨的摘要行（outputFile、codec）
+ * @param {string} params.outDir - 输出目录，已有内容会被清除
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<Object>} segmentRendition() 的结果，另加 bandwidth、averageBandwidth、
+ *          codecs、sampleRate 与 channels
+ */
+export async function segmentRowAudio({ row, outDir, scheduler }) {
+  rmSync(outDir, { recursive: true, force: true });
+  mkdirSync(outDir, { recursive: true });
+  const rendition = await segmentRendition({
+    file: row.outputFile,
+    codec: row.codec,
+    outDir,
+    tracks: "audio",
+    scheduler,
+  });
+  const probed = probeCodecStrings(row.outputFile);
+  return {
+    ...rendition,
+    ...segmentBandwidth(rendition.segments),
+    codecs: probed.audio,
+    sampleRate: probed.sampleRate,
+    channels: probed.channels,
+  };
+}
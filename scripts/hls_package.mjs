@@ -0,0 +1,124 @@
+/**
+ * HLS 打包模块
+ * HLS Packaging Module
+ *
+ * 把各档位的编码结果切分为 CMAF 媒体段，生成带真实 EXTINF 时长的媒体播放列表，并为同一配置的
+ * 所有档位生成主播放列表，BANDWIDTH / AVERAGE-BANDWIDTH 取自实际媒体段大小
+ * Split each rung's encode into CMAF media segments, write media playlists with real EXTINF
+ * durations and a master playlist across the rungs of a configuration, with BANDWIDTH /
+ * AVERAGE-BANDWIDTH computed from the actual segment sizes
+ */
+
+import { writeFileSync } from "node:fs";
+import { join, relative } from "node:path";
+import { groupRowsForPackaging, segmentRow } from "./fmp4_segmenter.mjs";
+
+// EXT-X-MAP 与 fMP4 媒体段需要协议版本 6 以上
+// EXT-X-MAP with fMP4 media segments requires protocol version 6 or later
+const HLS_VERSION = 7;
+
+function mediaPlaylist({ init, segments }) {
+  const targetDuration = Math.ceil(
+    Math.max(...segments.map((s) => s.duration))
+  );
+  return [
+    "#EXTM3U",
+    `#EXT-X-VERSION:${HLS_VERSION}`,
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    `#EXT-X-MAP:URI="${init.uri}"`,
+    ...segments.flatMap((s) => [`#EXTINF:${s.duration.toFixed(6)},`, s.uri]),
+    "#EXT-X-ENDLIST",
+    "",
+  ].join("\n");
+}
+
+function masterPlaylist(renditions, masterDir) {
+  const sorted = [...renditions].sort((a, b) => a.bandwidth - b.bandwidth);
+  return [
+    "#EXTM3U",
+    `#EXT-X-VERSION:${HLS_VERSION}`,
+    "#EXT-X-INDEPENDENT-SEGMENTS",
+    ...sorted.flatMap((r) => [
+      "#EXT-X-STREAM-INF:" +
+        [
+          `BANDWIDTH=${r.bandwidth}`,
+          `AVERAGE-BANDWIDTH=${r.averageBandwidth}`,
+          r.codecs && `CODECS="${r.codecs}"`,
+          r.width && `RESOLUTION=${r.width}x${r.height}`,
+          r.fps && `FRAME-RATE=${r.fps.toFixed(3)}`,
+        ]
+          .filter(Boolean)
+          .join(","),
+      relative(masterDir, r.playlist).split("\\").join("/"),
+    ]),
+    "",
+  ].join("\n");
+}
+
+/**
+ * 打包单个档位：切分媒体段并写出媒体播放列表
+ *
+ * @param {Object} params - 参数
+ * @param {Object} params.row - 摘要行（outputFile、codec，per_scene 行另有 segmentsDir）
+ * @param {string} params.outDir - 输出目录
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<Object>} segmentRow() 的结果，另加媒体播放列表路径 playlist
+ */
+export async function packageHlsRendition({ row, outDir, scheduler }) {
+  const rendition = await segmentRow({ row, outDir, scheduler });
+  const playlist = join(outDir, "index.m3u8");
+  writeFileSync(playlist, mediaPlaylist(rendition), "utf8");
+  return { ...rendition, playlist };
+}
+
+/**
+ * 为摘要行打包 HLS
+ *
+ * 摘要行按 groupRowsForPackaging() 分组，每组的各档位各自生成媒体播放列表，并共享一个主播放列表。
+ * 输出目录为 <rootDir>/<组名>/，档位位于 <height>p/ 子目录。打包成功的行写入 hls 字段；
+ * 某组失败时通过 onError 报告并继续下一组。
+ *
+ * @param {Object[]} rows - 摘要行
+ * @param {Object} options - 选项
+ * @param {string} options.rootDir - 输出根目录
+ * @param {Object} [options.scheduler] - 任务调度器
+ * @param {function(Object[], Error): void} [options.onError] - 某组打包失败时的回调
+ * @returns {Promise<Array<{manifest: string, rows: Object[]}>>} 成功打包的各组，manifest 为主播放列表
+ */
+export async function packageHls(rows, { rootDir, scheduler, onError }) {
+  const packaged = [];
+  for (const group of groupRowsForPackaging(rows)) {
+    const groupDir = join(rootDir, group.name);
+    try {
+      const renditions = await Promise.all(
+        group.rows.map((row) =>
+          packageHlsRendition({
+            row,
+            outDir: join(groupDir, `${row.height}p`),
+            scheduler,
+          })
+        )
+      );
+      const master = join(groupDir, "master.m3u8");
+      writeFileSync(master, masterPlaylist(renditions, groupDir), "utf8");
+      group.rows.forEach((row, index) => {
+        const { playlist, segments, bandwidth, averageBandwidth } =
+          renditions[index];
+        row.hls = {
+          master,
+          playlist,
+          segmentCount: segments.length,
+          bandwidth,
+          averageBandwidth,
+        };
+      });
+      packaged.push({ manifest: master, rows: group.rows });
+    } catch (error) {
+      onError?.(group.rows, error);
+    }
+  }
+  return packaged;
+}
@@ -0,0 +1,199 @@
+/**
+ * 任务调度模块
+ * Job Scheduler Module
+ *
+ * 限制同时运行的 ffmpeg 子进程数量，并以异步方式执行 Shell 命令
+ * Limit the number of concurrent ffmpeg child processes and run shell commands asynchronously
+ */
+
+import { spawn } from "node:child_process";
+import { rmSync } from "node:fs";
+
+/**
+ * 创建表示"已取消"的错误
+ *
+ * @returns {Error} name 为 AbortError 的错误
+ */
+function createAbortError() {
+  const error = new Error("任务已取消 / Job cancelled");
+  error.name = "AbortError";
+  error.code = "ABORT_ERR";
+  return error;
+}
+
+/**
+ * 判断错误是否由取消（AbortSignal）引起
+ *
+ * @param {*} error - 捕获到的错误
+ * @returns {boolean} 是否为取消错误
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+/**
+ * 创建并发受限的任务调度器
+ *
+ * 调度器只限制"叶子"任务（单个 ffmpeg/ffprobe 进程）的并发数，
+ * 上层的组合、片段可以自由地并行发起，不会因为互相等待而死锁。
+ *
+ * 提供 signal 时，取消后排队中的任务立即以 AbortError 失败，经由该调度器执行的
+ * runCommand() 会结束正在运行的子进程。
+ *
+ * @param {number} [maxParallelJobs=1] - 同时运行的最大任务数
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {{maxParallelJobs: number, signal: AbortSignal|undefined, run: function(function(): Promise<*>): Promise<*>,
+ *            activeJobs: number, pendingJobs: number}}
+ *          调度器对象，run() 在获得执行槽位后调用任务函数
+ *
+ * @example
+ * const scheduler = createJobScheduler(4);
+ * const results = await Promise.all(
+ *   files.map((file) => scheduler.run(() => encode(file)))
+ * );
+ */
+export function createJobScheduler(maxParallelJobs = 1, { signal } = {}) {
+  const limit = Math.max(1, Math.floor(Number(maxParallelJobs)) || 1);
+  const queue = [];
+  let active = 0;
+
+  signal?.addEventListener(
+    "abort",
+    () => {
+      for (const { reject } of queue.splice(0)) {
+        reject(createAbortError());
+      }
+    },
+    { once: true }
+  );
+
+  function next() {
+    while (active < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    maxParallelJobs: limit,
+    signal,
+    run(task) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(createAbortError());
+          return;
+        }
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get activeJobs() {
+      return active;
+    },
+    get pendingJobs() {
+      return queue.length;
+    },
+  };
+}
+
+/**
+ * 异步执行 Shell 命令并测量执行时间
+ *
+ * 计时从子进程启动开始，不包含在调度队列中等待的时间，
+ * 因此并行运行时各组合的编码耗时统计依然准确。
+ * 失败时抛出的错误与 execSync 保持一致：包含 status、signal、stderr 字段。
+ * 取消（abortSignal 触发）时以 SIGTERM 结束子进程并抛出 AbortError。
+ * 命令失败或被取消时，outputs 中列出的文件会被删除，避免留下不完整的输出。
+ *
+ * @param {string} cmd - 要执行的命令（通过 /bin/bash -c 执行）
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.scheduler] - createJobScheduler() 返回的调度器，未提供时立即执行
+ * @param {number} [options.timeoutMs] - 超时时间（毫秒），超时后以 SIGTERM 结束子进程
+ * @param {AbortSignal} [options.signal] - 取消信号，默认使用调度器的 signal
+ * @param {string[]} [options.outputs] - 命令写出的文件
+ * @returns {Promise<{output: string, timeSeconds: number}>} 命令标准输出和执行时间（秒）
+ */
+export function runCommand(
+  cmd,
+  {
+    scheduler,
+    timeoutMs,
+    signal: abortSignal = scheduler?.signal,
+    outputs = [],
+  } = {}
+) {
+  const removeOutputs = () => {
+    for (const file of outputs) {
+      rmSync(file, { force: true });
+    }
+  };
+
+  const execute = () =>
+    new Promise((resolve, reject) => {
+      if (abortSignal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const startTime = Date.now();
+      const child = spawn("/bin/bash", ["-c", cmd], {
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      const stdoutChunks = [];
+      const stderrChunks = [];
+      child.stdout.on("data", (chunk) => stdoutChunks.push(chunk));
+      child.stderr.on("data", (chunk) => stderrChunks.push(chunk));
+
+      const timer = timeoutMs
+        ? setTimeout(() => child.kill("SIGTERM"), timeoutMs)
+        : null;
+      const onAbort = () => child.kill("SIGTERM");
+      abortSignal?.addEventListener("abort", onAbort, { once: true });
+      const cleanup = () => {
+        if (timer) clearTimeout(timer);
+        abortSignal?.removeEventListener("abort", onAbort);
+      };
+
+      child.on("error", (error) => {
+        cleanup();
+        removeOutputs();
+        reject(error);
+      });
+
+      child.on("close", (status, signal) => {
+        cleanup();
+        const output = Buffer.concat(stdoutChunks).toString("utf8");
+        const stderr = Buffer.concat(stderrChunks).toString("utf8");
+        if (status === 0) {
+          resolve({ output, timeSeconds: (Date.now() - startTime) / 1000 });
+          return;
+        }
+        removeOutputs();
+        if (abortSignal?.aborted) {
+          reject(createAbortError());
+          return;
+        }
+        const error = new Error(
+          `Command failed: ${cmd}\n${stderr
+            .trim()
+            .split("\n")
+            .slice(-5)
+            .join("\n")}`
+        );
+        error.status = status;
+        error.signal = signal;
+        error.stdout = output;
+        error.stderr = stderr;
+        reject(error);
+      });
+    });
+
+  return scheduler ? scheduler.run(execute) : execute();
+}
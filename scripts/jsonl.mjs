@@ -0,0 +1,45 @@
+/**
+ * JSONL 读写模块
+ * JSON Lines Module
+ *
+ * 流式结果与片段探测记录都以 JSONL 追加写入，便于中断后恢复
+ * Streamed summary rows and segment probes are appended as JSONL so runs can be resumed
+ */
+
+import { appendFileSync, existsSync, readFileSync } from "node:fs";
+
+/**
+ * 读取 JSONL 文件中的所有记录
+ *
+ * 进程中断时最后一行可能只写了一半，无法解析的行会被忽略。
+ *
+ * @param {string} path - JSONL 文件路径
+ * @returns {Object[]} 解析成功的记录
+ */
+export function readJsonLines(path) {
+  if (!existsSync(path)) {
+    return [];
+  }
+  const records = [];
+  for (const line of readFileSync(path, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`  ⚠️  忽略无法解析的记录: ${path}`);
+    }
+  }
+  return records;
+}
+
+/**
+ * 向 JSONL 文件追加一条记录
+ *
+ * @param {string} path - JSONL 文件路径
+ * @param {Object} record - 要写入的记录
+ */
+export function appendJsonLine(path, record) {
+  appendFileSync(path, `${JSON.stringify(record)}\n`, "utf8");
+}
@@ -0,0 +1,116 @@
+/**
+ * 编码模式注册表
+ * Encoding Mode Registry
+ *
+ * 从内置目录 scripts/modes/ 与可配置的团队目录（modesDir）中发现编码模式
+ * Discover encoding modes from the built-in scripts/modes/ directory and a configurable team directory (modesDir)
+ */
+
+import { existsSync, readdirSync, statSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const builtinModesDir = join(dirname(fileURLToPath(import.meta.url)), "modes");
+const registryCache = new Map();
+
+/**
+ * 编码模式模块的标准接口
+ *
+ * 每个模式是一个 .mjs 文件，默认导出如下对象（文件名以 _ 开头的视为辅助模块，不会被注册）：
+ *
+ * @typedef {Object} EncodingMode
+ * @property {string} name - 模式名称，即 modes 配置中使用的名字
+ * @property {string} [description] - 简短说明
+ * @property {boolean} [needsSegments] - 是否依赖场景检测片段（用于 --plan 估算）
+ * @property {boolean} [usesTargetVmaf=true] - 结果是否依赖目标 VMAF；targetVmaf 为列表时，
+ *           依赖目标的模式对每个目标各运行一次组合（config.targetVmaf 为该次的单个目标），
+ *           不依赖的模式只运行一次
+ * @property {function(Object): boolean} [supports] - 可选，参数 { codec, implementation }，返回 false
+ *           的组合在开始编码前即作为不支持的组合跳过（--plan 与 skipped 事件中同样列出）
+ * @property {Object} [configSchema] - 该模式使用的额外配置字段，格式同 EXPERIMENT_CONFIG_SCHEMA
+ * @property {function(Object): Promise<string>} [prepareSource] - 可选，运行组合前准备片源，
+ *           参数 { source, config, context, emit }，返回实际用于编码的文件路径
+ * @property {function(Object): Promise<Object>} run - 运行单个组合，
+ *           参数 { source, height, codec, implementation, targetVmaf, config, context, emit }，返回摘要行
+ *           （mode、codec、height、implementation、targetVmaf 由调度方补全）；摘要行至少包含 finalVmaf、
+ *           avgBitrateKbps、probeCount、finalEncodeCount、totalEncodeCount、
+ *           totalEncodeTimeSeconds、videoDurationSeconds、encodingEfficiency、outputFile
+ * @property {function(Object): Object} [estimate] - 可选，估算单个组合的编码次数，
+ *           参数 { height, codec, implementation, config, segmentCount }，
+ *           返回 { maxProbeEncodes, finalEncodes, referenceEncodes, vmafRuns, detail }
+ * @property {Object} [sharedEstimate] - 可选，整个模式只发生一次的编码次数（如共享参考视频）
+ *
+ * emit(type, fields) 发送绑定到当前组合（或片源准备）的进度事件，fields.fraction 为该步骤
+ * 自身的完成度 0-1；emit.within(from, to) 可把子步骤映射到其中一段。事件类型见 progress_events.mjs。
+ */
+
+function validateModeModule(mode, file) {
+  if (!mode || typeof mode !== "object") {
+    throw new Error(`模式模块必须默认导出一个对象: ${file}`);
+  }
+  if (typeof mode.name !== "string" || mode.name.length === 0) {
+    throw new Error(`模式模块缺少 name: ${file}`);
+  }
+  if (typeof mode.run !== "function") {
+    throw new Error(`模式 ${mode.name} 缺少 run() 函数: ${file}`);
+  }
+  for (const hook of ["prepareSource", "estimate", "supports"]) {
+    if (mode[hook] !== undefined && typeof mode[hook] !== "function") {
+      throw new Error(`模式 ${mode.name} 的 ${hook} 必须是函数: ${file}`);
+    }
+  }
+}
+
+async function importModesFrom(dir) {
+  const files = readdirSync(dir)
+    .filter((name) => name.endsWith(".mjs") && !name.startsWith("_"))
+    .sort();
+  const modes = [];
+  for (const name of files) {
+    const file = join(dir, name);
+    const { default: mode } = await import(pathToFileURL(file).href);
+    validateModeModule(mode, file);
+    modes.push({ mode, file });
+  }
+  return modes;
+}
+
+/**
+ * 加载模式注册表
+ *
+ * 内置模式总是可用；指定 modesDir 时再加载该目录下的团队模式。
+ * 团队模式不能与已注册的模式重名。结果按目录缓存。
+ *
+ * @param {Object} [options] - 选项
+ * @param {string} [options.modesDir] - 团队模式目录
+ * @returns {Promise<Map<string, EncodingMode>>} 模式名称到模式定义的映射
+ */
+export async function loadModeRegistry({ modesDir } = {}) {
+  const cacheKey = modesDir ? resolve(modesDir) : "";
+  if (registryCache.has(cacheKey)) {
+    return registryCache.get(cacheKey);
+  }
+
+  const registry = new Map();
+  const register = ({ mode, file }) => {
+    if (registry.has(mode.name)) {
+      throw new Error(`模式名称重复: ${mode.name} (${file})`);
+    }
+    registry.set(mode.name, mode);
+  };
+
+  for (const entry of await importModesFrom(builtinModesDir)) {
+    register(entry);
+  }
+  if (cacheKey) {
+    if (!existsSync(cacheKey) || !statSync(cacheKey).isDirectory()) {
+      throw new Error(`模式目录不存在: ${cacheKey}`);
+    }
+    for (const entry of await importModesFrom(cacheKey)) {
+      register(entry);
+    }
+  }
+
+  registryCache.set(cacheKey, registry);
+  return registry;
+}
@@ -0,0 +1,46 @@
+/**
+ * baseline 模式公用的摘要行
+ * Shared Baseline Summary Row
+ *
+ * baseline_crf、baseline_2pass 与 baseline_capped_crf 都是无探测的单次整片编码，摘要字段一致
+ * baseline_crf, baseline_2pass and baseline_capped_crf are single whole-title encodes without probing
+ * and report the same summary fields
+ */
+
+import { getDurationSeconds } from "../scene_detect.mjs";
+
+/**
+ * 由整片编码结果生成 baseline 模式的摘要行
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.source - 片源文件路径
+ * @param {string} params.finalFile - 最终视频文件路径
+ * @param {number} params.finalVmaf - 整片 VMAF 分数
+ * @param {number} params.encodeTime - 编码时间（秒），多遍编码为各遍之和
+ * @param {function(string): number} params.avgBitrateKbps - 计算平均码率（context.avgBitrateKbps）
+ * @returns {Object} 摘要行；targetVmaf 为 null，探测次数为 0
+ */
+export function baselineSummaryRow({
+  source,
+  finalFile,
+  finalVmaf,
+  encodeTime,
+  avgBitrateKbps,
+}) {
+  const videoDuration = getDurationSeconds(source);
+  const encodingEfficiency = encodeTime / videoDuration;
+  return {
+    targetVmaf: null,
+    finalVmaf,
+    avgBitrateKbps: avgBitrateKbps(finalFile),
+    probeCount: 0,
+    finalEncodeCount: 1,
+    totalEncodeCount: 1,
+    probeEncodeTimeSeconds: 0,
+    finalEncodeTimeSeconds: Math.round(encodeTime * 100) / 100,
+    totalEncodeTimeSeconds: Math.round(encodeTime * 100) / 100,
+    videoDurationSeconds: Math.round(videoDuration * 100) / 100,
+    encodingEfficiency: Math.round(encodingEfficiency * 100) / 100,
+    outputFile: finalFile,
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * 按场景探测与编码的公共流程
+ * Shared Per-Scene Probe and Encode Flow
+ *
+ * per_scene 与 per_scene_crf 共用：逐段探测（可续跑、按链并行），再分段编码并拼接
+ * Shared by per_scene and per_scene_crf: probe every segment (resumable, in parallel chains),
+ * then encode the segments and stitch them
+ */
+
+import { writeFileSync } from "node:fs";
+import { basename, join } from "node:path";
+import { createSegmentProbeStore } from "../bitrate_probe.mjs";
+import { resolveContainer } from "../container_format.mjs";
+import { resolveEncoderProfile } from "../encoder_profiles.mjs";
+import { isAbortError } from "../job_scheduler.mjs";
+import { appendJsonLine, readJsonLines } from "../jsonl.mjs";
+import { runPerSceneEncode } from "../per_scene_encode.mjs";
+import { getDurationSeconds } from "../scene_detect.mjs";
+
+function segmentProbeKey(start, dur) {
+  return `${start.toFixed(3)}+${dur.toFixed(3)}`;
+}
+
+/**
+ * 运行按场景的探测与编码流程
+ *
+ * 片段的探测方式由 decideSegment 决定，其结果须包含 start、dur、estVmaf、probesUsed、
+ * probesReused、probeEncodeTime，以及 chosenBitrateKbps（按码率编码）或
+ * chosenCrf 与 estBitrateKbps（按 CRF 编码）。
+ *
+ * @param {Object} params - 模式 run() 的参数
+ * @param {function({seg: Object, previousSegmentResult: Object|null, probeStore: Object,
+ *                   tmpDir: string, profile: Object, container: string}): Promise<Object>} params.decideSegment -
+ *        探测单个片段；profile 与 container 为本组合的编码器配置档与输出容器，探测与最终编码使用同一份
+ * @returns {Promise<{plan: Object[], row: Object}>} 各片段的探测结果与摘要行
+ */
+export async function runPerSceneFlow({
+  source,
+  height,
+  codec,
+  implementation,
+  config,
+  context,
+  emit,
+  decideSegment,
+}) {
+  const { gopSec, vmafModel, targetVmaf } = config;
+  const { scheduler, resume, cache } = context;
+  const segments = await context.fetchSegments(source);
+  const modeWorkdir = context.combinationWorkdir({
+    height,
+    codec,
+    implementation,
+  });
+  const tmpDir = join(modeWorkdir, "tmp");
+  const profile = resolveEncoderProfile(
+    config.encoderProfiles,
+    codec,
+    implementation,
+    context.colorConfig
+  );
+  const container = resolveContainer(config.containers, codec);
+
+  // 每个片段的探测结果都会落盘，续跑时无需重新探测
+  // Every segment probe result is persisted so a resumed run can skip it
+  const probeLogPath = join(modeWorkdir, "segment_probes.jsonl");
+  const savedProbes = new Map();
+  if (resume) {
+    for (const saved of readJsonLines(probeLogPath)) {
+      savedProbes.set(segmentProbeKey(saved.start, saved.dur), saved);
+    }
+  } else {
+    writeFileSync(probeLogPath, "", "utf8");
+  }
+
+  const plan = new Array(segments.length);
+
+  // 探测占组合进度的前一半，最终编码与 VMAF 占后一半
+  // Probing accounts for the first half of the combination, final encode and VMAF for the rest
+  const emitProbe = emit.within(0, 0.5);
+  let probedCount = 0;
+  const reportProbe = (index, result, resumed) => {
+    probedCount++;
+    emitProbe("segmentProbed", {
+      segmentIndex: index,
+      segmentCount: segments.length,
+      start: result.start,
+      dur: result.dur,
+      kbps: result.chosenBitrateKbps ?? result.estBitrateKbps,
+      ...(result.chosenCrf !== undefined && { crf: result.chosenCrf }),
+      vmaf: result.estVmaf,
+      probesUsed: result.probesUsed,
+      probesReused: result.probesReused,
+      resumed,
+      fraction: probedCount / segments.length,
+    });
+  };
+
+  // 将片段切分为若干条连续的探测链并行执行；链内仍按顺序探测，
+  // 以保留"参考上一片段结果"缩小搜索范围的优化
+  // Split segments into contiguous chains that run in parallel; each chain still probes
+  // in order so the previous-segment hint keeps narrowing the search range
+  const probeChain = async (from, to) => {
+    let previousResult = null;
+    for (let index = from; index < to; index++) {
+      const seg = segments[index];
+      const saved = savedProbes.get(segmentProbeKey(seg.start, seg.dur));
+      if (saved) {
+        reportProbe(index, saved, true);
+        previousResult = saved;
+        plan[index] = saved;
+        continue;
+      }
+      // 同一片段的各目标 VMAF 组合共享参考片段与探测点
+      // Combinations with other target VMAFs share this segment's reference and probe points
+      const probeStore = await context.memo(
+        `${context.modeName}:probes:${source}:${height}:${codec}:${implementation}:` +
+          segmentProbeKey(seg.start, seg.dur),
+        createSegmentProbeStore
+      );
+      try {
+        const result = await decideSegment({
+          seg,
+          previousSegmentResult: previousResult,
+          probeStore,
+          tmpDir,
+          profile,
+          container,
+        });
+
+        reportProbe(index, result, false);
+        previousResult = result;
+        plan[index] = result;
+        appendJsonLine(probeLogPath, result);
+      } catch (segError) {
+        if (!isAbortError(segError)) {
+          emit("error", {
+            scope: "segment",
+            segmentIndex: index,
+            segmentCount: segments.length,
+            message: segError.message,
+            signal: segError.signal,
+          });
+        }
+        throw segError;
+      }
+    }
+  };
+
+  const chainCount = Math.max(
+    1,
+    Math.min(segments.length, scheduler.maxParallelJobs)
+  );
+  const chainSize = Math.ceil(segments.length / chainCount);
+  const chains = [];
+  for (let from = 0; from < segments.length; from += chainSize) {
+    chains.push(probeChain(from, Math.min(from + chainSize, segments.length)));
+  }
+  await Promise.all(chains);
+
+  const totalProbeCount = plan.reduce((sum, r) => sum + (r.probesUsed || 0), 0);
+  const totalReusedProbeCount = plan.reduce(
+    (sum, r) => sum + (r.probesReused || 0),
+    0
+  );
+  const totalProbeEncodeTime = plan.reduce(
+    (sum, r) => sum + (r.probeEncodeTime || 0),
+    0
+  );
+
+  const { finalFile, finalVmaf, finalEncodeTime, segmentsDir, concat } =
+    await runPerSceneEncode({
+      inputFile: source,
+      height,
+      ladderBasis: config.ladderBasis,
+      codec,
+      implementation,
+      segmentPlan: plan,
+      gopSec,
+      audio: context.audioConfig,
+      container,
+      workdir: modeWorkdir,
+      vmafModel,
+      modeTag: basename(modeWorkdir),
+      reuseExistingSegments: resume,
+      profile,
+      scheduler,
+      cache,
+      emit: emit.within(0.5, 1),
+    });
+
+  const kbps = context.avgBitrateKbps(finalFile);
+  const videoDuration = getDurationSeconds(source);
+  const totalEncodeTime = totalProbeEncodeTime + finalEncodeTime;
+  const encodingEfficiency = totalEncodeTime / videoDuration;
+
+  return {
+    plan,
+    row: {
+      targetVmaf,
+      finalVmaf,
+      avgBitrateKbps: kbps,
+      probeCount: totalProbeCount,
+      reusedProbeCount: totalReusedProbeCount,
+      finalEncodeCount: segments.length,
+      totalEncodeCount: totalProbeCount + segments.length,
+      probeEncodeTimeSeconds: Math.round(totalProbeEncodeTime * 100) / 100,
+      finalEncodeTimeSeconds: Math.round(finalEncodeTime * 100) / 100,
+      totalEncodeTimeSeconds: Math.round(totalEncodeTime * 100) / 100,
+      videoDurationSeconds: Math.round(videoDuration * 100) / 100,
+      encodingEfficiency: Math.round(encodingEfficiency * 100) / 100,
+      outputFile: finalFile,
+      segmentsDir,
+      concatDurationDiffSeconds:
+        Math.round(concat.sourceDiffSeconds * 1000) / 1000,
+    },
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * ai_preprocess+per_scene 模式
+ * AI Preprocess + Per-Scene Mode
+ *
+ * 先用 AI 预处理脚本生成增强视频，再对增强视频运行 per_scene 流程
+ * Run the AI preprocessing script first, then the per_scene flow on the enhanced video
+ */
+
+import { join } from "node:path";
+import { runCommand } from "../job_scheduler.mjs";
+import perScene from "./per_scene.mjs";
+
+export default {
+  name: "ai_preprocess+per_scene",
+  description: "AI 预处理后按场景片段探测码率",
+  needsSegments: true,
+  configSchema: {
+    aiPreprocessModel: {
+      type: "string",
+      nonEmpty: true,
+      default: "realesrgan_x4plus",
+    },
+  },
+
+  // 增强视频尚未生成，--plan 以原始输入的片段数估算
+  // The enhanced video does not exist yet, so --plan estimates from the input's segments
+  estimate: perScene.estimate,
+
+  async prepareSource({ source, config, context }) {
+    const aiDir = join(context.rootWork, "ai_preprocess");
+    const enhancedInput = join(aiDir, `${context.baseName}_enhanced.mp4`);
+    await runCommand(
+      `python3 ./ai_preprocess/preprocess_video.py --input "${source}" --output "${enhancedInput}" --model ${config.aiPreprocessModel}`,
+      { scheduler: context.scheduler, outputs: [enhancedInput] }
+    );
+    return enhancedInput;
+  },
+
+  run: perScene.run,
+};
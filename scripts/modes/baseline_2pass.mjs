@@ -0,0 +1,104 @@
+/**
+ * baseline_2pass 模式
+ * Two-Pass VBR Baseline Mode
+ *
+ * 按分辨率固定码率阶梯做两遍 VBR 整片编码，对照常见点播平台的编码方式
+ * Two-pass VBR whole-title encode at a fixed per-height ladder bitrate, mirroring common VOD platforms
+ */
+
+import { basename, join } from "node:path";
+import {
+  getTwoPassEncoderArgs,
+  runBaselineEncode,
+} from "../baseline_crf_encode.mjs";
+import { resolveContainer } from "../container_format.mjs";
+import { resolveEncoderProfile } from "../encoder_profiles.mjs";
+import { getLadderBitrate, getScaleFilter } from "../resolution_strategy.mjs";
+import { getGopFrames } from "../scene_detect.mjs";
+import { baselineSummaryRow } from "./_baseline_row.mjs";
+
+export default {
+  name: "baseline_2pass",
+  description: "固定码率阶梯两遍 VBR 整片编码",
+  usesTargetVmaf: false,
+
+  // FFmpeg 的 libsvtav1 封装不读写两遍编码的统计文件，getTwoPassEncoderArgs() 不为其生成参数
+  // FFmpeg's libsvtav1 wrapper does not read or write two-pass stats, so getTwoPassEncoderArgs() has no args for it
+  supports({ codec }) {
+    return codec !== "libsvtav1";
+  },
+
+  estimate({ height }) {
+    const { bitrateKbps } = getLadderBitrate(height);
+    return {
+      maxProbeEncodes: 0,
+      finalEncodes: 1,
+      referenceEncodes: 1,
+      vmafRuns: 1,
+      detail: `两遍 VBR ${bitrateKbps} kbps`,
+    };
+  },
+
+  async run({ source, height, codec, implementation, config, context, emit }) {
+    const { gopSec, vmafModel } = config;
+    const modeWorkdir = context.combinationWorkdir({
+      height,
+      codec,
+      implementation,
+    });
+    // 竖屏与非 16:9 片源按实际输出像素数缩放阶梯码率
+    // Portrait and non-16:9 sources scale the ladder bitrate by the actual output pixel count
+    const { size } = getScaleFilter(source, height, config.ladderBasis);
+    const { bitrateKbps } = getLadderBitrate(size ?? height);
+    const gopFrames = getGopFrames(source, gopSec);
+    const profile = resolveEncoderProfile(
+      config.encoderProfiles,
+      codec,
+      implementation,
+      context.colorConfig
+    );
+    const passes = getTwoPassEncoderArgs(
+      codec,
+      implementation,
+      bitrateKbps,
+      gopFrames,
+      join(modeWorkdir, "2pass"),
+      profile
+    );
+    if (!passes) {
+      throw new Error(
+        `暂不支持的编码器实现: codec=${codec} implementation=${implementation}`
+      );
+    }
+
+    const { finalFile, finalVmaf, encodeTime } = await runBaselineEncode({
+      inputFile: source,
+      height,
+      ladderBasis: config.ladderBasis,
+      codec,
+      implementation,
+      passes,
+      audio: context.audioConfig,
+      container: resolveContainer(config.containers, codec),
+      workdir: modeWorkdir,
+      vmafModel,
+      modeTag: basename(modeWorkdir),
+      color: profile.color,
+      scheduler: context.scheduler,
+      cache: context.cache,
+      emit,
+    });
+
+    return {
+      ladderBitrateKbps: bitrateKbps,
+      passCount: passes.length,
+      ...baselineSummaryRow({
+        source,
+        finalFile,
+        finalVmaf,
+        encodeTime,
+        avgBitrateKbps: context.avgBitrateKbps,
+      }),
+    };
+  },
+};
@@ -0,0 +1,100 @@
+/**
+ * baseline_capped_crf 模式
+ * Capped CRF Baseline Mode
+ *
+ * 以 baselineCrf 编码整片，并按分辨率阶梯设置 -maxrate/-bufsize 码率上限
+ * Encode the whole title at baselineCrf with a -maxrate/-bufsize cap derived from the height ladder
+ */
+
+import { basename } from "node:path";
+import {
+  getCappedCrfEncoderArgs,
+  runBaselineEncode,
+} from "../baseline_crf_encode.mjs";
+import { resolveContainer } from "../container_format.mjs";
+import { resolveEncoderProfile } from "../encoder_profiles.mjs";
+import { getLadderBitrate, getScaleFilter } from "../resolution_strategy.mjs";
+import { getGopFrames } from "../scene_detect.mjs";
+import { baselineSummaryRow } from "./_baseline_row.mjs";
+
+export default {
+  name: "baseline_capped_crf",
+  description: "按分辨率限码率的 CRF 整片编码",
+  usesTargetVmaf: false,
+
+  estimate({ height, config }) {
+    const { maxrateKbps } = getLadderBitrate(height);
+    return {
+      maxProbeEncodes: 0,
+      finalEncodes: 1,
+      referenceEncodes: 1,
+      vmafRuns: 1,
+      detail: `CRF=${config.baselineCrf}, 上限 ${maxrateKbps} kbps`,
+    };
+  },
+
+  async run({ source, height, codec, implementation, config, context, emit }) {
+    const { baselineCrf, gopSec, vmafModel } = config;
+    const modeWorkdir = context.combinationWorkdir({
+      height,
+      codec,
+      implementation,
+    });
+    // 竖屏与非 16:9 片源按实际输出像素数缩放阶梯码率
+    // Portrait and non-16:9 sources scale the ladder bitrate by the actual output pixel count
+    const { size } = getScaleFilter(source, height, config.ladderBasis);
+    const { maxrateKbps, bufsizeKbps } = getLadderBitrate(size ?? height);
+    const gopFrames = getGopFrames(source, gopSec);
+    const profile = resolveEncoderProfile(
+      config.encoderProfiles,
+      codec,
+      implementation,
+      context.colorConfig
+    );
+    const videoArgs = getCappedCrfEncoderArgs(
+      codec,
+      implementation,
+      baselineCrf,
+      maxrateKbps,
+      bufsizeKbps,
+      gopFrames,
+      profile
+    );
+    if (!videoArgs) {
+      throw new Error(
+        `暂不支持的编码器实现: codec=${codec} implementation=${implementation}`
+      );
+    }
+
+    const { finalFile, finalVmaf, encodeTime } = await runBaselineEncode({
+      inputFile: source,
+      height,
+      ladderBasis: config.ladderBasis,
+      codec,
+      implementation,
+      passes: [videoArgs],
+      audio: context.audioConfig,
+      container: resolveContainer(config.containers, codec),
+      workdir: modeWorkdir,
+      vmafModel,
+      modeTag: basename(modeWorkdir),
+      color: profile.color,
+      scheduler: context.scheduler,
+      cache: context.cache,
+      emit,
+    });
+
+    return {
+      crf: baselineCrf,
+      maxrateKbps,
+      bufsizeKbps,
+      ...baselineSummaryRow({
+        source,
+        finalFile,
+        finalVmaf,
+        encodeTime,
+        avgBitrateKbps: context.avgBitrateKbps,
+      }),
+    };
+  },
+};
@@ -0,0 +1,157 @@
+/**
+ * baseline_crf 模式
+ * Baseline CRF Mode
+ *
+ * 以固定 CRF 编码整片，作为其他策略码率节省的对照
+ * Encode the whole title at a fixed CRF as the reference point for bitrate savings
+ */
+
+import { basename } from "node:path";
+import { encodeTitleAudio } from "../audio_track.mjs";
+import { runBaselineCrfEncode } from "../baseline_crf_encode.mjs";
+import { resolveContainer } from "../container_format.mjs";
+import { resolveEncoderProfile } from "../encoder_profiles.mjs";
+import { baselineSummaryRow } from "./_baseline_row.mjs";
+
+function sweepCrfs(config) {
+  return [...new Set(config.baselineCrfSweep)].filter(
+    (crf) => crf !== config.baselineCrf
+  );
+}
+
+export default {
+  name: "baseline_crf",
+  description: "固定 CRF 整片编码",
+  // 固定 CRF 与目标 VMAF 无关，多个目标时也只运行一次
+  // A fixed CRF does not depend on the target VMAF, so it runs once even with several targets
+  usesTargetVmaf: false,
+  configSchema: {
+    baselineCrf: { type: "integer", min: 0, max: 63, default: 23 },
+    // 额外编码的 CRF 点，构成 BD-rate 计算所需的 RD 曲线；不计入该行的编码次数与耗时
+    // Extra CRF points that form the RD curve used for BD-rate; not counted in the row's encode cost
+    baselineCrfSweep: {
+      type: "list",
+      default: [],
+      items: { type: "integer", min: 0, max: 63 },
+    },
+  },
+
+  estimate({ config }) {
+    const sweepCount = sweepCrfs(config).length;
+    return {
+      maxProbeEncodes: 0,
+      finalEncodes: 1 + sweepCount,
+      // 启用缓存时扫描点共享同一份参考视频
+      // With the cache enabled the sweep points share one reference
+      referenceEncodes: config.useCache ? 1 : 1 + sweepCount,
+      vmafRuns: 1 + sweepCount,
+      detail: sweepCount
+        ? `CRF=${config.baselineCrf}, 扫描 CRF=${sweepCrfs(config).join(", ")}`
+        : `CRF=${config.baselineCrf}`,
+    };
+  },
+
+  async run({ source, height, codec, implementation, config, context, emit }) {
+    const { baselineCrf, gopSec, vmafModel } = config;
+    const modeWorkdir = context.combinationWorkdir({
+      height,
+      codec,
+      implementation,
+    });
+    const sweep = sweepCrfs(config);
+    const modeTag = basename(modeWorkdir);
+    const profile = resolveEncoderProfile(
+      config.encoderProfiles,
+      codec,
+      implementation,
+      context.colorConfig
+    );
+    const container = resolveContainer(config.containers, codec);
+    // 主编码与各扫描点共用一份整片音轨：它们在同一工作目录下并发执行，未启用缓存时各自编码会
+    // 同时写同一个音轨文件
+    // The main encode and the sweep points share one title audio track: they run concurrently in one
+    // workdir, and with the cache disabled separate encodes would write the same audio file at once
+    const audioTrack = context.audioConfig
+      ? encodeTitleAudio({
+          audio: context.audioConfig,
+          container,
+          workdir: modeWorkdir,
+          scheduler: context.scheduler,
+          cache: context.cache,
+        })
+      : null;
+    // 错误在各次编码 await 时抛出，这里避免编码先失败时出现未处理的 rejection
+    // Errors surface where the encodes await it; avoid an unhandled rejection if an encode fails first
+    audioTrack?.catch(() => {});
+    const encodeAtCrf = (crf, tag, encodeEmit) =>
+      runBaselineCrfEncode({
+        inputFile: source,
+        height,
+        ladderBasis: config.ladderBasis,
+        codec,
+        implementation,
+        crf,
+        gopSec,
+        audioTrack,
+        container,
+        workdir: modeWorkdir,
+        vmafModel,
+        modeTag: tag,
+        profile,
+        scheduler: context.scheduler,
+        cache: context.cache,
+        emit: encodeEmit,
+      });
+
+    const stepCount = 1 + sweep.length;
+    let finishedSweepPoints = 0;
+    const [{ finalFile, finalVmaf, encodeTime }, ...sweepResults] =
+      await Promise.all([
+        encodeAtCrf(baselineCrf, modeTag, emit.within(0, 1 / stepCount)),
+        ...sweep.map(async (crf) => {
+          const result = await encodeAtCrf(crf, `${modeTag}_crf${crf}`);
+          const point = {
+            crf,
+            kbps: context.avgBitrateKbps(result.finalFile),
+            vmaf: result.finalVmaf,
+          };
+          finishedSweepPoints++;
+          emit("vmafMeasured", {
+            scope: "rdPoint",
+            vmaf: point.vmaf,
+            rdPoint: { height, ...point },
+            file: result.finalFile,
+            fraction: (1 + finishedSweepPoints) / stepCount,
+          });
+          return point;
+        }),
+      ]);
+
+    const row = baselineSummaryRow({
+      source,
+      finalFile,
+      finalVmaf,
+      encodeTime,
+      avgBitrateKbps: context.avgBitrateKbps,
+    });
+    const rdPoints = sweep.length
+      ? [
+          { crf: baselineCrf, kbps: row.avgBitrateKbps, vmaf: finalVmaf },
+          ...sweepResults,
+        ]
+          .sort((a, b) => a.crf - b.crf)
+          .map((p) => ({
+            height,
+            crf: p.crf,
+            kbps: Math.round(p.kbps * 10) / 10,
+            vmaf: Math.round(p.vmaf * 100) / 100,
+          }))
+      : undefined;
+
+    return {
+      crf: baselineCrf,
+      ...row,
+      ...(rdPoints && { rdPoints }),
+    };
+  },
+};
@@ -0,0 +1,71 @@
+/**
+ * per_scene 模式
+ * Per-Scene Mode
+ *
+ * 按场景片段逐段探测满足目标 VMAF 的最低码率，再按探测结果分段编码并拼接
+ * Probe the lowest bitrate meeting the target VMAF per scene segment, then encode and stitch
+ */
+
+import { decideBitrateForSegment } from "../bitrate_probe.mjs";
+import { getBitrateStrategy } from "../resolution_strategy.mjs";
+import { runPerSceneFlow } from "./_per_scene_flow.mjs";
+
+export default {
+  name: "per_scene",
+  description: "按场景片段探测码率",
+  needsSegments: true,
+
+  estimate({ height, segmentCount, config }) {
+    // 关闭自适应搜索时每个片段编码全部候选码率
+    // Without the adaptive search every candidate bitrate is encoded per segment
+    const maxProbes =
+      config.useAdaptiveBitrateSearch === false
+        ? config.probeBitratesKbps.length
+        : getBitrateStrategy(height).maxProbes;
+    return {
+      maxProbeEncodes: segmentCount * maxProbes,
+      finalEncodes: segmentCount,
+      referenceEncodes: segmentCount + 1,
+      vmafRuns: segmentCount * maxProbes + 1,
+      detail: `片段=${segmentCount} × 最多 ${maxProbes} 次探测`,
+    };
+  },
+
+  async run(params) {
+    const { source, height, codec, implementation, config, context } = params;
+    const { probeBitratesKbps, gopSec, vmafModel, targetVmaf } = config;
+    const { row } = await runPerSceneFlow({
+      ...params,
+      decideSegment: ({
+        seg,
+        previousSegmentResult,
+        probeStore,
+        tmpDir,
+        profile,
+        container,
+      }) =>
+        decideBitrateForSegment({
+          inputFile: source,
+          start: seg.start,
+          dur: seg.dur,
+          height,
+          ladderBasis: config.ladderBasis,
+          codec,
+          implementation,
+          probeBitratesKbps,
+          gopSec,
+          tmpDir,
+          container,
+          vmafModel,
+          targetVmaf,
+          previousSegmentResult,
+          useAdaptiveSearch: config.useAdaptiveBitrateSearch !== false,
+          probeStore,
+          profile,
+          scheduler: context.scheduler,
+          cache: context.cache,
+        }),
+    });
+    return row;
+  },
+};
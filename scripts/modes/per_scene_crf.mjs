@@ -0,0 +1,75 @@
+/**
+ * per_scene_crf 模式
+ * Per-Scene CRF Mode
+ *
+ * 按场景片段二分搜索满足目标 VMAF 的最高 CRF，再按各片段的 CRF 分段编码并拼接
+ * Binary-search the highest CRF meeting the target VMAF per scene segment, then encode and stitch
+ */
+
+import { decideCrfForSegment } from "../bitrate_probe.mjs";
+import { getCrfStrategy } from "../resolution_strategy.mjs";
+import { runPerSceneFlow } from "./_per_scene_flow.mjs";
+
+export default {
+  name: "per_scene_crf",
+  description: "按场景片段搜索 CRF",
+  needsSegments: true,
+
+  estimate({ codec, segmentCount }) {
+    const { maxProbes } = getCrfStrategy(codec);
+    return {
+      maxProbeEncodes: segmentCount * maxProbes,
+      finalEncodes: segmentCount,
+      referenceEncodes: segmentCount + 1,
+      vmafRuns: segmentCount * maxProbes + 1,
+      detail: `片段=${segmentCount} × 最多 ${maxProbes} 次 CRF 探测`,
+    };
+  },
+
+  async run(params) {
+    const { source, height, codec, implementation, config, context } = params;
+    const { gopSec, vmafModel, targetVmaf } = config;
+    const { plan, row } = await runPerSceneFlow({
+      ...params,
+      decideSegment: ({
+        seg,
+        previousSegmentResult,
+        probeStore,
+        tmpDir,
+        profile,
+        container,
+      }) =>
+        decideCrfForSegment({
+          inputFile: source,
+          start: seg.start,
+          dur: seg.dur,
+          height,
+          ladderBasis: config.ladderBasis,
+          codec,
+          implementation,
+          gopSec,
+          tmpDir,
+          container,
+          vmafModel,
+          targetVmaf,
+          previousSegmentResult,
+          probeStore,
+          profile,
+          scheduler: context.scheduler,
+          cache: context.cache,
+        }),
+    });
+    return {
+      ...row,
+      segmentCrfs: plan.map(
+        ({ start, dur, chosenCrf, estBitrateKbps, estVmaf }) => ({
+          start,
+          dur,
+          crf: chosenCrf,
+          kbps: estBitrateKbps,
+          vmaf: estVmaf,
+        })
+      ),
+    };
+  },
+};
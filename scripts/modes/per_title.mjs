@@ -0,0 +1,185 @@
+/**
+ * per_title 模式
+ * Per-Title Mode
+ *
+ * 在所有分辨率上做 CRF 扫描，构建跨分辨率凸包后为每个档位选择工作点
+ * Sweep CRF at every height, build the cross-resolution hull and pick an operating point per rung
+ */
+
+import { basename, join } from "node:path";
+import { encodeTitleAudio, muxTitleAudio } from "../audio_track.mjs";
+import { getContainerFormat, resolveContainer } from "../container_format.mjs";
+import { resolveEncoderProfile } from "../encoder_profiles.mjs";
+import {
+  makePerTitleReference,
+  runPerTitleEncode,
+  selectLadderOperatingPoints,
+} from "../per_title_encode.mjs";
+import { getDurationSeconds } from "../scene_detect.mjs";
+
+export default {
+  name: "per_title",
+  description: "跨分辨率 RD 凸包选点",
+  configSchema: {
+    perTitleCrfList: {
+      type: "list",
+      nonEmpty: true,
+      default: [20, 24, 28, 32, 36],
+      items: { type: "integer", min: 0, max: 63 },
+    },
+  },
+  // 参考视频在所有编码器之间共享，只生成一次
+  // The reference is shared by every codec and produced once
+  sharedEstimate: { referenceEncodes: 1 },
+
+  estimate({ config }) {
+    const crfPoints = config.perTitleCrfList.length;
+    return {
+      maxProbeEncodes: crfPoints - 1,
+      finalEncodes: 1,
+      referenceEncodes: 0,
+      vmafRuns: crfPoints,
+      detail: `CRF 点=${crfPoints}`,
+    };
+  },
+
+  async run({ source, height, codec, implementation, config, context, emit }) {
+    const { heightList, perTitleCrfList, targetVmaf, gopSec, vmafModel } =
+      config;
+    const perTitleRoot = join(context.rootWork, context.modeName);
+    const displayHeight = Math.max(...heightList);
+    const container = resolveContainer(config.containers, codec);
+
+    const referenceFile = await context.memo(
+      `${context.modeName}:reference:${source}`,
+      async () => {
+        emit("phaseStarted", {
+          phase: "reference",
+          referenceHeight: displayHeight,
+          crfList: perTitleCrfList,
+        });
+        const ref = await makePerTitleReference({
+          inputFile: source,
+          height: displayHeight,
+          ladderBasis: config.ladderBasis,
+          workdir: perTitleRoot,
+          color: context.colorConfig,
+          scheduler: context.scheduler,
+          cache: context.cache,
+        });
+        return ref.file;
+      }
+    );
+
+    // 凸包跨越所有分辨率：同一编码器的各档位与各目标 VMAF 共享一次 CRF 扫描，
+    // 工作点按本组合的目标 VMAF 选择
+    // The hull spans every height, so all rungs and target VMAFs of a codec share one CRF sweep;
+    // the operating point is picked for this combination's target
+    const { points, hull } = await context.memo(
+      `${context.modeName}:sweep:${source}:${codec}:${implementation}`,
+      () =>
+        runPerTitleEncode({
+          inputFile: source,
+          heightList,
+          ladderBasis: config.ladderBasis,
+          codec,
+          implementation,
+          crfList: perTitleCrfList,
+          gopSec,
+          container,
+          workdir: join(perTitleRoot, `${codec}_${implementation}`),
+          vmafModel,
+          targetVmaf,
+          referenceFile,
+          profile: resolveEncoderProfile(
+            config.encoderProfiles,
+            codec,
+            implementation,
+            context.colorConfig
+          ),
+          scheduler: context.scheduler,
+          // 扫描由首个发起的组合代为报告进度
+          // The combination that starts the sweep reports its progress
+          emit,
+        })
+    );
+
+    const rung = selectLadderOperatingPoints(
+      points,
+      hull,
+      heightList,
+      targetVmaf
+    ).find((item) => item.height === height);
+    if (!rung?.chosen) {
+      throw new Error(`${height}p 没有可用的 RD 点`);
+    }
+    const { chosen, onHull, meetsTarget } = rung;
+
+    // RD 点不含音频且可能被其他目标 VMAF 的组合选中，整片音轨封装到本组合目录下的副本中
+    // RD points carry no audio and may be picked by other target VMAFs, so the title audio is muxed
+    // into a copy in this combination's workdir
+    let outputFile = chosen.file;
+    if (context.audioConfig) {
+      const modeWorkdir = context.combinationWorkdir({
+        height,
+        codec,
+        implementation,
+      });
+      const audioTrack = await encodeTitleAudio({
+        audio: context.audioConfig,
+        container,
+        workdir: modeWorkdir,
+        scheduler: context.scheduler,
+        cache: context.cache,
+      });
+      outputFile = join(
+        modeWorkdir,
+        `final_${codec}_${implementation}_${basename(modeWorkdir)}${
+          getContainerFormat(container, codec).ext
+        }`
+      );
+      await muxTitleAudio({
+        videoFile: chosen.file,
+        audioFile: audioTrack.file,
+        outFile: outputFile,
+        container,
+        codec,
+        scheduler: context.scheduler,
+        keepVideoFile: true,
+      });
+    }
+
+    const toRdPoint = (p) => ({
+      height: p.height,
+      crf: p.crf,
+      kbps: Math.round(p.kbps * 10) / 10,
+      vmaf: Math.round(p.vmaf * 100) / 100,
+    });
+    const atHeight = points.filter((p) => p.height === height);
+    const totalEncodeTime = atHeight.reduce((sum, p) => sum + p.encodeTime, 0);
+    const probeEncodeTime = totalEncodeTime - chosen.encodeTime;
+    const videoDuration = getDurationSeconds(source);
+    const encodingEfficiency = totalEncodeTime / videoDuration;
+
+    return {
+      crf: chosen.crf,
+      targetVmaf,
+      finalVmaf: chosen.vmaf,
+      vmafScaledToHeight: displayHeight,
+      avgBitrateKbps: chosen.kbps,
+      onHull,
+      meetsTarget,
+      probeCount: atHeight.length - 1,
+      finalEncodeCount: 1,
+      totalEncodeCount: atHeight.length,
+      probeEncodeTimeSeconds: Math.round(probeEncodeTime * 100) / 100,
+      finalEncodeTimeSeconds: Math.round(chosen.encodeTime * 100) / 100,
+      totalEncodeTimeSeconds: Math.round(totalEncodeTime * 100) / 100,
+      videoDurationSeconds: Math.round(videoDuration * 100) / 100,
+      encodingEfficiency: Math.round(encodingEfficiency * 100) / 100,
+      outputFile,
+      rdPoints: atHeight.map(toRdPoint),
+      hullPoints: hull.map(toRdPoint),
+    };
+  },
+};
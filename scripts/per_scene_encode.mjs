@@ -1,121 +1,72 @@
-import { execSync } from "node:child_process";
-import { writeFileSync, readFileSync, mkdirSync } from "node:fs";
+import {
+  readFileSync,
+  mkdirSync,
+  existsSync,
+  renameSync,
+  statSync,
+} from "node:fs";
 import { join } from "node:path";
-
-/**
- * 执行 Shell 命令
- *
- * @param {string} cmd - 要执行的命令
- * @returns {string} 命令输出
- */
-function sh(cmd) {
-  return execSync(cmd, { stdio: "pipe", shell: "/bin/bash" }).toString("utf8");
-}
-
-/**
- * 解析编码器视频参数（内部使用，已废弃）
- *
- * 注意：此函数保留用于向后兼容，建议使用 encoder_config.mjs 的 getEncoderArgs()。
- *
- * @deprecated 请使用 encoder_config.mjs 的 getEncoderArgs()
- * @param {Object} params - 编码器参数
- * @param {string} params.codec - 编码器名称
- * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
- * @param {number} params.bitrateKbps - 目标码率 (kbps)
- * @param {number} params.gopFrames - GOP 帧数
- * @returns {string|null} FFmpeg 参数字符串，不支持返回 null
- */
-function resolveVideoArgs({ codec, implementation, bitrateKbps, gopFrames }) {
-  if (implementation === "cpu") {
-    if (codec === "libx265") {
-      return (
-        `-c:v libx265 -preset slow -b:v ${bitrateKbps}k ` +
-        `-pix_fmt yuv420p -g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0 -bf 3`
-      );
-    }
-    if (codec === "libsvtav1") {
-      return (
-        `-c:v libsvtav1 -cpu-used 4 -b:v ${bitrateKbps}k ` +
-        `-pix_fmt yuv420p -g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0`
-      );
-    }
-    if (codec === "libvpx-vp9") {
-      return (
-        `-c:v libvpx-vp9 -b:v ${bitrateKbps}k -deadline good -cpu-used 1 ` +
-        `-pix_fmt yuv420p -g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0`
-      );
-    }
-    if (codec === "libx264") {
-      return (
-        `-c:v libx264 -preset slow -b:v ${bitrateKbps}k ` +
-        `-pix_fmt yuv420p -g ${gopFrames} -keyint_min ${gopFrames} -sc_threshold 0 -bf 3`
-      );
-    }
-    return null;
-  }
-
-  if (implementation === "nvenc") {
-    const maxrate = Math.round(bitrateKbps * 1.2);
-    const bufsize = Math.round(bitrateKbps * 2.5);
-    if (codec === "libx264") {
-      return (
-        `-c:v h264_nvenc -preset p5 -rc vbr_hq -b:v ${bitrateKbps}k ` +
-        `-maxrate ${maxrate}k -bufsize ${bufsize}k -pix_fmt yuv420p ` +
-        `-g ${gopFrames} -bf 3`
-      );
-    }
-    if (codec === "libx265") {
-      return (
-        `-c:v hevc_nvenc -preset p5 -rc vbr_hq -b:v ${bitrateKbps}k ` +
-        `-maxrate ${maxrate}k -bufsize ${bufsize}k -pix_fmt yuv420p ` +
-        `-g ${gopFrames} -bf 3`
-      );
-    }
-    return null;
-  }
-
-  return null;
-}
+import { encodeTitleAudio, muxTitleAudio } from "./audio_track.mjs";
+import { getCrfEncoderArgs } from "./baseline_crf_encode.mjs";
+import { concatSegments } from "./concat_segments.mjs";
+import { getContainerFormat, withSuffix } from "./container_format.mjs";
+import { encodeFullReference, getEncoderArgs } from "./encoder_config.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { getScaleFilter } from "./resolution_strategy.mjs";
+import { getGopFrames } from "./scene_detect.mjs";
+import { buildVmafInputs } from "./vmaf_calculator.mjs";
 
 /**
  * 导出最终编码的视频片段
  *
- * 使用指定的编码器、码率和参数编码视频片段并保存到文件。
- * 包含音频编码和 MP4 快速启动优化。
+ * 使用指定的编码器、码率（或 CRF）和参数编码视频片段并保存到文件。
+ * 片段只含视频，音轨在拼接后整片封装一次；输出按组合的容器封装。
  *
  * @param {Object} params - 编码参数
  * @param {string} params.inputFile - 输入视频文件路径
  * @param {number} params.start - 片段起始时间（秒）
  * @param {number} params.dur - 片段持续时间（秒）
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义，与探测编码一致
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
- * @param {number} params.bitrateKbps - 目标码率 (kbps)
+ * @param {number} [params.bitrateKbps] - 目标码率 (kbps)
+ * @param {number} [params.crf] - CRF 值；给出时按质量编码并忽略 bitrateKbps
  * @param {number} params.gopSec - GOP 时长（秒）
- * @param {number} params.audioKbps - 音频码率 (kbps)
  * @param {string} params.outPath - 输出文件路径
- * @returns {number} 编码时间（秒）
+ * @param {string} [params.container="mp4"] - 输出容器（见 container_format.mjs）
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），与探测编码一致
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<number>} 编码时间（秒）
  * @throws {Error} 不支持的编码器/实现组合时抛出错误
  */
-function exportFinalSegment({
+async function exportFinalSegment({
   inputFile,
   start,
   dur,
   height,
+  ladderBasis,
   codec,
   implementation,
   bitrateKbps,
+  crf,
   gopSec,
-  audioKbps,
   outPath,
+  container = "mp4",
+  profile,
+  scheduler,
 }) {
-  const gopFrames = Math.max(1, Math.round(gopSec * 30));
-  const videoArgs = resolveVideoArgs({
-    codec,
-    implementation,
-    bitrateKbps,
-    gopFrames,
-  });
+  const gopFrames = getGopFrames(inputFile, gopSec);
+  const videoArgs =
+    crf === undefined
+      ? getEncoderArgs({
+          codec,
+          implementation,
+          bitrateKbps,
+          gopFrames,
+          profile,
+        })
+      : getCrfEncoderArgs(codec, implementation, crf, gopFrames, profile);
   if (!videoArgs) {
     throw new Error(
       `暂不支持的编码器实现: codec=${codec} implementation=${implementation}\n` +
@@ -123,56 +74,14 @@ function exportFinalSegment({
     );
   }
 
-  const startTime = Date.now();
-  sh(
+  const { timeSeconds } = await runCommand(
     `ffmpeg -y -hide_banner -ss ${start} -t ${dur} -i "${inputFile}" ` +
-      `-vf "scale=-2:${height}" ` +
+      `-vf "${getScaleFilter(inputFile, height, ladderBasis).filter}" ` +
       `${videoArgs} ` +
-      `-c:a aac -b:a ${audioKbps}k ` +
-      `-movflags +faststart "${outPath}"`
-  );
-  const endTime = Date.now();
-  return (endTime - startTime) / 1000;
-}
-
-/**
- * 拼接多个视频片段为单个文件
- *
- * 使用 FFmpeg concat demuxer 无损拼接视频片段（-c copy），保持原始编码。
- * 自动创建临时文件列表并处理特殊字符转义。
- *
- * @param {string[]} segFiles - 片段文件路径数组
- * @param {string} finalFile - 输出文件路径
- */
-function concatSegmentsToFile(segFiles, finalFile) {
-  const listPath = finalFile + ".txt";
-  const listContent = segFiles
-    .map((f) => `file '${f.replace(/'/g, "'\\''")}'`)
-    .join("\n");
-  writeFileSync(listPath, listContent, "utf8");
-
-  sh(
-    `ffmpeg -hide_banner -f concat -safe 0 -i "${listPath}" ` +
-      `-c copy -movflags +faststart "${finalFile}"`
-  );
-}
-
-/**
- * 生成高质量参考视频（整片）
- *
- * 使用 libx264 和 CRF 10 编码生成接近无损的参考视频，用于最终 VMAF 评估。
- *
- * @param {string} inputFile - 输入视频文件路径
- * @param {number} height - 目标视频高度（像素）
- * @param {string} refFile - 输出参考文件路径
- */
-function makeReferenceWhole(inputFile, height, refFile) {
-  sh(
-    `ffmpeg -y -hide_banner -i "${inputFile}" ` +
-      `-vf "scale=-2:${height}" ` +
-      `-c:v libx264 -preset veryslow -crf 10 -pix_fmt yuv420p ` +
-      `-c:a aac -b:a 192k "${refFile}"`
+      `-an ${getContainerFormat(container, codec).muxArgs} "${outPath}"`,
+    { scheduler, outputs: [outPath] }
   );
+  return timeSeconds;
 }
 
 /**
@@ -186,9 +95,16 @@ function makeReferenceWhole(inputFile, height, refFile) {
  * @param {string} params.referenceFile - 参考视频文件路径
  * @param {string} params.vmafModel - VMAF 模型文件或版本名称
  * @param {string} params.outJson - 输出 JSON 结果文件路径
- * @returns {number} VMAF 平均分数 (0-100)
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @returns {Promise<number>} VMAF 平均分数 (0-100)
  */
-function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
+async function measureFinalVmaf({
+  finalFile,
+  referenceFile,
+  vmafModel,
+  outJson,
+  scheduler,
+}) {
   // FFmpeg 8.0+ uses 'model' instead of 'model_path'
   let modelArg = "";
   if (vmafModel) {
@@ -202,10 +118,16 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
     }
   }
 
-  sh(
-    `ffmpeg -hide_banner -r 30 -i "${finalFile}" -r 30 -i "${referenceFile}" ` +
-      `-lavfi "[0:v][1:v]libvmaf=${modelArg}log_fmt=json:log_path='${outJson}'" ` +
-      `-f null -`
+  const { inputArgs, filterInputs } = buildVmafInputs({
+    distortedFile: finalFile,
+    referenceFile,
+  });
+
+  await runCommand(
+    `ffmpeg -hide_banner ${inputArgs} ` +
+      `-lavfi "${filterInputs}libvmaf=${modelArg}log_fmt=json:log_path='${outJson}'" ` +
+      `-f null -`,
+    { scheduler, outputs: [outJson] }
   );
   const obj = JSON.parse(readFileSync(outJson, "utf8"));
   // Support multiple libvmaf JSON formats
@@ -222,9 +144,9 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
  * 运行按场景编码的完整工作流
  *
  * 执行按场景编码的完整流程：
- * 1. 根据片段计划编码每个片段（使用已探测的最优码率）
+ * 1. 根据片段计划编码每个片段（使用已探测的最优码率或 CRF），各片段通过调度器并行编码
  * 2. 拼接所有片段为完整视频
- * 3. 生成高质量参考视频
+ * 3. 生成高质量参考视频（与片段编码并行）
  * 4. 计算整片 VMAF 质量分数
  *
  * 这是按场景编码策略的核心执行函数，每个片段使用独立的最优码率编码。
@@ -232,25 +154,41 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
  * @param {Object} params - 编码流程参数
  * @param {string} params.inputFile - 输入视频文件路径
  * @param {number} params.height - 目标视频高度（像素）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
  * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
  * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
- * @param {Array<{start: number, dur: number, chosenBitrateKbps: number, estVmaf: number}>} params.segmentPlan
+ * @param {Array<{start: number, dur: number, chosenBitrateKbps?: number, chosenCrf?: number, estVmaf: number}>} params.segmentPlan
  *        片段计划数组，每个片段包含：
  *        - start: 起始时间（秒）
  *        - dur: 持续时间（秒）
  *        - chosenBitrateKbps: 最优码率 (kbps)
+ *        - chosenCrf: 最优 CRF（per_scene_crf），给出时按 CRF 编码
  *        - estVmaf: 预估 VMAF 分数
  * @param {number} params.gopSec - GOP 时长（秒）
- * @param {number} params.audioKbps - 音频码率 (kbps)
+ * @param {Object|null} [params.audio] - 整片音轨配置（见 audio_track.mjs 的 resolveAudioConfig()），
+ *        缺省或为 null 时输出只含视频
+ * @param {string} [params.container="mp4"] - 片段与整片的输出容器（见 container_format.mjs），
+ *        音频编码随之选择 AAC 或 Opus
  * @param {string} params.workdir - 工作目录路径
  * @param {string} params.vmafModel - VMAF 模型文件或版本名称
  * @param {string} [params.modeTag="perScene"] - 模式标签，用于文件命名
- * @returns {{finalFile: string, finalVmaf: number}} 结果对象
+ * @param {boolean} [params.reuseExistingSegments=false] - 断点续跑时复用已编码完成的片段
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），用于复用整片参考视频与音轨
+ * @param {function(string, Object): void} [params.emit] - 进度事件发送函数（见 progress_events.mjs），
+ *        每完成一个片段发出 encodeProgress，测得整片 VMAF 后发出 vmafMeasured
+ * @returns {Promise<{finalFile: string, finalVmaf: number, finalEncodeTime: number, segmentsDir: string,
+ *            concat: Object}>} 结果对象
  *          - finalFile: 最终视频文件路径
  *          - finalVmaf: 整片 VMAF 分数
+ *          - finalEncodeTime: 各片段最终编码耗时之和（秒）
+ *          - segmentsDir: 各片段编码结果所在的目录（HLS/DASH 打包据此取得场景边界）
+ *          - concat: 拼接报告（见 concat_segments.mjs 的 concatSegments()）
+ * @throws {Error} 片段校验不通过时抛出（见 concat_segments.mjs 的 checkSegments()）
  *
  * @example
- * const result = runPerSceneEncode({
+ * const result = await runPerSceneEncode({
  *   inputFile: './video.mp4',
  *   height: 1080,
  *   codec: 'libx264',
@@ -260,32 +198,39 @@ function measureFinalVmaf({ finalFile, referenceFile, vmafModel, outJson }) {
  *     { start: 5.2, dur: 7.3, chosenBitrateKbps: 3200, estVmaf: 95.4 }
  *   ],
  *   gopSec: 2,
- *   audioKbps: 128,
  *   workdir: './workdir/test',
  *   vmafModel: 'vmaf_v0.6.1.json',
  *   modeTag: 'per_scene'
  * });
  * // 返回: { finalFile: './workdir/test/final_libx264_cpu_per_scene.mp4', finalVmaf: 95.234 }
  */
-export function runPerSceneEncode({
+export async function runPerSceneEncode({
   inputFile,
   height,
+  ladderBasis,
   codec,
   implementation,
-  segmentPlan, // [{start, dur, chosenBitrateKbps, estVmaf, implementation}, ...]
+  segmentPlan, // [{start, dur, chosenBitrateKbps | chosenCrf, estVmaf, implementation}, ...]
   gopSec,
-  audioKbps,
+  audio = null,
+  container = "mp4",
   workdir,
   vmafModel,
   modeTag = "perScene",
+  reuseExistingSegments = false,
+  profile,
+  scheduler,
+  cache,
+  emit,
 }) {
   const safeTag = modeTag.replace(/[^a-zA-Z0-9_]+/g, "_");
+  const format = getContainerFormat(container, codec);
   mkdirSync(workdir, { recursive: true });
   const segDir = join(workdir, `${safeTag}_segments_${implementation}`);
   const repDir = join(workdir, "report");
   const finalOut = join(
     workdir,
-    `final_${codec}_${implementation}_${safeTag}.mp4`
+    `final_${codec}_${implementation}_${safeTag}${format.ext}`
   );
   const refOut = join(
     workdir,
@@ -299,48 +244,135 @@ export function runPerSceneEncode({
   mkdirSync(segDir, { recursive: true });
   mkdirSync(repDir, { recursive: true });
 
-  // 输出每个片段
-  // Export each segment
-  const segFiles = [];
-  let totalFinalEncodeTime = 0;
-  segmentPlan.forEach((seg, idx) => {
-    const outPath = join(segDir, `seg_${String(idx).padStart(4, "0")}.mp4`);
-    const encodeTime = exportFinalSegment({
-      inputFile,
-      start: seg.start,
-      dur: seg.dur,
-      height,
-      codec,
-      implementation,
-      bitrateKbps: seg.chosenBitrateKbps,
-      gopSec,
-      audioKbps,
-      outPath,
-    });
-    totalFinalEncodeTime += encodeTime;
-    segFiles.push(outPath);
+  // 参考视频与片段编码互不依赖，先行启动
+  // The reference does not depend on the segments, so start it right away
+  const referenceDone = encodeFullReference({
+    inputFile,
+    height,
+    ladderBasis,
+    outFile: refOut,
+    color: profile?.color,
+    scheduler,
+    cache,
   });
+  // 整片音轨只编码一次，在拼接后封装，避免逐段编码 AAC 带来的前导静音与音画漂移
+  // The title audio is encoded once and muxed after concat, avoiding per-segment AAC priming and drift
+  const audioDone = audio
+    ? encodeTitleAudio({
+        audio,
+        container,
+        workdir,
+        scheduler,
+        cache,
+      })
+    : Promise.resolve(null);
+  // 错误会在下方 await 时抛出，这里避免片段失败时出现未处理的 rejection
+  // Errors surface at the await below; avoid an unhandled rejection if a segment fails first
+  referenceDone.catch(() => {});
+  audioDone.catch(() => {});
 
-  // 拼接生成整片
-  // Concatenate into the full video
-  concatSegmentsToFile(segFiles, finalOut);
+  // 片段编码占本流程进度的 90%，拼接与整片 VMAF 占剩余部分
+  // Segment encodes account for 90% of this step; concat and full-video VMAF cover the rest
+  let encodedCount = 0;
+  const reportSegmentDone = () => {
+    encodedCount++;
+    emit?.("encodeProgress", {
+      completed: encodedCount,
+      total: segmentPlan.length,
+      fraction: (encodedCount / segmentPlan.length) * 0.9,
+    });
+  };
 
-  // 生成高质量参考整片
-  // Produce a high-quality reference encode
-  makeReferenceWhole(inputFile, height, refOut);
+  // 输出每个片段（并行）
+  // Export each segment (in parallel)
+  const segResults = await Promise.all(
+    segmentPlan.map(async (seg, idx) => {
+      const outPath = join(
+        segDir,
+        `seg_${String(idx).padStart(4, "0")}${format.ext}`
+      );
+      if (
+        reuseExistingSegments &&
+        existsSync(outPath) &&
+        statSync(outPath).size > 0
+      ) {
+        reportSegmentDone();
+        return { outPath, encodeTime: 0 };
+      }
+
+      // 先写入临时文件再重命名，避免中断时留下不完整的片段
+      // Write to a temporary file and rename it so an interruption never leaves a truncated segment
+      const partialPath = withSuffix(outPath, "partial");
+      const encodeTime = await exportFinalSegment({
+        inputFile,
+        start: seg.start,
+        dur: seg.dur,
+        height,
+        ladderBasis,
+        codec,
+        implementation,
+        bitrateKbps: seg.chosenBitrateKbps,
+        crf: seg.chosenCrf,
+        gopSec,
+        outPath: partialPath,
+        container,
+        profile,
+        scheduler,
+      });
+      renameSync(partialPath, outPath);
+      reportSegmentDone();
+      return { outPath, encodeTime };
+    })
+  );
+  const segFiles = segResults.map((r) => r.outPath);
+  const totalFinalEncodeTime = segResults.reduce(
+    (sum, r) => sum + r.encodeTime,
+    0
+  );
+
+  // 校验并拼接生成整片视频，再封装整片音轨
+  // Verify and concatenate into the full video, then mux the title audio
+  const videoOut = withSuffix(finalOut, "video");
+  const concat = await concatSegments({
+    segFiles,
+    outFile: videoOut,
+    plan: segmentPlan,
+    sourceFile: inputFile,
+    format,
+    scheduler,
+  });
+  const audioTrack = await audioDone;
+  await muxTitleAudio({
+    videoFile: videoOut,
+    audioFile: audioTrack?.file ?? null,
+    outFile: finalOut,
+    container,
+    codec,
+    scheduler,
+  });
+  const { file: referenceFile } = await referenceDone;
 
   // 计算整片 VMAF
   // Measure full-video VMAF
-  const wholeVmaf = measureFinalVmaf({
+  const wholeVmaf = await measureFinalVmaf({
     finalFile: finalOut,
-    referenceFile: refOut,
+    referenceFile,
     vmafModel,
     outJson: vmafJson,
+    scheduler,
+  });
+  emit?.("vmafMeasured", {
+    scope: "final",
+    vmaf: wholeVmaf,
+    file: finalOut,
+    fraction: 1,
   });
 
   return {
     finalFile: finalOut,
     finalVmaf: wholeVmaf,
     finalEncodeTime: totalFinalEncodeTime,
+    segmentsDir: segDir,
+    concat,
   };
 }
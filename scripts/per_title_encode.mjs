@@ -0,0 +1,263 @@
+/**
+ * Per-Title 编码模块
+ * Per-Title Encoding Module
+ *
+ * 在多个分辨率 × CRF 点上编码整片，构建跨分辨率的码率-质量凸包，并为每个档位选择工作点
+ * Encode the whole title at several resolution × CRF points, build the cross-resolution
+ * rate-quality convex hull and pick an operating point for every rung
+ */
+
+import { mkdirSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { getCrfEncoderArgs } from "./baseline_crf_encode.mjs";
+import { getContainerFormat } from "./container_format.mjs";
+import { encodeFullReference } from "./encoder_config.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { getScaleFilter } from "./resolution_strategy.mjs";
+import { getDurationSeconds, getGopFrames } from "./scene_detect.mjs";
+import { measureVmaf } from "./vmaf_calculator.mjs";
+
+/**
+ * 生成 Per-Title 评估使用的高质量参考视频（整片）
+ *
+ * 所有分辨率的编码结果都会放大到该参考分辨率后再计算 VMAF，使不同档位的分数可比。
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.inputFile - 输入视频文件路径
+ * @param {number} params.height - 参考视频高度（通常为 heightList 中的最大值）
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
+ * @param {string} params.workdir - 工作目录路径
+ * @param {Object} [params.color] - 色彩配置（见 color_config.mjs），缺省为 8 位 SDR
+ * @param {Object} [params.scheduler] - 任务调度器
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs），与其他模式共享整片参考视频
+ * @returns {Promise<{file: string, encodeTime: number}>} 参考文件路径和编码时间（秒）
+ */
+export async function makePerTitleReference({
+  inputFile,
+  height,
+  ladderBasis,
+  workdir,
+  color,
+  scheduler,
+  cache,
+}) {
+  mkdirSync(workdir, { recursive: true });
+  return encodeFullReference({
+    inputFile,
+    height,
+    ladderBasis,
+    outFile: join(workdir, `ref_full_${height}p.mp4`),
+    color,
+    scheduler,
+    cache,
+  });
+}
+
+/**
+ * 计算码率-质量凸包（上凸包）
+ *
+ * 先过滤掉被支配的点（码率更高但 VMAF 不更高），再用单调链算法保留上凸包。
+ * 结果按码率升序排列，相邻点之间的斜率单调递减。
+ *
+ * @param {Array<{kbps: number, vmaf: number}>} points - RD 点（可附带 height、crf 等字段）
+ * @returns {Array<{kbps: number, vmaf: number}>} 凸包上的点（保留原始对象）
+ *
+ * @example
+ * computeRdConvexHull([
+ *   { kbps: 500, vmaf: 80 },
+ *   { kbps: 1000, vmaf: 88 },
+ *   { kbps: 1500, vmaf: 89 },
+ *   { kbps: 2000, vmaf: 94 }
+ * ]);
+ * // 返回: [{ kbps: 500, ... }, { kbps: 1000, ... }, { kbps: 2000, ... }]
+ */
+export function computeRdConvexHull(points) {
+  const sorted = points
+    .filter((p) => Number.isFinite(p.kbps) && Number.isFinite(p.vmaf))
+    .sort((a, b) => a.kbps - b.kbps || b.vmaf - a.vmaf);
+
+  // 帕累托过滤：只保留 VMAF 严格递增的点
+  // Pareto filter: keep only points with strictly increasing VMAF
+  const frontier = [];
+  for (const p of sorted) {
+    if (frontier.length === 0 || p.vmaf > frontier[frontier.length - 1].vmaf) {
+      frontier.push(p);
+    }
+  }
+
+  const cross = (o, a, b) =>
+    (a.kbps - o.kbps) * (b.vmaf - o.vmaf) -
+    (a.vmaf - o.vmaf) * (b.kbps - o.kbps);
+
+  const hull = [];
+  for (const p of frontier) {
+    while (
+      hull.length >= 2 &&
+      cross(hull[hull.length - 2], hull[hull.length - 1], p) >= 0
+    ) {
+      hull.pop();
+    }
+    hull.push(p);
+  }
+  return hull;
+}
+
+/**
+ * 为每个分辨率档位选择工作点
+ *
+ * 优先选择位于凸包上且满足目标 VMAF 的最低码率点；若该档位没有凸包点达标，
+ * 则退而选择该档位中满足目标的最低码率点；都不满足时选择 VMAF 最高的点。
+ *
+ * @param {Array<{height: number, kbps: number, vmaf: number}>} points - 所有 RD 点
+ * @param {Array<Object>} hull - computeRdConvexHull() 的结果
+ * @param {number[]} heightList - 分辨率档位列表
+ * @param {number} targetVmaf - 目标 VMAF 分数
+ * @returns {Array<{height: number, chosen: Object|null, onHull: boolean, meetsTarget: boolean}>}
+ */
+export function selectLadderOperatingPoints(
+  points,
+  hull,
+  heightList,
+  targetVmaf
+) {
+  const hullSet = new Set(hull);
+  return heightList.map((height) => {
+    const atHeight = points
+      .filter((p) => p.height === height)
+      .sort((a, b) => a.kbps - b.kbps);
+    if (atHeight.length === 0) {
+      return { height, chosen: null, onHull: false, meetsTarget: false };
+    }
+
+    const meeting = atHeight.filter((p) => p.vmaf >= targetVmaf);
+    const chosen =
+      meeting.find((p) => hullSet.has(p)) ??
+      meeting[0] ??
+      [...atHeight].sort((a, b) => b.vmaf - a.vmaf)[0];
+
+    return {
+      height,
+      chosen,
+      onHull: hullSet.has(chosen),
+      meetsTarget: chosen.vmaf >= targetVmaf,
+    };
+  });
+}
+
+/**
+ * 运行 Per-Title 编码流程
+ *
+ * 对每个分辨率按 crfList 中的每个 CRF 编码整片，测量码率与（放大到参考分辨率后的）VMAF，
+ * 然后计算跨分辨率凸包并为每个档位选择满足目标 VMAF 的工作点。
+ * 各 RD 点互不依赖，通过调度器并行编码与评估。
+ *
+ * @param {Object} params - 编码参数
+ * @param {string} params.inputFile - 输入视频文件路径
+ * @param {number[]} params.heightList - 分辨率档位列表
+ * @param {string} [params.ladderBasis] - 分辨率档位含义（见 resolution_strategy.mjs 的 getRungSize()）
+ * @param {string} params.codec - 编码器名称 (libx264, libx265, libvpx-vp9, libsvtav1)
+ * @param {string} params.implementation - 实现方式 ('cpu' 或 'nvenc')
+ * @param {number[]} params.crfList - 每个分辨率要编码的 CRF 列表
+ * @param {number} params.gopSec - GOP 时长（秒）
+ * @param {string} [params.container="mp4"] - RD 点编码的输出容器（见 container_format.mjs）
+ * @param {string} params.workdir - 工作目录路径
+ * @param {string} params.vmafModel - VMAF 模型文件或版本名称
+ * @param {number} params.targetVmaf - 目标 VMAF 分数
+ * @param {string} params.referenceFile - makePerTitleReference() 生成的参考视频
+ * @param {Object} [params.profile] - 编码器配置档（见 encoder_profiles.mjs），缺省时使用默认配置档
+ * @param {Object} [params.scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {function(string, Object): void} [params.emit] - 进度事件发送函数（见 progress_events.mjs），
+ *        每测得一个 RD 点发出 vmafMeasured
+ * @returns {Promise<{points: Array<Object>, hull: Array<Object>, ladder: Array<Object>}} 结果对象
+ *          - points: 所有 RD 点 { height, crf, kbps, vmaf, file, encodeTime }
+ *          - hull: 凸包上的点
+ *          - ladder: 每个档位的工作点（见 selectLadderOperatingPoints）
+ */
+export async function runPerTitleEncode({
+  inputFile,
+  heightList,
+  ladderBasis,
+  codec,
+  implementation,
+  crfList,
+  gopSec,
+  container = "mp4",
+  workdir,
+  vmafModel,
+  targetVmaf,
+  referenceFile,
+  profile,
+  scheduler,
+  emit,
+}) {
+  mkdirSync(workdir, { recursive: true });
+  const tmpDir = join(workdir, "tmp");
+  mkdirSync(tmpDir, { recursive: true });
+
+  const gopFrames = getGopFrames(inputFile, gopSec);
+  const format = getContainerFormat(container, codec);
+  const grid = heightList.flatMap((height) =>
+    crfList.map((crf) => ({ height, crf }))
+  );
+
+  let measuredCount = 0;
+  const points = await Promise.all(
+    grid.map(async ({ height, crf }) => {
+      const videoArgs = getCrfEncoderArgs(
+        codec,
+        implementation,
+        crf,
+        gopFrames,
+        profile
+      );
+      if (!videoArgs) {
+        throw new Error(
+          `暂不支持的编码器实现: codec=${codec} implementation=${implementation}`
+        );
+      }
+
+      const outFile = join(
+        workdir,
+        `rd_${height}p_crf${crf}_${codec}_${implementation}${format.ext}`
+      );
+      const { timeSeconds: encodeTime } = await runCommand(
+        `ffmpeg -y -hide_banner -i "${inputFile}" ` +
+          `-vf "${getScaleFilter(inputFile, height, ladderBasis).filter}" ` +
+          `${videoArgs} ` +
+          `-an ${format.muxArgs} "${outFile}"`,
+        { scheduler, outputs: [outFile] }
+      );
+
+      const kbps =
+        (statSync(outFile).size * 8) / 1000 / getDurationSeconds(outFile);
+      const vmaf = await measureVmaf({
+        distortedFile: outFile,
+        referenceFile,
+        vmafModel,
+        tmpDir,
+        scaleToReference: true,
+        scheduler,
+      });
+
+      measuredCount++;
+      emit?.("vmafMeasured", {
+        scope: "rdPoint",
+        vmaf,
+        rdPoint: { height, crf, kbps },
+        file: outFile,
+        fraction: measuredCount / grid.length,
+      });
+      return { height, crf, kbps, vmaf, file: outFile, encodeTime };
+    })
+  );
+
+  const hull = computeRdConvexHull(points);
+  const ladder = selectLadderOperatingPoints(
+    points,
+    hull,
+    heightList,
+    targetVmaf
+  );
+
+  return { points, hull, ladder };
+}
@@ -0,0 +1,340 @@
+/**
+ * 进度事件模块
+ * Progress Events Module
+ *
+ * runExperiment 通过类型化事件报告进度，CLI 负责渲染，服务端 worker 原样转发
+ * runExperiment reports progress as typed events; the CLI renders them and the server worker forwards them
+ */
+
+/**
+ * 进度事件类型
+ *
+ * 每个事件都包含 type、at（ISO 时间）与 progress（整体进度 0-1），其余字段随类型而定：
+ * - phaseStarted / phaseFinished: phase 为 experiment、title、sceneDetection、prepareSource、combination、
+ *   reference 或 packaging；reference 只有开始事件，表示 per_title 生成共享参考视频，带有 referenceHeight
+ *   与 crfList；experiment 结束时带有 summaryPath、cancelled 与 cache（缓存统计，未启用缓存时为 null），
+ *   packaging 带有 format（hls 或 dash），结束时带有 manifests（生成的 HLS 主播放列表或 DASH MPD）
+ * - scenesDetected: source, sceneThresh, segmentCount
+ * - segmentProbed: segmentIndex, segmentCount, start, dur, kbps, vmaf, probesUsed, probesReused, resumed；
+ *   按 CRF 探测（per_scene_crf）时另带 crf，kbps 为该 CRF 编码结果的码率
+ * - encodeProgress: completed, total（最终编码已完成的片段数）
+ * - vmafMeasured: scope 为 final（整片）或 rdPoint（per_title 的单个 RD 点），vmaf
+ * - skipped: reason 为 unsupported（暂不支持的编码器实现）、completed（续跑时已完成）、cancelled（已取消）
+ *   或 upscale（档位超出片源分辨率，不属于任何组合，带 height、resolution 与 sourceResolution）
+ * - error: scope 为 combination、segment、title 或 packaging（某个配置打包失败，带 format），message
+ *
+ * 组合相关的事件还带有 mode、codec、height、implementation，依赖目标 VMAF 的模式另带 targetVmaf。
+ */
+export const PROGRESS_EVENT_TYPES = Object.freeze([
+  "phaseStarted",
+  "phaseFinished",
+  "scenesDetected",
+  "segmentProbed",
+  "encodeProgress",
+  "vmafMeasured",
+  "skipped",
+  "error",
+]);
+
+/**
+ * 创建进度跟踪器
+ *
+ * 整体进度按"工作单元"（每个组合、每次片源准备）平均计算。单元内的进度由事件的
+ * fraction 字段（0-1，只增不减）给出，fraction 本身不会出现在发出的事件中。
+ *
+ * @param {function(Object): void} [onEvent] - 事件回调
+ * @returns {{setTotalUnits: function(number): void, complete: function(): void,
+ *            emit: function(string, Object=): void,
+ *            unit: function(string, Object=): function(string, Object=): void}}
+ *          emit 发出不属于任何单元的事件；unit() 返回绑定到某个单元的 emit，
+ *          其 within(from, to) 方法可把子步骤的 0-1 进度映射到单元内的一段区间；
+ *          complete() 之后的事件进度恒为 1
+ */
+export function createProgressTracker(onEvent) {
+  const unitFractions = new Map();
+  let totalUnits = 0;
+  let completed = false;
+
+  const overallProgress = () => {
+    if (completed) {
+      return 1;
+    }
+    if (totalUnits === 0) {
+      return 0;
+    }
+    let done = 0;
+    for (const fraction of unitFractions.values()) {
+      done += fraction;
+    }
+    return Math.round(Math.min(1, done / totalUnits) * 10000) / 10000;
+  };
+
+  const send = (type, fields, unitId, fraction) => {
+    if (unitId !== undefined && fraction !== undefined) {
+      const clamped = Math.min(1, Math.max(0, fraction));
+      unitFractions.set(
+        unitId,
+        Math.max(unitFractions.get(unitId) ?? 0, clamped)
+      );
+    }
+    onEvent?.({
+      type,
+      at: new Date().toISOString(),
+      progress: overallProgress(),
+      ...fields,
+    });
+  };
+
+  const scoped = (unitId, baseFields, from, to) => {
+    const emit = (type, { fraction, ...fields } = {}) =>
+      send(
+        type,
+        { ...baseFields, ...fields },
+        unitId,
+        fraction === undefined ? undefined : from + (to - from) * fraction
+      );
+    emit.within = (a, b) =>
+      scoped(
+        unitId,
+        baseFields,
+        from + (to - from) * a,
+        from + (to - from) * b
+      );
+    return emit;
+  };
+
+  return {
+    setTotalUnits(count) {
+      totalUnits = count;
+    },
+    complete() {
+      completed = true;
+    },
+    emit: scoped(undefined, {}, 0, 1),
+    unit(unitId, baseFields = {}) {
+      unitFractions.set(unitId, 0);
+      return scoped(unitId, baseFields, 0, 1);
+    },
+  };
+}
+
+function targetTag({ targetVmaf }) {
+  return targetVmaf === undefined || targetVmaf === null
+    ? ""
+    : ` @VMAF${targetVmaf}`;
+}
+
+function comboTag(event) {
+  const { mode, codec, implementation, height } = event;
+  return `${mode} ${codec}/${implementation} ${height}p${targetTag(event)}`;
+}
+
+// 团队模式返回的摘要行可能缺少某些指标，缺失时显示为 "-"
+// Rows from team modes may omit some metrics; show "-" instead of failing
+function fixed(value, digits) {
+  return typeof value === "number" ? value.toFixed(digits) : "-";
+}
+
+function formatResult(event) {
+  const row = event.result;
+  const crfInfo = row.crf !== undefined ? `CRF=${row.crf}, ` : "";
+  const targetInfo = row.meetsTarget === false ? " (未达目标)" : "";
+  return (
+    `结果: 模式=${event.mode}, 编码器=${event.codec}, 实现=${
+      event.implementation
+    }, 分辨率=${event.height}p${targetTag(event)}, ` +
+    `${crfInfo}整体VMAF=${fixed(row.finalVmaf, 2)}${targetInfo}, ` +
+    `平均码率≈${fixed(row.avgBitrateKbps, 1)} kbps${
+      row.audioBitrateKbps > 0
+        ? ` (另有音频 ${fixed(row.audioBitrateKbps, 1)} kbps)`
+        : ""
+    }, ` +
+    `编码次数=${row.totalEncodeCount} (探测=${row.probeCount}, 最终=${row.finalEncodeCount}), ` +
+    `编码效率=${fixed(row.encodingEfficiency, 2)}x ` +
+    `(耗时=${fixed(row.totalEncodeTimeSeconds, 1)}s / 视频=${fixed(
+      row.videoDurationSeconds,
+      1
+    )}s)`
+  );
+}
+
+function formatError(event) {
+  if (event.scope === "segment") {
+    return `    ❌ [${comboTag(event)}] 片段 ${event.segmentIndex + 1}/${
+      event.segmentCount
+    } 探测失败: ${event.message}${
+      event.signal ? `\n       信号: ${event.signal}` : ""
+    }`;
+  }
+  if (event.scope === "packaging") {
+    return `❌ ${event.format.toUpperCase()} 打包失败: 模式=${
+      event.mode
+    }, 编码器=${event.codec}, 实现=${event.implementation}${targetTag(
+      event
+    )}\n   错误: ${event.message}`;
+  }
+  if (event.scope === "title") {
+    return (
+      `❌ 片源失败: ${event.inputFile}\n` +
+      `   错误: ${event.message}\n` +
+      "   跳过此片源，继续下一个...\n"
+    );
+  }
+  return (
+    `❌ 编码失败: 模式=${event.mode}, 编码器=${event.codec}, 实现=${
+      event.implementation
+    }, 分辨率=${event.height}p${targetTag(event)}\n` +
+    `   错误: ${event.message}\n` +
+    (event.signal ? `   信号: ${event.signal}\n` : "") +
+    "   跳过此配置，继续下一个...\n"
+  );
+}
+
+function formatCacheStats(cache) {
+  const kinds = Object.entries(cache.kinds)
+    .map(([kind, c]) => `${kind} ${c.hits}/${c.hits + c.misses}`)
+    .join(", ");
+  return (
+    `缓存: 命中=${cache.hits}, 未命中=${cache.misses}, ` +
+    `节省≈${cache.savedSeconds.toFixed(1)}s${kinds ? ` (${kinds})` : ""}`
+  );
+}
+
+function formatPhase(event) {
+  const started = event.type === "phaseStarted";
+  switch (event.phase) {
+    case "experiment":
+      if (started) {
+        return `开始编码实验: ${event.inputFile}`;
+      }
+      return (
+        (event.cancelled
+          ? `⚠️  实验已取消，已完成部分的摘要已写入: ${event.summaryPath}`
+          : `摘要结果已写入: ${event.summaryPath}`) +
+        (event.cache ? `\n${formatCacheStats(event.cache)}` : "")
+      );
+    case "title":
+      return started
+        ? `\n##### 片源 ${event.titleIndex + 1}/${event.titleCount}: ${
+            event.inputFile
+          }${
+            event.tags?.length ? ` (标签: ${event.tags.join(", ")})` : ""
+          } #####`
+        : null;
+    case "sceneDetection":
+      return started
+        ? `  -> 正在对 ${event.source} 进行场景检测 (阈值=${event.sceneThresh})`
+        : null;
+    case "prepareSource":
+      return started
+        ? `=== 模式:${event.mode} -> 准备片源 ===`
+        : `  -> 片源已就绪: ${event.source}`;
+    case "reference":
+      return started
+        ? `=== 模式:${event.mode} -> 生成 ${
+            event.referenceHeight
+          }p 参考视频 (CRF 点=${event.crfList.join(", ")}) ===`
+        : null;
+    case "packaging":
+      return started
+        ? `=== ${event.format.toUpperCase()} 打包 ===`
+        : `  -> 已生成 ${event.manifests.length} 个${
+            event.format === "dash" ? " MPD" : "主播放列表"
+          }${event.manifests.map((manifest) => `\n     ${manifest}`).join("")}`;
+    case "combination":
+      if (started) {
+        return `=== 模式:${event.mode} 编码器:${event.codec} 实现:${
+          event.implementation
+        } 分辨率:${event.height}p${targetTag(event)} ===`;
+      }
+      return event.result ? formatResult(event) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 将进度事件格式化为一行（或多行）日志文本
+ *
+ * @param {Object} event - 进度事件
+ * @returns {string|null} 日志文本；该事件不需要输出时返回 null
+ */
+export function formatProgressEvent(event) {
+  switch (event.type) {
+    case "phaseStarted":
+    case "phaseFinished":
+      return formatPhase(event);
+    case "scenesDetected":
+      return `  -> 检测到 ${event.segmentCount} 个片段`;
+    case "segmentProbed": {
+      const crfInfo = event.crf !== undefined ? `CRF=${event.crf} -> ` : "";
+      if (event.resumed) {
+        return `    [${comboTag(event)}] 片段 ${event.segmentIndex + 1}/${
+          event.segmentCount
+        } -> ${crfInfo}${event.kbps} kbps (已恢复探测结果)`;
+      }
+      return `    [${comboTag(event)}] 片段 ${event.segmentIndex + 1}/${
+        event.segmentCount
+      } [${event.start.toFixed(2)}s-${(event.start + event.dur).toFixed(
+        2
+      )}s] -> ${crfInfo}${event.kbps} kbps (估算VMAF=${event.vmaf.toFixed(2)})${
+        event.probesUsed ? ` (${event.probesUsed} 次探测)` : ""
+      }${event.probesReused ? ` (复用 ${event.probesReused} 个探测点)` : ""}`;
+    }
+    case "encodeProgress":
+      return `    [${comboTag(event)}] 最终编码 ${event.completed}/${
+        event.total
+      }`;
+    case "vmafMeasured":
+      if (event.scope === "rdPoint") {
+        const { height, crf, kbps } = event.rdPoint;
+        return `    ${height}p CRF=${crf} -> ${kbps.toFixed(
+          1
+        )} kbps (VMAF=${event.vmaf.toFixed(2)})`;
+      }
+      return `    [${comboTag(event)}] 整片 VMAF=${event.vmaf.toFixed(2)}`;
+    case "skipped":
+      if (event.reason === "upscale") {
+        return `=== 跳过 ${event.height}p: 输出 ${event.resolution} 超出片源 ${event.sourceResolution}，不做放大 ===`;
+      }
+      if (event.reason === "completed") {
+        return `=== 已完成，跳过: 模式=${event.mode} 编码器=${
+          event.codec
+        } 实现=${event.implementation} 分辨率=${event.height}p${targetTag(
+          event
+        )} ===`;
+      }
+      if (event.reason === "cancelled") {
+        return `=== 已取消: 模式=${event.mode} 编码器=${event.codec} 实现=${
+          event.implementation
+        } 分辨率=${event.height}p${targetTag(event)} ===`;
+      }
+      return `=== 跳过: 模式=${event.mode} 编码器=${event.codec} 实现=${
+        event.implementation
+      } 分辨率=${event.height}p${targetTag(event)} 暂不支持 ===`;
+    case "error":
+      return formatError(event);
+    default:
+      return null;
+  }
+}
+
+/**
+ * 在控制台输出进度事件
+ *
+ * @param {Object} event - 进度事件
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.showProgress=false] - 是否在行首显示整体进度百分比
+ */
+export function logProgressEvent(event, { showProgress = false } = {}) {
+  const text = formatProgressEvent(event);
+  if (text === null) {
+    return;
+  }
+  const [, leading, body] = text.match(/^(\n*)([\s\S]*)$/);
+  const prefix = showProgress
+    ? `[${(event.progress * 100).toFixed(1).padStart(5)}%] `
+    : "";
+  const print = event.type === "error" ? console.error : console.log;
+  print(`${leading}${prefix}${body}`);
+}
@@ -2,17 +2,57 @@
  * 分辨率策略模块
  * Resolution Strategy Module
  *
- * 定义不同分辨率的码率搜索策略
- * Define bitrate search strategies for different resolutions
+ * 定义不同分辨率的码率搜索策略与 CRF 搜索策略，并把分辨率档位换算为实际输出尺寸
+ * Define bitrate search strategies for different resolutions and CRF search strategies,
+ * and turn ladder rungs into actual output sizes
  */
 
+import { probeDisplaySize } from "./scene_detect.mjs";
+
+/**
+ * 16:9 横屏下某个高度档位的像素数，作为码率表中各档位的基准
+ */
+function tierPixels(height) {
+  return height * Math.round((height * 16) / 9);
+}
+
+function pixelCountOf(size) {
+  return typeof size === "number" ? tierPixels(size) : size.width * size.height;
+}
+
+/**
+ * 按像素数匹配码率表中的档位
+ *
+ * 取像素数不超过输出尺寸的最高档位（低于最低档位时取最低档位），ratio 为输出像素数与档位像素数之比，
+ * 用于按面积缩放码率。允许 3% 的误差，使 -2 取整得到的 852x480 等尺寸仍落在对应档位。
+ *
+ * @param {Object<number, *>} table - 以 16:9 高度为键的表
+ * @param {number|{width: number, height: number}} size - 16:9 高度或实际输出尺寸
+ * @returns {{entry: *, ratio: number}}
+ */
+function matchTier(table, size) {
+  const pixels = pixelCountOf(size);
+  const heights = Object.keys(table)
+    .map(Number)
+    .sort((a, b) => b - a);
+  const tier =
+    heights.find((h) => pixels >= tierPixels(h) * 0.97) ??
+    heights[heights.length - 1];
+  return { entry: table[tier], ratio: pixels / tierPixels(tier) };
+}
+
+function scaleKbps(kbps, ratio) {
+  return Math.max(10, Math.round((kbps * ratio) / 10) * 10);
+}
+
 /**
  * 根据视频分辨率获取对应的码率探测策略
  *
  * 为不同分辨率定制化的码率搜索范围和最大探测次数，确保在合理范围内找到最优码率。
- * 策略自动匹配最接近的分辨率档位。
+ * 策略按像素数匹配档位（竖屏 1080x1920 与横屏 1920x1080 相同），并按输出像素数与档位像素数之比
+ * 缩放码率范围，使 4:3、超宽或档位之间的尺寸得到相应的范围。
  *
- * @param {number} height - 视频高度（像素），如 1080、720、480
+ * @param {number|{width: number, height: number}} size - 实际输出尺寸，或 16:9 横屏下的视频高度（如 1080、720、480）
  * @returns {Object} 策略配置对象
  * @returns {number} return.min - 最小码率 (kbps)
  * @returns {number} return.max - 最大码率 (kbps)
@@ -26,7 +66,7 @@
  * const strategy = getBitrateStrategy(360);
  * // 返回: { min: 300, max: 1500, maxProbes: 4 }
  */
-export function getBitrateStrategy(height) {
+export function getBitrateStrategy(size) {
   // 为不同分辨率定制的码率策略
   // Customized bitrate strategy for different resolutions
   const strategies = {
@@ -38,15 +78,14 @@ export function getBitrateStrategy(height) {
     360: { min: 300, max: 1500, maxProbes: 4 }, // 360p
   };
 
-  // 找到最接近的分辨率策略
-  // Find the closest resolution strategy
-  const heights = Object.keys(strategies)
-    .map(Number)
-    .sort((a, b) => b - a);
-  const closestHeight =
-    heights.find((h) => height >= h) || heights[heights.length - 1];
-
-  return strategies[closestHeight];
+  // 找到最接近的分辨率策略，并按像素数缩放码率范围
+  // Find the closest resolution strategy and scale its bitrate range by pixel count
+  const { entry, ratio } = matchTier(strategies, size);
+  return {
+    min: scaleKbps(entry.min, ratio),
+    max: scaleKbps(entry.max, ratio),
+    maxProbes: entry.maxProbes,
+  };
 }
 
 /**
@@ -113,3 +152,187 @@ export function adjustSearchRange(strategy, previousResult, targetVmaf) {
 
   return { min, max };
 }
+
+/**
+ * 获取按 CRF 搜索时的搜索范围与最大探测次数
+ *
+ * CRF 与分辨率无关，范围只取决于编码器的量化刻度：x264/x265 与 NVENC 的 CQ 为 0-51，
+ * VP9 与 AV1 为 0-63。范围两端取实际可用的质量区间，避免在明显过高或过低的质量上浪费探测。
+ *
+ * @param {string} codec - 编码器名称
+ * @returns {{min: number, max: number, maxProbes: number}} CRF 搜索范围（min 为最高质量）与最大探测次数
+ *
+ * @example
+ * getCrfStrategy('libx264');
+ * // 返回: { min: 16, max: 40, maxProbes: 6 }
+ */
+export function getCrfStrategy(codec) {
+  switch (codec) {
+    case "libvpx-vp9":
+    case "libsvtav1":
+    case "libaom-av1":
+      return { min: 20, max: 55, maxProbes: 6 };
+    default:
+      return { min: 16, max: 40, maxProbes: 6 };
+  }
+}
+
+/**
+ * 根据上一个片段的探测结果调整 CRF 搜索范围
+ *
+ * 与 adjustSearchRange() 相同的思路，但 CRF 越低质量越高：
+ * - VMAF 接近目标（±3）：在上次 CRF 的 ±4 范围内搜索
+ * - VMAF 低于目标：向更低 CRF 方向搜索
+ * - VMAF 高于目标：向更高 CRF 方向搜索
+ *
+ * @param {{min: number, max: number}} strategy - getCrfStrategy() 的结果
+ * @param {Object|null} previousResult - 上一个片段的探测结果
+ * @param {number} previousResult.chosenCrf - 上次选定的 CRF
+ * @param {number} previousResult.estVmaf - 上次估算的 VMAF 分数
+ * @param {number} targetVmaf - 目标 VMAF 分数
+ * @returns {{min: number, max: number}} 调整后的 CRF 范围
+ *
+ * @example
+ * adjustCrfRange({ min: 16, max: 40 }, { chosenCrf: 28, estVmaf: 94.5 }, 95);
+ * // 返回: { min: 24, max: 32 }
+ */
+export function adjustCrfRange(strategy, previousResult, targetVmaf) {
+  if (!previousResult) {
+    return { min: strategy.min, max: strategy.max };
+  }
+
+  const { chosenCrf, estVmaf } = previousResult;
+  const vmafGap = targetVmaf - estVmaf;
+
+  if (Math.abs(vmafGap) < 3) {
+    // VMAF 接近目标，在附近搜索
+    // VMAF close to target, search nearby
+    return {
+      min: Math.max(strategy.min, chosenCrf - 4),
+      max: Math.min(strategy.max, chosenCrf + 4),
+    };
+  }
+  if (vmafGap > 0) {
+    // VMAF 低于目标，需要更低的 CRF
+    // VMAF below target, need a lower CRF
+    return { min: strategy.min, max: Math.min(strategy.max, chosenCrf) };
+  }
+  // VMAF 高于目标，可以提高 CRF
+  // VMAF above target, can raise the CRF
+  return { min: Math.max(strategy.min, chosenCrf), max: strategy.max };
+}
+
+/**
+ * 获取固定码率阶梯中某个分辨率的码率与 VBV 上限
+ *
+ * 供 baseline_2pass（两遍 VBR 目标码率）与 baseline_capped_crf（CRF 的码率上限）使用，
+ * 模拟常见点播平台按分辨率固定的码率阶梯。与 getBitrateStrategy() 一样按像素数匹配档位并缩放码率。
+ * 码率上限为阶梯码率的 1.5 倍，缓冲区为上限的 2 倍。
+ *
+ * @param {number|{width: number, height: number}} size - 实际输出尺寸，或 16:9 横屏下的视频高度
+ * @returns {{bitrateKbps: number, maxrateKbps: number, bufsizeKbps: number}} 阶梯码率与 VBV 参数 (kbps)
+ *
+ * @example
+ * getLadderBitrate(1080);
+ * // 返回: { bitrateKbps: 5000, maxrateKbps: 7500, bufsizeKbps: 15000 }
+ */
+export function getLadderBitrate(size) {
+  // 固定码率阶梯（H.264 常用取值），各编码器共用以便直接比较
+  // Fixed ladder (typical H.264 values), shared by every codec so results compare directly
+  const ladder = {
+    2160: 12000,
+    1440: 8000,
+    1080: 5000,
+    720: 3000,
+    480: 1500,
+    360: 800,
+  };
+
+  const { entry, ratio } = matchTier(ladder, size);
+  const bitrateKbps = scaleKbps(entry, ratio);
+  const maxrateKbps = Math.round(bitrateKbps * 1.5);
+  return { bitrateKbps, maxrateKbps, bufsizeKbps: maxrateKbps * 2 };
+}
+
+/**
+ * 计算某个分辨率档位的输出尺寸
+ *
+ * - shortSide（缺省）：档位为短边长度，横屏 1080 档为 1920x1080，竖屏为 1080x1920
+ * - pixelCount：档位表示 16:9 下同高度的像素数（1080 档约 207 万像素），按片源宽高比分配宽高
+ *
+ * 宽高都取偶数。
+ *
+ * @param {{width: number, height: number}} sourceSize - 片源显示尺寸
+ * @param {number} rung - heightList 中的档位
+ * @param {string} [ladderBasis="shortSide"] - 档位含义
+ * @returns {{width: number, height: number}} 输出尺寸
+ *
+ * @example
+ * getRungSize({ width: 1080, height: 1920 }, 720);
+ * // 返回: { width: 720, height: 1280 }
+ */
+export function getRungSize(sourceSize, rung, ladderBasis = "shortSide") {
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  const portrait = sourceSize.height > sourceSize.width;
+  const longSide = Math.max(sourceSize.width, sourceSize.height);
+  const shortSide = Math.min(sourceSize.width, sourceSize.height);
+  const aspect = longSide / shortSide;
+  const outShort =
+    ladderBasis === "pixelCount" ? Math.sqrt(tierPixels(rung) / aspect) : rung;
+  const outLong = outShort * aspect;
+  return portrait
+    ? { width: even(outShort), height: even(outLong) }
+    : { width: even(outLong), height: even(outShort) };
+}
+
+/**
+ * 返回某个分辨率档位的 scale 过滤器
+ *
+ * 横屏片源按短边定档时沿用 `scale=-2:<档位>`，竖屏改为 `scale=<档位>:-2`，按像素数定档时
+ * 写出完整尺寸。读取不到片源尺寸时按旧行为处理。
+ *
+ * @param {string} inputFile - 片源文件路径
+ * @param {number} rung - heightList 中的档位
+ * @param {string} [ladderBasis="shortSide"] - 档位含义（shortSide 或 pixelCount）
+ * @returns {{filter: string, size: {width: number, height: number}|null, cacheParams: Object}}
+ *          cacheParams 为编码缓存键的附加字段，过滤器与旧行为相同时为空对象，使已有缓存保持有效
+ *
+ * @example
+ * getScaleFilter('./vertical.mp4', 1080);
+ * // 返回: { filter: 'scale=1080:-2', size: { width: 1080, height: 1920 }, cacheParams: { scale: 'scale=1080:-2' } }
+ */
+export function getScaleFilter(inputFile, rung, ladderBasis = "shortSide") {
+  const legacy = `scale=-2:${rung}`;
+  const sourceSize = probeDisplaySize(inputFile);
+  if (!sourceSize) {
+    return { filter: legacy, size: null, cacheParams: {} };
+  }
+  const size = getRungSize(sourceSize, rung, ladderBasis);
+  let filter = `scale=${size.width}:${size.height}`;
+  if (ladderBasis !== "pixelCount") {
+    filter = sourceSize.height > sourceSize.width ? `scale=${rung}:-2` : legacy;
+  }
+  return {
+    filter,
+    size,
+    cacheParams: filter === legacy ? {} : { scale: filter },
+  };
+}
+
+/**
+ * 判断某个档位是否需要把片源放大
+ *
+ * @param {{width: number, height: number}|null} sourceSize - 片源显示尺寸，未知时视为不放大
+ * @param {number} rung - heightList 中的档位
+ * @param {string} [ladderBasis="shortSide"] - 档位含义
+ * @returns {{width: number, height: number}|null} 需要放大时返回档位的输出尺寸，否则返回 null
+ */
+export function getUpscaleRungSize(sourceSize, rung, ladderBasis) {
+  if (!sourceSize) {
+    return null;
+  }
+  const size = getRungSize(sourceSize, rung, ladderBasis);
+  return size.width > sourceSize.width || size.height > sourceSize.height
+    ? size
+    : null;
+}
@@ -2,12 +2,12 @@ import {
   mkdirSync,
   writeFileSync,
   readFileSync,
-  appendFileSync,
   statSync,
   existsSync,
 } from "node:fs";
 import { join, basename, resolve } from "node:path";
 import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
 import { execSync } from "node:child_process";
 import { createInterface } from "node:readline/promises";
 import { stdin as input, stdout as output } from "node:process";
@@ -15,10 +15,39 @@ import {
   detectScenes,
   buildSegments,
   getDurationSeconds,
+  probeDisplaySize,
 } from "./scene_detect.mjs";
-import { decideBitrateForSegment } from "./bitrate_probe.mjs";
-import { runPerSceneEncode } from "./per_scene_encode.mjs";
-import { runBaselineCrfEncode } from "./baseline_crf_encode.mjs";
+import { getScaleFilter, getUpscaleRungSize } from "./resolution_strategy.mjs";
+import { aggregateCorpusResults, loadCorpusManifest } from "./corpus.mjs";
+import { bdEntriesForRow, computeBdMatrix } from "./bd_rate.mjs";
+import { createEncodeCache, mergeCacheStats } from "./encode_cache.mjs";
+import { resolveEncoderProfile } from "./encoder_profiles.mjs";
+import { resolveColorConfig } from "./color_config.mjs";
+import { probeStreamBytes, resolveAudioConfig } from "./audio_track.mjs";
+import { getContainerFormat, resolveContainer } from "./container_format.mjs";
+import { packageDash } from "./dash_package.mjs";
+import { packageHls } from "./hls_package.mjs";
+import {
+  captureEnvironmentManifest,
+  compareEnvironmentManifests,
+  environmentManifestPath,
+  formatEnvironmentMismatches,
+  readEnvironmentManifest,
+} from "./environment_manifest.mjs";
+import {
+  EXPERIMENT_CONFIG_SCHEMA,
+  applyConfigDefaults,
+  formatConfigIssues,
+  validateExperimentConfig,
+} from "./config_schema.mjs";
+import { createJobScheduler, isAbortError } from "./job_scheduler.mjs";
+import { appendJsonLine, readJsonLines } from "./jsonl.mjs";
+import { loadModeRegistry } from "./mode_registry.mjs";
+import { createProgressTracker, logProgressEvent } from "./progress_events.mjs";
+
+// config.packaging 中各格式的打包函数，输出位于 workdir/<片源>/<格式>/
+// Packager per config.packaging format; output goes to workdir/<title>/<format>/
+const PACKAGERS = { hls: packageHls, dash: packageDash };
 
 function sh(cmd) {
   return execSync(cmd, { stdio: "pipe", shell: "/bin/bash" }).toString("utf8");
@@ -70,8 +99,10 @@ function checkNvencSupport() {
   }
 }
 
-function avgBitrateKbps(file) {
-  const sizeBytes = statSync(file).size;
+// excludeBytes 为不计入码率的字节数（如封装进文件的音轨）
+// excludeBytes are left out of the bitrate (e.g. the muxed audio track)
+function avgBitrateKbps(file, excludeBytes = 0) {
+  const sizeBytes = statSync(file).size - excludeBytes;
   const durationSec = parseFloat(
     execSync(
       `ffprobe -v error -show_entries format=duration -of default=nw=1:nk=1 "${file}"`,
@@ -93,43 +124,30 @@ function sanitizeTag(tag) {
   return tag.replace(/[^a-zA-Z0-9_]+/g, "_");
 }
 
-function normalizeStringArray(value) {
-  if (Array.isArray(value)) {
-    return value.map((item) => String(item)).filter((item) => item.length > 0);
-  }
-  if (value === undefined || value === null) {
-    return [];
-  }
-  if (typeof value === "string") {
-    return value
-      .split(",")
-      .map((item) => item.trim())
-      .filter((item) => item.length > 0);
-  }
-  const item = String(value);
-  return item.length > 0 ? [item] : [];
-}
-
-function normalizeNumericArray(value) {
-  if (Array.isArray(value)) {
-    return value
-      .map((item) => Number(item))
-      .filter((item) => Number.isFinite(item));
-  }
-  if (value === undefined || value === null) {
-    return [];
-  }
-  if (typeof value === "string") {
-    return value
-      .split(",")
-      .map((item) => Number(item.trim()))
-      .filter((item) => Number.isFinite(item));
+/**
+ * 拆分命令行中逗号分隔的列表参数
+ *
+ * 配置文件、configOverrides 与 POST /experiments 中的列表字段必须是数组，只有 CLI 参数在这里拆分。
+ * 数字列表中无法解析为数字的项保留原样，由 schema 校验报告到具体字段。
+ *
+ * @param {string} value - 参数值，如 "1080,720"
+ * @param {boolean} [numeric=false] - 是否转换为数字
+ * @returns {Array<string|number>} 列表
+ */
+function splitCliList(value, numeric = false) {
+  const items = value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+  if (!numeric) {
+    return items;
   }
-  const num = Number(value);
-  return Number.isFinite(num) ? [num] : [];
+  return items.map((item) =>
+    Number.isNaN(Number(item)) ? item : Number(item)
+  );
 }
 
-export async function promptForInputFile() {
+export async function promptForInputFile({ workDir = "./workdir" } = {}) {
   const rl = createInterface({ input, output });
   try {
     console.log(
@@ -171,7 +189,7 @@ export async function promptForInputFile() {
     }
 
     const duration = 30;
-    const generatedDir = resolve("./workdir", "generated_inputs");
+    const generatedDir = resolve(workDir, "generated_inputs");
     ensureDir(generatedDir);
     const outputFile = join(generatedDir, `random_${Date.now()}.mp4`);
     const seed = Date.now();
@@ -188,20 +206,64 @@ export async function promptForInputFile() {
   }
 }
 
-function createSegmentFetcher(sceneThresh) {
+function createSegmentFetcher(sceneThresh, emit, scheduler) {
   const cache = new Map();
   return function fetchSegments(sourceFile) {
-    if (cache.has(sourceFile)) {
-      return cache.get(sourceFile);
+    if (!cache.has(sourceFile)) {
+      cache.set(sourceFile, detectSegments(sourceFile));
     }
-    console.log(`  -> 正在对 ${sourceFile} 进行场景检测 (阈值=${sceneThresh})`);
+    return cache.get(sourceFile);
+  };
+
+  async function detectSegments(sourceFile) {
+    emit("phaseStarted", {
+      phase: "sceneDetection",
+      source: sourceFile,
+      sceneThresh,
+    });
     const totalDur = getDurationSeconds(sourceFile);
-    const cuts = detectScenes(sourceFile, sceneThresh);
+    const cuts = await detectScenes(sourceFile, sceneThresh, { scheduler });
     const segments = buildSegments(cuts, totalDur, 4.0, 8.0);
-    console.log(`  -> 检测到 ${segments.length} 个片段`);
-    cache.set(sourceFile, segments);
+    emit("scenesDetected", {
+      source: sourceFile,
+      sceneThresh,
+      segmentCount: segments.length,
+    });
     return segments;
-  };
+  }
+}
+
+/**
+ * 生成摘要行的组合键，用于断点续跑时识别已完成的组合
+ *
+ * @param {{mode: string, codec: string, height: number, implementation: string, targetVmaf?: number|null}} row - 摘要行
+ * @returns {string} 组合键
+ */
+function summaryRowKey({ mode, codec, height, implementation, targetVmaf }) {
+  return `${mode}|${codec}|${height}|${implementation}|${targetVmaf ?? "-"}`;
+}
+
+/**
+ * 配置中的目标 VMAF 列表（targetVmaf 可以是单个数字或列表），去重并保持顺序
+ *
+ * @param {Object} config - 归一化后的配置
+ * @returns {number[]} 目标 VMAF 列表
+ */
+function targetVmafList(config) {
+  return [
+    ...new Set(
+      Array.isArray(config.targetVmaf) ? config.targetVmaf : [config.targetVmaf]
+    ),
+  ];
+}
+
+/**
+ * 某个模式需要运行的目标 VMAF；不依赖目标的模式（usesTargetVmaf: false）只运行一次
+ *
+ * @returns {Array<number|undefined>} undefined 表示组合不区分目标
+ */
+function modeTargets(mode, config) {
+  return mode.usesTargetVmaf === false ? [undefined] : targetVmafList(config);
 }
 
 function isImplementationSupported(codec, implementation) {
@@ -214,58 +276,130 @@ function isImplementationSupported(codec, implementation) {
   return false;
 }
 
-export async function runExperiment({
-  inputFile,
+/**
+ * 读取实验矩阵配置、合并覆盖项并按 schema 校验，不抛出异常
+ *
+ * schema 由全局字段与各模式模块的 configSchema 组成；modes 中的名称需在模式注册表中存在。
+ *
+ * @param {Object} params - 参数
+ * @param {string} [params.configPath] - 配置文件路径
+ * @param {Object} [params.configOverrides] - 覆盖配置文件中的字段
+ * @returns {Promise<{mergedConfig: Object|null, registry: Map|null, schema: Object|null,
+ *            errors: Array<{field: string, message: string}>, warnings: Array<{field: string, message: string}>}>}
+ */
+export async function checkExperimentConfig({
   configPath = "./configs/experiment_matrix.json",
   configOverrides = {},
-  onSummaryRow,
-  onLog,
 } = {}) {
-  if (!inputFile) {
-    throw new Error("inputFile is required");
+  if (
+    !configOverrides ||
+    typeof configOverrides !== "object" ||
+    Array.isArray(configOverrides)
+  ) {
+    return {
+      mergedConfig: null,
+      registry: null,
+      schema: null,
+      errors: [{ field: "configOverrides", message: "必须是 JSON 对象" }],
+      warnings: [],
+    };
   }
 
-  const INPUT = resolve(inputFile);
-  if (!existsSync(INPUT)) {
-    throw new Error(`输入文件不存在: ${INPUT}`);
+  let cfg;
+  try {
+    cfg = JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (err) {
+    return {
+      mergedConfig: null,
+      registry: null,
+      schema: null,
+      errors: [
+        {
+          field: "configPath",
+          message: `无法读取配置文件 ${configPath}: ${err.message}`,
+        },
+      ],
+      warnings: [],
+    };
   }
-
-  const cfg = JSON.parse(readFileSync(configPath, "utf8"));
   const mergedConfig = { ...cfg, ...configOverrides };
 
-  let {
-    targetVmaf,
-    heightList,
-    codecs,
-    encoderImplementations = ["cpu"],
-    probeBitratesKbps,
-    gopSec,
-    sceneThresh,
-    audioKbps,
-    vmafModel,
-    modes = ["per_scene"],
-    aiPreprocessModel = "realesrgan_x4plus",
-    baselineCrf = 23,
-  } = mergedConfig;
+  let registry;
+  try {
+    registry = await loadModeRegistry({
+      modesDir:
+        typeof mergedConfig.modesDir === "string"
+          ? mergedConfig.modesDir
+          : undefined,
+    });
+  } catch (err) {
+    return {
+      mergedConfig,
+      registry: null,
+      schema: null,
+      errors: [{ field: "modesDir", message: err.message }],
+      warnings: [],
+    };
+  }
 
-  heightList = normalizeNumericArray(heightList);
-  codecs = normalizeStringArray(codecs);
-  encoderImplementations = normalizeStringArray(encoderImplementations);
-  probeBitratesKbps = normalizeNumericArray(probeBitratesKbps);
-  modes = normalizeStringArray(modes);
+  const schema = { ...EXPERIMENT_CONFIG_SCHEMA };
+  for (const mode of registry.values()) {
+    Object.assign(schema, mode.configSchema);
+  }
+  const { errors, warnings } = validateExperimentConfig(mergedConfig, schema);
 
-  if (heightList.length === 0) {
-    throw new Error("heightList 配置为空");
+  if (Array.isArray(mergedConfig.modes)) {
+    mergedConfig.modes.forEach((mode, index) => {
+      if (typeof mode === "string" && mode && !registry.has(mode)) {
+        errors.push({
+          field: `modes[${index}]`,
+          message: `未知的模式 "${mode}"，可用模式: ${[...registry.keys()].join(
+            ", "
+          )}`,
+        });
+      }
+    });
   }
-  if (codecs.length === 0) {
-    throw new Error("codecs 配置为空");
+
+  return { mergedConfig, registry, schema, errors, warnings };
+}
+
+/**
+ * 读取实验矩阵配置并合并覆盖项，校验后返回归一化的配置与模式注册表
+ *
+ * 校验失败时抛出的错误带有 errors 字段（[{ field, message }]），便于调用方逐项展示。
+ *
+ * @param {Object} params - 参数，同 checkExperimentConfig()
+ * @returns {Promise<{config: Object, registry: Map<string, Object>}>}
+ *          config 中的列表字段均已转换为数组并填充了缺省值
+ */
+async function loadExperimentConfig(params) {
+  const { mergedConfig, registry, schema, errors, warnings } =
+    await checkExperimentConfig(params);
+  if (warnings.length > 0) {
+    console.warn(`⚠️  配置警告:\n${formatConfigIssues(warnings)}`);
   }
-  if (probeBitratesKbps.length === 0) {
-    throw new Error("probeBitratesKbps 配置为空");
+  if (errors.length > 0) {
+    const error = new Error(`配置校验失败:\n${formatConfigIssues(errors)}`);
+    error.errors = errors;
+    error.warnings = warnings;
+    throw error;
   }
 
-  onLog?.(`开始编码实验: ${INPUT}`);
+  const config = applyConfigDefaults(mergedConfig, schema);
+  if (config.modes.length === 0) {
+    config.modes = ["per_scene"];
+  }
+  return { config, registry };
+}
 
+/**
+ * 检测 NVENC 支持情况，返回当前机器上可用的编码器实现
+ *
+ * @param {string[]} encoderImplementations - 配置中的实现列表
+ * @returns {{implementations: string[], nvencInfo: Object}} 可用实现与 NVENC 检测结果
+ */
+function resolveImplementations(encoderImplementations) {
   console.log("\n=== 检测 NVENC 硬件编码支持 ===");
   const nvencInfo = checkNvencSupport();
   if (!nvencInfo.supported && encoderImplementations.includes("nvenc")) {
@@ -288,304 +422,1193 @@ export async function runExperiment({
         (impl) => impl === "cpu" || (impl === "nvenc" && nvencSupported)
       )
     : ["cpu"];
+  return { implementations, nvencInfo };
+}
+
+/**
+ * 展开 分辨率 × 编码器 × 实现 × 目标 VMAF 组合，并分离出不支持的组合
+ *
+ * 不支持的组合包括 isImplementationSupported 不支持的编码器实现，以及模式的 supports() 拒绝的组合；
+ * 它们与目标无关，每个只列出一次。
+ *
+ * @param {Object} mode - 模式定义
+ * @param {number[]} heightList - 分辨率档位列表
+ * @param {string[]} codecs - 编码器列表
+ * @param {string[]} implementations - 可用的编码器实现列表
+ * @param {Array<number|undefined>} [targets=[undefined]] - 目标 VMAF 列表（见 modeTargets()）
+ * @returns {{combos: Array<Object>, unsupported: Array<Object>}} 可执行与不支持的组合
+ */
+function expandCombinations(
+  mode,
+  heightList,
+  codecs,
+  implementations,
+  targets = [undefined]
+) {
+  const combos = [];
+  const unsupported = [];
+  for (const height of heightList) {
+    for (const codec of codecs) {
+      for (const implementation of implementations) {
+        const combo = { height, codec, implementation };
+        if (
+          !isImplementationSupported(codec, implementation) ||
+          mode.supports?.({ codec, implementation }) === false
+        ) {
+          unsupported.push(combo);
+          continue;
+        }
+        for (const targetVmaf of targets) {
+          combos.push(
+            targetVmaf === undefined ? combo : { ...combo, targetVmaf }
+          );
+        }
+      }
+    }
+  }
+  return { combos, unsupported };
+}
+
+function sizeText({ width, height }) {
+  return `${width}x${height}`;
+}
+
+/**
+ * 去掉需要放大片源的分辨率档位
+ *
+ * 按 ladderBasis 计算每个档位的输出尺寸，宽或高超出片源显示尺寸（已考虑旋转）的档位被跳过；
+ * 读取不到片源尺寸时保留全部档位。
+ *
+ * @param {Object} config - 实验配置
+ * @param {string} inputFile - 片源文件路径
+ * @returns {{config: Object, upscaled: Array<{height: number, resolution: string, sourceResolution: string}>}}
+ *          config 的 heightList 只保留不需要放大的档位，upscaled 为被跳过的档位
+ */
+function dropUpscaleRungs(config, inputFile) {
+  const sourceSize = probeDisplaySize(inputFile);
+  const upscaled = [];
+  const heightList = config.heightList.filter((height) => {
+    const size = getUpscaleRungSize(sourceSize, height, config.ladderBasis);
+    if (size) {
+      upscaled.push({
+        height,
+        resolution: sizeText(size),
+        sourceResolution: sizeText(sourceSize),
+      });
+    }
+    return !size;
+  });
+  return {
+    config: upscaled.length > 0 ? { ...config, heightList } : config,
+    upscaled,
+  };
+}
+
+/**
+ * 语料库名称：取清单文件名或目录名（通配符取其前面的目录）
+ */
+function corpusNameFromManifest(manifest) {
+  const stem = manifest.split(/[*?]/)[0].replace(/[\\/]+$/, "");
+  return sanitizeTag(basename(stem).replace(/\.[^.]+$/, "")) || "corpus";
+}
+
+/**
+ * 以第一个写出环境清单的片源为基准，找出环境不一致的其他片源
+ *
+ * 语料库汇总会跨片源比较码率节省，环境不一致时这些比较可能失真。
+ *
+ * @param {Array<{title: string, environmentPath?: string}>} results - 各片源的运行结果
+ * @returns {Array<{title: string, against: string, mismatches: Array<Object>}>} 不一致的片源
+ */
+function compareTitleEnvironments(results) {
+  const withManifest = results
+    .filter((r) => r.environmentPath)
+    .map((r) => ({
+      title: r.title,
+      manifest: readEnvironmentManifest(r.environmentPath),
+    }))
+    .filter((r) => r.manifest);
+  if (withManifest.length === 0) {
+    return [];
+  }
+  const [anchor, ...others] = withManifest;
+  return others
+    .map(({ title, manifest }) => ({
+      title,
+      against: anchor.title,
+      mismatches: compareEnvironmentManifests(anchor.manifest, manifest),
+    }))
+    .filter(({ mismatches }) => mismatches.length > 0);
+}
+
+/**
+ * 对语料清单中的每个片源依次运行实验矩阵，并写出语料库级别的汇总
+ *
+ * 每个片源仍写出各自的摘要文件；单个片源失败不会中断整个语料库。
+ * 取消时停止处理后续片源，被中断的片源记为 cancelled，已完成的片源仍参与汇总。
+ */
+async function runCorpusExperiment({
+  manifest,
+  configPath,
+  configOverrides,
+  resume,
+  onSummaryRow,
+  onLog,
+  onEvent,
+  signal,
+}) {
+  const { config } = await loadExperimentConfig({
+    configPath,
+    configOverrides,
+  });
+  const titles = loadCorpusManifest(manifest);
+  console.log(`语料库: ${manifest} (${titles.length} 个片源)`);
+  onLog?.(`语料库: ${manifest} (${titles.length} 个片源)`);
+
+  // 每个片源是一个工作单元，片源内部的进度按比例折算到整个语料库
+  // Each title is one unit; progress inside a title is scaled to the whole corpus
+  const tracker = createProgressTracker(onEvent ?? logProgressEvent);
+  tracker.setTotalUnits(titles.length);
+
+  const results = [];
+  for (const [index, { inputFile, tags }] of titles.entries()) {
+    if (signal?.aborted) {
+      break;
+    }
+    const title = basename(inputFile).replace(/\.[^.]+$/, "");
+    const emitTitle = tracker.unit(title, { title });
+    emitTitle("phaseStarted", {
+      phase: "title",
+      inputFile,
+      tags,
+      titleIndex: index,
+      titleCount: titles.length,
+    });
+    try {
+      const result = await runExperiment({
+        inputFile,
+        configPath,
+        configOverrides,
+        resume,
+        onSummaryRow: (row) => onSummaryRow?.({ ...row, title }),
+        onLog,
+        onEvent: ({ type, at, progress, ...fields }) =>
+          emitTitle(type, { ...fields, fraction: progress }),
+        signal,
+      });
+      results.push({
+        title,
+        inputFile,
+        tags,
+        status: result.cancelled ? "cancelled" : "completed",
+        summaryPath: result.summaryPath,
+        environmentPath: result.environmentPath,
+        cache: result.cache,
+        summaryRows: result.summaryRows,
+      });
+      emitTitle("phaseFinished", { phase: "title", inputFile, fraction: 1 });
+    } catch (error) {
+      emitTitle("error", {
+        scope: "title",
+        inputFile,
+        message: error.message,
+        fraction: 1,
+      });
+      results.push({
+        title,
+        inputFile,
+        tags,
+        status: "failed",
+        error: error.message,
+        summaryRows: [],
+      });
+    }
+  }
+
+  const cancelled = Boolean(signal?.aborted);
+  const environmentMismatches = compareTitleEnvironments(results);
+  for (const { title, against, mismatches } of environmentMismatches) {
+    const warning = formatEnvironmentMismatches(mismatches, against, title);
+    console.warn(warning);
+    onLog?.(warning);
+  }
+  const cacheStats = config.useCache
+    ? mergeCacheStats(results.map((r) => r.cache))
+    : null;
+  const aggregate = aggregateCorpusResults(
+    results.filter((r) => r.status === "completed")
+  );
+  ensureDir(config.outputDir);
+  const corpusSummaryPath = join(
+    config.outputDir,
+    `${corpusNameFromManifest(manifest)}_corpus_summary.json`
+  );
+  writeFileSync(
+    corpusSummaryPath,
+    JSON.stringify(
+      {
+        manifest,
+        generatedAt: new Date().toISOString(),
+        cancelled,
+        cache: cacheStats,
+        environmentMismatches,
+        titles: results.map(({ summaryRows, ...title }) => ({
+          ...title,
+          rowCount: summaryRows.length,
+        })),
+        aggregate,
+      },
+      null,
+      2
+    ),
+    "utf8"
+  );
+
+  console.log(
+    `\n=== 语料库汇总 (相对 ${aggregate.baselineMode} 的码率节省) ===`
+  );
+  for (const group of aggregate.overall) {
+    const savings =
+      group.meanSavingsPercent === null
+        ? "无基准"
+        : `均值=${group.meanSavingsPercent.toFixed(
+            2
+          )}%, 中位数=${group.medianSavingsPercent.toFixed(2)}%`;
+    console.log(
+      `  ${group.mode} ${group.codec}/${group.implementation} ${group.height}p${
+        group.targetVmaf === null ? "" : ` @VMAF${group.targetVmaf}`
+      }: ` +
+        `${savings} (片源=${
+          group.titleCount
+        }, 平均码率≈${group.meanBitrateKbps.toFixed(1)} kbps)`
+    );
+  }
+  console.log(`语料库汇总已写入: ${corpusSummaryPath}`);
+  onLog?.(`语料库汇总已写入: ${corpusSummaryPath}`);
+
+  return {
+    manifest,
+    cancelled,
+    cache: cacheStats,
+    environmentMismatches,
+    summaryPath: corpusSummaryPath,
+    corpusSummaryPath,
+    titles: results.map(({ summaryRows, ...title }) => title),
+    aggregate,
+    summaryRows: results.flatMap(({ title, summaryRows }) =>
+      summaryRows.map((row) => ({ ...row, title }))
+    ),
+    config,
+  };
+}
+
+export async function runExperiment({
+  inputFile,
+  manifest,
+  configPath = "./configs/experiment_matrix.json",
+  configOverrides = {},
+  resume = false,
+  onSummaryRow,
+  onLog,
+  onEvent,
+  signal,
+} = {}) {
+  if (manifest) {
+    return runCorpusExperiment({
+      manifest,
+      configPath,
+      configOverrides,
+      resume,
+      onSummaryRow,
+      onLog,
+      onEvent,
+      signal,
+    });
+  }
+  if (!inputFile) {
+    throw new Error("inputFile is required");
+  }
+
+  const INPUT = resolve(inputFile);
+  if (!existsSync(INPUT)) {
+    throw new Error(`输入文件不存在: ${INPUT}`);
+  }
+
+  const { config: loadedConfig, registry } = await loadExperimentConfig({
+    configPath,
+    configOverrides,
+  });
+  // 超出片源分辨率的档位不做放大，后续的组合展开与模式只看到剩余的档位
+  // Rungs above the source resolution are never upscaled; combinations and modes only see the rest
+  const { config, upscaled } = dropUpscaleRungs(loadedConfig, INPUT);
+  const { heightList, codecs, sceneThresh } = config;
+  const targets = targetVmafList(config);
+
+  // 色彩配置取自原始片源（预处理后的片源可能丢失色彩标记），整个片源只解析一次
+  // The colour config comes from the original source (preprocessed files may drop colour tags)
+  const colorConfig = resolveColorConfig(config.colorMode, INPUT);
+  // 音轨同样取自原始片源，整片只编码一次；片源无音轨时输出只含视频
+  // Audio also comes from the original source and is encoded once per title; silent sources yield video-only outputs
+  const audioConfig = resolveAudioConfig(INPUT, {
+    audioKbps: config.audioKbps,
+  });
+
+  // 未提供 onEvent 时直接把进度事件输出到控制台
+  // Without an onEvent callback the progress events are printed to the console
+  const tracker = createProgressTracker(onEvent ?? logProgressEvent);
+  tracker.emit("phaseStarted", { phase: "experiment", inputFile: INPUT });
+  for (const rung of upscaled) {
+    tracker.emit("skipped", { reason: "upscale", ...rung });
+  }
+
+  const { implementations, nvencInfo } = resolveImplementations(
+    config.encoderImplementations
+  );
 
   const baseName = basename(INPUT).replace(/\.[^.]+$/, "");
-  const rootWork = resolve("./workdir", baseName);
+  const rootWork = resolve(config.workDir, baseName);
   ensureDir(rootWork);
 
-  const fetchSegments = createSegmentFetcher(sceneThresh);
+  // 所有 ffmpeg 任务共享同一个调度器，总并发数不超过 maxParallelJobs；
+  // 取消信号也挂在调度器上，由 runCommand 结束正在运行的子进程
+  // Every ffmpeg job shares one scheduler so total concurrency never exceeds maxParallelJobs;
+  // the abort signal rides on the scheduler so runCommand can kill running children
+  const scheduler = createJobScheduler(config.maxParallelJobs, { signal });
+  console.log(`并行任务上限: ${scheduler.maxParallelJobs}`);
+  if (colorConfig.mode !== "sdr") {
+    console.log(
+      `色彩配置: ${colorConfig.mode}, ${colorConfig.bitDepth} 位${
+        colorConfig.colorTransfer
+          ? `, 传输特性=${colorConfig.colorTransfer}`
+          : ""
+      }`
+    );
+  }
+  console.log(
+    audioConfig
+      ? `音轨: ${audioConfig.bitrateKbps} kbps (整片编码一次，MP4/CMAF 为 AAC，WebM/MKV 为 Opus)`
+      : "音轨: 片源无音轨或 audioKbps 为 0，输出只含视频"
+  );
+  const fetchSegments = createSegmentFetcher(
+    sceneThresh,
+    tracker.emit,
+    scheduler
+  );
+  const cache = createEncodeCache({
+    cacheDir: config.cacheDir,
+    enabled: config.useCache,
+  });
   const summaryRows = [];
-  const modesToRun = modes.length ? modes : ["per_scene"];
+  const modesToRun = config.modes;
+
+  ensureDir(config.outputDir);
+  const summaryPath = join(config.outputDir, `${baseName}_summary.json`);
+  const summaryStreamPath = join(config.outputDir, `${baseName}_stream.jsonl`);
 
-  ensureDir("./results");
-  const summaryPath = join("./results", `${baseName}_summary.json`);
-  const summaryStreamPath = join("./results", `${baseName}_stream.jsonl`);
-  writeFileSync(summaryStreamPath, "", "utf8");
+  // 环境清单与摘要放在一起，不同机器、不同时间的结果据此判断是否可比
+  // The environment manifest sits next to the summary so results from other machines can be compared
+  const environmentPath = environmentManifestPath(summaryPath);
+  const environment = captureEnvironmentManifest({
+    config: { ...config, maxParallelJobs: scheduler.maxParallelJobs },
+    nvencInfo,
+  });
+  if (resume) {
+    const previous = readEnvironmentManifest(environmentPath);
+    const mismatches = previous
+      ? compareEnvironmentManifests(previous, environment)
+      : [];
+    if (mismatches.length > 0) {
+      const warning = formatEnvironmentMismatches(
+        mismatches,
+        "上次运行",
+        "本次续跑"
+      );
+      console.warn(warning);
+      onLog?.(warning);
+    }
+  }
+  writeFileSync(environmentPath, JSON.stringify(environment, null, 2), "utf8");
+
+  // 断点续跑：保留已有的流式结果，已完成的组合直接跳过
+  // Resume: keep the existing stream and skip combinations that already finished
+  const completedKeys = new Set();
+  if (resume) {
+    for (const row of readJsonLines(summaryStreamPath)) {
+      completedKeys.add(summaryRowKey(row));
+      summaryRows.push(row);
+      onSummaryRow?.(row);
+    }
+    console.log(
+      `断点续跑: 已从 ${summaryStreamPath} 恢复 ${summaryRows.length} 条结果`
+    );
+    onLog?.(`断点续跑: 已恢复 ${summaryRows.length} 条结果`);
+  } else {
+    writeFileSync(summaryStreamPath, "", "utf8");
+  }
 
   const recordSummaryRow = (row) => {
     summaryRows.push(row);
-    appendFileSync(summaryStreamPath, `${JSON.stringify(row)}\n`, "utf8");
+    completedKeys.add(summaryRowKey(row));
+    appendJsonLine(summaryStreamPath, row);
     onSummaryRow?.(row);
   };
 
-  function runPerSceneFlow({ modeLabel, sourceFile }) {
-    const segments = fetchSegments(sourceFile);
-    for (const height of heightList) {
-      for (const codec of codecs) {
-        for (const implementation of implementations) {
-          if (!isImplementationSupported(codec, implementation)) {
-            console.warn(
-              `=== 跳过: 模式=${modeLabel} 编码器=${codec} 实现=${implementation} 暂不支持 ===`
-            );
-            continue;
-          }
+  /**
+   * 收集某个模式下需要执行的 分辨率 × 编码器 × 实现 × 目标 VMAF 组合
+   *
+   * 不支持的组合与（续跑时）已完成的组合会在这里被过滤掉，并各发出一个 skipped 事件。
+   */
+  function collectCombinations(modeLabel, mode) {
+    const { combos, unsupported } = expandCombinations(
+      mode,
+      heightList,
+      codecs,
+      implementations,
+      modeTargets(mode, config)
+    );
+    for (const combo of unsupported) {
+      tracker.emit("skipped", {
+        mode: modeLabel,
+        ...combo,
+        reason: "unsupported",
+      });
+    }
+    return combos.filter((combo) => {
+      if (!completedKeys.has(summaryRowKey({ mode: modeLabel, ...combo }))) {
+        return true;
+      }
+      tracker.emit("skipped", {
+        mode: modeLabel,
+        ...combo,
+        reason: "completed",
+      });
+      return false;
+    });
+  }
 
-          console.log(
-            `=== 模式:${modeLabel} 编码器:${codec} 实现:${implementation} 分辨率:${height}p ===`
-          );
+  // 模式之间共享的计算结果（如 per_title 的参考视频与 CRF 扫描），按键只执行一次
+  // Work shared between combinations (e.g. the per_title reference and CRF sweep) runs once per key
+  const memoized = new Map();
+  const memo = (key, factory) => {
+    if (!memoized.has(key)) {
+      memoized.set(key, Promise.resolve().then(factory));
+    }
+    return memoized.get(key);
+  };
 
-          const safeMode = sanitizeTag(modeLabel);
-          const modeWorkdir = join(
-            rootWork,
-            `${safeMode}_${height}p_${codec}_${implementation}`
-          );
-          ensureDir(modeWorkdir);
-          const tmpDir = join(modeWorkdir, "tmp");
-          ensureDir(tmpDir);
-
-          try {
-            let previousResult = null;
-            let totalProbeCount = 0;
-            let totalProbeEncodeTime = 0;
-
-            const plan = [];
-            for (let index = 0; index < segments.length; index++) {
-              const seg = segments[index];
-              try {
-                const result = decideBitrateForSegment({
-                  inputFile: sourceFile,
-                  start: seg.start,
-                  dur: seg.dur,
-                  height,
-                  codec,
-                  implementation,
-                  probeBitratesKbps,
-                  gopSec,
-                  audioKbps,
-                  tmpDir,
-                  vmafModel,
-                  targetVmaf,
-                  previousSegmentResult: previousResult,
-                  useAdaptiveSearch: true,
-                });
-
-                totalProbeCount += result.probesUsed || 0;
-                totalProbeEncodeTime += result.probeEncodeTime || 0;
-
-                const probesInfo = result.probesUsed
-                  ? ` (${result.probesUsed} 次探测)`
-                  : "";
-                console.log(
-                  `    片段 ${index + 1}/${
-                    segments.length
-                  } [${seg.start.toFixed(2)}s-${(seg.start + seg.dur).toFixed(
-                    2
-                  )}s] -> ${
-                    result.chosenBitrateKbps
-                  } kbps (估算VMAF=${result.estVmaf.toFixed(2)})${probesInfo}`
-                );
-
-                previousResult = result;
-                plan.push(result);
-              } catch (segError) {
-                console.error(
-                  `    ❌ 片段 ${index + 1}/${segments.length} 探测失败: ${
-                    segError.message
-                  }`
-                );
-                if (segError.signal) {
-                  console.error(`       信号: ${segError.signal}`);
-                }
-                throw segError;
-              }
-            }
-
-            const { finalFile, finalVmaf, finalEncodeTime } = runPerSceneEncode({
-              inputFile: sourceFile,
-              height,
-              codec,
-              implementation,
-              segmentPlan: plan,
-              gopSec,
-              audioKbps,
-              workdir: modeWorkdir,
-              vmafModel,
-              modeTag: `${safeMode}_${height}p_${codec}_${implementation}`,
-            });
-
-            const kbps = avgBitrateKbps(finalFile);
-            const videoDuration = getDurationSeconds(sourceFile);
-            const totalEncodeTime = totalProbeEncodeTime + finalEncodeTime;
-            const encodingEfficiency = totalEncodeTime / videoDuration;
-
-            recordSummaryRow({
-              mode: modeLabel,
-              codec,
-              height,
-              implementation,
-              targetVmaf,
-              finalVmaf,
-              avgBitrateKbps: kbps,
-              probeCount: totalProbeCount,
-              finalEncodeCount: segments.length,
-              totalEncodeCount: totalProbeCount + segments.length,
-              probeEncodeTimeSeconds:
-                Math.round(totalProbeEncodeTime * 100) / 100,
-              finalEncodeTimeSeconds: Math.round(finalEncodeTime * 100) / 100,
-              totalEncodeTimeSeconds: Math.round(totalEncodeTime * 100) / 100,
-              videoDurationSeconds: Math.round(videoDuration * 100) / 100,
-              encodingEfficiency: Math.round(encodingEfficiency * 100) / 100,
-              outputFile: finalFile,
-            });
-
-            console.log(
-              `结果: 模式=${modeLabel}, 编码器=${codec}, 实现=${implementation}, 分辨率=${height}p, ` +
-                `整体VMAF=${finalVmaf.toFixed(2)}, 平均码率≈${kbps.toFixed(
-                  1
-                )} kbps, ` +
-                `编码次数=${
-                  totalProbeCount + segments.length
-                } (探测=${totalProbeCount}, 最终=${segments.length}), ` +
-                `编码效率=${encodingEfficiency.toFixed(
-                  2
-                )}x (耗时=${totalEncodeTime.toFixed(
-                  1
-                )}s / 视频=${videoDuration.toFixed(1)}s)`
-            );
-          } catch (error) {
-            console.error(
-              `❌ 编码失败: 模式=${modeLabel}, 编码器=${codec}, 实现=${implementation}, 分辨率=${height}p`
-            );
-            console.error(`   错误: ${error.message}`);
-            if (error.signal) {
-              console.error(`   信号: ${error.signal}`);
-            }
-            console.error("   跳过此配置，继续下一个...\n");
-          }
-        }
+  // 摘要中的码率只计视频，音轨的字节数与码率单独报告
+  // Summary bitrates cover video only; the audio track's bytes and bitrate are reported separately
+  const audioBytesOf = (file) =>
+    audioConfig && file && existsSync(file) ? probeStreamBytes(file, "a") : 0;
+  const videoBitrateKbps = (file) => avgBitrateKbps(file, audioBytesOf(file));
+  const audioSummary = (file, container) => {
+    const audioBytes = audioBytesOf(file);
+    return {
+      audioCodec:
+        audioBytes > 0 ? getContainerFormat(container).audioCodec : null,
+      audioBytes,
+      audioBitrateKbps:
+        audioBytes > 0
+          ? Math.round(
+              ((audioBytes * 8) / 1000 / getDurationSeconds(file)) * 10
+            ) / 10
+          : 0,
+    };
+  };
+
+  const createModeContext = (modeName) => ({
+    modeName,
+    inputFile: INPUT,
+    baseName,
+    rootWork,
+    scheduler,
+    resume,
+    implementations,
+    fetchSegments,
+    avgBitrateKbps: videoBitrateKbps,
+    memo,
+    cache,
+    colorConfig,
+    audioConfig,
+    combinationWorkdir({ height, codec, implementation, targetVmaf }) {
+      // 只有多个目标时才按目标区分目录，单目标的目录名与以往一致，便于续跑
+      // Only split directories by target when there are several, keeping single-target names resumable
+      const targetSuffix =
+        targets.length > 1 && targetVmaf !== undefined && targetVmaf !== null
+          ? `_vmaf${sanitizeTag(String(targetVmaf))}`
+          : "";
+      const dir = join(
+        rootWork,
+        `${sanitizeTag(
+          modeName
+        )}_${height}p_${codec}_${implementation}${targetSuffix}`
+      );
+      ensureDir(join(dir, "tmp"));
+      return dir;
+    },
+  });
+
+  async function runCombination({ mode, context, source, combo }) {
+    const modeName = context.modeName;
+    const emit = tracker.unit(summaryRowKey({ mode: modeName, ...combo }), {
+      mode: modeName,
+      ...combo,
+    });
+    emit("phaseStarted", { phase: "combination" });
+
+    // 每个组合使用独立计数的缓存视图，命中情况随摘要行一起写出
+    // Each combination gets its own cache counters, reported alongside its summary row
+    const combinationCache = context.cache.scope();
+    try {
+      const row = await mode.run({
+        source,
+        ...combo,
+        // 多目标时每个组合只看到自己的单个目标
+        // With several targets each combination only sees its own target
+        config:
+          combo.targetVmaf === undefined
+            ? config
+            : { ...config, targetVmaf: combo.targetVmaf },
+        context: {
+          ...context,
+          cache: combinationCache,
+          combinationWorkdir: (params) =>
+            context.combinationWorkdir({
+              targetVmaf: combo.targetVmaf,
+              ...params,
+            }),
+        },
+        emit,
+      });
+      // 记录生效的编码器配置档与色彩配置，使不同预设、不同位深的结果可以区分
+      // Record the effective encoder profile and colour config so presets and bit depths stay distinguishable
+      const { color, ...encoderProfile } = resolveEncoderProfile(
+        config.encoderProfiles,
+        combo.codec,
+        combo.implementation,
+        colorConfig
+      );
+      const { size } = getScaleFilter(source, combo.height, config.ladderBasis);
+      const container = resolveContainer(config.containers, combo.codec);
+      const summaryRow = {
+        mode: modeName,
+        ...combo,
+        ...(size && { resolution: sizeText(size) }),
+        container,
+        ...row,
+        ...audioSummary(row.outputFile, container),
+        encoderProfile,
+        colorConfig,
+      };
+      if (combinationCache.enabled) {
+        summaryRow.cache = combinationCache.stats();
       }
+      recordSummaryRow(summaryRow);
+      emit("phaseFinished", {
+        phase: "combination",
+        result: summaryRow,
+        fraction: 1,
+      });
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) {
+        emit("skipped", { reason: "cancelled" });
+        return;
+      }
+      emit("error", {
+        scope: "combination",
+        message: error.message,
+        signal: error.signal,
+        fraction: 1,
+      });
     }
   }
 
-  for (const mode of modesToRun) {
-    if (mode === "baseline_crf") {
-      for (const height of heightList) {
-        for (const codec of codecs) {
-          for (const implementation of implementations) {
-            if (!isImplementationSupported(codec, implementation)) {
-              console.warn(
-                `=== 跳过: 模式=baseline_crf 编码器=${codec} 实现=${implementation} 暂不支持 ===`
-              );
-              continue;
-            }
-
-            console.log(
-              `=== 模式:baseline_crf 编码器:${codec} 实现:${implementation} 分辨率:${height}p CRF=${baselineCrf} ===`
-            );
-
-            const modeWorkdir = join(
-              rootWork,
-              `baseline_crf_${height}p_${codec}_${implementation}`
-            );
-            ensureDir(modeWorkdir);
-
-            try {
-              const { finalFile, finalVmaf, encodeTime } = runBaselineCrfEncode({
-                inputFile: INPUT,
-                height,
-                codec,
-                implementation,
-                crf: baselineCrf,
-                gopSec,
-                audioKbps,
-                workdir: modeWorkdir,
-                vmafModel,
-                modeTag: `baseline_crf_${height}p_${codec}_${implementation}`,
-              });
-
-              const kbps = avgBitrateKbps(finalFile);
-              const videoDuration = getDurationSeconds(INPUT);
-              const encodingEfficiency = encodeTime / videoDuration;
-
-              recordSummaryRow({
-                mode: "baseline_crf",
-                codec,
-                height,
-                implementation,
-                crf: baselineCrf,
-                targetVmaf: null,
-                finalVmaf,
-                avgBitrateKbps: kbps,
-                probeCount: 0,
-                finalEncodeCount: 1,
-                totalEncodeCount: 1,
-                probeEncodeTimeSeconds: 0,
-                finalEncodeTimeSeconds: Math.round(encodeTime * 100) / 100,
-                totalEncodeTimeSeconds: Math.round(encodeTime * 100) / 100,
-                videoDurationSeconds: Math.round(videoDuration * 100) / 100,
-                encodingEfficiency: Math.round(encodingEfficiency * 100) / 100,
-                outputFile: finalFile,
-              });
-
-              console.log(
-                `结果: 模式=baseline_crf, 编码器=${codec}, 实现=${implementation}, 分辨率=${height}p, ` +
-                  `CRF=${baselineCrf}, VMAF=${finalVmaf.toFixed(
-                    2
-                  )}, 平均码率≈${kbps.toFixed(1)} kbps, ` +
-                  `编码次数=1, 编码效率=${encodingEfficiency.toFixed(
-                    2
-                  )}x (耗时=${encodeTime.toFixed(
-                    1
-                  )}s / 视频=${videoDuration.toFixed(1)}s)`
-              );
-            } catch (error) {
-              console.error(
-                `❌ 编码失败: 模式=baseline_crf, 编码器=${codec}, 实现=${implementation}, 分辨率=${height}p`
-              );
-              console.error(`   错误: ${error.message}`);
-              if (error.signal) {
-                console.error(`   信号: ${error.signal}`);
-              }
-              console.error("   跳过此配置，继续下一个...\n");
-            }
-          }
+  // 先展开所有模式的组合，以便整体进度有确定的分母
+  // Expand every mode's combinations up front so overall progress has a fixed denominator
+  const modeRuns = modesToRun
+    .map((modeName) => ({
+      modeName,
+      mode: registry.get(modeName),
+      combos: collectCombinations(modeName, registry.get(modeName)),
+    }))
+    .filter(({ combos }) => combos.length > 0);
+  tracker.setTotalUnits(
+    modeRuns.reduce(
+      (count, { mode, combos }) =>
+        count + combos.length + (mode.prepareSource ? 1 : 0),
+      0
+    )
+  );
+
+  // 片源准备失败时停止后续模式，但仍像取消一样写出已完成组合的摘要，然后重新抛出
+  // A failed source preparation stops the remaining modes, but the finished rows are still written
+  // as on cancellation before the error is rethrown
+  let prepareError = null;
+  for (const { modeName, mode, combos } of modeRuns) {
+    if (signal?.aborted) {
+      break;
+    }
+    const context = createModeContext(modeName);
+    let source = INPUT;
+    if (mode.prepareSource) {
+      const emit = tracker.unit(`${modeName}|prepareSource`, {
+        mode: modeName,
+      });
+      emit("phaseStarted", { phase: "prepareSource" });
+      try {
+        source = await mode.prepareSource({ source, config, context, emit });
+      } catch (error) {
+        if (!isAbortError(error)) {
+          prepareError = error;
         }
+        break;
       }
-    } else if (mode === "per_scene") {
-      runPerSceneFlow({ modeLabel: "per_scene", sourceFile: INPUT });
-    } else if (mode === "ai_preprocess+per_scene") {
-      const aiDir = join(rootWork, "ai_preprocess");
-      ensureDir(aiDir);
-      const enhancedInput = join(aiDir, `${baseName}_enhanced.mp4`);
-      console.log(
-        `=== 模式:ai_preprocess+per_scene -> 启动 AI 预处理 (模型=${aiPreprocessModel}) ===`
-      );
-      sh(
-        `python3 ./ai_preprocess/preprocess_video.py --input "${INPUT}" --output "${enhancedInput}" --model ${aiPreprocessModel}`
-      );
-      runPerSceneFlow({
-        modeLabel: "ai_preprocess+per_scene",
-        sourceFile: enhancedInput,
-      });
-    } else {
-      console.warn(`模式 ${mode} 尚未实现，已跳过。`);
+      emit("phaseFinished", { phase: "prepareSource", source, fraction: 1 });
     }
+    await Promise.all(
+      combos.map((combo) => runCombination({ mode, context, source, combo }))
+    );
+  }
+
+  // 取消时仍写出已完成组合的摘要；流式结果保留，可用 --resume 继续
+  // On cancellation still write the finished rows; the stream is kept so --resume can continue
+  const cancelled = Boolean(signal?.aborted);
+
+  // 并行执行时摘要行按完成顺序到达，写入前按矩阵顺序重新排序
+  // Rows arrive in completion order when running in parallel; restore matrix order before writing
+  const rowRank = (row) => [
+    modesToRun.indexOf(row.mode),
+    heightList.indexOf(row.height),
+    codecs.indexOf(row.codec),
+    implementations.indexOf(row.implementation),
+    targets.indexOf(row.targetVmaf),
+  ];
+  summaryRows.sort((a, b) => {
+    const ra = rowRank(a);
+    const rb = rowRank(b);
+    for (let i = 0; i < ra.length; i++) {
+      if (ra[i] !== rb[i]) {
+        return ra[i] - rb[i];
+      }
+    }
+    return 0;
+  });
+
+  // BD-rate 矩阵按配置写入各摘要行：每行的 bdRate 为该配置相对其他配置的结果
+  // The BD-rate matrix is written per configuration: each row's bdRate lists it against the others
+  const bdMatrix = computeBdMatrix(summaryRows);
+  for (const row of summaryRows) {
+    const entries = bdEntriesForRow(bdMatrix, row).filter(
+      (entry) => entry.bdRatePercent !== null || entry.bdVmaf !== null
+    );
+    if (entries.length > 0) {
+      row.bdRate = entries;
+    }
+  }
+  printBdMatrix(bdMatrix);
+
+  // 打包在所有组合完成后进行：清单需要同一配置的全部档位
+  // Packaging runs after every combination: a manifest needs all rungs of a configuration
+  for (const format of config.packaging) {
+    if (cancelled || prepareError) {
+      break;
+    }
+    tracker.emit("phaseStarted", { phase: "packaging", format });
+    const packaged = await PACKAGERS[format](summaryRows, {
+      rootDir: join(rootWork, format),
+      scheduler,
+      onError: (rows, error) => {
+        if (isAbortError(error)) {
+          return;
+        }
+        const { mode, codec, implementation, targetVmaf } = rows[0];
+        tracker.emit("error", {
+          scope: "packaging",
+          format,
+          mode,
+          codec,
+          implementation,
+          targetVmaf,
+          message: error.message,
+        });
+      },
+    });
+    tracker.emit("phaseFinished", {
+      phase: "packaging",
+      format,
+      manifests: packaged.map((group) => group.manifest),
+    });
   }
 
   writeFileSync(summaryPath, JSON.stringify(summaryRows, null, 2), "utf8");
-  console.log(`摘要结果已写入: ${summaryPath}`);
-  onLog?.(`摘要结果已写入: ${summaryPath}`);
+  if (prepareError) {
+    prepareError.summaryPath = summaryPath;
+    throw prepareError;
+  }
+  if (!cancelled) {
+    tracker.complete();
+  }
+  const cacheStats = cache.enabled ? cache.stats() : null;
+  tracker.emit("phaseFinished", {
+    phase: "experiment",
+    inputFile: INPUT,
+    summaryPath,
+    cancelled,
+    cache: cacheStats,
+  });
 
   return {
     inputFile: INPUT,
+    cancelled,
+    cache: cacheStats,
     summaryPath,
     summaryStreamPath,
+    environmentPath,
     summaryRows,
+    bdMatrix,
     config: {
-      ...mergedConfig,
+      ...config,
+      maxParallelJobs: scheduler.maxParallelJobs,
+    },
+  };
+}
+
+/**
+ * 输出 BD-rate 矩阵中可计算的条目
+ *
+ * @param {Object[]} bdMatrix - computeBdMatrix() 的结果
+ */
+function printBdMatrix(bdMatrix) {
+  const computed = bdMatrix.filter((entry) => entry.bdRatePercent !== null);
+  if (computed.length === 0) {
+    if (bdMatrix.length > 0) {
+      console.log(
+        "BD-rate: 没有可比较的 RD 曲线（每个配置至少需要 2 个 RD 点，可配置 baselineCrfSweep 或使用 per_title）"
+      );
+    }
+    return;
+  }
+  const label = ({ mode, codec, implementation }) =>
+    `${mode} ${codec}/${implementation}`;
+  console.log("\n=== BD-rate (等 VMAF 下的码率差，负值表示节省) ===");
+  for (const entry of computed) {
+    const bdVmafText =
+      entry.bdVmaf === null
+        ? "-"
+        : `${entry.bdVmaf >= 0 ? "+" : ""}${entry.bdVmaf.toFixed(3)}`;
+    console.log(
+      `  ${entry.height}p ${label(entry.test)} 相对 ${label(
+        entry.reference
+      )}: ` +
+        `${entry.bdRatePercent.toFixed(2)}% (BD-VMAF=${bdVmafText}, ` +
+        `VMAF ${entry.vmafRange[0]}-${entry.vmafRange[1]})`
+    );
+  }
+}
+
+/**
+ * 生成实验计划（演练模式），不执行任何编码
+ *
+ * 执行场景检测，展开 模式 × 编码器 × 分辨率 × 实现 矩阵，列出被跳过的组合及原因，
+ * 并根据 getBitrateStrategy().maxProbes 与片段数估算探测编码次数（上限）。
+ *
+ * @param {Object} params - 参数
+ * @param {string} params.inputFile - 输入视频文件路径
+ * @param {string} [params.configPath] - 配置文件路径
+ * @param {Object} [params.configOverrides] - 覆盖配置文件中的字段
+ * @param {function(string): void} [params.onLog] - 日志回调
+ * @returns {Promise<Object>} 实验计划
+ *          - combinations: 将要执行的组合及每个组合的编码次数估算
+ *          - skipped: 被跳过的组合 { mode, codec, height, implementation, reason }；
+ *            超出片源分辨率的档位对所有模式都跳过，只有 { height, reason }
+ *          - totals: 汇总的组合数与编码次数估算
+ */
+export async function planExperiment({
+  inputFile,
+  configPath = "./configs/experiment_matrix.json",
+  configOverrides = {},
+  onLog,
+} = {}) {
+  if (!inputFile) {
+    throw new Error("inputFile is required");
+  }
+
+  const INPUT = resolve(inputFile);
+  if (!existsSync(INPUT)) {
+    throw new Error(`输入文件不存在: ${INPUT}`);
+  }
+
+  const { config: loadedConfig, registry } = await loadExperimentConfig({
+    configPath,
+    configOverrides,
+  });
+  const { config, upscaled } = dropUpscaleRungs(loadedConfig, INPUT);
+  const { heightList, codecs, encoderImplementations } = config;
+
+  onLog?.(`生成实验计划: ${INPUT}`);
+
+  const { implementations, nvencInfo } = resolveImplementations(
+    encoderImplementations
+  );
+
+  const videoDuration = getDurationSeconds(INPUT);
+  const needsSegments = config.modes.some(
+    (modeName) => registry.get(modeName).needsSegments
+  );
+  const segments = needsSegments
+    ? await createSegmentFetcher(
+        config.sceneThresh,
+        createProgressTracker(logProgressEvent).emit
+      )(INPUT)
+    : [];
+
+  const combinations = [];
+  const skipped = upscaled.map(({ height, resolution, sourceResolution }) => ({
+    height,
+    reason: `输出 ${resolution} 超出片源 ${sourceResolution}，不做放大`,
+  }));
+  const sharedEstimates = [];
+  for (const mode of config.modes) {
+    const modeDef = registry.get(mode);
+    const { combos: configuredCombos, unsupported } = expandCombinations(
+      modeDef,
       heightList,
       codecs,
       encoderImplementations,
-      probeBitratesKbps,
-      modes: modesToRun,
+      modeTargets(modeDef, config)
+    );
+    for (const combo of unsupported) {
+      skipped.push({ mode, ...combo, reason: "暂不支持的编码器实现" });
+    }
+    const combos = [];
+    for (const combo of configuredCombos) {
+      if (implementations.includes(combo.implementation)) {
+        combos.push(combo);
+      } else {
+        skipped.push({
+          mode,
+          ...combo,
+          reason:
+            combo.implementation === "nvenc"
+              ? `NVENC 不可用${
+                  nvencInfo.hasGpu ? "" : " (未检测到 NVIDIA GPU)"
+                }`
+              : "未知的编码器实现",
+        });
+      }
+    }
+
+    for (const combo of combos) {
+      const estimate = modeDef.estimate
+        ? modeDef.estimate({
+            ...combo,
+            config:
+              combo.targetVmaf === undefined
+                ? config
+                : { ...config, targetVmaf: combo.targetVmaf },
+            segmentCount: segments.length,
+          })
+        : { detail: "模式未提供估算" };
+      combinations.push({
+        mode,
+        ...combo,
+        maxProbeEncodes: 0,
+        finalEncodes: 0,
+        referenceEncodes: 0,
+        vmafRuns: 0,
+        ...estimate,
+      });
+    }
+    if (combos.length > 0 && modeDef.sharedEstimate) {
+      sharedEstimates.push(modeDef.sharedEstimate);
+    }
+  }
+
+  const sum = (key) =>
+    [...combinations, ...sharedEstimates].reduce(
+      (acc, c) => acc + (c[key] || 0),
+      0
+    );
+  const totals = {
+    combinations: combinations.length,
+    skipped: skipped.length,
+    maxProbeEncodes: sum("maxProbeEncodes"),
+    finalEncodes: sum("finalEncodes"),
+    referenceEncodes: sum("referenceEncodes"),
+    vmafRuns: sum("vmafRuns"),
+  };
+  totals.maxTotalEncodes =
+    totals.maxProbeEncodes + totals.finalEncodes + totals.referenceEncodes;
+
+  return {
+    inputFile: INPUT,
+    videoDurationSeconds: Math.round(videoDuration * 100) / 100,
+    segmentCount: segments.length,
+    segments: segments.map(({ start, dur }) => ({ start, dur })),
+    implementations,
+    combinations,
+    skipped,
+    totals,
+    config,
+  };
+}
+
+function printPlan(plan) {
+  console.log("=== 实验计划 (未执行任何编码) ===");
+  console.log(`输入: ${plan.inputFile}`);
+  console.log(
+    `时长: ${plan.videoDurationSeconds}s, 场景片段: ${plan.segmentCount}, 并行任务上限: ${plan.config.maxParallelJobs}`
+  );
+
+  console.log(
+    `输出目录: ${plan.config.outputDir}, 工作目录: ${plan.config.workDir}`
+  );
+
+  console.log(`\n将执行的组合 (${plan.combinations.length}):`);
+  for (const c of plan.combinations) {
+    console.log(
+      `  ${c.mode} ${c.codec}/${c.implementation} ${c.height}p${
+        c.targetVmaf === undefined ? "" : ` @VMAF${c.targetVmaf}`
+      }: ${c.detail}, ` +
+        `探测编码≤${c.maxProbeEncodes}, 最终编码=${c.finalEncodes}, 参考编码=${c.referenceEncodes}`
+    );
+  }
+
+  if (plan.skipped.length > 0) {
+    console.log(`\n跳过的组合 (${plan.skipped.length}):`);
+    for (const s of plan.skipped) {
+      if (s.mode === undefined) {
+        console.log(`  ${s.height}p: ${s.reason}`);
+        continue;
+      }
+      const target = s.codec
+        ? ` ${s.codec}/${s.implementation} ${s.height}p${
+            s.targetVmaf === undefined ? "" : ` @VMAF${s.targetVmaf}`
+          }`
+        : "";
+      console.log(`  ${s.mode}${target}: ${s.reason}`);
+    }
+  }
+
+  const { totals } = plan;
+  console.log(
+    `\n合计: 编码次数≤${totals.maxTotalEncodes} ` +
+      `(探测≤${totals.maxProbeEncodes}, 最终=${totals.finalEncodes}, 参考=${totals.referenceEncodes}), ` +
+      `VMAF 计算≤${totals.vmafRuns}`
+  );
+}
+
+const CLI_USAGE = `用法: node ./scripts/run_experiment.mjs [输入视频] [选项]
+
+选项:
+  -c, --config <path>            实验矩阵配置文件 (默认 ./configs/experiment_matrix.json)
+  -m, --modes <list>             编码模式，逗号分隔，如 baseline_crf,per_scene
+      --codecs <list>            编码器，逗号分隔，如 libx264,libsvtav1
+      --heights <list>           分辨率档位，逗号分隔，如 1080,720
+      --implementations <list>   编码器实现，逗号分隔，如 cpu,nvenc
+      --target-vmaf <list>       目标 VMAF 分数，逗号分隔多个目标时逐个运行，如 91,93,95
+  -o, --output-dir <dir>         摘要结果输出目录 (默认 ./results)
+  -w, --work-dir <dir>           中间文件工作目录 (默认 ./workdir)
+      --cache-dir <dir>          参考视频、探测编码与 VMAF 分数的缓存目录 (默认 ./cache)
+      --no-cache                 不读写编码缓存
+      --resume                   断点续跑，跳过已完成的组合与片段
+      --manifest <path>          语料清单：目录、通配符或 JSON 列表，对每个片源运行实验矩阵
+      --plan                     只输出实验计划与编码次数估算，不执行编码
+  -y, --yes                      非交互模式：缺少输入视频时直接报错而不是提示选择
+  -h, --help                     显示本帮助
+
+列表与数值选项会覆盖配置文件中的同名字段 (configOverrides)。`;
+
+/**
+ * 解析命令行参数
+ *
+ * @param {string[]} argv - 命令行参数（不含 node 与脚本路径）
+ * @returns {{help: boolean, inputFile: string|undefined, manifest: string|undefined, configPath: string|undefined,
+ *            configOverrides: Object, resume: boolean, plan: boolean, interactive: boolean}}
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: "string", short: "c" },
+      modes: { type: "string", short: "m" },
+      codecs: { type: "string" },
+      heights: { type: "string" },
+      implementations: { type: "string" },
+      "target-vmaf": { type: "string" },
+      "output-dir": { type: "string", short: "o" },
+      "work-dir": { type: "string", short: "w" },
+      "cache-dir": { type: "string" },
+      "no-cache": { type: "boolean", default: false },
+      manifest: { type: "string" },
+      resume: { type: "boolean", default: false },
+      plan: { type: "boolean", default: false },
+      yes: { type: "boolean", short: "y", default: false },
+      help: { type: "boolean", short: "h", default: false },
     },
+  });
+
+  if (positionals.length > 1) {
+    throw new Error(`只能指定一个输入视频: ${positionals.join(" ")}`);
+  }
+  if (values.manifest !== undefined && positionals.length > 0) {
+    throw new Error("--manifest 与输入视频不能同时指定");
+  }
+
+  const configOverrides = {};
+  if (values.modes !== undefined) {
+    configOverrides.modes = splitCliList(values.modes);
+  }
+  if (values.codecs !== undefined) {
+    configOverrides.codecs = splitCliList(values.codecs);
+  }
+  if (values.heights !== undefined) {
+    configOverrides.heightList = splitCliList(values.heights, true);
+  }
+  if (values.implementations !== undefined) {
+    configOverrides.encoderImplementations = splitCliList(
+      values.implementations
+    );
+  }
+  if (values["target-vmaf"] !== undefined) {
+    const targets = values["target-vmaf"].split(",").map((item) => item.trim());
+    const numbers = targets.map(Number);
+    if (
+      targets.some((item) => item === "") ||
+      !numbers.every(Number.isFinite)
+    ) {
+      throw new Error(
+        `--target-vmaf 必须是数字或逗号分隔的数字: ${values["target-vmaf"]}`
+      );
+    }
+    configOverrides.targetVmaf = numbers.length === 1 ? numbers[0] : numbers;
+  }
+  if (values["output-dir"] !== undefined) {
+    configOverrides.outputDir = values["output-dir"];
+  }
+  if (values["work-dir"] !== undefined) {
+    configOverrides.workDir = values["work-dir"];
+  }
+  if (values["cache-dir"] !== undefined) {
+    configOverrides.cacheDir = values["cache-dir"];
+  }
+  if (values["no-cache"]) {
+    configOverrides.useCache = false;
+  }
+
+  return {
+    help: values.help,
+    inputFile: positionals[0],
+    manifest: values.manifest,
+    configPath: values.config,
+    configOverrides,
+    resume: values.resume,
+    plan: values.plan,
+    // stdin 不是终端（CI、cron、管道）时同样视为非交互模式
+    // Treat a non-TTY stdin (CI, cron, pipes) as non-interactive too
+    interactive: !values.yes && Boolean(input.isTTY),
   };
 }
 
+function renderProgressEvent(event) {
+  logProgressEvent(event, { showProgress: true });
+}
+
+/**
+ * 第一次 Ctrl+C 取消实验（结束 ffmpeg、写出部分摘要），第二次立即退出
+ *
+ * @returns {AbortSignal} 取消信号
+ */
+function createInterruptSignal() {
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.error("\n收到中断信号，正在取消实验（再次按 Ctrl+C 立即退出）...");
+    controller.abort();
+    process.once("SIGINT", () => process.exit(130));
+  });
+  return controller.signal;
+}
+
 async function cliMain() {
-  const inputArg = process.argv[2];
-  const inputFile = inputArg ? resolve(inputArg) : await promptForInputFile();
-  await runExperiment({ inputFile });
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`参数错误: ${err.message}`);
+    console.error("使用 --help 查看可用选项。");
+    process.exit(2);
+  }
+  if (cli.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  const { configPath, configOverrides, resume } = cli;
+
+  // 在提示输入或开始编码之前先校验配置，尽早暴露拼写与类型错误
+  // Validate the config before prompting or encoding so typos surface immediately
+  const { errors } = await checkExperimentConfig({
+    configPath,
+    configOverrides,
+  });
+  if (errors.length > 0) {
+    console.error(`配置校验失败:\n${formatConfigIssues(errors)}`);
+    process.exit(2);
+  }
+
+  if (cli.manifest) {
+    if (cli.plan) {
+      for (const { inputFile } of loadCorpusManifest(cli.manifest)) {
+        printPlan(
+          await planExperiment({ inputFile, configPath, configOverrides })
+        );
+        console.log("");
+      }
+      return;
+    }
+    const result = await runExperiment({
+      manifest: cli.manifest,
+      configPath,
+      configOverrides,
+      resume,
+      onEvent: renderProgressEvent,
+      signal: createInterruptSignal(),
+    });
+    if (result.cancelled) {
+      process.exitCode = 130;
+    }
+    return;
+  }
+
+  let inputFile;
+  if (cli.inputFile) {
+    inputFile = resolve(cli.inputFile);
+  } else if (cli.interactive) {
+    inputFile = await promptForInputFile({
+      workDir: configOverrides.workDir,
+    });
+  } else {
+    console.error("缺少输入视频：非交互模式下必须在命令行中指定输入文件。");
+    console.error("使用 --help 查看用法。");
+    process.exit(2);
+  }
+
+  if (cli.plan) {
+    printPlan(await planExperiment({ inputFile, configPath, configOverrides }));
+    return;
+  }
+  const result = await runExperiment({
+    inputFile,
+    configPath,
+    configOverrides,
+    resume,
+    onEvent: renderProgressEvent,
+    signal: createInterruptSignal(),
+  });
+  if (result.cancelled) {
+    process.exitCode = 130;
+  }
 }
 
 const thisFile = fileURLToPath(import.meta.url);
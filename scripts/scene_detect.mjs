@@ -1,4 +1,7 @@
 import { execSync } from "node:child_process";
+import { statSync } from "node:fs";
+import { resolve } from "node:path";
+import { runCommand } from "./job_scheduler.mjs";
 
 /**
  * 检测视频场景切换点
@@ -9,18 +12,18 @@ import { execSync } from "node:child_process";
  * @param {string} inputFile - 输入视频文件路径
  * @param {number} sceneThresh - 场景切换阈值 (0.0-1.0)，默认推荐 0.4
  *                               值越小越敏感，检测到的切换点越多
- * @returns {number[]} 场景切换时间点数组（秒），按升序排列且去重
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.scheduler] - 任务调度器；其 signal 取消时会结束检测进程
+ * @returns {Promise<number[]>} 场景切换时间点数组（秒），按升序排列且去重
  *
  * @example
- * const cuts = detectScenes('./video.mp4', 0.4);
+ * const cuts = await detectScenes('./video.mp4', 0.4);
  * // 返回: [5.234, 12.567, 23.891, ...]
  * // 表示在这些时间点发生了场景切换
  */
-export function detectScenes(inputFile, sceneThresh) {
+export async function detectScenes(inputFile, sceneThresh, { scheduler } = {}) {
   const cmd = `ffmpeg -hide_banner -i "${inputFile}" -filter:v "select='gt(scene,${sceneThresh})',showinfo" -an -f null - 2>&1`;
-  const stderr = execSync(cmd, { stdio: "pipe", shell: "/bin/bash" }).toString(
-    "utf8"
-  );
+  const { output: stderr } = await runCommand(cmd, { scheduler });
   const cuts = [];
   const re = /pts_time:([0-9.]+)/g;
   let m;
@@ -103,3 +106,127 @@ export function getDurationSeconds(inputFile) {
     .trim();
   return parseFloat(out);
 }
+
+// 无法读取帧率时沿用旧的 30fps 假设
+// Fall back to the former 30fps assumption when the frame rate cannot be read
+const DEFAULT_FRAME_RATE = { rate: "30", fps: 30, isVfr: false };
+
+// r_frame_rate 与 avg_frame_rate 相差超过该比例时视为可变帧率
+// Treat the source as VFR when r_frame_rate and avg_frame_rate differ by more than this ratio
+const VFR_TOLERANCE = 0.01;
+
+const probeCache = new Map();
+
+// 探测结果按文件路径、大小与修改时间缓存，同一文件的每种探测只执行一次
+// Probe results are keyed by path, size and mtime so each probe runs once per file
+function probeOnce(kind, inputFile, probe) {
+  const { size, mtimeMs } = statSync(inputFile);
+  const stamp = `${kind}|${resolve(inputFile)}|${size}|${mtimeMs}`;
+  if (!probeCache.has(stamp)) {
+    probeCache.set(stamp, probe());
+  }
+  return probeCache.get(stamp);
+}
+
+function parseRational(text) {
+  const [num, den = "1"] = String(text).trim().split("/");
+  const value = parseFloat(num) / parseFloat(den);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * 探测视频的帧率并判断是否为可变帧率（VFR）
+ *
+ * 读取首个视频流的 r_frame_rate（基础帧率）与 avg_frame_rate（平均帧率），两者明显不一致时
+ * 视为 VFR，此时 fps 取平均帧率。结果按文件路径、大小与修改时间缓存，同一文件只探测一次。
+ *
+ * @param {string} inputFile - 输入视频文件路径
+ * @returns {{rate: string, fps: number, isVfr: boolean}} rate 为可直接传给 FFmpeg -r 的帧率
+ *          （如 "24000/1001"），fps 为其数值；无法读取时返回 30fps CFR
+ *
+ * @example
+ * probeFrameRate('./film.mp4');
+ * // 返回: { rate: '24000/1001', fps: 23.976, isVfr: false }
+ */
+export function probeFrameRate(inputFile) {
+  return probeOnce("frameRate", inputFile, () => readFrameRate(inputFile));
+}
+
+function readFrameRate(inputFile) {
+  const [rRate, avgRate] = execSync(
+    `ffprobe -v error -select_streams v:0 -show_entries stream=r_frame_rate,avg_frame_rate -of default=nw=1:nk=1 "${inputFile}"`,
+    { stdio: "pipe" }
+  )
+    .toString("utf8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const rFps = parseRational(rRate);
+  // avg_frame_rate 可能为 0/0（未知），此时按 CFR 处理
+  // avg_frame_rate may be 0/0 (unknown); treat the stream as CFR then
+  const avgFps = parseRational(avgRate) ?? rFps;
+  if (!rFps) {
+    return DEFAULT_FRAME_RATE;
+  }
+  const isVfr = Math.abs(rFps - avgFps) / rFps > VFR_TOLERANCE;
+  return isVfr
+    ? { rate: avgRate.trim(), fps: avgFps, isVfr }
+    : { rate: rRate.trim(), fps: rFps, isVfr };
+}
+
+/**
+ * 按片源帧率把 GOP 时长换算为帧数
+ *
+ * VFR 片源按平均帧率换算。
+ *
+ * @param {string} inputFile - 输入视频文件路径
+ * @param {number} gopSec - GOP 时长（秒）
+ * @returns {number} GOP 帧数（至少为 1）
+ *
+ * @example
+ * getGopFrames('./film_25fps.mp4', 2); // 返回: 50
+ */
+export function getGopFrames(inputFile, gopSec) {
+  return Math.max(1, Math.round(gopSec * probeFrameRate(inputFile).fps));
+}
+
+/**
+ * 探测视频的显示尺寸（已考虑旋转）
+ *
+ * 手机拍摄的竖屏视频常以横向尺寸存储并带有 90°/270° 旋转标记，FFmpeg 默认按旋转后的方向
+ * 解码，因此这里同样交换宽高。
+ *
+ * @param {string} inputFile - 输入视频文件路径
+ * @returns {{width: number, height: number}|null} 显示尺寸；无法读取时返回 null
+ *
+ * @example
+ * probeDisplaySize('./vertical.mp4');
+ * // 返回: { width: 1080, height: 1920 }
+ */
+export function probeDisplaySize(inputFile) {
+  return probeOnce("displaySize", inputFile, () => {
+    let stream;
+    try {
+      stream = JSON.parse(
+        execSync(
+          `ffprobe -v error -select_streams v:0 -show_entries stream=width,height:stream_tags=rotate:stream_side_data=rotation -of json "${inputFile}"`,
+          { stdio: "pipe" }
+        ).toString("utf8")
+      )?.streams?.[0];
+    } catch {
+      return null;
+    }
+    const { width, height } = stream ?? {};
+    if (!(width > 0 && height > 0)) {
+      return null;
+    }
+    const rotation = Number(
+      stream.side_data_list?.find((d) => d.rotation !== undefined)?.rotation ??
+        stream.tags?.rotate ??
+        0
+    );
+    return Math.abs(rotation) % 180 === 90
+      ? { width: height, height: width }
+      : { width, height };
+  });
+}
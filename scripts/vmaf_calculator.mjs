@@ -6,19 +6,11 @@
  * Handle VMAF quality evaluation
  */
 
-import { execSync } from "node:child_process";
 import { readFileSync } from "node:fs";
 import { join } from "node:path";
-
-/**
- * 执行 Shell 命令
- *
- * @param {string} cmd - 要执行的命令
- * @returns {string} 命令输出
- */
-function sh(cmd) {
-  return execSync(cmd, { stdio: "pipe", shell: "/bin/bash" }).toString("utf8");
-}
+import { NO_CACHE } from "./encode_cache.mjs";
+import { runCommand } from "./job_scheduler.mjs";
+import { probeFrameRate } from "./scene_detect.mjs";
 
 /**
  * 测量两个视频之间的 VMAF 质量分数
@@ -31,10 +23,15 @@ function sh(cmd) {
  * @param {string} params.referenceFile - 参考视频文件路径（高质量参考）
  * @param {string} params.vmafModel - VMAF 模型文件路径或版本名称（如 "vmaf_v0.6.1.json"）
  * @param {string} params.tmpDir - 临时文件目录路径（用于存储 VMAF JSON 输出）
- * @returns {number} VMAF 分数（0-100，越高表示质量越好，95+ 表示优秀质量）
+ * @param {boolean} [params.scaleToReference=false] - 是否先将待测视频缩放到参考视频分辨率
+ *        （跨分辨率比较时使用，例如 Per-Title 凸包）
+ * @param {Object} [params.scheduler] - 任务调度器，用于限制并发的 ffmpeg 进程数
+ * @param {Object} [params.cache] - 编码缓存（见 encode_cache.mjs）；两个文件都是缓存条目时
+ *        分数按两者的键缓存，否则照常计算
+ * @returns {Promise<number>} VMAF 分数（0-100，越高表示质量越好，95+ 表示优秀质量）
  *
  * @example
- * const score = measureVmaf({
+ * const score = await measureVmaf({
  *   distortedFile: './encoded.mp4',
  *   referenceFile: './reference.mp4',
  *   vmafModel: 'vmaf_v0.6.1.json',
@@ -42,11 +39,60 @@ function sh(cmd) {
  * });
  * console.log(`VMAF Score: ${score}`); // 输出: VMAF Score: 95.23
  */
-export function measureVmaf({
+export async function measureVmaf({
   distortedFile,
   referenceFile,
   vmafModel,
   tmpDir,
+  scaleToReference = false,
+  scheduler,
+  cache = NO_CACHE,
+}) {
+  // 缓存条目的键已涵盖片源内容与编码参数，可直接作为分数的键
+  // Cache entry keys already cover source content and encode parameters, so they key the score
+  const distortedKey = cache.keyOf(distortedFile);
+  const referenceKey = cache.keyOf(referenceFile);
+  const { alignment } = buildVmafInputs({ referenceFile });
+  const compute = () =>
+    computeVmaf({
+      distortedFile,
+      referenceFile,
+      vmafModel,
+      tmpDir,
+      scaleToReference,
+      scheduler,
+    });
+  if (!distortedKey || !referenceKey) {
+    const { value } = await compute();
+    return value;
+  }
+  return cache.value(
+    "vmaf",
+    {
+      distorted: distortedKey,
+      reference: referenceKey,
+      vmafModel,
+      scaleToReference,
+      alignment,
+    },
+    compute
+  );
+}
+
+/**
+ * 运行 libvmaf 计算分数（不经过缓存）
+ *
+ * @param {Object} params - 与 measureVmaf() 相同的参数
+ * @returns {Promise<{value: number, computeSeconds: number}>} VMAF 分数与 libvmaf 的运行时间（秒，
+ *          不含排队时间）
+ */
+async function computeVmaf({
+  distortedFile,
+  referenceFile,
+  vmafModel,
+  tmpDir,
+  scaleToReference,
+  scheduler,
 }) {
   const vmafLog = join(
     tmpDir,
@@ -57,13 +103,65 @@ export function measureVmaf({
   // FFmpeg 8.0+ uses 'model' instead of 'model_path'
   const modelArg = buildModelArg(vmafModel);
 
-  sh(
-    `ffmpeg -hide_banner -r 30 -i "${distortedFile}" -r 30 -i "${referenceFile}" ` +
-      `-lavfi "[0:v][1:v]libvmaf=${modelArg}log_fmt=json:log_path='${vmafLog}'" ` +
-      `-f null -`
+  const { inputArgs, filterInputs } = buildVmafInputs({
+    distortedFile,
+    referenceFile,
+    scaleToReference,
+  });
+
+  const { timeSeconds } = await runCommand(
+    `ffmpeg -hide_banner ${inputArgs} ` +
+      `-lavfi "${filterInputs}libvmaf=${modelArg}log_fmt=json:log_path='${vmafLog}'" ` +
+      `-f null -`,
+    { scheduler, outputs: [vmafLog] }
   );
 
-  return parseVmafScore(vmafLog);
+  return { value: parseVmafScore(vmafLog), computeSeconds: timeSeconds };
+}
+
+/**
+ * 构建 libvmaf 比较的输入参数与过滤器输入，使两路视频逐帧对齐
+ *
+ * 帧率取自参考视频（与片源一致）：
+ * - CFR：两路输入都以 -r <真实帧率> 读取，按帧序号一一对应
+ * - VFR：不改写时间戳，两路都用 setpts 归零后交给 libvmaf 按时间戳同步取帧
+ *
+ * @param {Object} params - 参数
+ * @param {string} [params.distortedFile] - 待测视频文件路径
+ * @param {string} params.referenceFile - 参考视频文件路径
+ * @param {boolean} [params.scaleToReference=false] - 是否先将待测视频缩放到参考视频分辨率
+ * @returns {{inputArgs: string, filterInputs: string, alignment: string}}
+ *          inputArgs 为两个 -i 输入（含帧率参数），filterInputs 为接在 libvmaf 之前的过滤器链，
+ *          alignment 描述对齐方式（"rate:<帧率>" 或 "timestamps"），用作分数缓存键的一部分
+ *
+ * @example
+ * buildVmafInputs({ distortedFile: './enc.mp4', referenceFile: './ref.mp4' });
+ * // 25fps 片源返回:
+ * // { inputArgs: '-r 25 -i "./enc.mp4" -r 25 -i "./ref.mp4"', filterInputs: '[0:v][1:v]', alignment: 'rate:25' }
+ */
+export function buildVmafInputs({
+  distortedFile,
+  referenceFile,
+  scaleToReference = false,
+}) {
+  const { rate, isVfr } = probeFrameRate(referenceFile);
+  const rateArg = isVfr ? "" : `-r ${rate} `;
+  // VFR 片源先把两路时间戳归零，libvmaf 的帧同步再按时间戳配对
+  // For VFR sources zero both timelines so libvmaf's frame sync pairs frames by timestamp
+  const [dist, ref] = isVfr ? ["[d0]", "[r0]"] : ["[0:v]", "[1:v]"];
+  const sync = isVfr
+    ? "[0:v]setpts=PTS-STARTPTS[d0];[1:v]setpts=PTS-STARTPTS[r0];"
+    : "";
+  // 跨分辨率比较时先用 bicubic 将待测视频放大到参考分辨率
+  // Upscale the distorted video to the reference size for cross-resolution comparison
+  const filterInputs = scaleToReference
+    ? `${sync}${dist}${ref}scale2ref=flags=bicubic[dist][ref];[dist][ref]`
+    : `${sync}${dist}${ref}`;
+  return {
+    inputArgs: `${rateArg}-i "${distortedFile}" ${rateArg}-i "${referenceFile}"`,
+    filterInputs,
+    alignment: isVfr ? "timestamps" : `rate:${rate}`,
+  };
 }
 
 /**
@@ -80,7 +178,7 @@ export function measureVmaf({
  * buildModelArg('vmaf_v0.6.1.json') // 返回: "model=version=vmaf_v0.6.1:"
  * buildModelArg('/path/to/model.json') // 返回: "model=path='/path/to/model.json':"
  */
-function buildModelArg(vmafModel) {
+export function buildModelArg(vmafModel) {
   if (!vmafModel) return "";
 
   // 检查是否是完整路径
@@ -1,10 +1,26 @@
 import { parentPort, workerData } from "node:worker_threads";
-import { runExperiment } from "../scripts/run_experiment.mjs";
+import { planExperiment, runExperiment } from "../scripts/run_experiment.mjs";
+
+// 主线程发送 { type: "cancel" } 时取消实验；不让消息端口单独保持 worker 存活
+// Cancel the experiment when the main thread sends { type: "cancel" }; the port alone must not keep the worker alive
+const controller = new AbortController();
+parentPort?.on("message", (message) => {
+  if (message?.type === "cancel") {
+    controller.abort();
+  }
+});
+parentPort?.unref();
 
 async function main() {
   const options = workerData?.options || {};
 
   try {
+    if (workerData?.action === "plan") {
+      const plan = await planExperiment(options);
+      parentPort?.postMessage({ type: "done", payload: plan });
+      return;
+    }
+
     const result = await runExperiment({
       ...options,
       onSummaryRow: (row) => {
@@ -13,6 +29,10 @@ async function main() {
       onLog: (message) => {
         parentPort?.postMessage({ type: "log", message });
       },
+      onEvent: (event) => {
+        parentPort?.postMessage({ type: "progress", payload: event });
+      },
+      signal: controller.signal,
     });
 
     parentPort?.postMessage({ type: "done", payload: result });
@@ -4,6 +4,8 @@ import { readFileSync } from "node:fs";
 import { dirname, join, resolve } from "node:path";
 import { fileURLToPath } from "node:url";
 import { Worker } from "node:worker_threads";
+import { formatProgressEvent } from "../scripts/progress_events.mjs";
+import { checkExperimentConfig } from "../scripts/run_experiment.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,6 +24,20 @@ app.use(express.json());
 
 const tasks = new Map();
 
+// 每个任务只保留最近的进度事件与日志，避免长时间运行的实验占用过多内存
+// Keep only the most recent events and logs per task so long runs do not grow without bound
+const MAX_TASK_EVENTS = 500;
+// 请求取消后等待 worker 自行收尾（结束 ffmpeg、写出部分摘要）的最长时间
+// How long a cancelled worker may take to kill ffmpeg and write its partial summary
+const CANCEL_GRACE_MS = 30000;
+
+function pushBounded(list, item) {
+  list.push(item);
+  if (list.length > MAX_TASK_EVENTS) {
+    list.splice(0, list.length - MAX_TASK_EVENTS);
+  }
+}
+
 function serializeTask(task) {
   return {
     id: task.id,
@@ -29,15 +45,36 @@ function serializeTask(task) {
     createdAt: task.createdAt,
     updatedAt: task.updatedAt,
     inputFile: task.inputFile,
+    manifest: task.manifest,
     options: task.options,
     summaryRows: task.summaryRows,
     summaryPath: task.summaryPath,
     summaryStreamPath: task.summaryStreamPath,
     error: task.error,
+    progress: task.progress,
+    events: task.events,
     logs: task.logs,
   };
 }
 
+/**
+ * 校验请求中的配置，失败时直接返回 400 和逐字段的错误信息
+ *
+ * @returns {Promise<{errors: Array, warnings: Array}|null>} 校验通过时返回结果，否则返回 null
+ */
+async function validateRequestConfig(res, options) {
+  const result = await checkExperimentConfig(options);
+  if (result.errors.length > 0) {
+    res.status(400).json({
+      error: "配置校验失败",
+      errors: result.errors,
+      warnings: result.warnings,
+    });
+    return null;
+  }
+  return result;
+}
+
 function attachWorkerListeners(task, worker) {
   worker.on("message", (message) => {
     if (!message || typeof message !== "object") {
@@ -48,13 +85,22 @@ function attachWorkerListeners(task, worker) {
       task.summaryRows.push(message.payload);
       task.updatedAt = new Date().toISOString();
     } else if (message.type === "log" && typeof message.message === "string") {
-      task.logs.push({
+      pushBounded(task.logs, {
         at: new Date().toISOString(),
         message: message.message,
       });
       task.updatedAt = new Date().toISOString();
+    } else if (message.type === "progress" && message.payload) {
+      const event = message.payload;
+      task.progress = event.progress;
+      pushBounded(task.events, event);
+      const text = formatProgressEvent(event);
+      if (text) {
+        pushBounded(task.logs, { at: event.at, message: text.trim() });
+      }
+      task.updatedAt = new Date().toISOString();
     } else if (message.type === "done") {
-      task.status = "completed";
+      task.status = message.payload?.cancelled ? "cancelled" : "completed";
       task.result = message.payload;
       if (message.payload) {
         task.summaryPath = message.payload.summaryPath;
@@ -65,20 +111,28 @@ function attachWorkerListeners(task, worker) {
       }
       task.updatedAt = new Date().toISOString();
     } else if (message.type === "error") {
-      task.status = "failed";
+      task.status = task.status === "cancelling" ? "cancelled" : "failed";
       task.error = message.error || { message: "unknown error" };
       task.updatedAt = new Date().toISOString();
     }
   });
 
   worker.on("error", (error) => {
-    task.status = "failed";
+    task.status = task.status === "cancelling" ? "cancelled" : "failed";
     task.error = { message: error.message, stack: error.stack };
     task.updatedAt = new Date().toISOString();
   });
 
   worker.on("exit", (code) => {
-    if (code !== 0 && task.status !== "failed" && task.status !== "completed") {
+    if (task.status === "cancelling") {
+      task.status = "cancelled";
+      task.updatedAt = new Date().toISOString();
+    } else if (
+      code !== 0 &&
+      task.status !== "failed" &&
+      task.status !== "completed" &&
+      task.status !== "cancelled"
+    ) {
       task.status = "failed";
       task.error = {
         message: `worker exited with code ${code}`,
@@ -107,22 +161,41 @@ app.get("/", (req, res) => {
   res.render("index");
 });
 
-app.post("/experiments", (req, res) => {
-  const { inputFile, configOverrides = {}, configPath } = req.body || {};
-  if (!inputFile || typeof inputFile !== "string") {
-    return res.status(400).json({ error: "inputFile is required" });
+app.post("/experiments", async (req, res) => {
+  const {
+    inputFile,
+    manifest,
+    configOverrides = {},
+    configPath,
+    resume = false,
+  } = req.body || {};
+  const hasInput = Boolean(inputFile) && typeof inputFile === "string";
+  const hasManifest = Boolean(manifest) && typeof manifest === "string";
+  if (hasInput === hasManifest) {
+    return res
+      .status(400)
+      .json({ error: "exactly one of inputFile or manifest is required" });
   }
 
-  const taskId = randomUUID();
-  const createdAt = new Date().toISOString();
-
   const options = {
-    inputFile,
     configOverrides,
+    resume: resume === true,
   };
+  if (hasManifest) {
+    options.manifest = manifest;
+  } else {
+    options.inputFile = inputFile;
+  }
   if (configPath && typeof configPath === "string") {
     options.configPath = configPath;
   }
+  const validation = await validateRequestConfig(res, options);
+  if (!validation) {
+    return;
+  }
+
+  const taskId = randomUUID();
+  const createdAt = new Date().toISOString();
 
   const worker = new Worker(workerPath, {
     workerData: { options },
@@ -133,12 +206,15 @@ app.post("/experiments", (req, res) => {
     status: "running",
     createdAt,
     updatedAt: createdAt,
-    inputFile,
+    inputFile: options.inputFile ?? null,
+    manifest: options.manifest ?? null,
     options,
     summaryRows: [],
     summaryPath: null,
     summaryStreamPath: null,
     error: null,
+    progress: 0,
+    events: [],
     logs: [],
     worker,
   };
@@ -146,7 +222,47 @@ app.post("/experiments", (req, res) => {
 
   attachWorkerListeners(task, worker);
 
-  res.status(202).json({ id: taskId });
+  res.status(202).json({ id: taskId, warnings: validation.warnings });
+});
+
+app.post("/experiments/plan", async (req, res) => {
+  const { inputFile, configOverrides = {}, configPath } = req.body || {};
+  if (!inputFile || typeof inputFile !== "string") {
+    return res.status(400).json({ error: "inputFile is required" });
+  }
+
+  const options = { inputFile, configOverrides };
+  if (configPath && typeof configPath === "string") {
+    options.configPath = configPath;
+  }
+  if (!(await validateRequestConfig(res, options))) {
+    return;
+  }
+
+  // 场景检测会阻塞线程，与实验一样放到 worker 中执行
+  // Scene detection blocks the thread, so run it in a worker like experiments
+  const worker = new Worker(workerPath, {
+    workerData: { action: "plan", options },
+  });
+  let settled = false;
+  const reply = (status, body) => {
+    if (!settled) {
+      settled = true;
+      res.status(status).json(body);
+    }
+  };
+
+  worker.on("message", (message) => {
+    if (message?.type === "done") {
+      reply(200, message.payload);
+    } else if (message?.type === "error") {
+      reply(400, { error: message.error?.message || "unknown error" });
+    }
+  });
+  worker.on("error", (error) => reply(500, { error: error.message }));
+  worker.on("exit", (code) =>
+    reply(500, { error: `worker exited with code ${code}` })
+  );
 });
 
 app.get("/experiments/:id", (req, res) => {
@@ -157,6 +273,38 @@ app.get("/experiments/:id", (req, res) => {
   res.json(serializeTask(task));
 });
 
+/**
+ * 取消正在运行的实验：通知 worker 结束 ffmpeg 并写出部分摘要，任务最终进入 cancelled 状态
+ */
+function cancelExperiment(req, res) {
+  const task = tasks.get(req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: "experiment not found" });
+  }
+  if (task.status !== "running" && task.status !== "cancelling") {
+    return res
+      .status(409)
+      .json({ error: `任务已结束，无法取消 (状态: ${task.status})` });
+  }
+
+  if (task.status === "running") {
+    task.status = "cancelling";
+    task.updatedAt = new Date().toISOString();
+    task.worker?.postMessage({ type: "cancel" });
+    // worker 未能按时收尾时强制结束线程
+    // Force the thread down if the worker does not finish in time
+    setTimeout(() => {
+      if (task.status === "cancelling") {
+        task.worker?.terminate();
+      }
+    }, CANCEL_GRACE_MS).unref();
+  }
+  res.status(202).json(serializeTask(task));
+}
+
+app.delete("/experiments/:id", cancelExperiment);
+app.post("/experiments/:id/cancel", cancelExperiment);
+
 app.use(express.static(webRoot));
 
 const port = Number(process.env.PORT || 3000);
@@ -11,10 +11,18 @@
  *    Test preprocess_video.py
  * 3. 测试 per_scene_encode.mjs
  *    Test per_scene_encode.mjs
+ * 4. 运行 test/test_*.mjs 中不依赖 ffmpeg 的模块测试
+ *    Run the module tests in test/test_*.mjs, which do not need ffmpeg
  */
 
 import { execSync } from "node:child_process";
-import { existsSync, mkdirSync, rmSync, writeFileSync } from "node:fs";
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
 import { join, dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 
@@ -60,8 +68,8 @@ function setup() {
 
 function generateTestVideo() {
   const testVideo = join(testWorkdir, "test_input.mp4");
-  console.log(`\n[步骤 1/3] 生成 10 帧测试视频`);
-  console.log(`[Step 1/3] Generating 10-frame test video`);
+  console.log(`\n[步骤 1/4] 生成 10 帧测试视频`);
+  console.log(`[Step 1/4] Generating 10-frame test video`);
 
   // 检查 ffmpeg 是否可用
   // Check if ffmpeg is available
@@ -103,8 +111,8 @@ function generateTestVideo() {
 }
 
 function testPreprocessScript(inputVideo) {
-  console.log(`\n[步骤 2/3] 测试 AI 预处理脚本`);
-  console.log(`[Step 2/3] Testing AI preprocessing script`);
+  console.log(`\n[步骤 2/4] 测试 AI 预处理脚本`);
+  console.log(`[Step 2/4] Testing AI preprocessing script`);
 
   const outputVideo = join(testWorkdir, "test_preprocessed.mp4");
   const scriptPath = join(
@@ -132,8 +140,8 @@ function testPreprocessScript(inputVideo) {
 }
 
 function testPerSceneEncode(inputVideo) {
-  console.log(`\n[步骤 3/3] 测试 per_scene_encode.mjs 10帧模式`);
-  console.log(`[Step 3/3] Testing per_scene_encode.mjs with 10-frame mode`);
+  console.log(`\n[步骤 3/4] 测试 per_scene_encode.mjs 10帧模式`);
+  console.log(`[Step 3/4] Testing per_scene_encode.mjs with 10-frame mode`);
 
   // 检查 ffmpeg 是否可用
   // Check if ffmpeg is available
@@ -156,8 +164,12 @@ import { runPerSceneEncode } from "${join(
     projectRoot,
     "scripts/per_scene_encode.mjs"
   )}";
+import { resolveAudioConfig } from "${join(
+    projectRoot,
+    "scripts/audio_track.mjs"
+  )}";
 
-const result = runPerSceneEncode({
+const result = await runPerSceneEncode({
   inputFile: ${JSON.stringify(inputVideo)},
   height: 480,
   codec: "libx264",
@@ -172,7 +184,7 @@ const result = runPerSceneEncode({
     }
   ],
   gopSec: 2,
-  audioKbps: 128,
+  audio: resolveAudioConfig(${JSON.stringify(inputVideo)}, { audioKbps: 128 }),
   workdir: ${JSON.stringify(encodeWorkdir)},
   vmafModel: "vmaf_v0.6.1.json",
   modeTag: "smokeTest"
@@ -203,9 +215,21 @@ console.log(JSON.stringify({
           `编码输出文件未生成 / Encoded output not generated: ${result.finalFile}`
         );
       }
+      // 测试视频带有正弦音轨，最终文件应封装了编码后的音频
+      // The test video has a sine audio track, so the final file should carry the encoded audio
+      const audioStreams = execSync(
+        `ffprobe -v error -select_streams a -show_entries stream=codec_name -of csv=p=0 "${result.finalFile}"`,
+        { encoding: "utf8" }
+      ).trim();
+      if (!audioStreams) {
+        throw new Error(
+          `最终文件缺少音轨 / Final file has no audio stream: ${result.finalFile}`
+        );
+      }
       console.log(`[成功 / Success] 编码测试通过 / Encoding test passed`);
       console.log(`[输出文件 / Output file] ${result.finalFile}`);
       console.log(`[VMAF 分数 / VMAF score] ${result.finalVmaf}`);
+      console.log(`[音轨 / Audio] ${audioStreams}`);
     }
   } catch (error) {
     // 如果是因为缺少 ffmpeg 或 vmaf 模型，打印警告但不失败
@@ -227,6 +251,22 @@ console.log(JSON.stringify({
   }
 }
 
+function testModules() {
+  console.log(`\n[步骤 4/4] 运行模块测试`);
+  console.log(`[Step 4/4] Running module tests`);
+
+  const testFiles = readdirSync(__dirname)
+    .filter((name) => /^test_.+\.mjs$/.test(name))
+    .sort();
+  for (const name of testFiles) {
+    const output = sh(
+      `node "${join(__dirname, name)}"`,
+      `运行 ${name} / Run ${name}`
+    );
+    console.log(output.trimEnd());
+  }
+}
+
 function runTests() {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -241,6 +281,7 @@ function runTests() {
     const testVideo = generateTestVideo();
     const preprocessedVideo = testPreprocessScript(testVideo);
     testPerSceneEncode(preprocessedVideo);
+    testModules();
 
     console.log(`
 ╔════════════════════════════════════════════════════════════╗
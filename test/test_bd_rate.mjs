@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * BD-rate 计算测试
+ * BD-rate computation test
+ *
+ * 校验文档示例的 BD-rate、无法计算时给出的 reason，以及 computeBdMatrix() 只比较分辨率与 VMAF
+ * 测量分辨率都相同的配置
+ * Check the documented BD-rate example, the reason given when a delta cannot be computed, and that
+ * computeBdMatrix() only compares configurations with the same height and VMAF measurement height
+ */
+
+import assert from "node:assert/strict";
+import { bdRate, bdVmaf, computeBdMatrix } from "../scripts/bd_rate.mjs";
+
+// 文档示例：相同 VMAF 下 test 的码率均为 reference 的 80%
+// Documented example: test needs 80% of the reference bitrate at every VMAF
+const reference = [
+  { kbps: 1000, vmaf: 88 },
+  { kbps: 2000, vmaf: 93 },
+  { kbps: 4000, vmaf: 96 },
+];
+const test = [
+  { kbps: 800, vmaf: 88 },
+  { kbps: 1600, vmaf: 93 },
+  { kbps: 3200, vmaf: 96 },
+];
+
+console.log("[BD-rate] 文档示例 / Documented example");
+assert.deepEqual(bdRate(reference, test), {
+  bdRatePercent: -20,
+  vmafRange: [88, 96],
+});
+assert.ok(bdVmaf(reference, test).bdVmaf > 0);
+console.log("  ✓ bdRatePercent = -20, vmafRange = [88, 96]");
+
+console.log("[BD-rate] 区间不重叠 / Non-overlapping ranges");
+const low = [
+  { kbps: 100, vmaf: 70 },
+  { kbps: 200, vmaf: 80 },
+];
+assert.deepEqual(bdRate(reference, low), {
+  bdRatePercent: null,
+  reason: "VMAF 区间不重叠",
+});
+assert.deepEqual(bdVmaf(reference, low), {
+  bdVmaf: null,
+  reason: "码率区间不重叠",
+});
+console.log(
+  "  ✓ 返回 null 并指明不重叠的坐标轴 / null with the non-overlapping axis as reason"
+);
+
+console.log("[BD-rate] RD 点不足 / Too few RD points");
+const tooFew = "RD 点不足（每个配置至少需要 2 个）";
+assert.deepEqual(bdRate(reference, [{ kbps: 1000, vmaf: 90 }]), {
+  bdRatePercent: null,
+  reason: tooFew,
+});
+// VMAF 相同的点只保留码率最低的一个，合并后同样不足 2 个
+// Points with equal VMAF collapse to the lowest bitrate, leaving fewer than 2 as well
+assert.equal(
+  bdRate(reference, [
+    { kbps: 1000, vmaf: 90 },
+    { kbps: 1200, vmaf: 90 },
+  ]).reason,
+  tooFew
+);
+console.log(
+  "  ✓ 单点与重复 VMAF 的曲线返回 reason / reason for single-point and duplicate-VMAF curves"
+);
+
+console.log(
+  "[BD-rate] 矩阵只比较同一分辨率 / Matrix compares the same height only"
+);
+const row = (mode, height, rdPoints, vmafScaledToHeight) => ({
+  mode,
+  codec: "libx264",
+  implementation: "cpu",
+  height,
+  vmafScaledToHeight,
+  rdPoints,
+});
+const matrix = computeBdMatrix([
+  row("baseline_crf", 720, reference),
+  row("per_title", 720, test, 720),
+  row("baseline_crf", 480, reference),
+  // per_title 在 480p 的 VMAF 放大到 720p 后测量，不能与 480p 的 baseline 比较
+  // per_title measures 480p VMAF after upscaling to 720p, so it is not comparable with 480p baseline
+  row("per_title", 480, test, 720),
+]);
+assert.equal(matrix.length, 2);
+assert.ok(matrix.every((entry) => entry.height === 720));
+const perTitleVsBaseline = matrix.find(
+  (entry) => entry.test.mode === "per_title"
+);
+assert.equal(perTitleVsBaseline.reference.mode, "baseline_crf");
+assert.equal(perTitleVsBaseline.bdRatePercent, -20);
+console.log("  ✓ 只有 720p 的两个有序对 / only the two ordered 720p pairs");
+
+console.log("\n✓ BD-rate 测试通过 / BD-rate tests passed");
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * 片段拼接校验测试
+ * Segment concatenation check test
+ *
+ * 用手工构造的片段（probeSegment() 的结果形式）覆盖 checkSegments() 的各检查项：
+ * count、params、keyframe、gap、overlap 与 drift
+ * Cover every checkSegments() issue kind with hand-built segments in the probeSegment() shape:
+ * count, params, keyframe, gap, overlap and drift
+ */
+
+import assert from "node:assert/strict";
+import { checkSegments } from "../scripts/concat_segments.mjs";
+
+const STREAM = {
+  codec_name: "h264",
+  profile: "High",
+  width: 1280,
+  height: 720,
+  pix_fmt: "yuv420p",
+  sample_aspect_ratio: "1:1",
+  r_frame_rate: "30/1",
+  time_base: "1/15360",
+};
+
+const segment = (index, duration, overrides = {}) => ({
+  file: `seg_${String(index).padStart(4, "0")}.mp4`,
+  stream: STREAM,
+  startTime: 0,
+  duration,
+  startsOnKeyframe: true,
+  frameDuration: 1 / 30,
+  ...overrides,
+});
+
+// 片源中首尾相接的三个场景，起点不从 0 开始（与 per_scene 的片段计划一致）
+// Three back-to-back scenes in the source, not starting at 0 (as in a per_scene segment plan)
+const plan = [
+  { start: 10, dur: 2 },
+  { start: 12, dur: 3 },
+  { start: 15, dur: 4 },
+];
+const matching = () => [segment(0, 2), segment(1, 3), segment(2, 4)];
+const kinds = (issues) => issues.map(({ kind, index }) => `${kind}@${index}`);
+
+console.log("[Concat] 片段与计划一致 / Segments match the plan");
+assert.deepEqual(checkSegments(matching(), plan), []);
+const withinFrame = matching();
+withinFrame[1].duration = 3.02;
+withinFrame[2].duration = 3.98;
+assert.deepEqual(checkSegments(withinFrame, plan), []);
+console.log(
+  "  ✓ 一帧以内的偏差不报告 / deviations within one frame are not reported"
+);
+
+console.log("[Concat] count");
+const extra = [...matching(), segment(3, 1)];
+extra[1].duration = 5;
+// 数量不符时不再按计划比较时长，只报告 count
+// With a count mismatch durations are not compared against the plan, so only count is reported
+assert.deepEqual(kinds(checkSegments(extra, plan)), ["count@3"]);
+console.log("  ✓ 4 个片段对 3 个计划 / 4 segments against a 3-entry plan");
+
+console.log("[Concat] params");
+const params = matching();
+params[2].stream = { ...STREAM, pix_fmt: "yuv420p10le" };
+const paramsIssues = checkSegments(params, plan);
+assert.deepEqual(kinds(paramsIssues), ["params@2"]);
+assert.match(paramsIssues[0].message, /pix_fmt=yuv420p10le/);
+console.log("  ✓ 像素格式不一致 / mismatched pixel format");
+
+console.log("[Concat] keyframe");
+const keyframe = matching();
+keyframe[1].startsOnKeyframe = false;
+assert.deepEqual(kinds(checkSegments(keyframe, plan)), ["keyframe@1"]);
+console.log(
+  "  ✓ 片段 2 不从关键帧开始 / segment 2 does not start on a keyframe"
+);
+
+console.log("[Concat] gap / overlap");
+// 计划中第 2 个场景晚 0.5s 开始：拼接结果会丢失这段画面；之后的片段按计划起点继续比较
+// The plan starts scene 2 0.5 s late, so the output would miss that footage; later segments
+// are compared from the planned start
+const gapPlan = [
+  { start: 10, dur: 2 },
+  { start: 12.5, dur: 3 },
+  { start: 15.5, dur: 4 },
+];
+assert.deepEqual(kinds(checkSegments(matching(), gapPlan)), ["gap@1"]);
+const overlapPlan = [
+  { start: 10, dur: 2 },
+  { start: 11.5, dur: 3 },
+  { start: 14.5, dur: 4 },
+];
+assert.deepEqual(kinds(checkSegments(matching(), overlapPlan)), ["overlap@1"]);
+console.log(
+  "  ✓ 只在出现间隙或重叠的片段报告 / reported only where the gap or overlap appears"
+);
+
+console.log("[Concat] drift");
+const drift = matching();
+drift[0].duration = 2.2;
+// 片段 1 偏长 0.2s，片段 2 因此在拼接结果中晚于计划起点开始
+// Segment 1 runs 0.2 s long, so segment 2 starts after its planned position in the output
+assert.deepEqual(kinds(checkSegments(drift, plan)), ["drift@0", "overlap@1"]);
+console.log(
+  "  ✓ 时长漂移及其造成的重叠 / duration drift and the overlap it causes"
+);
+
+console.log("[Concat] 无计划 / Without a plan");
+const noPlan = matching();
+noPlan[0].duration = 9;
+noPlan[2].startsOnKeyframe = false;
+assert.deepEqual(kinds(checkSegments(noPlan)), ["keyframe@2"]);
+console.log(
+  "  ✓ 只检查参数与关键帧 / only parameters and keyframes are checked"
+);
+
+console.log(
+  "\n✓ 片段拼接校验测试通过 / Segment concatenation check tests passed"
+);
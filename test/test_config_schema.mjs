@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * 配置校验测试
+ * Config validation test
+ *
+ * 校验 validateExperimentConfig() 对列表字段的类型检查：数组与 allowScalar 的单个数字通过，
+ * 字符串（包括逗号分隔的写法）报告为字段级类型错误，数组元素的错误报告到具体下标
+ * Check the list field type checks in validateExperimentConfig(): arrays and allowScalar single
+ * numbers pass, strings (comma-separated ones included) are field-level type errors, and element
+ * errors name the offending index
+ */
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { validateExperimentConfig } from "../scripts/config_schema.mjs";
+
+// 以仓库自带的实验矩阵为基础，只替换被测字段
+// Start from the bundled experiment matrix and replace only the fields under test
+const matrix = JSON.parse(
+  readFileSync(
+    new URL("../configs/experiment_matrix.json", import.meta.url),
+    "utf8"
+  )
+);
+const errorsOf = (overrides) =>
+  validateExperimentConfig({ ...matrix, ...overrides }).errors;
+
+console.log("[Config] 列表字段 / List fields");
+assert.deepEqual(errorsOf({ targetVmaf: 95 }), []);
+assert.deepEqual(
+  errorsOf({ targetVmaf: [88, 95], heightList: [1080, 720] }),
+  []
+);
+console.log("  ✓ 数组与单个数字通过 / arrays and a single number pass");
+
+console.log("[Config] 字符串不是列表 / Strings are not lists");
+assert.deepEqual(errorsOf({ targetVmaf: "95" }), [
+  { field: "targetVmaf", message: '必须是数字，实际为 "95"' },
+]);
+assert.deepEqual(errorsOf({ heightList: "1080,720" }), [
+  { field: "heightList", message: '必须是数组，实际为 "1080,720"' },
+]);
+assert.deepEqual(errorsOf({ codecs: "libx264,libx265" }), [
+  { field: "codecs", message: '必须是数组，实际为 "libx264,libx265"' },
+]);
+console.log(
+  "  ✓ 逗号分隔的字符串只在 CLI 参数中拆分 / comma-separated strings are split only for CLI flags"
+);
+
+console.log("[Config] 数组元素 / Array elements");
+assert.deepEqual(errorsOf({ targetVmaf: [95, "90"] }), [
+  { field: "targetVmaf[1]", message: '必须是数字，实际为 "90"' },
+]);
+console.log("  ✓ 错误报告到具体下标 / errors name the index");
+
+console.log("\n✓ 配置校验测试通过 / Config validation tests passed");
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * DASH 媒体段对齐与分片合并测试
+ * DASH segment alignment and fragment grouping test
+ *
+ * 用 MPD 文本校验 readSegmentStarts() 与 checkSegmentAlignment()（对齐、媒体段数量不同、起始时间
+ * 不同、音频 AdaptationSet 不参与比较），并校验 groupFragments() 按场景边界与按 segmentSec 合并分片
+ * Check readSegmentStarts() and checkSegmentAlignment() on MPD text (aligned, segment count mismatch,
+ * start mismatch, audio AdaptationSet not compared), and groupFragments() grouping at scene
+ * boundaries and by segmentSec
+ */
+
+import assert from "node:assert/strict";
+import {
+  checkSegmentAlignment,
+  readSegmentStarts,
+} from "../scripts/dash_package.mjs";
+import { groupFragments } from "../scripts/fmp4_segmenter.mjs";
+
+const representation = (id, timescale, entries) =>
+  `<Representation id="${id}" bandwidth="1000000">` +
+  `<SegmentTemplate timescale="${timescale}" startNumber="0"><SegmentTimeline>` +
+  entries.join("") +
+  `</SegmentTimeline></SegmentTemplate></Representation>`;
+
+const adaptationSet = (id, representations) =>
+  `<AdaptationSet id="${id}">${representations.join("")}</AdaptationSet>`;
+
+const mpd = (video, audio = []) =>
+  "<MPD><Period>" +
+  adaptationSet("0", video) +
+  adaptationSet("1", audio) +
+  "</Period></MPD>";
+
+// 场景起点 0、5.2、9 秒，总长 12 秒；各档位的时间刻度可以不同
+// Scenes start at 0, 5.2 and 9 s and end at 12 s; rungs may use different timescales
+const scenes720 = representation("720p", 15360, [
+  '<S t="0" d="79872"/>',
+  '<S t="79872" d="58368"/>',
+  '<S t="138240" d="46080"/>',
+]);
+const scenes480 = representation("480p", 1000, [
+  '<S t="0" d="5200"/>',
+  '<S d="3800"/>',
+  '<S d="3000"/>',
+]);
+// 音轨按固定 6 秒切分，与视频场景不对齐
+// Audio is cut every 6 s and does not line up with the video scenes
+const audio = representation("audio", 48000, ['<S t="0" d="288000" r="1"/>']);
+
+console.log("[DASH] 读取媒体段起始时间 / Read segment start times");
+assert.deepEqual(readSegmentStarts(mpd([scenes480], [audio])), [
+  { adaptationSet: "0", id: "480p", starts: [0, 5.2, 9] },
+  { adaptationSet: "1", id: "audio", starts: [0, 6] },
+]);
+console.log(
+  "  ✓ 展开省略 t 与带 r 的 S 元素 / S entries without t and with r are expanded"
+);
+
+console.log("[DASH] 对齐 / Aligned");
+assert.deepEqual(
+  checkSegmentAlignment(mpd([scenes720, scenes480], [audio])),
+  []
+);
+console.log(
+  "  ✓ 视频档位对齐，音频 AdaptationSet 不与视频比较 / video rungs align; audio is not compared with video"
+);
+
+console.log("[DASH] 媒体段数量不同 / Segment count mismatch");
+const split480 = representation("480p", 1000, [
+  '<S t="0" d="5200"/>',
+  '<S d="3800"/>',
+  '<S d="1500" r="1"/>',
+]);
+assert.deepEqual(checkSegmentAlignment(mpd([scenes720, split480])), [
+  "480p 有 4 个媒体段，720p 有 3 个",
+]);
+console.log("  ✓ 报告两个档位的媒体段数 / both segment counts are reported");
+
+console.log("[DASH] 起始时间不同 / Start mismatch");
+const shifted480 = representation("480p", 1000, [
+  '<S t="0" d="5233"/>',
+  '<S d="3767"/>',
+  '<S d="3000"/>',
+]);
+assert.deepEqual(checkSegmentAlignment(mpd([scenes720, shifted480])), [
+  "480p 第 2 个媒体段起始于 5.233s，720p 为 5.200s",
+]);
+// 1 毫秒以内的差值视为对齐
+// Differences up to 1 ms count as aligned
+const rounded480 = representation("480p", 1000, [
+  '<S t="0" d="5201"/>',
+  '<S d="3799"/>',
+  '<S d="3000"/>',
+]);
+assert.deepEqual(checkSegmentAlignment(mpd([scenes720, rounded480])), []);
+console.log("  ✓ 超过 1 毫秒才报告 / reported only beyond 1 ms");
+
+// 关键帧间隔 2 秒的分片，场景切换处（5.2、9 秒）另有关键帧；时间刻度 15360、30 fps
+// Fragments at 2 s keyframe intervals plus keyframes at the scene cuts (5.2 and 9 s); 15360 timescale, 30 fps
+const keyframes = [0, 60, 120, 156, 216, 270, 330, 360];
+const fragments = keyframes.slice(0, -1).map((frame, index) => ({
+  time: frame * 512,
+  duration: (keyframes[index + 1] - frame) * 512,
+}));
+
+console.log("[DASH] 按场景边界合并分片 / Group fragments at scene boundaries");
+assert.deepEqual(
+  groupFragments(fragments, 15360, { boundaries: [0, 5.2, 9] }),
+  [
+    [0, 1, 2],
+    [3, 4],
+    [5, 6],
+  ]
+);
+// 边界取最接近的分片，吸收片段时长的舍入
+// Boundaries snap to the nearest fragment, absorbing rounding in the segment durations
+assert.deepEqual(
+  groupFragments(fragments, 15360, { boundaries: [0, 5.19, 9.01] }),
+  [
+    [0, 1, 2],
+    [3, 4],
+    [5, 6],
+  ]
+);
+console.log("  ✓ 每个场景一个媒体段 / one media segment per scene");
+
+console.log("[DASH] 按 segmentSec 合并分片 / Group fragments by segmentSec");
+assert.deepEqual(groupFragments(fragments, 15360, { segmentSec: 6 }), [
+  [0, 1, 2, 3],
+  [4, 5, 6],
+]);
+assert.deepEqual(groupFragments(fragments, 15360, { segmentSec: 2 }), [
+  [0],
+  [1],
+  [2, 3],
+  [4, 5],
+  [6],
+]);
+console.log(
+  "  ✓ 达到 segmentSec 后的第一个分片开始新媒体段 / a new segment starts at the first fragment past segmentSec"
+);
+
+console.log("\n✓ DASH 测试通过 / DASH tests passed");
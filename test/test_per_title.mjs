@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Per-Title 凸包与选点测试
+ * Per-title hull and operating point test
+ *
+ * 校验 computeRdConvexHull() 的文档示例与帕累托过滤，以及 selectLadderOperatingPoints() 在凸包点
+ * 达标、只有非凸包点达标、都不达标与档位没有 RD 点时的选择
+ * Check the computeRdConvexHull() documented example and Pareto filter, and the
+ * selectLadderOperatingPoints() picks when a hull point meets the target, only off-hull points do,
+ * none do, and a rung has no RD points
+ */
+
+import assert from "node:assert/strict";
+import {
+  computeRdConvexHull,
+  selectLadderOperatingPoints,
+} from "../scripts/per_title_encode.mjs";
+
+const kbpsOf = (points) => points.map((p) => p.kbps);
+
+console.log("[Per-Title] 凸包文档示例 / Documented hull example");
+const example = [
+  { kbps: 500, vmaf: 80 },
+  { kbps: 1000, vmaf: 88 },
+  { kbps: 1500, vmaf: 89 },
+  { kbps: 2000, vmaf: 94 },
+];
+const exampleHull = computeRdConvexHull(example);
+assert.deepEqual(kbpsOf(exampleHull), [500, 1000, 2000]);
+// 凸包保留原始对象，供选点时按引用判断是否在凸包上
+// The hull keeps the original objects, so operating point selection can test membership by reference
+assert.equal(exampleHull[1], example[1]);
+console.log(
+  "  ✓ 1500 kbps 点位于凸包下方被剔除 / the 1500 kbps point below the hull is dropped"
+);
+
+// 两个分辨率的 RD 点；480p 的 2500 kbps 点被 720p 的 2000 kbps 点支配
+// RD points at two heights; the 480p 2500 kbps point is dominated by the 720p 2000 kbps point
+const points = [
+  { height: 720, crf: 32, kbps: 1200, vmaf: 88 },
+  { height: 720, crf: 28, kbps: 2000, vmaf: 93 },
+  { height: 720, crf: 24, kbps: 3000, vmaf: 96 },
+  { height: 480, crf: 32, kbps: 800, vmaf: 85 },
+  { height: 480, crf: 28, kbps: 1500, vmaf: 90 },
+  { height: 480, crf: 24, kbps: 2500, vmaf: 91 },
+];
+const hull = computeRdConvexHull(points);
+
+console.log("[Per-Title] 帕累托过滤 / Pareto filter");
+assert.deepEqual(kbpsOf(hull), [800, 1200, 1500, 2000, 3000]);
+console.log("  ✓ 被支配的点不在凸包上 / the dominated point is off the hull");
+
+const select = (targetVmaf, heightList = [720, 480]) =>
+  selectLadderOperatingPoints(points, hull, heightList, targetVmaf).map(
+    ({ height, chosen, onHull, meetsTarget }) => ({
+      height,
+      kbps: chosen?.kbps ?? null,
+      onHull,
+      meetsTarget,
+    })
+  );
+
+console.log("[Per-Title] 凸包点达标 / Hull points meet the target");
+assert.deepEqual(select(90), [
+  { height: 720, kbps: 2000, onHull: true, meetsTarget: true },
+  { height: 480, kbps: 1500, onHull: true, meetsTarget: true },
+]);
+console.log(
+  "  ✓ 各档位选择达标的最低码率凸包点 / each rung picks its cheapest hull point meeting the target"
+);
+
+console.log(
+  "[Per-Title] 凸包点都不达标时回退 / Fallback when no hull point meets the target"
+);
+assert.deepEqual(select(91)[1], {
+  height: 480,
+  kbps: 2500,
+  onHull: false,
+  meetsTarget: true,
+});
+console.log(
+  "  ✓ 480p 选择达标的非凸包点 / 480p falls back to the off-hull point that meets the target"
+);
+
+console.log("[Per-Title] 都不达标 / Nothing meets the target");
+assert.deepEqual(select(97), [
+  { height: 720, kbps: 3000, onHull: true, meetsTarget: false },
+  { height: 480, kbps: 2500, onHull: false, meetsTarget: false },
+]);
+console.log(
+  "  ✓ 各档位选择 VMAF 最高的点 / each rung picks its highest-VMAF point"
+);
+
+console.log("[Per-Title] 档位没有 RD 点 / Rung without RD points");
+assert.deepEqual(select(90, [1080]), [
+  { height: 1080, kbps: null, onHull: false, meetsTarget: false },
+]);
+console.log("  ✓ chosen 为 null / chosen is null");
+
+console.log("\n✓ Per-Title 测试通过 / Per-title tests passed");
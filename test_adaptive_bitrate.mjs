@@ -28,7 +28,7 @@ mkdirSync(TEST_TMP_DIR, { recursive: true });
 
 // 获取前3个片段进行测试
 const totalDur = getDurationSeconds(INPUT_FILE);
-const cuts = detectScenes(INPUT_FILE, 0.35);
+const cuts = await detectScenes(INPUT_FILE, 0.35);
 const segments = buildSegments(cuts, totalDur, 4.0, 8.0).slice(0, 3); // 只测试前3个片段
 
 console.log(`测试视频 / Test video: ${INPUT_FILE}`);
@@ -56,7 +56,7 @@ for (let i = 0; i < segments.length; i++) {
     )}s-${seg.end.toFixed(2)}s]`
   );
 
-  const result = decideBitrateForSegment({
+  const result = await decideBitrateForSegment({
     inputFile: INPUT_FILE,
     start: seg.start,
     dur: seg.dur,
@@ -112,7 +112,7 @@ for (let i = 0; i < segments.length; i++) {
     );
   }
 
-  const result = decideBitrateForSegment({
+  const result = await decideBitrateForSegment({
     inputFile: INPUT_FILE,
     start: seg.start,
     dur: seg.dur,
@@ -4,7 +4,7 @@ console.log('\n测试扩展码率范围 / Testing extended bitrate range\n');
 console.log('目标 VMAF / Target VMAF: 95');
 console.log('探测码率 / Probe bitrates: [600, 800, 1000, 1500, 2500, 3500, 5000, 7000, 10000] kbps\n');
 
-const result = decideBitrateForSegment({
+const result = await decideBitrateForSegment({
   inputFile: 'assets/sample.mpeg',
   start: 0,
   dur: 4.0,
@@ -1,6 +1,6 @@
 import { decideBitrateForSegment } from './scripts/bitrate_probe.mjs';
 
-const result = decideBitrateForSegment({
+const result = await decideBitrateForSegment({
   inputFile: 'assets/sample.mpeg',
   start: 0,
   dur: 4.0,
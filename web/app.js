@@ -5,8 +5,13 @@ const resultsCard = document.getElementById("resultsCard");
 const taskIdEl = document.getElementById("taskId");
 const taskStatusEl = document.getElementById("taskStatus");
 const summaryPathEl = document.getElementById("summaryPath");
+const taskProgressEl = document.getElementById("taskProgress");
+const taskProgressTextEl = document.getElementById("taskProgressText");
 const resultsBody = document.getElementById("resultsBody");
 const logList = document.getElementById("logList");
+const cancelButton = document.getElementById("cancelButton");
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
 
 let pollTimer = null;
 let activeTaskId = null;
@@ -37,15 +42,28 @@ function populateForm(config) {
     return;
   }
 
-  setValue("targetVmaf", config.targetVmaf);
+  setValue(
+    "targetVmaf",
+    Array.isArray(config.targetVmaf)
+      ? config.targetVmaf.join(", ")
+      : config.targetVmaf
+  );
   setValue("baselineCrf", config.baselineCrf);
   setValue("gopSec", config.gopSec);
   setValue("sceneThresh", config.sceneThresh);
   setValue("audioKbps", config.audioKbps);
   setValue("vmafModel", config.vmafModel);
   setValue("aiPreprocessModel", config.aiPreprocessModel);
-  setValue("heightList", Array.isArray(config.heightList) ? config.heightList.join(", ") : "");
-  setValue("codecs", Array.isArray(config.codecs) ? config.codecs.join(", ") : "");
+  setValue("colorMode", config.colorMode);
+  setValue("ladderBasis", config.ladderBasis);
+  setValue(
+    "heightList",
+    Array.isArray(config.heightList) ? config.heightList.join(", ") : ""
+  );
+  setValue(
+    "codecs",
+    Array.isArray(config.codecs) ? config.codecs.join(", ") : ""
+  );
   setValue(
     "implementations",
     Array.isArray(config.encoderImplementations)
@@ -94,8 +112,10 @@ function collectPayload() {
 
   const overrides = {};
 
-  const targetVmaf = parseNumber(formData.get("targetVmaf"));
-  if (targetVmaf !== undefined) overrides.targetVmaf = targetVmaf;
+  const targetVmaf = parseNumberList(formData.get("targetVmaf"));
+  if (targetVmaf.length > 0) {
+    overrides.targetVmaf = targetVmaf.length === 1 ? targetVmaf[0] : targetVmaf;
+  }
 
   const baselineCrf = parseNumber(formData.get("baselineCrf"));
   if (baselineCrf !== undefined) overrides.baselineCrf = baselineCrf;
@@ -112,9 +132,17 @@ function collectPayload() {
   const vmafModel = (formData.get("vmafModel") || "").toString().trim();
   if (vmafModel) overrides.vmafModel = vmafModel;
 
-  const aiPreprocessModel = (formData.get("aiPreprocessModel") || "").toString().trim();
+  const aiPreprocessModel = (formData.get("aiPreprocessModel") || "")
+    .toString()
+    .trim();
   if (aiPreprocessModel) overrides.aiPreprocessModel = aiPreprocessModel;
 
+  const colorMode = (formData.get("colorMode") || "").toString();
+  if (colorMode) overrides.colorMode = colorMode;
+
+  const ladderBasis = (formData.get("ladderBasis") || "").toString();
+  if (ladderBasis) overrides.ladderBasis = ladderBasis;
+
   const heightList = parseNumberList(formData.get("heightList"));
   if (heightList.length > 0) overrides.heightList = heightList;
 
@@ -122,7 +150,8 @@ function collectPayload() {
   if (codecs.length > 0) overrides.codecs = codecs;
 
   const implementations = parseStringList(formData.get("implementations"));
-  if (implementations.length > 0) overrides.encoderImplementations = implementations;
+  if (implementations.length > 0)
+    overrides.encoderImplementations = implementations;
 
   const probeBitrates = parseNumberList(formData.get("probeBitrates"));
   if (probeBitrates.length > 0) overrides.probeBitratesKbps = probeBitrates;
@@ -169,6 +198,7 @@ function renderSummaryRows(rows) {
       row.codec,
       row.implementation,
       row.height ? `${row.height}p` : "",
+      row.targetVmaf ?? "",
       row.finalVmaf !== undefined ? row.finalVmaf.toFixed(2) : "",
       row.avgBitrateKbps !== undefined ? row.avgBitrateKbps.toFixed(1) : "",
       row.encodingEfficiency !== undefined
@@ -203,10 +233,16 @@ function updateTaskView(task) {
   taskStatusEl.textContent = task.status;
   summaryPathEl.textContent = task.summaryPath || "-";
 
+  const progress = typeof task.progress === "number" ? task.progress : 0;
+  taskProgressEl.value = progress;
+  taskProgressTextEl.textContent = `${(progress * 100).toFixed(1)}%`;
+
   renderLogs(task.logs);
   renderSummaryRows(task.summaryRows);
 
-  if (task.status === "completed" || task.status === "failed") {
+  cancelButton.disabled = task.status !== "running";
+
+  if (FINISHED_STATUSES.includes(task.status)) {
     clearInterval(pollTimer);
     pollTimer = null;
     setFormEnabled(true);
@@ -239,6 +275,25 @@ async function startPolling(id) {
   pollTimer = setInterval(tick, 3000);
 }
 
+cancelButton.addEventListener("click", async () => {
+  if (!activeTaskId) {
+    return;
+  }
+  cancelButton.disabled = true;
+  try {
+    const response = await fetch(`/experiments/${activeTaskId}`, {
+      method: "DELETE",
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `取消任务失败: ${response.status}`);
+    }
+    updateTaskView(data);
+  } catch (error) {
+    alert(error.message);
+  }
+});
+
 form.addEventListener("submit", async (event) => {
   event.preventDefault();
   try {
@@ -254,7 +309,14 @@ form.addEventListener("submit", async (event) => {
 
     if (!response.ok) {
       const data = await response.json().catch(() => ({}));
-      throw new Error(data.error || `启动任务失败: ${response.status}`);
+      const details = Array.isArray(data.errors)
+        ? data.errors
+            .map((item) => `\n- ${item.field}: ${item.message}`)
+            .join("")
+        : "";
+      throw new Error(
+        `${data.error || `启动任务失败: ${response.status}`}${details}`
+      );
     }
 
     const data = await response.json();